@@ -30,4 +30,11 @@ export default [
       ],
     },
   },
+  {
+    // Node CLI scripts
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
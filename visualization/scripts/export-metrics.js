@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * Exports the derived metrics behind the charts as CSV or JSON, without a browser.
+ *
+ *   npm run export:metrics -- --metric die-area --cpi --effective-die --format csv --out die-area.csv
+ *
+ * Reads the datasets from src/assets (or --data), validates them like the app
+ * does, and applies the same adjustments through src/utils/analytics.js.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { currencies } from '../src/utils/chartConfig.js';
+import { datasetFiles, validateDatasets, formatValidationReport } from '../src/utils/dataValidation.js';
+import { exportMetrics, exportMetricsText } from '../src/utils/metricsExport.js';
+import { yieldModels } from '../src/utils/dieCost.js';
+import { effectiveDieFixedShare, dieUtilizationBases, upliftMetrics } from '../src/utils/analytics.js';
+import { defaultBomAssumptions } from '../src/utils/bom.js';
+import { multiDieModes, defaultMultiDieMode } from '../src/utils/multiDie.js';
+
+const usage = `Usage: npm run export:metrics -- [options]
+
+  --metric <name>             ${Object.keys(exportMetrics).join(' | ')} (default: all, JSON only)
+  --format <csv|json>         Output format (default: json, or csv when --out ends in .csv)
+  --out <file>                Write to a file instead of stdout
+  --data <dir>                Dataset directory (default: src/assets)
+  --cpi                       Adjust prices for inflation
+  --wage                      Scale prices by median weekly earnings
+  --base-year <year>          Year --cpi/--wage express prices in (default: base_year of inflation_data.json)
+  --effective-die             Price the disabled-die area (chartPricePerMM2)
+  --fixed-die-share <pct>     Share of a cut-down die charged outright (default: ${effectiveDieFixedShare * 100})
+  --utilization-basis <name>  ${Object.keys(dieUtilizationBases).join(' | ')} (default: cores); what the
+                              enabled share of a cut-down die is measured by
+  --currency <code>           ${Object.keys(currencies).join(' | ')} (default: USD); regional MSRPs,
+                              CPI and wages where available, and the country whose
+                              median work the affordability table counts
+  --launch-fx                 Convert USD MSRPs at the launch exchange rate instead
+  --yield-model <name>        ${Object.keys(yieldModels).join(' | ')} (default: murphy), for the die cost columns
+  --defect-density <x>        Multiplier on each node's default defect density (default: 1)
+  --board-cost <usd>          BOM board cost per card (default: ${defaultBomAssumptions.boardCost})
+  --cooler-cost <usd>         BOM cooler cost per card (default: ${defaultBomAssumptions.coolerCost})
+  --packaging-cost <usd>      BOM packaging and test cost per die (default: ${defaultBomAssumptions.packagingCost})
+  --memory-price-scale <x>    Multiplier on memory_prices.json (default: ${defaultBomAssumptions.memoryPriceScale})
+  --channel-share <pct>       Share of the MSRP kept by board partners and retailers (default: ${defaultBomAssumptions.channelShare * 100})
+  --special-flagship <series> Normalize a series against its special flagship;
+                              repeat or comma-separate (e.g. 2000,700)
+  --multi-die <mode>          ${Object.keys(multiDieModes).join(' | ')} (default: ${defaultMultiDieMode}); count
+                              dual-GPU boards whole, leave them out or scale them to one GPU
+  --console-allocation <pct>  Share of unified console memory counted as VRAM (default: 100)
+  --hide-estimates            Leave out rows whose inputs are flagged as estimates
+  --uplift-metric <name>      ${Object.keys(upliftMetrics).join(' | ')} (default: cores); what the
+                              uplift table compares across generations
+  --help                      Show this message
+`;
+
+const fail = (message) => {
+    process.stderr.write(`${message}\n\n${usage}`);
+    process.exit(1);
+};
+
+let args;
+try {
+    ({ values: args } = parseArgs({
+        options: {
+            metric: { type: 'string' },
+            format: { type: 'string' },
+            out: { type: 'string' },
+            data: { type: 'string' },
+            cpi: { type: 'boolean', default: false },
+            wage: { type: 'boolean', default: false },
+            'base-year': { type: 'string' },
+            'effective-die': { type: 'boolean', default: false },
+            'fixed-die-share': { type: 'string', default: String(effectiveDieFixedShare * 100) },
+            'utilization-basis': { type: 'string', default: 'cores' },
+            currency: { type: 'string', default: 'USD' },
+            'launch-fx': { type: 'boolean', default: false },
+            'yield-model': { type: 'string', default: 'murphy' },
+            'defect-density': { type: 'string', default: '1' },
+            'board-cost': { type: 'string' },
+            'cooler-cost': { type: 'string' },
+            'packaging-cost': { type: 'string' },
+            'memory-price-scale': { type: 'string' },
+            'channel-share': { type: 'string' },
+            'special-flagship': { type: 'string', multiple: true, default: [] },
+            'multi-die': { type: 'string', default: defaultMultiDieMode },
+            'console-allocation': { type: 'string', default: '100' },
+            'uplift-metric': { type: 'string', default: 'cores' },
+            'hide-estimates': { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    }));
+} catch (error) {
+    fail(error.message);
+}
+
+if (args.help) {
+    process.stdout.write(usage);
+    process.exit(0);
+}
+
+const allocationPercentage = Number(args['console-allocation']);
+if (!Number.isFinite(allocationPercentage) || allocationPercentage < 0 || allocationPercentage > 100) {
+    fail(`--console-allocation must be a percentage from 0 to 100, got "${args['console-allocation']}"`);
+}
+
+const currency = args.currency.toUpperCase();
+if (!currencies[currency]) {
+    fail(`--currency must be one of ${Object.keys(currencies).join(', ')}, got "${args.currency}"`);
+}
+
+const fixedDieShare = Number(args['fixed-die-share']);
+if (!Number.isFinite(fixedDieShare) || fixedDieShare < 0 || fixedDieShare > 100) {
+    fail(`--fixed-die-share must be a percentage from 0 to 100, got "${args['fixed-die-share']}"`);
+}
+
+const utilizationBasis = args['utilization-basis'];
+if (!dieUtilizationBases[utilizationBasis]) {
+    fail(`--utilization-basis must be one of ${Object.keys(dieUtilizationBases).join(', ')}, got "${utilizationBasis}"`);
+}
+
+const multiDieMode = args['multi-die'];
+if (!multiDieModes[multiDieMode]) {
+    fail(`--multi-die must be one of ${Object.keys(multiDieModes).join(', ')}, got "${multiDieMode}"`);
+}
+
+const upliftMetric = args['uplift-metric'];
+if (!upliftMetrics[upliftMetric]) {
+    fail(`--uplift-metric must be one of ${Object.keys(upliftMetrics).join(', ')}, got "${upliftMetric}"`);
+}
+
+const yieldModel = args['yield-model'].toLowerCase();
+if (!yieldModels[yieldModel]) {
+    fail(`--yield-model must be one of ${Object.keys(yieldModels).join(', ')}, got "${args['yield-model']}"`);
+}
+
+const defectDensityScale = Number(args['defect-density']);
+if (!Number.isFinite(defectDensityScale) || defectDensityScale < 0) {
+    fail(`--defect-density must be a non-negative multiplier, got "${args['defect-density']}"`);
+}
+
+// BOM overrides; anything not given keeps the bom.js default
+const bomAssumptions = {};
+for (const [flag, key] of [
+    ['board-cost', 'boardCost'], ['cooler-cost', 'coolerCost'], ['packaging-cost', 'packagingCost'],
+    ['memory-price-scale', 'memoryPriceScale']
+]) {
+    if (args[flag] === undefined) continue;
+    const value = Number(args[flag]);
+    if (!Number.isFinite(value) || value < 0) fail(`--${flag} must be a non-negative number, got "${args[flag]}"`);
+    bomAssumptions[key] = value;
+}
+if (args['channel-share'] !== undefined) {
+    const channelShare = Number(args['channel-share']);
+    if (!Number.isFinite(channelShare) || channelShare < 0 || channelShare >= 100) {
+        fail(`--channel-share must be a percentage from 0 to below 100, got "${args['channel-share']}"`);
+    }
+    bomAssumptions.channelShare = channelShare / 100;
+}
+
+const specialFlagshipActive = {};
+args['special-flagship']
+    .flatMap(value => value.split(','))
+    .map(series => series.trim())
+    .filter(Boolean)
+    .forEach(series => { specialFlagshipActive[series] = true; });
+
+// Same datasets the app loads, read from disk
+const dataDir = args.data
+    ? resolve(args.data)
+    : fileURLToPath(new URL('../src/assets/', import.meta.url));
+const datasets = {};
+for (const [key, file] of Object.entries(datasetFiles)) {
+    try {
+        datasets[key] = JSON.parse(readFileSync(resolve(dataDir, file), 'utf8'));
+    } catch (error) {
+        fail(`Could not read ${file} from ${dataDir}: ${error.message}`);
+    }
+}
+
+const validation = validateDatasets(datasets);
+if (validation.errors.length > 0) {
+    process.stderr.write(`${formatValidationReport(validation)}\n`);
+    process.exit(1);
+}
+
+const baseYear = args['base-year'] === undefined ? undefined : Number(args['base-year']);
+if (baseYear !== undefined && datasets.inflationData.cpi_data[baseYear] === undefined) {
+    fail(`--base-year must be a year in inflation_data.json cpi_data, got "${args['base-year']}"`);
+}
+
+const format = args.format || (args.out && args.out.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+
+let output;
+try {
+    output = exportMetricsText(datasets, {
+        metric: args.metric,
+        format,
+        useCpiAdjustment: args.cpi,
+        useRealWageScaling: args.wage,
+        baseYear,
+        useEffectiveDieSize: args['effective-die'],
+        effectiveDieFixedShare: fixedDieShare / 100,
+        utilizationBasis,
+        currency,
+        useLaunchFx: args['launch-fx'],
+        yieldModel,
+        defectDensityScale,
+        bomAssumptions,
+        specialFlagshipActive,
+        allocationPercentage,
+        upliftMetric,
+        multiDieMode,
+        hideEstimates: args['hide-estimates']
+    });
+} catch (error) {
+    fail(error.message);
+}
+
+if (args.out) {
+    writeFileSync(args.out, output);
+    process.stderr.write(`Wrote ${args.metric || 'all metrics'} (${format}) to ${args.out}\n`);
+} else {
+    process.stdout.write(output);
+}
@@ -0,0 +1,118 @@
+// AffordabilityPlot.jsx
+import React, { useEffect, useState } from 'react';
+import { currencies } from './utils/chartConfig';
+import { getVendor, getBaseTier } from './utils/tierUtils';
+import { computeAffordabilityRows, getAffordabilityCurrencies, usWorkWeekHours } from './utils/analytics';
+import { formatMoney, describeLaunchPrice } from './utils/currency';
+import { drawTierChart } from './utils/tierChart';
+// App.css is imported in App.jsx and applies globally
+// The wage, CPI and FX datasets are passed as props (loaded at runtime by App)
+
+// Plotted field and unit label of each time unit
+const units = {
+    hours: { field: 'hoursOfWork', label: 'Hours' },
+    weeks: { field: 'weeksOfWork', label: 'Weeks' }
+};
+
+function AffordabilityPlot({
+    affordabilitySvgRef,
+    gpuData,
+    gpuDieData, // Only used for the generation names in the legend
+    inflationData,
+    medianRealWageData,
+    regionalWageData, // Wage series of the other countries; those giving hoursPerWeek are selectable
+    fxRates,
+    useLaunchFx = false, // Convert USD MSRPs at launch FX instead of using regional MSRPs
+    columnOrder,
+    getTierFromModel,
+    specialFlagshipActive, // Flagship choice shared with the CUDA chart
+    activeGenerations,
+    setActiveGenerations,
+    showAllAffordabilityGenerations,
+    setShowAllAffordabilityGenerations,
+    hideEstimates // Leave out cards with an estimated MSRP
+}) {
+    // Hours or weeks of median work
+    const [unit, setUnit] = useState('hours');
+    // Currency whose country's wages and launch prices are used (see getAffordabilityCurrencies)
+    const [wageCurrency, setWageCurrency] = useState('USD');
+    const wageCurrencies = getAffordabilityCurrencies(regionalWageData);
+    // Falls back to the US if a reloaded wage dataset drops the selected country
+    const country = wageCurrencies.includes(wageCurrency) ? wageCurrency : 'USD';
+
+    useEffect(() => {
+        if (!gpuData || !inflationData || !medianRealWageData || !columnOrder || !getTierFromModel || !affordabilitySvgRef.current) {
+            console.warn("AffordabilityPlot: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const { region } = currencies[country];
+        const { field, label } = units[unit];
+        // Regular cards plus each series' selected flagship, as in the CUDA chart
+        const rows = computeAffordabilityRows(
+            { gpuData, inflationData, medianRealWageData, regionalWageData, fxRates },
+            { currency: country, useLaunchFx, specialFlagshipActive, hideEstimates }
+        )
+            .filter(d => d.tier && columnOrder.includes(getBaseTier(d.tier)))
+            .filter(d => d.isReferenceFlagship || (!d.flagship && !d.specialFlagship))
+            .map(d => ({ ...d, baseTier: getBaseTier(d.tier), vendor: getVendor(d), value: d[field] }));
+
+        const unitButton = {
+            className: 'unit-toggle-btn',
+            label: unit === 'weeks' ? "Weeks" : "Hours",
+            active: unit === 'weeks',
+            activeColor: "#4CAF50",
+            onClick: () => setUnit(unit === 'hours' ? 'weeks' : 'hours'),
+            help: `<div style="text-align: center; padding: 5px;"><strong>Unit</strong></div>
+                   <div style="padding: 5px;"><strong>Hours:</strong> Launch price over the median weekly wage spread over ${country === 'USD' ? `an assumed ${usWorkWeekHours}` : `a ${regionalWageData[country].hoursPerWeek}`}-hour week.<br>
+                   <strong>Weeks:</strong> Launch price over the median weekly wage.<br>
+                   <span style="font-size: 0.9em; color: #aaa;">Gross wages at the card's release, before tax.</span></div>`
+        };
+
+        return drawTierChart(affordabilitySvgRef.current, {
+            className: 'affordability',
+            rows,
+            buttons: [unitButton],
+            columnOrder,
+            gpuDieData,
+            generations: { activeGenerations, setActiveGenerations, showAllGenerations: showAllAffordabilityGenerations, setShowAllGenerations: setShowAllAffordabilityGenerations },
+            yLabel: `${label} of ${region} Median Work`,
+            emptyMessage: "No cards with a launch price and wage data to display.",
+            describe: d => {
+                const priceNote = describeLaunchPrice({ basis: d.priceBasis, price: d.originalMsrp, usdPrice: d.usdMsrp, fxRate: d.fxRate, fxPeriod: d.fxPeriod }, country);
+                return `<strong>Series:</strong> ${d.series}<br>
+                        <strong>Launch MSRP:</strong> ${formatMoney(d.originalMsrp, country)}${priceNote ? ` <span style="color: #aaa;">(${priceNote})</span>` : ''}${d.pricedVariant?.vram ? ` <span style="color: #aaa;">(${d.pricedVariant.vram} GB)</span>` : ''}<br>
+                        <strong>Median Wage:</strong> ${formatMoney(d.weeklyWage, country)}/week, ${formatMoney(d.hourlyWage, country, 2)}/hour <span style="color: #aaa;">(${d.wagePeriod}, ${d.hoursPerWeek}-hour week)</span><br>
+                        <strong>Cost in Work:</strong> ${d.hoursOfWork.toFixed(1)} hours, ${d.weeksOfWork.toFixed(2)} weeks${d.isReferenceFlagship ? '<br><span style="color: #aaa;">Selected flagship of its series</span>' : ''}`;
+            }
+        });
+    }, [
+        gpuData, gpuDieData, inflationData, medianRealWageData, regionalWageData, fxRates, useLaunchFx, columnOrder, getTierFromModel,
+        specialFlagshipActive, activeGenerations, setActiveGenerations, showAllAffordabilityGenerations, setShowAllAffordabilityGenerations,
+        unit, country, hideEstimates, affordabilitySvgRef
+    ]);
+
+    return (
+        <div>
+            {/* Only shown when a regional wage series gives the hours it pays for */}
+            {wageCurrencies.length > 1 && (
+                <label style={{ display: 'block', textAlign: 'center', color: '#ddd' }}>
+                    Country:{' '}
+                    <select
+                        className="affordability-country-selector"
+                        value={country}
+                        onChange={event => setWageCurrency(event.target.value)}
+                        title="Country whose median wage and launch prices are used"
+                    >
+                        {wageCurrencies.map(code => (
+                            <option key={code} value={code}>{currencies[code].region} ({code})</option>
+                        ))}
+                    </select>
+                </label>
+            )}
+            <svg ref={affordabilitySvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+        </div>
+    );
+}
+
+export default AffordabilityPlot;
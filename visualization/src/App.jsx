@@ -1,21 +1,96 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useMemo } from 'react';
 import './App.css';
-import gpuData from './assets/gpu_data.json';
-import consoleData from './assets/console_data.json';
-import gpuDieData from './assets/gpu_die.json';
 
 import CudaPlot from './CudaPlot';
 import VramPlot from './VramPlot';
 import DieAreaPlot from './DieAreaPlot';
+import MarginPlot from './MarginPlot';
+import PerfPerDollarPlot from './PerfPerDollarPlot';
+import PowerPlot from './PowerPlot';
+import CoresPerDollarPlot from './CoresPerDollarPlot';
+import AffordabilityPlot from './AffordabilityPlot';
+import PriceLadderPlot from './PriceLadderPlot';
+import UpliftHeatmap from './UpliftHeatmap';
+import DieClassPlot from './DieClassPlot';
+import GpuImportPanel from './GpuImportPanel';
+import SourcesPanel from './SourcesPanel';
 
-import { getTierFromModel } from './utils/tierUtils';
-import { columnOrder } from './utils/chartConfig';
+import { getTierFromModel, getVendor, vendors } from './utils/tierUtils';
+import { columnOrder, refreshColumnOrder, vendorColors, currencies } from './utils/chartConfig';
+import { loadDatasets } from './utils/dataLoader';
+import { loadImportedGpus, saveImportedGpus, validateImportedRows } from './utils/gpuImport';
+import { describeFlagshipGap } from './utils/releaseDates';
+import { buildCitationIndex } from './utils/citations';
+import {
+    getBaseYearOptions, effectiveDieFixedShare as defaultFixedShare, dieUtilizationBases, defaultDieUtilizationBasis
+} from './utils/analytics';
+import { yieldModels, defaultYieldModel } from './utils/dieCost';
+import { defaultBomAssumptions, bomAssumptionFields } from './utils/bom';
+import { multiDieModes, defaultMultiDieMode, applyMultiDieMode } from './utils/multiDie';
 
 
 function App() {
+    // Datasets are fetched at runtime (bundled JSON is the fallback)
+    const [datasets, setDatasets] = useState(null);
+    const [dataErrors, setDataErrors] = useState([]);
+    const [loadAttempt, setLoadAttempt] = useState(0);
+
+    // User-imported GPUs, persisted in localStorage and merged into gpuData
+    const [importedGpus, setImportedGpus] = useState(() => loadImportedGpus());
+    useEffect(() => {
+        saveImportedGpus(importedGpus);
+    }, [importedGpus]);
+
+    // Re-validate stored imports against the current datasets (they may have changed since)
+    const gpuData = useMemo(() => {
+        if (!datasets) return undefined;
+        if (importedGpus.length === 0) return datasets.gpuData;
+        const { accepted } = validateImportedRows(importedGpus, datasets);
+        return [...datasets.gpuData, ...accepted];
+    }, [datasets, importedGpus]);
+
+    // Vendors overlaid in every chart (NVIDIA only by default)
+    const [activeVendors, setActiveVendors] = useState({ NVIDIA: true, AMD: false, Intel: false });
+    // Dual-GPU boards (GTX 590/690) in every chart: counted whole, left out or per GPU
+    const [multiDieMode, setMultiDieMode] = useState(defaultMultiDieMode);
+    const visibleGpuData = useMemo(
+        () => applyMultiDieMode(gpuData?.filter(d => activeVendors[getVendor(d)]), multiDieMode),
+        [gpuData, activeVendors, multiDieMode]
+    );
+    // Leave estimated values out of every chart; each chart drops the cards whose plotted fields are estimates
+    const [hideEstimates, setHideEstimates] = useState(false);
+    // "GTX 780 Ti (+6 mo after GTX 780)" for each special flagship, from release dates
+    const specialFlagshipTimings = useMemo(
+        () => (visibleGpuData || [])
+            .filter(d => d.specialFlagship)
+            .map(d => {
+                const gap = describeFlagshipGap(d, visibleGpuData);
+                return gap ? `${d.model} (${gap})` : d.model;
+            }),
+        [visibleGpuData]
+    );
+    // Footnote numbers for cited fields, shared by the chart tooltips and the sources section
+    const citationIndex = useMemo(
+        () => (datasets ? buildCitationIndex({ ...datasets, gpuData }) : null),
+        [datasets, gpuData]
+    );
+    const consoleData = datasets?.consoleData;
+    const gpuDieData = datasets?.gpuDieData;
+
+    useEffect(() => {
+        let cancelled = false;
+        loadDatasets().then(({ datasets: loaded, errors }) => {
+            if (cancelled) return;
+            setDatasets(loaded);
+            setDataErrors(errors);
+        });
+        return () => { cancelled = true; };
+    }, [loadAttempt]);
+
     // State related to CUDA chart
     const [toggleMode, setToggleMode] = useState(false);
     const [useLogScale, setUseLogScale] = useState(false);
+    const [showCudaRefreshSkus, setShowCudaRefreshSkus] = useState(false); // SUPER columns are optional
     const svgRef = useRef();
     const [specialFlagshipActive, setSpecialFlagshipActive] = useState({});
     const [activeGenerations, setActiveGenerations] = useState({});
@@ -35,9 +110,16 @@ function App() {
         "60": true,
         "50 Ti": false,
         "50": true,
-        "30": false
+        "30": false,
+        // Refresh (SUPER) classes, drawn only while refresh SKUs are shown
+        "80 Super": true,
+        "70 Ti Super": true,
+        "70 Super": true,
+        "60 Super": true,
+        "50 Super": true
     });
     const [showAllClasses, setShowAllClasses] = useState(true); // Controls "Show All" checkbox for GPU classes
+    const [showVramRefreshSkus, setShowVramRefreshSkus] = useState(true);
 
     // State for showing console data on VRAM chart
     const [showConsoleData, setShowConsoleData] = useState(true);
@@ -54,6 +136,42 @@ function App() {
     // State related to Die Area Price plot
     const dieAreaSvgRef = useRef();
     const [showAllDieGenerations, setShowAllDieGenerations] = useState(true);
+    // Price currency; non-USD prices use regional MSRPs (or launch FX) and that region's CPI/wages
+    const [currency, setCurrency] = useState('USD');
+    const [useLaunchFx, setUseLaunchFx] = useState(false);
+    // Year the CPI/wage adjustments express prices in (null = the dataset's base_year)
+    const [baseYear, setBaseYear] = useState(null);
+    // Die cost overlay: yield model and a multiplier on the per-node defect densities
+    const [yieldModel, setYieldModel] = useState(defaultYieldModel);
+    const [defectDensityScale, setDefectDensityScale] = useState(1);
+    // Disabled-die model: share of the die charged outright and what the enabled share is measured by
+    const [effectiveDieFixedShare, setEffectiveDieFixedShare] = useState(defaultFixedShare);
+    const [utilizationBasis, setUtilizationBasis] = useState(defaultDieUtilizationBasis);
+    // State related to the gross margin chart (BOM assumptions are also used by the die area tooltips)
+    const marginSvgRef = useRef();
+    const [bomAssumptions, setBomAssumptions] = useState(defaultBomAssumptions);
+    // State related to the performance per dollar chart
+    const perfSvgRef = useRef();
+    const [showAllPerfGenerations, setShowAllPerfGenerations] = useState(true);
+    // State related to the cores per dollar chart
+    const coresSvgRef = useRef();
+    const [showAllCoresGenerations, setShowAllCoresGenerations] = useState(true);
+    // State related to the affordability chart (its country and unit are internal state)
+    const affordabilitySvgRef = useRef();
+    const [showAllAffordabilityGenerations, setShowAllAffordabilityGenerations] = useState(true);
+    // Ref for the launch price ladder (its adjustments and tier toggles are internal state)
+    const priceLadderSvgRef = useRef();
+    // State related to the power chart
+    const powerSvgRef = useRef();
+    const [showAllPowerGenerations, setShowAllPowerGenerations] = useState(true);
+    // Ref for the generation-over-generation heatmap (its metric is internal state)
+    const upliftSvgRef = useRef();
+    // Ref for the die class chart (its tier selection is internal state)
+    const dieClassSvgRef = useRef();
+    const baseYearOptions = useMemo(
+        () => getBaseYearOptions(datasets?.inflationData, visibleGpuData),
+        [datasets, visibleGpuData]
+    );
 
     // Initialize activeGenerations state based on data the first time
     // This was originally inside the CUDA useEffect, now initialize here once
@@ -76,6 +194,13 @@ function App() {
                 }
             });
             setSpecialFlagshipActive(initialSpecialFlagships);
+        } else if (gpuData && gpuData.some(d => !(d.series in activeGenerations))) {
+            // Series added later (e.g. by an import) start out visible
+            setActiveGenerations(prev => {
+                const next = { ...prev };
+                gpuData.forEach(d => { if (!(d.series in next)) next[d.series] = true; });
+                return next;
+            });
         }
 
         // Initialize selectedClasses and showAllClasses for VRAM chart if empty
@@ -98,16 +223,89 @@ function App() {
 
     }, [gpuData, consoleData, columnOrder, activeGenerations, selectedClasses, visibleConsolePlatforms]);
 
+    // Loading state: nothing to plot until the datasets (or their fallback) are in
+    if (!datasets) {
+        return (
+            <div className="App">
+                <h1 style={{ textAlign: 'center', margin: '20px 0' }}>NVIDIA GPU Analyzer</h1>
+                <p className="data-status" role="status">Loading GPU data…</p>
+            </div>
+        );
+    }
+
     return (
         <div className="App">
             {/* CUDA Plot Section */}
             <h1 style={{ textAlign: 'center', margin: '20px 0' }}>NVIDIA GPU Analyzer</h1>
+            {/* Error state: some or all runtime datasets could not be used */}
+            {dataErrors.length > 0 && (
+                <div className="data-status data-status-error" role="alert">
+                    <strong>Some data could not be loaded; showing bundled data where needed.</strong>
+                    <ul>
+                        {dataErrors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                    <button onClick={() => setLoadAttempt(attempt => attempt + 1)}>Retry</button>
+                </div>
+            )}
             <p style={{ textAlign: 'center', maxWidth: '800px', margin: '0 auto 20px', color: '#ddd' }}>
                 Interactive visualization of NVIDIA GPU specifications, pricing trends, and market positioning across generations.
             </p>
             <p style={{ textAlign: 'center', maxWidth: '800px', margin: '0 auto 20px', color: '#ddd' }}>
                 Each plot can have elements toggled on/off by click on the legend.
             </p>
+            {/* Vendor toggles apply to all charts below */}
+            <div className="vendor-toggles" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '10px', margin: '0 auto 20px' }}>
+                <span style={{ color: '#ddd' }}>Vendors:</span>
+                {vendors.map(vendor => (
+                    <button
+                        key={vendor}
+                        aria-pressed={activeVendors[vendor]}
+                        onClick={() => setActiveVendors(prev => {
+                            const next = { ...prev, [vendor]: !prev[vendor] };
+                            return vendors.some(v => next[v]) ? next : prev; // Keep at least one vendor on
+                        })}
+                        style={{
+                            padding: '6px 16px',
+                            cursor: 'pointer',
+                            backgroundColor: activeVendors[vendor] ? vendorColors[vendor] : '#444'
+                        }}
+                    >
+                        {vendor}
+                    </button>
+                ))}
+                <span style={{ color: '#ddd', marginLeft: '10px' }}>Dual-GPU boards:</span>
+                {Object.entries(multiDieModes).map(([key, { label, description }]) => (
+                    <button
+                        key={key}
+                        aria-pressed={multiDieMode === key}
+                        title={description}
+                        onClick={() => setMultiDieMode(key)}
+                        style={{
+                            padding: '6px 16px',
+                            cursor: 'pointer',
+                            backgroundColor: multiDieMode === key ? '#4CAF50' : '#444'
+                        }}
+                    >
+                        {label}
+                    </button>
+                ))}
+                <button
+                    aria-pressed={hideEstimates}
+                    title="Leave out values flagged as estimates (hollow, dotted markers) and rescale every chart without them"
+                    onClick={() => setHideEstimates(prev => !prev)}
+                    style={{
+                        padding: '6px 16px',
+                        marginLeft: '10px',
+                        cursor: 'pointer',
+                        backgroundColor: hideEstimates ? '#4CAF50' : '#444'
+                    }}
+                >
+                    Hide estimated values
+                </button>
+            </div>
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '0 auto 20px', fontStyle: 'italic', textAlign: 'center' }}>
+                AMD and Intel cards are placed on NVIDIA's tier ladder by their position in their own lineup (e.g. RX 7900 XTX as a 90-class card, Arc B580 as a 60-class card) and drawn with dashed (AMD) or dotted (Intel) lines. Their stream processors / shading units are not directly comparable to CUDA cores.
+            </p>
             <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
                 This visualization tracks NVIDIA's CUDA core counts across GPU generations, tracking how lower-tier cards receive proportionally fewer cores over time compared to flagship models.
             </p>
@@ -131,6 +329,16 @@ function App() {
                         {useLogScale ? "Linear Scale" : "Log Scale"}
                     </button>
                 )}
+                <button
+                    onClick={() => setShowCudaRefreshSkus(!showCudaRefreshSkus)}
+                    style={{
+                        padding: '10px 20px',
+                        cursor: 'pointer',
+                        backgroundColor: showCudaRefreshSkus ? '#646cff' : '#444'
+                    }}
+                >
+                    {showCudaRefreshSkus ? "Hide Refresh SKUs" : "Show Refresh SKUs"}
+                </button>
                 <a
                     href="https://github.com/mr-september/nvidia-gpu-analyzer"
                     target="_blank"
@@ -158,8 +366,10 @@ function App() {
             {/* Render the CudaPlot component */}
             <CudaPlot
                 svgRef={svgRef}
-                gpuData={gpuData}
-                columnOrder={columnOrder}
+                gpuData={visibleGpuData}
+                hideEstimates={hideEstimates}
+                citationIndex={citationIndex}
+                columnOrder={showCudaRefreshSkus ? refreshColumnOrder : columnOrder}
                 getTierFromModel={getTierFromModel}
                 toggleMode={toggleMode}
                 useLogScale={useLogScale}
@@ -172,7 +382,10 @@ function App() {
             />
 
             <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
-                Special flagships are defined as those that launch 1-2 years after the original flagship. 780 Ti is an exception where it launched only 6 months after the 780. But hey, you have the power to decide which to use.
+                Special flagships are halo cards that launched after the original flagship{specialFlagshipTimings.length > 0 ? `: ${specialFlagshipTimings.join(', ')}` : ''}. But hey, you have the power to decide which to use.
+            </p>
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                Refresh SKUs (SUPER cards) get their own columns, directly left of the card they refresh; "xx70 TiS" is the xx70 Ti Super.
             </p>
 
             {/* VRAM chart section */}
@@ -185,7 +398,9 @@ function App() {
                     {/* Render the VramPlot component */}
                     <VramPlot
                         vramSvgRef={vramSvgRef}
-                        gpuData={gpuData}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        citationIndex={citationIndex}
                         consoleData={consoleData}
                         columnOrder={columnOrder}
                         getTierFromModel={getTierFromModel}
@@ -193,6 +408,8 @@ function App() {
                         setSelectedClasses={setSelectedClasses}
                         showAllClasses={showAllClasses}
                         setShowAllClasses={setShowAllClasses}
+                        showRefreshSkus={showVramRefreshSkus}
+                        setShowRefreshSkus={setShowVramRefreshSkus}
                         showConsoleData={showConsoleData}
                         setShowConsoleData={setShowConsoleData}
                         visibleConsolePlatforms={visibleConsolePlatforms}
@@ -214,14 +431,136 @@ function App() {
             <div className="die-area-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
                 <h2 style={{ textAlign: 'center', margin: '20px 0' }}>GPU Price per Die Area Over Time</h2>
                 <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
-                    This chart shows the evolution of price (launch MSRP in USD) per die area ($/mm²) across GPU generations. Individual GPUs are plotted as scatter points and distributions as violin plots.
+                    This chart shows the evolution of price (launch MSRP in {currency}) per die area ({currencies[currency].symbol}/mm²) across GPU generations. Individual GPUs are plotted as scatter points and distributions as violin plots.
                 </p>
+                {/* Currency selector; drives the price axis, adjustments and tooltips */}
+                <div className="currency-selector" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '10px', margin: '0 auto 10px' }}>
+                    <span style={{ color: '#ddd' }}>Currency:</span>
+                    {Object.entries(currencies).map(([code, { name }]) => (
+                        <button
+                            key={code}
+                            aria-pressed={currency === code}
+                            title={name}
+                            onClick={() => setCurrency(code)}
+                            style={{
+                                padding: '6px 16px',
+                                cursor: 'pointer',
+                                backgroundColor: currency === code ? '#4CAF50' : '#444'
+                            }}
+                        >
+                            {code}
+                        </button>
+                    ))}
+                    <label style={{ color: currency === 'USD' ? '#777' : '#ddd', marginLeft: '10px' }}>
+                        <input
+                            type="checkbox"
+                            checked={useLaunchFx}
+                            disabled={currency === 'USD'}
+                            onChange={event => setUseLaunchFx(event.target.checked)}
+                        />
+                        {' '}USD MSRP at launch exchange rate
+                    </label>
+                    <label style={{ color: '#ddd', marginLeft: '10px' }}>
+                        Base year:{' '}
+                        <select
+                            className="base-year-selector"
+                            value={baseYear ?? datasets.inflationData.base_year}
+                            onChange={event => setBaseYear(Number(event.target.value))}
+                            title="Year the CPI and wage adjustments express prices in"
+                        >
+                            {baseYearOptions.map(({ year, flagships }) => (
+                                <option key={year} value={year}>
+                                    {flagships.length > 0 ? `${year} (${flagships.join(', ')} launch)` : year}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+                {/* Die cost model; used by the "Die Cost" overlay and GPU tooltips */}
+                <div className="die-cost-controls" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '10px', margin: '0 auto 10px' }}>
+                    <span style={{ color: '#ddd' }}>Yield model:</span>
+                    {Object.entries(yieldModels).map(([key, { label }]) => (
+                        <button
+                            key={key}
+                            aria-pressed={yieldModel === key}
+                            onClick={() => setYieldModel(key)}
+                            style={{
+                                padding: '6px 16px',
+                                cursor: 'pointer',
+                                backgroundColor: yieldModel === key ? '#4CAF50' : '#444'
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                    <label style={{ color: '#ddd', marginLeft: '10px' }}>
+                        Defect density:{' '}
+                        <input
+                            type="range"
+                            min="0.25"
+                            max="3"
+                            step="0.25"
+                            value={defectDensityScale}
+                            onChange={event => setDefectDensityScale(Number(event.target.value))}
+                            title="Multiplier on each node's default defect density"
+                        />
+                        {' '}{defectDensityScale.toFixed(2)}× node default
+                    </label>
+                </div>
+                {/* Disabled-die model; used by the "Disabled Die" mode and the sensitivity strip */}
+                <div className="effective-die-controls" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '10px', margin: '0 auto 10px' }}>
+                    <label style={{ color: '#ddd' }}>
+                        Fixed die share:{' '}
+                        <input
+                            type="range"
+                            min="0"
+                            max="0.6"
+                            step="0.05"
+                            value={effectiveDieFixedShare}
+                            onChange={event => setEffectiveDieFixedShare(Number(event.target.value))}
+                            title="Share of a cut-down die charged regardless of how much of it is enabled"
+                        />
+                        {' '}{(effectiveDieFixedShare * 100).toFixed(0)}%
+                    </label>
+                    <span style={{ color: '#ddd', marginLeft: '10px' }}>Utilization basis:</span>
+                    {Object.entries(dieUtilizationBases).map(([key, { label }]) => (
+                        <button
+                            key={key}
+                            aria-pressed={utilizationBasis === key}
+                            onClick={() => setUtilizationBasis(key)}
+                            style={{
+                                padding: '6px 16px',
+                                cursor: 'pointer',
+                                backgroundColor: utilizationBasis === key ? '#4CAF50' : '#444'
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
                 <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
                     {/* Render the DieAreaPlot component */}
                     <DieAreaPlot
                         dieAreaSvgRef={dieAreaSvgRef}
-                        gpuData={gpuData}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        citationIndex={citationIndex}
                         gpuDieData={gpuDieData}
+                        inflationData={datasets.inflationData}
+                        medianRealWageData={datasets.medianRealWageData}
+                        waferPrices={datasets.waferPrices}
+                        memoryPrices={datasets.memoryPrices}
+                        bomAssumptions={bomAssumptions}
+                        regionalCpiData={datasets.regionalCpiData}
+                        regionalWageData={datasets.regionalWageData}
+                        fxRates={datasets.fxRates}
+                        currency={currency}
+                        useLaunchFx={useLaunchFx}
+                        baseYear={baseYear ?? datasets.inflationData.base_year}
+                        yieldModel={yieldModel}
+                        defectDensityScale={defectDensityScale}
+                        effectiveDieFixedShare={effectiveDieFixedShare}
+                        utilizationBasis={utilizationBasis}
                         columnOrder={columnOrder}
                         getTierFromModel={getTierFromModel}
                         activeGenerations={activeGenerations}
@@ -235,6 +574,303 @@ function App() {
             <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
                 Price per die area ($/mm²) tracks manufacturing efficiency and pricing strategy across GPU generations. Lower values may indicate better cost efficiency and/or competitive pricing.
             </p>
+
+            {/* Gross margin chart section */}
+            <div className="margin-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Estimated Gross Margin by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    This chart estimates the gross margin on each card's USD launch MSRP: the price less a rough bill of materials (yield-adjusted die cost, graphics memory at the launch year's $/GB, board, cooler and packaging). The yield model and defect density above apply here too.
+                </p>
+                {/* BOM assumptions; percent fields are edited as 0-100 */}
+                <div className="bom-controls" style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', gap: '10px', margin: '0 auto 10px', maxWidth: '900px' }}>
+                    {bomAssumptionFields.map(({ key, label, unit, min, max, step, percent }) => (
+                        <label key={key} style={{ color: '#ddd' }}>
+                            {label}:{' '}
+                            <input
+                                type="number"
+                                min={min}
+                                max={max}
+                                step={step}
+                                value={percent ? Math.round(bomAssumptions[key] * 100) : bomAssumptions[key]}
+                                onChange={event => {
+                                    const value = Number(event.target.value);
+                                    if (!Number.isFinite(value) || value < min || (max !== undefined && value > max)) return;
+                                    setBomAssumptions(prev => ({ ...prev, [key]: percent ? value / 100 : value }));
+                                }}
+                                style={{ width: '70px' }}
+                            />
+                            {' '}{unit}
+                        </label>
+                    ))}
+                    <button
+                        onClick={() => setBomAssumptions(defaultBomAssumptions)}
+                        style={{ padding: '6px 16px', cursor: 'pointer', backgroundColor: '#444' }}
+                    >
+                        Reset
+                    </button>
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <MarginPlot
+                        marginSvgRef={marginSvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        gpuDieData={gpuDieData}
+                        inflationData={datasets.inflationData}
+                        medianRealWageData={datasets.medianRealWageData}
+                        waferPrices={datasets.waferPrices}
+                        memoryPrices={datasets.memoryPrices}
+                        columnOrder={columnOrder}
+                        getTierFromModel={getTierFromModel}
+                        activeGenerations={activeGenerations}
+                        yieldModel={yieldModel}
+                        defectDensityScale={defectDensityScale}
+                        bomAssumptions={bomAssumptions}
+                    />
+                </div>
+            </div>
+            {/* Notes for margin chart */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                Margins leave out R&amp;D, software, marketing and logistics, and memory is priced at a rough yearly average rather than NVIDIA's negotiated rates, so read them as a trend rather than reported gross margin.
+            </p>
+
+            {/* Performance per dollar chart section */}
+            <div className="perf-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Performance per Dollar by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    This chart divides each card's relative performance ({datasets.relativePerformance?.reference ?? 'reference card'} = 100) by its launch MSRP in {currency}, with one line per generation across the tiers. The currency and base year above apply here too.
+                </p>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <PerfPerDollarPlot
+                        perfSvgRef={perfSvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        gpuDieData={gpuDieData}
+                        relativePerformance={datasets.relativePerformance}
+                        inflationData={datasets.inflationData}
+                        medianRealWageData={datasets.medianRealWageData}
+                        regionalCpiData={datasets.regionalCpiData}
+                        regionalWageData={datasets.regionalWageData}
+                        fxRates={datasets.fxRates}
+                        currency={currency}
+                        useLaunchFx={useLaunchFx}
+                        baseYear={baseYear ?? datasets.inflationData.base_year}
+                        columnOrder={columnOrder}
+                        getTierFromModel={getTierFromModel}
+                        activeGenerations={activeGenerations}
+                        setActiveGenerations={setActiveGenerations}
+                        showAllPerfGenerations={showAllPerfGenerations}
+                        setShowAllPerfGenerations={setShowAllPerfGenerations}
+                    />
+                </div>
+            </div>
+            {/* Notes for performance per dollar chart */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                Scores are rough averages of launch reviews chained across generations, so older cards carry more uncertainty. Higher is better value at launch; street prices often differed from MSRP.
+            </p>
+
+            {/* Cores per dollar chart section */}
+            <div className="cores-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Cores per Dollar by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    This chart shows how many shader cores (or FP32 GFLOPS) each tier's launch MSRP buys, with one line per generation. Follow the xx60 column across generations to see whether the class still gets more hardware per {currencies[currency].symbol} after inflation or wage growth.
+                </p>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <CoresPerDollarPlot
+                        coresSvgRef={coresSvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        gpuDieData={gpuDieData}
+                        inflationData={datasets.inflationData}
+                        medianRealWageData={datasets.medianRealWageData}
+                        regionalCpiData={datasets.regionalCpiData}
+                        regionalWageData={datasets.regionalWageData}
+                        fxRates={datasets.fxRates}
+                        currency={currency}
+                        useLaunchFx={useLaunchFx}
+                        baseYear={baseYear ?? datasets.inflationData.base_year}
+                        columnOrder={columnOrder}
+                        getTierFromModel={getTierFromModel}
+                        specialFlagshipActive={specialFlagshipActive}
+                        activeGenerations={activeGenerations}
+                        setActiveGenerations={setActiveGenerations}
+                        showAllCoresGenerations={showAllCoresGenerations}
+                        setShowAllCoresGenerations={setShowAllCoresGenerations}
+                    />
+                </div>
+            </div>
+            {/* Notes for cores per dollar chart */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                A core does more work in each new architecture, so cores per dollar understates newer cards; the performance per dollar chart above accounts for that. The flagship shown follows the CUDA chart's Regular/Special selection.
+            </p>
+
+            {/* Affordability chart section */}
+            <div className="affordability-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Affordability: Hours of Median Work by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    This chart shows each card's launch MSRP in hours (or weeks) of median work at the time it launched, with one line per generation. Unlike the wage toggles elsewhere, nothing is rebased: it is the price over the nominal median wage of its own release.
+                </p>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <AffordabilityPlot
+                        affordabilitySvgRef={affordabilitySvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        gpuDieData={gpuDieData}
+                        inflationData={datasets.inflationData}
+                        medianRealWageData={datasets.medianRealWageData}
+                        regionalWageData={datasets.regionalWageData}
+                        fxRates={datasets.fxRates}
+                        useLaunchFx={useLaunchFx}
+                        columnOrder={columnOrder}
+                        getTierFromModel={getTierFromModel}
+                        specialFlagshipActive={specialFlagshipActive}
+                        activeGenerations={activeGenerations}
+                        setActiveGenerations={setActiveGenerations}
+                        showAllAffordabilityGenerations={showAllAffordabilityGenerations}
+                        setShowAllAffordabilityGenerations={setShowAllAffordabilityGenerations}
+                    />
+                </div>
+            </div>
+            {/* Notes for affordability chart */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                US wages are median usual weekly earnings of full-time workers (35 hours or more), spread over an assumed 40-hour week and converted to launch-month dollars with CPI. Other countries use their own median earnings series and regional MSRPs (or the USD MSRP at the launch exchange rate). Gross pay, before tax.
+            </p>
+
+            {/* Price ladder chart section */}
+            <div className="price-ladder-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Launch Price Ladder by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    This chart shows the launch MSRP of each class across generations, with one line per class. Hover a card to see how much its price changed from the same class in the previous generation, nominally, after inflation or against wages.
+                </p>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <PriceLadderPlot
+                        priceLadderSvgRef={priceLadderSvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        inflationData={datasets.inflationData}
+                        medianRealWageData={datasets.medianRealWageData}
+                        regionalCpiData={datasets.regionalCpiData}
+                        regionalWageData={datasets.regionalWageData}
+                        fxRates={datasets.fxRates}
+                        currency={currency}
+                        useLaunchFx={useLaunchFx}
+                        baseYear={baseYear ?? datasets.inflationData.base_year}
+                        columnOrder={columnOrder}
+                        specialFlagshipActive={specialFlagshipActive}
+                        activeGenerations={activeGenerations}
+                    />
+                </div>
+            </div>
+            {/* Notes for price ladder chart */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                Each series shows one card per class, as in the generation-over-generation heatmap below; refresh SKUs are left out. When the previous generation has no card in a class, the change is taken from the latest earlier one. The ringed card follows the CUDA chart's Regular/Special flagship selection.
+            </p>
+
+            {/* Power chart section */}
+            <div className="power-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Board Power and Performance per Watt by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    This chart shows each card's rated board power (TDP) by tier, or its relative performance per watt. Align the flagships to see whether lower tiers get a growing or shrinking share of the flagship's power budget.
+                </p>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <PowerPlot
+                        powerSvgRef={powerSvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        gpuDieData={gpuDieData}
+                        relativePerformance={datasets.relativePerformance}
+                        columnOrder={columnOrder}
+                        getTierFromModel={getTierFromModel}
+                        specialFlagshipActive={specialFlagshipActive}
+                        activeGenerations={activeGenerations}
+                        setActiveGenerations={setActiveGenerations}
+                        showAllPowerGenerations={showAllPowerGenerations}
+                        setShowAllPowerGenerations={setShowAllPowerGenerations}
+                    />
+                </div>
+            </div>
+            {/* Notes for power chart */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                TDP is the reference board power; partner cards often ship higher limits. Perf/W uses measured gaming power where a review figure is recorded and TDP otherwise.
+            </p>
+
+            {/* Generation-over-generation heatmap section */}
+            <div className="uplift-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Generation-over-Generation Change by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    Each cell compares a tier with the same tier of the previous generation from the same vendor. Green is an improvement (more hardware, or a lower price), red a regression. Generations hidden in the chart legends above are hidden here too.
+                </p>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <UpliftHeatmap
+                        upliftSvgRef={upliftSvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        gpuDieData={gpuDieData}
+                        inflationData={datasets.inflationData}
+                        medianRealWageData={datasets.medianRealWageData}
+                        regionalCpiData={datasets.regionalCpiData}
+                        regionalWageData={datasets.regionalWageData}
+                        fxRates={datasets.fxRates}
+                        currency={currency}
+                        useLaunchFx={useLaunchFx}
+                        baseYear={baseYear ?? datasets.inflationData.base_year}
+                        utilizationBasis={utilizationBasis}
+                        columnOrder={columnOrder}
+                        activeGenerations={activeGenerations}
+                    />
+                </div>
+            </div>
+            {/* Notes for the heatmap */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                The 1600 and 2000 series share one row; where both have a card on a tier, the RTX 20 card is compared. Refresh SKUs are left out.
+            </p>
+
+            {/* Die class chart section */}
+            <div className="die-class-chart-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Die Class and Utilization by Tier</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    Which die each tier is built on, and how much of it is enabled. The dashed tracks are NVIDIA's die classes from the largest die of a generation down; a tier's line slipping to a lower track over the years means it moved to a smaller die. Pick tiers in the legend.
+                </p>
+                <div style={{ display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center' }}>
+                    <DieClassPlot
+                        dieClassSvgRef={dieClassSvgRef}
+                        gpuData={visibleGpuData}
+                        hideEstimates={hideEstimates}
+                        gpuDieData={gpuDieData}
+                        utilizationBasis={utilizationBasis}
+                        columnOrder={columnOrder}
+                        activeGenerations={activeGenerations}
+                    />
+                </div>
+            </div>
+            {/* Notes for the die class chart */}
+            <p style={{ fontSize: '0.9em', color: '#aaa', maxWidth: '800px', margin: '15px auto 0', fontStyle: 'italic', textAlign: 'center' }}>
+                The enabled share uses the die utilization basis chosen above the die area chart. Die numbers are not sizes: an x04 die has ranged from 294 mm² (GK104, AD104) to 545 mm² (TU104).
+            </p>
+
+            {/* Import section */}
+            <div className="gpu-import-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Import Your Own GPUs</h2>
+                <p style={{ textAlign: 'center', maxWidth: '700px', margin: '0 auto 20px', color: '#ddd' }}>
+                    Add SKUs that are not in the shipped dataset (regional variants, OEM-only cards, rumored specs). Imported GPUs are drawn with a dashed yellow outline in every chart and are kept in this browser until removed.
+                </p>
+                <GpuImportPanel
+                    datasets={datasets}
+                    importedGpus={importedGpus}
+                    setImportedGpus={setImportedGpus}
+                />
+            </div>
+
+            {/* Sources & Methodology section */}
+            <div className="sources-section" style={{ marginTop: '80px', paddingTop: '20px', borderTop: '1px solid #444' }}>
+                <h2 style={{ textAlign: 'center', margin: '20px 0' }}>Sources & Methodology</h2>
+                <SourcesPanel
+                    citationIndex={citationIndex}
+                    inflationData={datasets.inflationData}
+                    baseYear={baseYear ?? datasets.inflationData.base_year}
+                    effectiveDieFixedShare={effectiveDieFixedShare}
+                    utilizationBasis={utilizationBasis}
+                />
+            </div>
         </div>
     );
 }
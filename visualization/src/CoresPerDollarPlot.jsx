@@ -0,0 +1,108 @@
+// CoresPerDollarPlot.jsx
+import React, { useEffect, useState } from 'react';
+import { vendorCoreLabels, currencies } from './utils/chartConfig';
+import { getVendor, getBaseTier } from './utils/tierUtils';
+import { computeCoresPerDollarRows } from './utils/analytics';
+import { formatMoney } from './utils/currency';
+import { useAdjustmentToggles, adjustmentToggleButtons, drawTierChart } from './utils/tierChart';
+// App.css is imported in App.jsx and applies globally
+// The price adjustment datasets are passed as props (loaded at runtime by App)
+
+// Plotted field and label of each metric
+const metrics = {
+    cores: { field: 'coresPerDollar', label: 'Cores' },
+    tflops: { field: 'gflopsPerDollar', label: 'FP32 GFLOPS' }
+};
+
+function CoresPerDollarPlot({
+    coresSvgRef,
+    gpuData,
+    gpuDieData, // Only used for the generation names in the legend
+    inflationData,
+    medianRealWageData,
+    regionalCpiData,
+    regionalWageData,
+    fxRates,
+    currency = 'USD', // Prices in this currency (App's currency selector)
+    useLaunchFx = false, // Convert USD MSRPs at launch FX instead of using regional MSRPs
+    baseYear, // Year CPI and wage adjustments express prices in; defaults to inflationData.base_year
+    columnOrder,
+    getTierFromModel,
+    specialFlagshipActive, // Flagship choice shared with the CUDA chart
+    activeGenerations,
+    setActiveGenerations,
+    showAllCoresGenerations,
+    setShowAllCoresGenerations,
+    hideEstimates // Leave out cards with estimated cores, clocks or MSRP
+}) {
+    // Shader cores or FP32 GFLOPS per dollar
+    const [metric, setMetric] = useState('cores');
+    // CPI and wage toggles, as on the die area chart
+    const adjustments = useAdjustmentToggles();
+
+    useEffect(() => {
+        if (!gpuData || !inflationData || !medianRealWageData || !columnOrder || !getTierFromModel || !coresSvgRef.current) {
+            console.warn("CoresPerDollarPlot: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const adjustmentBaseYear = baseYear ?? inflationData.base_year;
+        // Per 1 unit of the currency, or per 100 for currencies without minor units (yen)
+        const unitScale = 10 ** (currencies[currency]?.decimalShift || 0);
+        const priceUnit = formatMoney(unitScale, currency);
+        const { field, label } = metrics[metric];
+        // Regular cards plus each series' selected flagship, as in the CUDA chart
+        const rows = computeCoresPerDollarRows(
+            { gpuData, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates },
+            { useCpiAdjustment: adjustments.useCpiAdjustment, useRealWageScaling: adjustments.useRealWageScaling, currency, useLaunchFx, baseYear: adjustmentBaseYear, specialFlagshipActive, hideEstimates }
+        )
+            .filter(d => d.tier && columnOrder.includes(getBaseTier(d.tier)))
+            .filter(d => d.isReferenceFlagship || (!d.flagship && !d.specialFlagship))
+            .filter(d => d[field] != null)
+            .map(d => ({ ...d, baseTier: getBaseTier(d.tier), vendor: getVendor(d), value: d[field] * unitScale }));
+
+        const metricButton = {
+            className: 'metric-toggle-btn',
+            label: metric === 'tflops' ? "TFLOPS" : "Cores",
+            active: metric === 'tflops',
+            activeColor: "#4CAF50",
+            onClick: () => setMetric(metric === 'cores' ? 'tflops' : 'cores'),
+            help: `<div style="text-align: center; padding: 5px;"><strong>Metric</strong></div>
+                   <div style="padding: 5px;"><strong>Cores:</strong> Shader cores per unit of launch price.<br>
+                   <strong>TFLOPS:</strong> Peak FP32 GFLOPS (cores × 2 × boost clock) per unit of launch price.<br>
+                   <span style="font-size: 0.9em; color: #aaa;">Cores are not comparable across architectures; FP32 throughput folds in clock speed but not IPC.</span></div>`
+        };
+
+        return drawTierChart(coresSvgRef.current, {
+            className: 'cores',
+            rows,
+            buttons: [...adjustmentToggleButtons(adjustments, { baseYear: adjustmentBaseYear, currency, nominalHelp: 'Cores per nominal launch price.' }), metricButton],
+            columnOrder,
+            gpuDieData,
+            generations: { activeGenerations, setActiveGenerations, showAllGenerations: showAllCoresGenerations, setShowAllGenerations: setShowAllCoresGenerations },
+            yLabel: `${label} per ${priceUnit}`,
+            emptyMessage: "No cards with a launch price to display.",
+            describe: d => {
+                const adjustedLine = d.adjustmentMultiplier !== 1
+                    ? `<strong>Adjusted MSRP:</strong> ${formatMoney(d.adjustedMsrp, currency)} <span style="color: #aaa;">(${d.adjustmentType})</span><br>`
+                    : '';
+                return `<strong>Series:</strong> ${d.series}<br>
+                        <strong>${vendorCoreLabels[d.vendor]}:</strong> ${d.cudaCores.toLocaleString()}<br>
+                        ${d.fp32Tflops != null ? `<strong>FP32:</strong> ${d.fp32Tflops.toFixed(2)} TFLOPS <span style="color: #aaa;">(${d.boostClockMHz} MHz boost)</span><br>` : ''}
+                        <strong>Launch MSRP:</strong> ${formatMoney(d.originalMsrp, currency)}${d.pricedVariant?.vram ? ` <span style="color: #aaa;">(${d.pricedVariant.vram} GB)</span>` : ''}<br>
+                        ${adjustedLine}
+                        <strong>${label} per ${priceUnit}:</strong> ${d.value.toFixed(2)}${d.isReferenceFlagship ? '<br><span style="color: #aaa;">Selected flagship of its series</span>' : ''}`;
+            }
+        });
+    }, [
+        gpuData, gpuDieData, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates,
+        currency, useLaunchFx, baseYear, columnOrder, getTierFromModel, specialFlagshipActive, activeGenerations, setActiveGenerations,
+        showAllCoresGenerations, setShowAllCoresGenerations, metric, adjustments, hideEstimates, coresSvgRef
+    ]);
+
+    return (
+        <svg ref={coresSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+    );
+}
+
+export default CoresPerDollarPlot;
@@ -1,13 +1,23 @@
 import React, { useEffect } from 'react';
 import * as d3 from 'd3';
+import { chartColors, vendorLineDash, vendorCoreLabels, estimateDash } from './utils/chartConfig';
+import { getVendor, isRefreshTier } from './utils/tierUtils';
+import { citationMarker, describeEstimates } from './utils/citations';
+import { getReferenceFlagship, normalizeCores } from './utils/analytics';
+import { describeMultiDie } from './utils/multiDie';
+import { getEstimate, getEstimates, withoutEstimates } from './utils/estimates';
 // App.css is imported in App.jsx and applies globally
 // gpuData, consoleData, columnOrder, getTierFromModel are passed as props
 // svgRef is passed as a prop
 // state variables related to CUDA chart are passed as props
 
+// Fields this chart plots, for the estimate flags
+const coreEstimateFields = ['cudaCores'];
+
 function CudaPlot({
     svgRef,
-    gpuData,
+    gpuData: allGpuData,
+    citationIndex,
     columnOrder,
     getTierFromModel,
     toggleMode,
@@ -17,15 +27,18 @@ function CudaPlot({
     activeGenerations,
     setActiveGenerations,
     showAllCudaGenerations,
-    setShowAllCudaGenerations
+    setShowAllCudaGenerations,
+    hideEstimates // Leave out cards with estimated core counts
 }) {
 
     useEffect(() => {
         // Ensure data and ref are available before attempting to draw
-        if (!gpuData || !columnOrder || !getTierFromModel || !svgRef.current) {
+        if (!allGpuData || !columnOrder || !getTierFromModel || !svgRef.current) {
              console.warn("CudaPlot: Missing required props or ref.");
              return;
         }
+        // Without estimated core counts the scale, flagships and lines are drawn from published counts only
+        const gpuData = hideEstimates ? withoutEstimates(allGpuData, coreEstimateFields) : allGpuData;
 
         const svg = d3.select(svgRef.current);
         svg.selectAll("*").remove(); // Clear previous renders
@@ -73,7 +86,8 @@ function CudaPlot({
             .padding(0.5);
 
         // Find maximum CUDA cores for absolute mode
-        const maxCudaCores = d3.max(gpuData, d => d.cudaCores || 0); // Use 0 if null/undefined
+        // Top of an estimated range counts, so its error bar stays on the chart
+        const maxCudaCores = d3.max(gpuData, d => Math.max(d.cudaCores || 0, getEstimate(d, 'cudaCores')?.max || 0)); // Use 0 if null/undefined
         // Round up to nice value for y-axis (used for linear scale)
         const yMaxAbsolute = Math.ceil(maxCudaCores / 1000) * 1000;
 
@@ -132,13 +146,26 @@ function CudaPlot({
         const generations = generationsWithInfo.map(g => g.series);
         const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(generations);
 
+        // AMD/Intel series are dashed/dotted so they stay distinct from NVIDIA's colors
+        const seriesVendor = {};
+        gpuData.forEach(d => { seriesVendor[d.series] = seriesVendor[d.series] || getVendor(d); });
+        // Shader units are only "CUDA cores" when every visible card is an NVIDIA one
+        const shownVendors = Array.from(new Set(Object.values(seriesVendor)));
+        const coreLabel = shownVendors.length === 1 ? vendorCoreLabels[shownVendors[0]] : "Shader Cores";
+
+        // Grow the SVG when the legend (35px per generation) is taller than the chart
+        const legendHeight = margin.top + generations.length * 35 + 40;
+        if (legendHeight > height + margin.top + margin.bottom) {
+            svg.attr('height', legendHeight);
+        }
+
 
         // --- Axes ---
         // X-Axis
         const xAxis = d3.axisBottom(xScale)
             .tickFormat(d => {
                 if (d === "90 Ti" && toggleMode) return "Flagship";
-                return `xx${d}`;
+                return `xx${d.replace(" Super", "S")}`; // Refresh columns are narrower: "xx70 TiS"
             });
 
         chartGroup.append("g")
@@ -147,6 +174,7 @@ function CudaPlot({
             .call(xAxis)
             .selectAll("text")
               .style("text-anchor", "middle")
+              .style("font-size", columnOrder.some(isRefreshTier) ? "9px" : null)
               .attr("dy", "1em");
 
         // Add X axis label
@@ -188,8 +216,8 @@ function CudaPlot({
             .attr("x", -height / 2)
             .attr("fill", "#ddd")
             .style("font-size", "12px")
-            .text(toggleMode ? "Percentage of Flagship CUDA Cores" :
-                  (useLogScale ? "Number of CUDA Cores (Log Scale)" : "Number of CUDA Cores"));
+            .text(toggleMode ? `Percentage of Flagship ${coreLabel}` :
+                  (useLogScale ? `Number of ${coreLabel} (Log Scale)` : `Number of ${coreLabel}`));
 
         // Y-Axis Gridlines
         const yGridlines = d3.axisLeft(yScale)
@@ -210,14 +238,7 @@ function CudaPlot({
             processedDataByColumn[column] = [];
         });
 
-        // --- Process Data and Draw Lines/Points ---            // Find the 2000 series flagship for normalizing the 1600 series
-        const series2000Data = gpuData.filter(d => d.series === "2000");
-        const regularFlagship2000 = series2000Data.find(d => d.flagship);
-        const specialFlagship2000 = series2000Data.find(d => d.specialFlagship);
-        // Use special 2080 Ti if special flagship for 2000 series is active, otherwise use regular 2080
-        const useSpecial2000 = specialFlagshipActive["2000"] && specialFlagship2000;
-        const flagship2000 = useSpecial2000 ? specialFlagship2000 : regularFlagship2000;
-        
+        // --- Process Data and Draw Lines/Points ---
         // Always use the same flagship for 1600 series as is used for 2000 series
         // This ensures proper connection between the two series
         if (specialFlagshipActive["2000"] !== specialFlagshipActive["1600"]) {
@@ -234,40 +255,13 @@ function CudaPlot({
 
             const seriesData = gpuData.filter(d => d.series === series);
 
-            // Find regular flagship
-            let regularFlagship = seriesData.find(d => d.flagship);
-            // Find special flagship (if any)
-            let specialFlagship = seriesData.find(d => d.specialFlagship);
-
-            // Determine which flagship to use based on user selection
-            let useSpecial = specialFlagshipActive[series] && specialFlagship;
-
-            // Select the flagship to use for calculations
-            // For 1600 series, use the 2000 series flagship (RTX 2080 Ti or 2080 based on toggle)
-            let flagship;
-            if (series === "1600" && flagship2000) {
-                 // Ensure flagship2000 has CUDA cores before using it as reference
-                 if (flagship2000.cudaCores == null || flagship2000.cudaCores <= 0) {
-                      console.warn(`2000 series flagship (${flagship2000.model}) has invalid CUDA cores. Cannot normalize 1600 series.`);
-                       // Fallback for 1600 series if 2000 series flagship is bad
-                       flagship = seriesData.find(d => d.flagship); // Use 1600's own flagship (if exists) as a last resort
-                 } else {
-                    flagship = flagship2000; // Use 2000 series flagship for 1600 series normalization
-                 }
-            } else {
-                flagship = useSpecial ? specialFlagship : regularFlagship;
-            }
-
-            if (!flagship || flagship.cudaCores == null || flagship.cudaCores <= 0) {
-                 // Fallback: find highest CUDA card if no explicit flagship or flagship has invalid cores
-                 const fallbackFlagship = [...seriesData].sort((a, b) => (b.cudaCores || 0) - (a.cudaCores || 0))[0];
-                 if (!fallbackFlagship || fallbackFlagship.cudaCores == null || fallbackFlagship.cudaCores <= 0) {
-                    console.warn(`No valid flagship (or fallback) found for series ${series}. Skipping.`);
-                    return; // Skip this series if no flagship can be determined
-                 }
-                 flagship = fallbackFlagship;
-                 console.warn(`No explicit flagship for series ${series}. Using ${flagship.model} as fallback.`);
+            // Selected flagship (special when toggled on); the 1600 series uses the 2000 series' one
+            const reference = getReferenceFlagship(gpuData, series, specialFlagshipActive);
+            if (!reference) {
+                console.warn(`No valid flagship (or fallback) found for series ${series}. Skipping.`);
+                return; // Skip this series if no flagship can be determined
             }
+            const { flagship, useSpecial } = reference;
 
             const flagshipCores = flagship.cudaCores;
             const flagshipTier = getTierFromModel(flagship.model); // Get the tier string ("90 Ti", "80", etc.)
@@ -283,7 +277,7 @@ function CudaPlot({
                     const tier = getTierFromModel(d.model);
                     const columnIndex = columnOrder.indexOf(tier);
                     // Calculate normalized cores only if data is valid
-                    const normalizedCores = d.cudaCores != null && flagshipCores > 0 ? (d.cudaCores / flagshipCores) * 100 : null;
+                    const normalizedCores = normalizeCores(d.cudaCores, flagshipCores);
                     return {
                         ...d,
                         normalizedCores: normalizedCores,
@@ -386,64 +380,77 @@ function CudaPlot({
                 .attr('fill', 'none')
                 .attr('stroke', colorScale(series))
                 .attr('stroke-width', 2)
+                .attr('stroke-dasharray', vendorLineDash[seriesVendor[series]])
                 .attr('d', line);
 
              // --- Draw Points ---
+             const pointX = d => {
+                // Determine if this GPU should be moved to the flagship column in toggle mode
+                // Only move special flagships when toggled on, or regular flagship when no special is active
+                const isCurrentSeriesFlagship = (useSpecial && d.specialFlagship) || (!useSpecial && d.flagship);
+                
+                // 1600 series points should NOT be moved to the flagship column
+                const is1600Series = series === "1600" && d.series === "1600";
+
+                if (!toggleMode || !isCurrentSeriesFlagship || is1600Series) {
+                    // Use original position if:
+                    // 1. Not in toggle mode, OR
+                    // 2. Not the current series' selected flagship, OR
+                    // 3. It's a 1600 series card (keep in original column)
+                    return xScale(columnOrder[d.columnIndex]);
+                } else {
+                    const targetIndex = columnOrder.indexOf("90 Ti");
+                    if (targetIndex !== -1) {
+                        return xScale(columnOrder[targetIndex]);
+                    }
+                    return xScale(columnOrder[d.columnIndex]); // Fallback
+                }
+             };
+             // Normalized mode divides the estimated range by the flagship's count, as it does the value
+             const toY = cores => yScale(toggleMode ? normalizeCores(cores, flagshipCores) : cores);
+
+             // Estimated core counts with a range get an error bar behind the point
+             chartGroup.selectAll(`.range-${series.replace(/\s+/g, '-')}`)
+                .data(dataForPoints
+                    .map(d => ({ d, estimate: getEstimate(d, 'cudaCores') }))
+                    .filter(({ estimate }) => estimate && estimate.min !== estimate.max && (toggleMode || !useLogScale || estimate.min > 0)))
+                .enter().append('line')
+                .attr('class', `cores-estimate-range range-${series.replace(/\s+/g, '-')}`)
+                .attr('x1', ({ d }) => pointX(d)).attr('x2', ({ d }) => pointX(d))
+                .attr('y1', ({ estimate }) => toY(estimate.min)).attr('y2', ({ estimate }) => toY(estimate.max))
+                .attr('stroke', colorScale(series))
+                .attr('stroke-width', 1.5)
+                .attr('stroke-opacity', 0.7);
+
              chartGroup.selectAll(`.dot-${series.replace(/\s+/g, '-')}`) // Sanitize class name
                  // *** FIX: Use dataForPoints which is filtered for drawing specific points ***
                 .data(dataForPoints) // Use filtered data for points
                 .enter().append('circle')
                 .attr('class', `series-dot dot-${series.replace(/\s+/g, '-')}`)
-                .attr('cx', d => {
-                    // Determine if this GPU should be moved to the flagship column in toggle mode
-                    // Only move special flagships when toggled on, or regular flagship when no special is active
-                    const isCurrentSeriesFlagship = (useSpecial && d.specialFlagship) || (!useSpecial && d.flagship);
-                    
-                    // 1600 series points should NOT be moved to the flagship column
-                    const is1600Series = series === "1600" && d.series === "1600";
-
-                    if (!toggleMode || !isCurrentSeriesFlagship || is1600Series) {
-                        // Use original position if:
-                        // 1. Not in toggle mode, OR
-                        // 2. Not the current series' selected flagship, OR
-                        // 3. It's a 1600 series card (keep in original column)
-                        return xScale(columnOrder[d.columnIndex]);
-                    } else {
-                        const targetIndex = columnOrder.indexOf("90 Ti");
-                        if (targetIndex !== -1) {
-                            return xScale(columnOrder[targetIndex]);
-                        }
-                        return xScale(columnOrder[d.columnIndex]); // Fallback
-                    }
-                })
+                .attr('cx', pointX)
                 .attr('cy', d => toggleMode ?
                    yScale(d.normalizedCores) :
                    yScale(d.cudaCores)) // Use different y value based on mode
                 .attr('r', 4)
-                .attr('fill', colorScale(series))
+                // Estimated core counts are hollow with a dotted outline
+                .attr('fill', d => (getEstimate(d, 'cudaCores') ? 'transparent' : colorScale(series)))
+                // User-imported GPUs get a dashed outline
+                .attr('stroke', d => d.imported ? chartColors.imported : (getEstimate(d, 'cudaCores') ? colorScale(series) : null))
+                .attr('stroke-width', d => d.imported || getEstimate(d, 'cudaCores') ? 1.5 : null)
+                .attr('stroke-dasharray', d => d.imported ? '2,1' : (getEstimate(d, 'cudaCores') ? estimateDash : null))
                 .append('title') // Basic tooltip for individual points
                     .text(d => {
+                        const estimateNote = describeEstimates(getEstimates(d, coreEstimateFields));
+                        const skuNotes = (isRefreshTier(d.tier) ? '\nMid-cycle refresh' : '') + (d.imported ? '\n(Imported)' : '') + (estimateNote ? `\n${estimateNote}` : '');
                         if (!toggleMode) {
-                            return `${d.model} (${d.series})\nCores: ${d.cudaCores.toLocaleString()}`;
+                            return `${d.model} (${d.series})\n${vendorCoreLabels[getVendor(d)]}: ${d.cudaCores.toLocaleString()}${skuNotes}`;
                         } else {
-                            // For normalized mode, get the flagship model name to show which card it's compared to
-                            const seriesData = gpuData.filter(gpu => gpu.series === d.series);
-                            let flagshipModel = "";
-
-                            // Special case for 1600 series which uses 2000 series as reference
-                            if (d.series === "1600" && flagship2000) { // Use the found 2000 flagship
-                                flagshipModel = flagship2000.model;
-                            } else {
-                                // Normal case - get the appropriate flagship based on toggle state
-                                const regularFlagship = seriesData.find(gpu => gpu.flagship);
-                                const specialFlagshipThisSeries = seriesData.find(gpu => gpu.specialFlagship);
-                                const useSpecialThisSeries = specialFlagshipActive[d.series] && specialFlagshipThisSeries;
-                                flagshipModel = useSpecialThisSeries ? specialFlagshipThisSeries.model : (regularFlagship ? regularFlagship.model : "Unknown flagship");
-                            }
+                            // For normalized mode, show which card it's compared to
+                            const flagshipModel = flagship.model;
                              // Ensure normalizedCores is not null before formatting
                              const normalizedText = d.normalizedCores != null ? `${d.normalizedCores.toFixed(1)}%` : 'N/A';
 
-                            return `${d.model} (${d.series})\nCores: ${d.cudaCores.toLocaleString()}\nVs ${flagshipModel}: ${normalizedText}`;
+                            return `${d.model} (${d.series})\n${vendorCoreLabels[getVendor(d)]}: ${d.cudaCores.toLocaleString()}\nVs ${flagshipModel}: ${normalizedText}${skuNotes}`;
                         }
                     });
 
@@ -466,7 +473,7 @@ function CudaPlot({
         const gtx1660Ti = gpuData.find(d => d.model === "GTX 1660 Ti" && d.series === "1600");
         
         // Get the flagship from 2000 series that's currently active (Ti or non-Ti)
-        const reference2000Model = useSpecial2000 ? specialFlagship2000 : regularFlagship2000;
+        const reference2000Model = getReferenceFlagship(gpuData, "2000", specialFlagshipActive)?.flagship;
 
         // Draw connection line only if:
         // 1. We are in toggle mode (normalized)
@@ -481,7 +488,7 @@ function CudaPlot({
             const referenceForCalculation = reference2000Model;
 
             if (referenceForCalculation && referenceForCalculation.cudaCores > 0 && gtx1660Ti.cudaCores != null && gtx1660Ti.cudaCores > 0) {
-                const gtx1660TiNormalizedCores = (gtx1660Ti.cudaCores / referenceForCalculation.cudaCores) * 100;
+                const gtx1660TiNormalizedCores = normalizeCores(gtx1660Ti.cudaCores, referenceForCalculation.cudaCores);
                 const tier1660Ti = getTierFromModel(gtx1660Ti.model);
                 const tierReference = getTierFromModel(referenceForCalculation.model);
 
@@ -762,20 +769,15 @@ function CudaPlot({
                                 flagship = seriesData.find(d => d.flagship);
                             }
 
-                             // Find the 2000 series flagship for 1600 series reference calculation
-                             const series2000Data = gpuData.filter(gpu => gpu.series === "2000");
-                             const refFlagship2000 = specialFlagshipActive["2000"] && series2000Data.find(g => g.specialFlagship)
-                                ? series2000Data.find(g => g.specialFlagship)
-                                : series2000Data.find(g => g.flagship);
-
+                             // The 1600 series is normalized against the 2000 series' flagship
+                             const reference = getReferenceFlagship(gpuData, series, specialFlagshipActive);
 
                             if (flagship && flagship.cudaCores != null && flagship.cudaCores > 0) {
-                                // Use flagship2000 as reference for 1600 series normalization calculation
-                                 const refFlagship = (series === "1600" && refFlagship2000 && refFlagship2000.cudaCores > 0) ? refFlagship2000 : flagship;
+                                 const refFlagship = reference ? reference.flagship : flagship;
                                  if (refFlagship.cudaCores != null && refFlagship.cudaCores > 0) {
                                     return {
                                         ...flagship,
-                                        normalizedCores: (flagship.cudaCores / refFlagship.cudaCores) * 100,
+                                        normalizedCores: normalizeCores(flagship.cudaCores, refFlagship.cudaCores),
                                         series // Include series for color indicator
                                     };
                                  }
@@ -807,24 +809,8 @@ function CudaPlot({
                              // Get flagship information for comparison label in toggle mode
                              let flagshipInfo = '';
                              if (toggleMode) {
-                                 const seriesData = gpuData.filter(g => g.series === gpu.series);
-                                 let flagshipModel = "";
-
-                                 // Special case for 1600 series which uses 2000 series as reference
-                                 const series2000Data = gpuData.filter(g => g.series === "2000");
-                                 const refFlagship2000 = specialFlagshipActive["2000"] && series2000Data.find(g => g.specialFlagship)
-                                     ? series2000Data.find(g => g.specialFlagship)
-                                     : series2000Data.find(g => g.flagship);
-
-                                 if (gpu.series === "1600" && refFlagship2000) { // Use the found 2000 flagship model
-                                     flagshipModel = refFlagship2000.model;
-                                 } else {
-                                     // Normal case - get appropriate flagship based on toggle state for the GPU's series
-                                     const regularFlagship = seriesData.find(g => g.flagship);
-                                     const specialFlagshipThisSeries = seriesData.find(g => g.specialFlagship);
-                                     const useSpecialThisSeries = specialFlagshipActive[gpu.series] && specialFlagshipThisSeries;
-                                     flagshipModel = useSpecialThisSeries ? specialFlagshipThisSeries.model : (regularFlagship ? regularFlagship.model : "Unknown flagship");
-                                 }
+                                 const reference = getReferenceFlagship(gpuData, gpu.series, specialFlagshipActive);
+                                 const flagshipModel = reference ? reference.flagship.model : "Unknown flagship";
 
                                   const normalizedText = gpu.normalizedCores != null ? `${gpu.normalizedCores.toFixed(1)}%` : 'N/A';
                                  flagshipInfo = `Vs ${flagshipModel}: ${normalizedText}`;
@@ -834,11 +820,13 @@ function CudaPlot({
                                  <div class="gpu-item">
                                      <span class="model-name">
                                          <span class="color-indicator" style="background-color: ${colorScale(gpu.series)};"></span>
-                                         ${gpu.model}
+                                         ${gpu.model}${gpu.imported ? ` <span style="color: ${chartColors.imported};">(imported)</span>` : ''}
                                      </span>
                                      <div class="cores-info">
-                                         Cores: ${gpu.cudaCores ? gpu.cudaCores.toLocaleString() : 'N/A'}<br>
+                                         ${vendorCoreLabels[getVendor(gpu)]}: ${gpu.cudaCores ? gpu.cudaCores.toLocaleString() : 'N/A'}${citationMarker(citationIndex, 'gpuData', gpu.model, 'cudaCores')}<br>
                                          ${toggleMode ? flagshipInfo : ''}
+                                         ${describeMultiDie(gpu) ? `<span style="color: #aaa;">${describeMultiDie(gpu)}</span>` : ''}
+                                         ${getEstimates(gpu, coreEstimateFields).length ? `<span style="color: #aaa;">${describeEstimates(getEstimates(gpu, coreEstimateFields))}</span>` : ''}
                                      </div>
                                  </div>
                              `;
@@ -863,7 +851,8 @@ function CudaPlot({
 
     }, [
         svgRef,
-        gpuData,
+        allGpuData,
+        citationIndex,
         columnOrder,
         getTierFromModel,
         toggleMode,
@@ -873,7 +862,8 @@ function CudaPlot({
         activeGenerations, // Dependency for filtering and legend opacity/text color
         setActiveGenerations, // Dependency for legend click handler
         showAllCudaGenerations, // Dependency for legend checkbox state
-        setShowAllCudaGenerations // Dependency for legend checkbox click handler
+        setShowAllCudaGenerations, // Dependency for legend checkbox click handler
+        hideEstimates // Dependency for filtering out estimated core counts
         // Tooltip state/handlers passed from App are not used directly in the D3 effect for rendering/positioning
         // so they are not needed as useEffect dependencies here.
     ]); // Re-run effect when these props change
@@ -1,23 +1,52 @@
 // DieAreaPlot.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import * as d3 from 'd3';
 // Import specific statistical functions from d3-array
 import { deviation, mean, median, quantile, min, max, range } from 'd3-array';
-import inflationData from './assets/inflation_data.json'; // Import inflation data
-import medianRealWageData from './assets/median_real_wage_data.json'; // Import median REAL wage data
-import waferPrices from './assets/wafer_prices.json'; // Import wafer prices data
+import { chartColors, vendorLineDash, vendorCoreLabels, currencies, estimateDash } from './utils/chartConfig';
+import { getVendor, isRefreshTier } from './utils/tierUtils';
+import { getVariants, hasVariants, formatVariant } from './utils/gpuVariants';
+import { citationMarker, describeEstimates } from './utils/citations';
+import { formatReleaseDate, describeFlagshipGap } from './utils/releaseDates';
+import {
+    getAdjustmentMultiplier as getReleaseAdjustment, computeDieAreaRows, getLocalWaferPricePerMM2,
+    computeEffectiveDieSensitivity, effectiveDieFixedShare as defaultFixedShare, dieUtilizationBases, defaultDieUtilizationBasis
+} from './utils/analytics';
+import { formatMoney, describeLaunchPrice } from './utils/currency';
+import { yieldModels, defaultYieldModel } from './utils/dieCost';
+import { getBoardDie, describeMultiDie } from './utils/multiDie';
+import { getWaferPriceLabel } from './utils/waferPrices';
+import EffectiveDieSensitivity from './EffectiveDieSensitivity';
 // App.css is imported in App.jsx and applies globally
+// inflationData, medianRealWageData, waferPrices and the regional currency datasets are passed as props (loaded at runtime by App)
 
 function DieAreaPlot({
     dieAreaSvgRef,
     gpuData,
+    citationIndex,
     gpuDieData,
+    inflationData,
+    medianRealWageData,
+    waferPrices,
+    memoryPrices, // GDDR $/GB by year, for the BOM/gross margin tooltip line
+    bomAssumptions, // BOM assumptions (App's gross margin controls)
+    regionalCpiData,
+    regionalWageData,
+    fxRates,
+    currency = 'USD', // Prices shown in this currency (App's currency selector)
+    useLaunchFx = false, // Convert USD MSRPs at launch FX instead of using regional MSRPs
+    baseYear, // Year CPI and wage adjustments express prices in (App's base-year selector); defaults to inflationData.base_year
+    yieldModel = defaultYieldModel, // Die cost yield model (App's die cost controls)
+    defectDensityScale = 1, // Multiplier on the per-node defect densities
+    effectiveDieFixedShare = defaultFixedShare, // Disabled-die model: share of the die charged outright (App's model editor)
+    utilizationBasis = defaultDieUtilizationBasis, // Disabled-die model: what the enabled share is measured by
     columnOrder, // Not directly used in this component's logic but kept as prop
-    getTierFromModel, // Not directly used in this component's logic but kept as prop
+    getTierFromModel, // Used to spot refresh (SUPER) SKUs
     activeGenerations,
     setActiveGenerations,
     showAllDieGenerations,
-    setShowAllDieGenerations
+    setShowAllDieGenerations,
+    hideEstimates // Leave out cards with an estimated MSRP, die size or utilization field, and the (estimated) wafer overlay
 }) {
     // State for toggling between full and effective die calculations
     const [useEffectiveDieSize, setUseEffectiveDieSize] = useState(false);
@@ -27,6 +56,13 @@ function DieAreaPlot({
     const [useRealWageScaling, setUseRealWageScaling] = useState(false);
     // State for toggling wafer price background area and second axis
     const [showWaferPriceArea, setShowWaferPriceArea] = useState(true); // State controls area + second axis
+    // What the wafer overlay plots: wafer price per mm² ('area') or yield-aware cost per good mm² ('dieCost')
+    const [waferOverlayMode, setWaferOverlayMode] = useState('area');
+    // State for toggling mid-cycle refresh (SUPER) SKUs
+    const [showRefreshSkus, setShowRefreshSkus] = useState(true);
+    // Which memory variant's MSRP prices a multi-variant model ('headline' = the record's own MSRP,
+    // 'base' = cheapest, 'top' = dearest)
+    const [variantPrice, setVariantPrice] = useState('headline');
 
     // Function to handle adjustment toggle clicks
     const handleAdjustmentToggle = (type) => {
@@ -37,6 +73,29 @@ function DieAreaPlot({
         }
     };
 
+    // Median disabled-die price/mm² per display series across fixed shares, for the sensitivity strip
+    const sensitivity = useMemo(() => {
+        if (!gpuData || !gpuDieData || !inflationData || !medianRealWageData) return [];
+        const visibleGpus = gpuData.filter(gpu => {
+            if (activeGenerations && activeGenerations[gpu.series] === false) return false;
+            return showRefreshSkus || !isRefreshTier(getTierFromModel(gpu.model));
+        });
+        const rows = computeDieAreaRows(
+            { inflationData, medianRealWageData, regionalCpiData, regionalWageData, gpuData: visibleGpus, gpuDieData, fxRates },
+            {
+                useCpiAdjustment, useRealWageScaling, variantPrice, currency, useLaunchFx,
+                baseYear: baseYear ?? inflationData.base_year, utilizationBasis, hideEstimates
+            }
+        );
+        return computeEffectiveDieSensitivity(rows, {
+            groupBy: row => (row.series === "1600" || row.series === "2000" ? "1600/2000" : row.series)
+        });
+    }, [
+        gpuData, gpuDieData, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates, activeGenerations,
+        showRefreshSkus, getTierFromModel, useCpiAdjustment, useRealWageScaling, variantPrice, currency, useLaunchFx, baseYear,
+        utilizationBasis, hideEstimates
+    ]);
+
     useEffect(() => {
         // Ensure data and ref are available
         if (!gpuData || !gpuDieData || !dieAreaSvgRef.current || !waferPrices || !inflationData || !medianRealWageData) {
@@ -46,6 +105,7 @@ function DieAreaPlot({
 
         const svg = d3.select(dieAreaSvgRef.current);
         svg.selectAll("*").remove(); // Clear previous renders
+        const adjustmentBaseYear = baseYear ?? inflationData.base_year;
 
         // --- Chart Dimensions and Margins ---
         // Increase right margin for the second Y-axis
@@ -103,9 +163,9 @@ function DieAreaPlot({
         }
 
         // --- Toggle Buttons ---
-        const toggleButtonWidth = 120;
+        const toggleButtonWidth = 108;
         const toggleButtonHeight = 25;
-        const toggleButtonSpacing = 10;
+        const toggleButtonSpacing = 8;
         // Position toggles slightly lower due to increased top margin
         const toggleButtonY = -60;
 
@@ -113,30 +173,90 @@ function DieAreaPlot({
         const dieToggleX = width - toggleButtonWidth - 10;
         const wageToggleX = dieToggleX - toggleButtonWidth - toggleButtonSpacing;
         const cpiToggleX = wageToggleX - toggleButtonWidth - toggleButtonSpacing;
-        const waferToggleX = cpiToggleX - toggleButtonWidth - toggleButtonSpacing; // New toggle on the far left
+        const waferToggleX = cpiToggleX - toggleButtonWidth - toggleButtonSpacing;
+        const refreshToggleX = waferToggleX - toggleButtonWidth - toggleButtonSpacing;
+        const variantToggleX = refreshToggleX - toggleButtonWidth - toggleButtonSpacing; // Far left
+
+        // Memory Variant Price Toggle
+        chartGroup.append("rect")
+            .attr("x", variantToggleX).attr("y", toggleButtonY)
+            .attr("width", toggleButtonWidth).attr("height", toggleButtonHeight)
+            .attr("rx", 5).attr("ry", 5)
+            .attr("fill", variantPrice !== 'headline' ? "#646cff" : "#444")
+            .attr("cursor", "pointer")
+            .attr("class", "variant-toggle-btn")
+            .on("click", () => setVariantPrice({ headline: 'base', base: 'top', top: 'headline' }[variantPrice]))
+            .on("mouseover", (event) => {
+                d3.select(`.${tooltipContainerClass}`)
+                    .style('visibility', 'visible').style('left', `${event.pageX}px`).style('top', `${event.pageY - 40}px`)
+                    .html(`<div style="text-align: center; padding: 5px;"><strong>Memory Variant Price</strong></div>
+                           <div style="padding: 5px;"><strong>Headline:</strong> Prices models sold in several memory sizes at their headline MSRP.<br>
+                           <strong>Base:</strong> Uses the cheapest variant instead (e.g. RTX 4060 Ti 8GB).<br>
+                           <strong>Top:</strong> Uses the most expensive variant instead (e.g. RTX 4060 Ti 16GB).<br>
+                           <span style="font-size: 0.9em; color: #aaa;">Variants without a launch MSRP are skipped.</span></div>`);
+            })
+            .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
+        chartGroup.append("text")
+            .attr("x", variantToggleX + toggleButtonWidth / 2).attr("y", toggleButtonY + toggleButtonHeight / 2 + 4)
+            .attr("text-anchor", "middle").attr("fill", "#fff").style("font-size", "12px").style("pointer-events", "none")
+            .text({ headline: "Headline Price", base: "Base Variant", top: "Top Variant" }[variantPrice]);
+
+        // Refresh SKU Toggle
+        chartGroup.append("rect")
+            .attr("x", refreshToggleX).attr("y", toggleButtonY)
+            .attr("width", toggleButtonWidth).attr("height", toggleButtonHeight)
+            .attr("rx", 5).attr("ry", 5)
+            .attr("fill", showRefreshSkus ? "#646cff" : "#444")
+            .attr("cursor", "pointer")
+            .attr("class", "refresh-toggle-btn")
+            .on("click", () => setShowRefreshSkus(!showRefreshSkus))
+            .on("mouseover", (event) => {
+                d3.select(`.${tooltipContainerClass}`)
+                    .style('visibility', 'visible').style('left', `${event.pageX}px`).style('top', `${event.pageY - 40}px`)
+                    .html(`<div style="text-align: center; padding: 5px;"><strong>Refresh SKUs</strong></div>
+                           <div style="padding: 5px;"><strong>Off:</strong> Launch lineup only.<br>
+                           <strong>On:</strong> Adds mid-cycle SUPER refreshes as hollow points beside their generation.<br>
+                           <span style="font-size: 0.9em; color: #aaa;">Violins and statistics include the refreshes while shown.</span></div>`);
+            })
+            .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
+        chartGroup.append("text")
+            .attr("x", refreshToggleX + toggleButtonWidth / 2).attr("y", toggleButtonY + toggleButtonHeight / 2 + 4)
+            .attr("text-anchor", "middle").attr("fill", "#fff").style("font-size", "12px").style("pointer-events", "none")
+            .text(showRefreshSkus ? "Refresh On" : "Refresh Off");
 
         // Wafer Price Area Toggle
         chartGroup.append("rect")
             .attr("x", waferToggleX).attr("y", toggleButtonY)
             .attr("width", toggleButtonWidth).attr("height", toggleButtonHeight)
             .attr("rx", 5).attr("ry", 5)
-            .attr("fill", showWaferPriceArea ? "#4CAF50" : "#444") // Green for wafer
+            .attr("fill", showWaferPriceArea && !hideEstimates ? "#4CAF50" : "#444") // Green for wafer
             .attr("cursor", "pointer")
             .attr("class", "wafer-toggle-btn")
-            .on("click", () => setShowWaferPriceArea(!showWaferPriceArea)) // Update state setter
+            .on("click", () => {
+                // Cycles Off -> Wafer On -> Die Cost -> Off
+                if (!showWaferPriceArea) {
+                    setShowWaferPriceArea(true);
+                    setWaferOverlayMode('area');
+                } else if (waferOverlayMode === 'area') {
+                    setWaferOverlayMode('dieCost');
+                } else {
+                    setShowWaferPriceArea(false);
+                }
+            })
             .on("mouseover", (event) => {
                 d3.select(`.${tooltipContainerClass}`)
                     .style('visibility', 'visible').style('left', `${event.pageX}px`).style('top', `${event.pageY - 40}px`)
                     .html(`<div style="text-align: center; padding: 5px;"><strong>Wafer Price Trend</strong></div>
                            <div style="padding: 5px;"><strong>Off:</strong> Hide wafer price trend area & axis.<br>
-                           <strong>On:</strong> Show estimated wafer price per mm² background area and dedicated Y-axis.<br>
-                           <span style="font-size: 0.9em; color: #aaa;">Data represents rough third-party estimates for wafer prices. Adjustments (CPI/Wage) applied if active.</span></div>`); // Updated tooltip text
+                           <strong>Wafer On:</strong> Show estimated wafer price per mm² background area and dedicated Y-axis.<br>
+                           <strong>Die Cost:</strong> Show the wafer price per mm² of good die instead, after edge loss and ${yieldModels[yieldModel].label} yield; the area follows each generation's largest die.<br>
+                           <span style="font-size: 0.9em; color: #aaa;">Data represents rough third-party estimates for wafer prices. Adjustments (CPI/Wage) applied if active. Hover a node label for its source.${hideEstimates ? ' Hidden while estimated values are hidden.' : ''}</span></div>`);
             })
             .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
         chartGroup.append("text")
             .attr("x", waferToggleX + toggleButtonWidth / 2).attr("y", toggleButtonY + toggleButtonHeight / 2 + 4)
             .attr("text-anchor", "middle").attr("fill", "#fff").style("font-size", "12px").style("pointer-events", "none")
-            .text(showWaferPriceArea ? "Wafer On" : "Wafer Off"); // Text remains the same
+            .text(!showWaferPriceArea || hideEstimates ? "Wafer Off" : waferOverlayMode === 'dieCost' ? "Die Cost" : "Wafer On");
 
         // CPI Inflation Toggle
         chartGroup.append("rect")
@@ -151,8 +271,8 @@ function DieAreaPlot({
                     .style('visibility', 'visible').style('left', `${event.pageX}px`).style('top', `${event.pageY - 40}px`)
                     .html(`<div style="text-align: center; padding: 5px;"><strong>CPI Adjustment</strong></div>
                            <div style="padding: 5px;"><strong>Off:</strong> No CPI adjustment applied.<br>
-                           <strong>On:</strong> Adjusts MSRP to constant ${inflationData.base_year} dollars using US CPI data.<br>
-                           <span style="font-size: 0.9em; color: #aaa;">Can be combined with Wage toggle.</span><br>Base year: ${inflationData.base_year}</div>`);
+                           <strong>On:</strong> Adjusts MSRP to constant ${adjustmentBaseYear} ${currency === 'USD' ? 'dollars' : currency} using ${currency === 'USD' ? 'US' : currencies[currency].region} CPI data.<br>
+                           <span style="font-size: 0.9em; color: #aaa;">Can be combined with Wage toggle.</span><br>Base year: ${adjustmentBaseYear}</div>`);
             })
             .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
         chartGroup.append("text")
@@ -175,7 +295,7 @@ function DieAreaPlot({
                            <div style="padding: 5px;"><strong>Off:</strong> No wage scaling.<br>
                            <strong>On, CPI Off:</strong> Scales MSRP by nominal wage change.<br>
                            <strong>On, CPI On:</strong> Scales MSRP by real wage change.<br>
-                           <span style="font-size: 0.9em; color: #aaa;">Base year: 2024</span></div>`);
+                           <span style="font-size: 0.9em; color: #aaa;">Base year: ${adjustmentBaseYear}</span></div>`);
             })
             .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
         chartGroup.append("text")
@@ -196,7 +316,7 @@ function DieAreaPlot({
                     .style('visibility', 'visible').style('left', `${event.pageX}px`).style('top', `${event.pageY - 40}px`)
                     .html(`<div style="text-align: center; padding: 5px;"><strong>Die Price Calculation</strong></div>
                            <div style="padding: 5px;"><strong>Full Die:</strong> Uses total die area.<br>
-                           <strong>Disabled Die:</strong> Accounts for partially disabled dies (30% fixed + 70% linear scaling).</div>`);
+                           <strong>Disabled Die:</strong> Accounts for partially disabled dies (${(effectiveDieFixedShare * 100).toFixed(0)}% fixed + ${((1 - effectiveDieFixedShare) * 100).toFixed(0)}% scaled by enabled ${dieUtilizationBases[utilizationBasis].label.toLowerCase()}).</div>`);
             })
             .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
         chartGroup.append("text")
@@ -206,76 +326,24 @@ function DieAreaPlot({
 
 
         // --- Data Processing ---
-        // Function to calculate adjustment multiplier based on year and toggles
-        const getAdjustmentMultiplier = (yearStr) => {
-             const year = yearStr.toString();
-             let multiplier = 1;
-             let type = 'Nominal';
-
-             const baseRealWage = medianRealWageData["2024"] || 373;
-             const baseCPI = inflationData.cpi_data["2024"] || 313.2;
-             const yearRealWage = medianRealWageData[year];
-             const yearCPI = inflationData.cpi_data[year];
-             const cpiMultiplier = inflationData.multipliers[year];
-             const baseNominalWage = baseRealWage * (baseCPI / 100);
-             const yearNominalWage = yearRealWage && yearCPI ? yearRealWage * (yearCPI / 100) : null;
-
-             if (useCpiAdjustment && useRealWageScaling) {
-                 if (yearRealWage && baseRealWage && yearRealWage > 0) {
-                     multiplier = baseRealWage / yearRealWage;
-                     type = 'Real Wage (to 2024)';
-                 } else { type = 'Nominal (Wage Data Missing)'; }
-             } else if (useCpiAdjustment && !useRealWageScaling) {
-                 if (cpiMultiplier) {
-                     multiplier = cpiMultiplier;
-                     type = `CPI Adj. (to ${inflationData.base_year})`;
-                 }
-             } else if (!useCpiAdjustment && useRealWageScaling) {
-                 if (yearNominalWage && baseNominalWage && yearNominalWage > 0) {
-                     multiplier = baseNominalWage / yearNominalWage;
-                     type = 'Nominal Wage (to 2024)';
-                 } else { type = 'Nominal (Wage Data Missing)'; }
-             }
-             return { multiplier, type };
+        // Accepts a GPU record (release-month CPI/wage when dated) or a bare year
+        const adjustmentOptions = {
+            useCpiAdjustment, useRealWageScaling, useEffectiveDieSize, variantPrice, currency, useLaunchFx, baseYear: adjustmentBaseYear,
+            yieldModel, defectDensityScale, bomAssumptions, effectiveDieFixedShare, utilizationBasis, hideEstimates
         };
+        const economicData = { inflationData, medianRealWageData, regionalCpiData, regionalWageData };
+        const getAdjustmentMultiplier = (release) => getReleaseAdjustment(release, economicData, adjustmentOptions);
+        const currencySymbol = currencies[currency].symbol;
 
         // Process GPU data
-        const processedData = gpuData
-            .filter(gpu => {
-                if (activeGenerations && activeGenerations[gpu.series] === false) return false;
-                const dieInfo = gpuDieData[gpu.dieName];
-                return gpu.msrp && dieInfo && dieInfo.dieSizeMM2 && gpu.releaseYear;
-            })
-            .map(gpu => {
-                const dieInfo = gpuDieData[gpu.dieName];
-                const fullCudaCores = dieInfo.fullCudaCores || 0;
-                const actualCudaCores = gpu.cudaCores || 0;
-                const dieUtilizationRatio = fullCudaCores > 0 ? actualCudaCores / fullCudaCores : 1;
-                const effectiveDieSize = dieInfo.dieSizeMM2 * (0.3 + 0.7 * dieUtilizationRatio);
-
-                const { multiplier: adjustmentMultiplier, type: adjustmentType } = getAdjustmentMultiplier(gpu.releaseYear);
-                const adjustedMsrp = gpu.msrp * adjustmentMultiplier;
-
-                return {
-                    ...gpu,
-                    dieSizeMM2: dieInfo.dieSizeMM2,
-                    fullCudaCores: fullCudaCores,
-                    dieUtilizationRatio: dieUtilizationRatio,
-                    effectiveDieSize: effectiveDieSize,
-                    generation: dieInfo.generation || "Unknown",
-                    adjustmentMultiplier: adjustmentMultiplier,
-                    adjustmentType: adjustmentType,
-                    originalMsrp: gpu.msrp,
-                    adjustedMsrp: adjustedMsrp,
-                    pricePerMM2: adjustedMsrp / dieInfo.dieSizeMM2,
-                    effectivePricePerMM2: adjustedMsrp / effectiveDieSize,
-                    rawPricePerMM2: gpu.msrp / dieInfo.dieSizeMM2,
-                    rawEffectivePricePerMM2: gpu.msrp / effectiveDieSize,
-                    displayPricePerMM2: useEffectiveDieSize ? (adjustedMsrp / effectiveDieSize) : (adjustedMsrp / dieInfo.dieSizeMM2),
-                    // Add manufacturing node for wafer price linkage
-                    manufacturingNode: gpu.manufacturingNode
-                };
-            });
+        const visibleGpus = gpuData.filter(gpu => {
+            if (activeGenerations && activeGenerations[gpu.series] === false) return false;
+            return showRefreshSkus || !isRefreshTier(getTierFromModel(gpu.model));
+        });
+        const processedData = computeDieAreaRows(
+            { ...economicData, gpuData: visibleGpus, gpuDieData, fxRates, waferPrices, memoryPrices },
+            adjustmentOptions
+        );
 
         // --- X Axis Setup (Generations) ---
         const seriesInfo = Array.from(new Set(processedData.map(d => d.series)))
@@ -284,7 +352,7 @@ function DieAreaPlot({
                 const earliestYear = seriesCards.length > 0 ? Math.min(...seriesCards.map(card => card.releaseYear)) : 0;
                  const firstCard = seriesCards.sort((a, b) => a.releaseYear - b.releaseYear)[0];
                  const manufacturingNode = firstCard ? firstCard.manufacturingNode : null;
-                return { series, releaseYear: earliestYear, manufacturingNode };
+                return { series, releaseYear: earliestYear, manufacturingNode, foundry: firstCard ? firstCard.foundry : null };
             }).sort((a, b) => a.releaseYear - b.releaseYear);
 
         // Combine 1600/2000 series for X-axis tick
@@ -296,6 +364,7 @@ function DieAreaPlot({
             const series2000 = seriesInfo.find(info => info.series === "2000");
             const releaseYear = series2000 ? series2000.releaseYear : (series1600 ? series1600.releaseYear : 2018);
             const manufacturingNode = series2000 ? series2000.manufacturingNode : (series1600 ? series1600.manufacturingNode : null);
+            const foundry = series2000 ? series2000.foundry : (series1600 ? series1600.foundry : null);
 
             let insertIndex = combinedSeriesInfo.length;
             if (series2000) insertIndex = combinedSeriesInfo.findIndex(info => info.releaseYear > series2000.releaseYear);
@@ -303,7 +372,7 @@ function DieAreaPlot({
             if (insertIndex === -1) insertIndex = combinedSeriesInfo.length;
 
             combinedSeriesInfo.splice(insertIndex, 0, {
-                series: "1600/2000", releaseYear, manufacturingNode, isCombo: true, series1: "1600", series2: "2000"
+                series: "1600/2000", releaseYear, manufacturingNode, foundry, isCombo: true, series1: "1600", series2: "2000"
             });
         }
 
@@ -326,7 +395,7 @@ function DieAreaPlot({
         const xScale = d3.scalePoint().domain(xScaleDomain).range([0, width]).padding(0.5);
 
         // --- Y Axis Setup (Primary - GPU Price/mm²) ---
-        const maxGpuPrice = max(processedData, d => d.displayPricePerMM2) || 5;
+        const maxGpuPrice = max(processedData, d => d.displayPricePerMM2Range?.max ?? d.displayPricePerMM2) || 5;
         const yMaxGpu = Math.ceil((maxGpuPrice || 5) * 1.1); // Max for GPU data only, add padding
         const yScale = d3.scaleLinear().domain([0, yMaxGpu]).range([height, 0]);
 
@@ -334,37 +403,87 @@ function DieAreaPlot({
         let waferAreaData = []; // Initialize empty
         let maxWaferPrice = 0; // Initialize max wafer price
 
-        if (showWaferPriceArea && processedData.length > 0) {
+        const showDieCost = waferOverlayMode === 'dieCost';
+        // Wafer prices are all estimates, so hiding estimates hides the overlay and its axis
+        const showWaferOverlay = showWaferPriceArea && !hideEstimates;
+        if (showWaferOverlay && showDieCost && processedData.length > 0) {
+            waferAreaData = combinedSeriesInfo
+                .map(info => {
+                    const xPos = xScale(info.series);
+                    if (xPos == null) return null;
+                    // One entry per die, costed at its first card's launch
+                    const dieRows = d3.groups(
+                        processedData.filter(d => seriesPositionMapping[d.series] === info.series && d.adjustedDieCost != null),
+                        d => d.dieName
+                    ).map(([, rows]) => rows.slice().sort((a, b) => d3.ascending(a.releaseDate || String(a.releaseYear), b.releaseDate || String(b.releaseYear)))[0]);
+                    if (dieRows.length === 0) return null;
+                    // Board totals of a dual-GPU card divided back to one die
+                    const dies = dieRows.map(d => ({
+                        dieName: d.dieName,
+                        node: d.manufacturingNode,
+                        dieSizeMM2: d.dieSizeMM2 / d.dieCount,
+                        dieCost: d.dieCost,
+                        adjustedDieCost: d.adjustedDieCost / d.dieCount,
+                        pricePerMM2: d.adjustedDieCost / d.dieSizeMM2,
+                        adjustmentType: d.adjustmentType
+                    })).sort((a, b) => b.dieSizeMM2 - a.dieSizeMM2);
+                    // Die cost scales with the wafer price, so the wafer's range carries over
+                    const { dieCost } = dies[0];
+                    return {
+                        series: info.series,
+                        node: info.manufacturingNode,
+                        foundry: dieCost.foundry,
+                        year: info.releaseYear,
+                        waferYear: dieCost.waferPriceYear,
+                        waferPrice: dieCost.waferPrice,
+                        waferPriceLow: dieCost.waferPriceLow,
+                        waferPriceHigh: dieCost.waferPriceHigh,
+                        xPos,
+                        pricePerMM2: dies[0].pricePerMM2, // Largest die
+                        pricePerMM2Low: dies[0].pricePerMM2 * dieCost.waferPriceLow / dieCost.waferPrice,
+                        pricePerMM2High: dies[0].pricePerMM2 * dieCost.waferPriceHigh / dieCost.waferPrice,
+                        adjustmentType: dies[0].adjustmentType,
+                        dies
+                    };
+                })
+                .filter(d => d !== null && isFinite(d.pricePerMM2) && d.pricePerMM2 >= 0);
+            maxWaferPrice = max(waferAreaData, d => d.pricePerMM2High) || 0;
+            waferAreaData.sort((a, b) => a.xPos - b.xPos);
+        } else if (showWaferOverlay && processedData.length > 0) {
             waferAreaData = combinedSeriesInfo
                 .map(info => {
                     const node = info.manufacturingNode;
                     const year = info.releaseYear;
                     const seriesKey = info.series;
 
-                    if (!node || !year || !waferPrices[node] || !xScale(seriesKey)) return null;
+                    if (!node || !year || !xScale(seriesKey)) return null;
 
-                    const yieldFactor = { 40: 0.85, 28: 0.80, 16: 0.75, 12: 0.70, 8: 0.65, 5: 0.60 };
-                    const effectiveArea = 70686 * (yieldFactor[node] || 0.7);
-                    if (effectiveArea <= 0) return null;
-
-                    const basePricePerMM2 = waferPrices[node] / effectiveArea;
+                    // Wafer prices are in USD: the series' foundry and launch year pick the price, converted at that year's rate
+                    const wafer = getLocalWaferPricePerMM2(waferPrices, node, fxRates, currency, { releaseYear: year, foundry: info.foundry });
+                    if (wafer == null) return null;
                     const { multiplier, type } = getAdjustmentMultiplier(year);
-                    const adjustedPricePerMM2 = basePricePerMM2 * multiplier;
 
-                    // Store the raw price for potential use, and the adjusted one for plotting
+                    // Store the raw wafer price for the tooltip, and the adjusted range for plotting
                     return {
                         series: seriesKey,
                         node: node,
+                        foundry: wafer.foundry,
                         year: year,
+                        waferYear: wafer.year,
+                        waferPrice: wafer.price,
+                        waferPriceLow: wafer.low,
+                        waferPriceHigh: wafer.high,
                         xPos: xScale(seriesKey),
-                        pricePerMM2: adjustedPricePerMM2, // Use adjusted price for scaling/plotting
+                        pricePerMM2: wafer.pricePerMM2 * multiplier, // Use adjusted price for scaling/plotting
+                        pricePerMM2Low: wafer.pricePerMM2Low * multiplier,
+                        pricePerMM2High: wafer.pricePerMM2High * multiplier,
                         adjustmentType: type
                     };
                 })
                 .filter(d => d !== null && isFinite(d.pricePerMM2) && d.pricePerMM2 >= 0);
 
-            // Calculate max wafer price AFTER adjustments
-            maxWaferPrice = max(waferAreaData, d => d.pricePerMM2) || 0;
+            // Calculate max wafer price AFTER adjustments; the band's top sets the axis
+            maxWaferPrice = max(waferAreaData, d => d.pricePerMM2High) || 0;
 
             // Sort by X position for drawing the area/labels
             waferAreaData.sort((a, b) => a.xPos - b.xPos);
@@ -384,18 +503,22 @@ function DieAreaPlot({
         chartGroup.append("text").attr("class", "x-axis-label").attr("text-anchor", "middle").attr("x", width / 2).attr("y", height + 50).attr("fill", "#ddd").style("font-size", "12px").text("GPU Generation");
 
         // Y-Axis (Primary - Left)
-        const yAxisLeft = d3.axisLeft(yScale).tickFormat(d => `$${d}`);
+        const yAxisLeft = d3.axisLeft(yScale).tickFormat(d => `${currencySymbol}${d}`);
         chartGroup.append("g").attr("class", "y-axis y-axis-left").call(yAxisLeft);
-        let yAxisLabelText = "GPU Price per Die Area ($/mm²)";
-        const { type: adjustmentTypeLabel } = getAdjustmentMultiplier("2024");
-        if (adjustmentTypeLabel.includes('Real Wage')) yAxisLabelText = "GPU Price/Area ($/mm², Scaled by Real Wage vs 2024)";
-        else if (adjustmentTypeLabel.includes('CPI Adj.')) yAxisLabelText = `GPU Price/Area ($/mm², ${inflationData.base_year} USD)`;
-        else if (adjustmentTypeLabel.includes('Nominal Wage')) yAxisLabelText = "GPU Price/Area ($/mm², Scaled by Nominal Wage vs 2024)";
+        const priceUnit = `${currencySymbol}/mm²`;
+        // Regional wage series are named after their region ("UK Real Wage")
+        const wageRegion = currency === 'USD' ? '' : `${currencies[currency].region} `;
+        let yAxisLabelText = `GPU Price per Die Area (${priceUnit})`;
+        const { type: adjustmentTypeLabel } = getAdjustmentMultiplier(adjustmentBaseYear);
+        if (adjustmentTypeLabel.includes('Real Wage')) yAxisLabelText = `GPU Price/Area (${priceUnit}, Scaled by ${wageRegion}Real Wage vs ${adjustmentBaseYear})`;
+        else if (adjustmentTypeLabel.includes('CPI Adj.')) yAxisLabelText = `GPU Price/Area (${priceUnit}, ${adjustmentBaseYear} ${currency})`;
+        else if (adjustmentTypeLabel.includes('Nominal Wage')) yAxisLabelText = `GPU Price/Area (${priceUnit}, Scaled by ${wageRegion}Nominal Wage vs ${adjustmentBaseYear})`;
+        if (currency !== 'USD' && useLaunchFx) yAxisLabelText = yAxisLabelText.replace(/\)$/, ', USD MSRP at launch FX)');
         chartGroup.append("text").attr("class", "y-axis-label").attr("text-anchor", "middle").attr("transform", "rotate(-90)").attr("y", -55).attr("x", -height / 2).attr("fill", "#ddd").style("font-size", "12px").text(yAxisLabelText);
 
         // Y-Axis (Secondary - Right, only if wafer data shown)
-        if (showWaferPriceArea && waferAreaData.length > 0) {
-            const yAxisRight = d3.axisRight(yScaleWafer).tickFormat(d => `$${d.toFixed(2)}`).ticks(5); // Fewer ticks might be good
+        if (showWaferOverlay && waferAreaData.length > 0) {
+            const yAxisRight = d3.axisRight(yScaleWafer).tickFormat(d => formatMoney(d, currency, 2)).ticks(5); // Fewer ticks might be good
             chartGroup.append("g")
                 .attr("class", "y-axis y-axis-right")
                 .attr("transform", `translate(${width}, 0)`)
@@ -409,7 +532,7 @@ function DieAreaPlot({
                 .attr("transform", `translate(${width + 45}, ${height / 2}) rotate(90)`) // Position and rotate
                 .attr("fill", "#aaaaaa") // Muted color
                 .style("font-size", "12px")
-                .text("Est. Wafer Price ($/mm²)"); // Label for the right axis
+                .text(showDieCost ? `Est. Cost per Good Die Area (${priceUnit})` : `Est. Wafer Price (${priceUnit})`); // Label for the right axis
         }
 
 
@@ -439,6 +562,10 @@ function DieAreaPlot({
             return a.releaseYear - b.releaseYear;
         });
 
+        // Grow the SVG when the legend and its notes run past the chart
+        const legendBottom = margin.top + legendData.length * 25 + 115;
+        if (legendBottom > containerHeight) svg.attr('height', legendBottom);
+
         const legendItems = dieAreaLegend.selectAll(".legend-item").data(legendData).enter().append("g")
             .attr("class", "legend-item").attr("transform", (d, i) => `translate(0, ${i * 25})`);
 
@@ -489,18 +616,22 @@ function DieAreaPlot({
         dieAreaLegend.append("text").attr("x", 0).attr("y", legendData.length * 25 + 50).attr("fill", "#aaa").style("font-size", "11px").text("* Colors represent GPU generations");
         dieAreaLegend.append("text").attr("x", 0).attr("y", legendData.length * 25 + 75).attr("fill", "#aaa").style("font-size", "11px").text("* Point sizes proportional");
         dieAreaLegend.append("text").attr("x", 0).attr("y", legendData.length * 25 + 90).attr("fill", "#aaa").style("font-size", "11px").attr("dx", 8.5).text("to die area (mm²)");
+        if (gpuData.some(gpu => getVendor(gpu) !== "NVIDIA")) {
+            dieAreaLegend.append("text").attr("x", 0).attr("y", legendData.length * 25 + 110).attr("fill", "#aaa").style("font-size", "11px").text("* Dashed violins: AMD, dotted: Intel");
+        }
 
 
         // --- Draw Wafer Price Background Area & Node Labels (if enabled) ---
-        if (showWaferPriceArea && waferAreaData.length > 0) {
-             // Define the area generator using the SECONDARY (wafer) Y scale
+        if (showWaferOverlay && waferAreaData.length > 0) {
+             // Define the band generator using the SECONDARY (wafer) Y scale: low to high wafer price
+             const clampWafer = value => yScaleWafer(Math.min(value, yMaxWafer)); // Use wafer scale, clamp to wafer max
              const waferArea = d3.area()
                  .x(d => d.xPos)
-                 .y0(height) // Bottom of the area is the x-axis
-                 .y1(d => yScaleWafer(Math.min(d.pricePerMM2, yMaxWafer))) // Use wafer scale, clamp to wafer max
+                 .y0(d => clampWafer(d.pricePerMM2Low))
+                 .y1(d => clampWafer(d.pricePerMM2High))
                  .curve(d3.curveMonotoneX);
 
-             // Draw the area
+             // Draw the band
              chartGroup.append("path")
                  .datum(waferAreaData)
                  .attr("class", "wafer-price-area")
@@ -509,6 +640,35 @@ function DieAreaPlot({
                  .attr("stroke", "none") // No outline
                  .attr("d", waferArea);
 
+             // Central estimate through the band
+             chartGroup.append("path")
+                 .datum(waferAreaData)
+                 .attr("class", "wafer-price-line")
+                 .attr("fill", "none")
+                 .attr("stroke", "#cccccc")
+                 .attr("stroke-opacity", 0.6)
+                 .attr("stroke-dasharray", "4,3")
+                 .attr("d", d3.line().x(d => d.xPos).y(d => clampWafer(d.pricePerMM2)).curve(d3.curveMonotoneX));
+
+             // Wafer price, its range and the year it was priced for, shared by the node and foundry labels
+             const showWaferTooltip = (event, d) => {
+                 const priceLine = showDieCost
+                     ? d.dies.map(die => `<strong>${die.dieName}:</strong> ${formatMoney(die.pricePerMM2, currency, 3)}/mm² of good die`).join('<br>')
+                     : `<strong>Price/mm²:</strong> ${formatMoney(d.pricePerMM2, currency, 3)} <span style="color: #aaa;">(${formatMoney(d.pricePerMM2Low, currency, 3)}–${formatMoney(d.pricePerMM2High, currency, 3)})</span>`;
+                 const waferLabel = getWaferPriceLabel(d);
+                 const rangeNote = d.waferPriceLow !== d.waferPriceHigh
+                     ? ` <span style="color: #aaa;">($${d.waferPriceLow.toLocaleString()}–$${d.waferPriceHigh.toLocaleString()})</span>`
+                     : '';
+                 d3.select(`.${tooltipContainerClass}`)
+                     .style('visibility', 'visible').style('left', `${event.pageX + 15}px`).style('top', `${event.pageY - 10}px`)
+                     .html(`<div class="tooltip-title">${waferLabel} wafer</div>
+                            <div class="tooltip-info">
+                                <strong>Est. wafer price:</strong> $${d.waferPrice.toLocaleString()}${citationMarker(citationIndex, 'waferPrices', waferLabel, 'price')}${rangeNote}<br>
+                                ${d.waferYear ? `<span style="color: #aaa;">${d.waferYear} price, for a ${d.year} launch</span><br>` : ''}
+                                ${priceLine} <span style="color: #aaa;">(${d.adjustmentType})</span>
+                            </div>`);
+             };
+
              // Draw Node Labels AT THE TOP of the chart area
              chartGroup.append("g") // Group for node labels
                  .attr("class", "wafer-node-labels-top")
@@ -523,8 +683,58 @@ function DieAreaPlot({
                  .attr("font-size", "10px")
                  .attr("font-weight", "bold")
                  .attr("opacity", 0.9) // Slightly transparent
-                 .text(d => `${d.node}nm`);
-
+                 .style("cursor", "help")
+                 .text(d => `${d.node}nm`)
+                 .on("mouseover", showWaferTooltip)
+                 .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
+
+             // Foundry above each node label
+             chartGroup.append("g")
+                 .attr("class", "wafer-foundry-labels-top")
+                 .selectAll(".wafer-foundry-label-top")
+                 .data(waferAreaData.filter(d => d.foundry))
+                 .enter().append("text")
+                 .attr("class", "wafer-foundry-label-top")
+                 .attr("x", d => d.xPos)
+                 .attr("y", -22)
+                 .attr("text-anchor", "middle")
+                 .attr("fill", "#888888")
+                 .attr("font-size", "9px")
+                 .style("cursor", "help")
+                 .text(d => d.foundry)
+                 .on("mouseover", showWaferTooltip)
+                 .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
+
+             // Die Cost mode: a diamond per die, left of its generation's violin
+             if (showDieCost) {
+                 chartGroup.append("g")
+                     .attr("class", "die-cost-markers")
+                     .selectAll(".die-cost-marker")
+                     .data(waferAreaData.flatMap(d => d.dies.map(die => ({ ...die, xPos: d.xPos }))))
+                     .enter().append("path")
+                     .attr("class", "die-cost-marker")
+                     .attr("d", d3.symbol().type(d3.symbolDiamond).size(40))
+                     .attr("transform", d => `translate(${d.xPos - 28}, ${yScaleWafer(Math.min(d.pricePerMM2, yMaxWafer))})`)
+                     .attr("fill", "#cccccc").attr("fill-opacity", 0.6)
+                     .attr("stroke", "#eeeeee").attr("stroke-width", 1)
+                     .style("cursor", "help")
+                     .on("mouseover", (event, d) => {
+                         const { dieCost } = d;
+                         d3.select(`.${tooltipContainerClass}`)
+                             .style('visibility', 'visible').style('left', `${event.pageX + 15}px`).style('top', `${event.pageY - 10}px`)
+                             .html(`<div class="tooltip-title">${d.dieName} (${getWaferPriceLabel({ foundry: dieCost.foundry, node: d.node })})</div>
+                                    <div class="tooltip-info">
+                                        <strong>Die area:</strong> ${d.dieSizeMM2.toLocaleString()} mm²<br>
+                                        <strong>Wafer price:</strong> $${dieCost.waferPrice.toLocaleString()}${dieCost.waferPriceYear ? ` <span style="color: #aaa;">(${dieCost.waferPriceYear})</span>` : ''}<br>
+                                        <strong>Gross dies/wafer:</strong> ${dieCost.grossDies}<br>
+                                        <strong>Yield:</strong> ${(dieCost.dieYield * 100).toFixed(1)}% <span style="color: #aaa;">(${yieldModels[dieCost.yieldModel].label}, ${dieCost.defectDensity.toFixed(3)} defects/cm²)</span><br>
+                                        <strong>Good dies/wafer:</strong> ${dieCost.goodDies.toFixed(1)}<br>
+                                        <strong>Cost per good die:</strong> ${formatMoney(d.adjustedDieCost, currency)} <span style="color: #aaa;">(${d.adjustmentType})</span><br>
+                                        <strong>Per mm²:</strong> ${formatMoney(d.pricePerMM2, currency, 3)}
+                                    </div>`);
+                     })
+                     .on("mouseout", () => d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden'));
+             }
         }
 
 
@@ -660,6 +870,7 @@ function DieAreaPlot({
                         .attr("stroke", violinColor)
                         .attr("stroke-width", 1)
                         .attr("stroke-opacity", 0.8)
+                        .attr("stroke-dasharray", vendorLineDash[getVendor(gpusInGroup[0])])
                         .attr("class", `violin-shape violin-${displaySeriesKey.replace(/[^a-zA-Z0-9-_]/g, '-')}`)
                         .on('mouseover', (event) => { // Tooltip (Original logic)
                             const meanVal = mean(validPrices);
@@ -675,11 +886,11 @@ function DieAreaPlot({
                                 .html(`<div class="tooltip-title" style="color: ${violinColor};">${displaySeriesKey} Series</div>
                                        <div class="tooltip-info"><strong>${generation}</strong><br><strong>Node:</strong> ${node} nm<br>
                                        <div style="margin-top:5px; border-bottom:1px dotted #777; padding-bottom:3px;">
-                                           <strong style="color:#a0e6ff;">Full Price/mm²:</strong><br>Mean: $${meanVal ? meanVal.toFixed(2) : 'N/A'}<br>Median: $${medianVal ? medianVal.toFixed(2) : 'N/A'}<br>S.D.: $${stdDevVal ? stdDevVal.toFixed(2) : 'N/A'}</div>
+                                           <strong style="color:#a0e6ff;">Full Price/mm²:</strong><br>Mean: ${meanVal ? formatMoney(meanVal, currency, 2) : 'N/A'}<br>Median: ${medianVal ? formatMoney(medianVal, currency, 2) : 'N/A'}<br>S.D.: ${stdDevVal ? formatMoney(stdDevVal, currency, 2) : 'N/A'}</div>
                                        <div style="margin-top:5px; border-bottom:1px dotted #777; padding-bottom:3px;">
                                            <strong style="color:#a0ffb0;">Cut Price/mm²:</strong>
-                                           ${effectiveMean !== null ? `<br>Mean: $${effectiveMean.toFixed(2)}` : ''}
-                                           ${effectiveMedian !== null ? `<br>Median: $${effectiveMedian.toFixed(2)}` : ''}
+                                           ${effectiveMean !== null ? `<br>Mean: ${formatMoney(effectiveMean, currency, 2)}` : ''}
+                                           ${effectiveMedian !== null ? `<br>Median: ${formatMoney(effectiveMedian, currency, 2)}` : ''}
                                            ${effectivePrices.length > 0 ? `<br>(${effectivePrices.length} cut GPUs)` : '<br>No data'}</div>
                                        <div style="margin-top:5px;"><strong>Sample Size:</strong> ${validPrices.length} GPUs</div></div>`);
                         })
@@ -740,23 +951,52 @@ function DieAreaPlot({
 
             const sortedDataForScatter = [...processedData].sort((a, b) => b.dieSizeMM2 - a.dieSizeMM2);
 
+            // Refresh SKUs sit just right of their generation as hollow points
+            const refreshOffsetX = 12;
+            const dotX = d => xScale(seriesPositionMapping[d.series] || d.series) + (d.isRefresh ? refreshOffsetX : 0);
+            // Estimated inputs: hollow with a dotted outline, and a bar over the price/mm² range when the die size has one
+            const isEstimated = d => d.estimatedValues.length > 0;
+            const dotFill = d => d.isRefresh || isEstimated(d) ? 'transparent' : colorScale(d.series);
+            const dotStroke = d => d.imported ? chartColors.imported : (d.isRefresh || isEstimated(d) ? colorScale(d.series) : '#fff');
+            const dotStrokeWidth = d => d.imported || d.isRefresh || isEstimated(d) ? 1.5 : 0.5;
+            const dotDash = d => d.imported ? '2,1' : (isEstimated(d) ? estimateDash : null);
+
+            chartGroup.selectAll(".die-area-estimate-range")
+                .data(processedData.filter(d => d.displayPricePerMM2Range && activeGenerations[d.series] !== false), d => d.model)
+                .join("line")
+                .attr("class", "die-area-estimate-range")
+                .attr("x1", dotX).attr("x2", dotX)
+                .attr("y1", d => yScale(d.displayPricePerMM2Range.min))
+                .attr("y2", d => yScale(d.displayPricePerMM2Range.max))
+                .attr("stroke", d => colorScale(d.series))
+                .attr("stroke-width", 1.5)
+                .attr("stroke-dasharray", estimateDash)
+                .attr("opacity", 0.8)
+                .style("pointer-events", "none");
+
             chartGroup.selectAll(".die-area-dot")
                  .data(sortedDataForScatter.filter(d => activeGenerations[d.series] !== false), d => d.model) // Filter scatter points by active generation
                  .join(
                      enter => enter.append('circle')
                          .attr('class', d => `die-area-dot dot-${(seriesPositionMapping[d.series] || d.series).replace(/[^a-zA-Z0-9-_]/g, '-')}`)
-                         .attr('cx', d => xScale(seriesPositionMapping[d.series] || d.series))
+                         .attr('cx', dotX)
                          .attr('cy', d => yScale(d.displayPricePerMM2)) // Use primary scale
-                         .attr('fill', d => colorScale(d.series))
-                         .attr('stroke', '#fff').attr('stroke-width', 0.5)
+                         .attr('fill', dotFill)
+                         // Dashed outline marks user-imported GPUs
+                         .attr('stroke', dotStroke)
+                         .attr('stroke-width', dotStrokeWidth)
+                         .attr('stroke-dasharray', dotDash)
                          .attr('r', 0)
                          .call(enter => enter.transition().duration(500).attr('r', d => radiusScale(d.dieSizeMM2))),
                      update => update
                          .attr('class', d => `die-area-dot dot-${(seriesPositionMapping[d.series] || d.series).replace(/[^a-zA-Z0-9-_]/g, '-')}`)
                          .transition().duration(500)
-                         .attr('cx', d => xScale(seriesPositionMapping[d.series] || d.series))
+                         .attr('cx', dotX)
                          .attr('cy', d => yScale(d.displayPricePerMM2)) // Use primary scale
-                         .attr('fill', d => colorScale(d.series))
+                         .attr('fill', dotFill)
+                         .attr('stroke', dotStroke)
+                         .attr('stroke-width', dotStrokeWidth)
+                         .attr('stroke-dasharray', dotDash)
                          .attr('r', d => radiusScale(d.dieSizeMM2))
                          .attr('opacity', 0.85), // Set opacity on update too
                      exit => exit.transition().duration(500).attr('r', 0).attr('opacity', 0).remove()
@@ -768,26 +1008,49 @@ function DieAreaPlot({
                       let nominalValueString = '';
                       if (d.adjustmentType !== 'Nominal') {
                           const nominalPrice = useEffectiveDieSize ? d.rawEffectivePricePerMM2 : d.rawPricePerMM2;
-                          nominalValueString = ` <span style="color: #aaa;">($${nominalPrice.toFixed(2)} nominal)</span>`;
+                          nominalValueString = ` <span style="color: #aaa;">(${formatMoney(nominalPrice, currency, 2)} nominal)</span>`;
                       }
+                      // Regional MSRPs are not covered by the USD MSRP's citation
+                      const priceNote = describeLaunchPrice({ basis: d.priceBasis, price: d.originalMsrp, usdPrice: d.usdMsrp, fxRate: d.fxRate, fxPeriod: d.fxPeriod }, currency);
+                      const msrpCitation = d.priceBasis === 'regional' ? '' : citationMarker(citationIndex, 'gpuData', d.model, 'msrp');
+                      const refreshNote = d.isRefresh ? '<br><em>Mid-cycle refresh</em>' : '';
+                      // Non-core utilization bases, or the fallback to cores when a card lacks the requested one
+                      const basisInfo = dieUtilizationBases[d.utilizationBasis];
+                      const utilizationNote = d.utilizationBasis !== 'cores'
+                          ? `<strong>Enabled ${basisInfo.label}:</strong> ${d.pricedVariant?.[basisInfo.gpuField] ?? d[basisInfo.gpuField]} / ${getBoardDie(d, gpuDieData)[basisInfo.dieField]} (${(d.dieUtilizationRatio * 100).toFixed(1)}%)<br>`
+                          : (utilizationBasis !== 'cores' ? `<span style="color: #aaa;">No ${dieUtilizationBases[utilizationBasis].label.toLowerCase()} data; disabled die uses cores</span><br>` : '');
+                      const flagshipGap = describeFlagshipGap(d, gpuData);
+                      // List every memory variant, marking the one that priced this point
+                      const priceRange = d.displayPricePerMM2Range
+                          ? ` <span style="color: #aaa;">(${formatMoney(d.displayPricePerMM2Range.min, currency, 2)}–${formatMoney(d.displayPricePerMM2Range.max, currency, 2)})</span>`
+                          : '';
+                      const variantList = hasVariants(d)
+                          ? `<br><strong>Variants:</strong><br>${getVariants(d).map(v => `&nbsp;&nbsp;${formatVariant(v)}${v === d.pricedVariant ? ' ◀' : ''}`).join('<br>')}`
+                          : '';
                       d3.select(`.${tooltipContainerClass}`).html(
                          `<div class="tooltip-title" style="color: ${colorScale(d.series)};">${d.model}</div>
                           <div class="tooltip-info">
                               <strong>Series:</strong> ${d.series} (${d.generation})<br>
-                              <strong>MSRP:</strong> ${d.originalMsrp ? `$${d.originalMsrp.toLocaleString()}` : 'N/A'}
-                              ${d.adjustmentType !== 'Nominal' ? `<br><strong>Adj. MSRP (${d.adjustmentType}):</strong> $${d.adjustedMsrp.toFixed(0)}` : ''}<br>
-                              <strong>Die Size:</strong> ${d.dieSizeMM2 ? `${d.dieSizeMM2.toLocaleString()} mm²` : 'N/A'}<br>
-                              <strong>CUDA:</strong> ${d.cudaCores ? d.cudaCores.toLocaleString() : 'N/A'} / ${d.fullCudaCores ? d.fullCudaCores.toLocaleString() : 'N/A'} (${d.dieUtilizationRatio != null ? `${(d.dieUtilizationRatio * 100).toFixed(1)}%` : 'N/A'})<br>
-                              <strong>${useEffectiveDieSize ? 'Cut' : 'Full'} Price/mm²:</strong> ${d.displayPricePerMM2 != null && isFinite(d.displayPricePerMM2) ? `$${d.displayPricePerMM2.toFixed(2)}` : 'N/A'}${nominalValueString}<br>
-                              <span style="color: #ccc; font-size: 0.9em;">(${d.adjustmentType})</span><br>
-                              <strong>Die:</strong> ${d.dieName || 'N/A'} (${d.manufacturingNode || 'N/A'}nm)<br>
-                              <strong>Year:</strong> ${d.releaseYear || 'N/A'}
+                              <strong>MSRP:</strong> ${d.originalMsrp ? formatMoney(d.originalMsrp, currency) : 'N/A'}${msrpCitation}${priceNote ? ` <span style="color: #aaa;">(${priceNote})</span>` : ''}${hasVariants(d) ? ` <span style="color: #aaa;">(${d.pricedVariant.vram} GB)</span>` : ''}${variantList}
+                              ${d.adjustmentType !== 'Nominal' ? `<br><strong>Adj. MSRP (${d.adjustmentType}):</strong> ${formatMoney(d.adjustedMsrp, currency)}` : ''}<br>
+                              <strong>Die Size:</strong> ${d.dieSizeMM2 ? `${d.dieSizeMM2.toLocaleString()} mm²` : 'N/A'}${citationMarker(citationIndex, 'gpuDieData', d.dieName, 'dieSizeMM2')}<br>
+                              <strong>${vendorCoreLabels[getVendor(d)]}:</strong> ${d.cudaCores ? d.cudaCores.toLocaleString() : 'N/A'}${citationMarker(citationIndex, 'gpuData', d.model, 'cudaCores')} / ${d.fullCudaCores ? d.fullCudaCores.toLocaleString() : 'N/A'}${citationMarker(citationIndex, 'gpuDieData', d.dieName, 'fullCudaCores')} (${d.dieUtilizationRatio != null && d.utilizationBasis === 'cores' ? `${(d.dieUtilizationRatio * 100).toFixed(1)}%` : 'N/A'})<br>
+                              ${utilizationNote}
+                              <strong>${useEffectiveDieSize ? 'Cut' : 'Full'} Price/mm²:</strong> ${d.displayPricePerMM2 != null && isFinite(d.displayPricePerMM2) ? formatMoney(d.displayPricePerMM2, currency, 2) : 'N/A'}${priceRange}${nominalValueString}<br>
+                              <span style="color: #ccc; font-size: 0.9em;">(${d.adjustmentType}${d.adjustmentType !== 'Nominal' ? `, ${d.adjustmentPeriod} data` : ''})</span><br>
+                              <strong>Die:</strong> ${d.dieCount > 1 ? `${d.dieCount}x ${d.dieName}` : (d.dieName || 'N/A')} (${d.foundry} ${d.manufacturingNode || 'N/A'}nm)<br>
+                              ${d.adjustedDieCost != null ? `<strong>Est. Die Cost:</strong> ${formatMoney(d.adjustedDieCost, currency)} ${d.dieCount > 1 ? `for ${d.dieCount} good dies` : 'per good die'} <span style="color: #aaa;">(${d.dieCost.grossDies} gross/wafer, ${(d.dieCost.dieYield * 100).toFixed(0)}% ${yieldModels[d.dieCost.yieldModel].label} yield)</span><br>` : ''}
+                              ${d.grossMargin != null ? `<strong>Est. Gross Margin:</strong> ${(d.grossMargin * 100).toFixed(1)}% <span style="color: #aaa;">(BOM $${Math.round(d.bom.total).toLocaleString()} vs. $${d.usdMsrp.toLocaleString()} MSRP)</span><br>` : ''}
+                              <strong>Released:</strong> ${formatReleaseDate(d)}${flagshipGap ? ` <span style="color: #aaa;">(${flagshipGap})</span>` : ''}${refreshNote}
+                              ${describeMultiDie(d) ? `<br><span style="color: #aaa;">${describeMultiDie(d)}</span>` : ''}
+                              ${isEstimated(d) ? `<br><span style="color: #aaa;">${describeEstimates(d.estimatedValues)}</span>` : ''}
+                              ${d.imported ? `<br><em style="color: ${chartColors.imported};">Imported GPU</em>` : ''}
                           </div>`);
                       d3.select(this).attr('stroke-width', 2).attr('opacity', 1);
                  })
                  .on('mouseout', function(event, d) {
                       d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden');
-                      d3.select(this).attr('stroke-width', 0.5).attr('opacity', 0.85);
+                      d3.select(this).attr('stroke-width', dotStrokeWidth(d)).attr('opacity', 0.85);
                  });
 
         } else { // No processed data
@@ -805,13 +1068,18 @@ function DieAreaPlot({
         };
 
     }, [ // Update dependencies
-        gpuData, gpuDieData, dieAreaSvgRef, activeGenerations,
-        useEffectiveDieSize, useCpiAdjustment, useRealWageScaling, showWaferPriceArea, // Updated state variable dependency
+        gpuData, citationIndex, gpuDieData, inflationData, medianRealWageData, waferPrices, memoryPrices, bomAssumptions, dieAreaSvgRef,
+        activeGenerations, regionalCpiData, regionalWageData, fxRates, currency, useLaunchFx, baseYear, yieldModel, defectDensityScale,
+        useEffectiveDieSize, useCpiAdjustment, useRealWageScaling, showWaferPriceArea, waferOverlayMode, showRefreshSkus, variantPrice, // Updated state variable dependency
+        effectiveDieFixedShare, utilizationBasis, getTierFromModel, hideEstimates, // Hiding estimates recomputes the points, violins and scales
         setActiveGenerations, setShowAllDieGenerations
     ]);
 
     return (
-        <svg ref={dieAreaSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+        <div>
+            <svg ref={dieAreaSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+            <EffectiveDieSensitivity sensitivity={sensitivity} fixedShare={effectiveDieFixedShare} currency={currency} />
+        </div>
     );
 }
 
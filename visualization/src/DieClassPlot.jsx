@@ -0,0 +1,209 @@
+// DieClassPlot.jsx
+import React, { useEffect, useState } from 'react';
+import * as d3 from 'd3';
+import { chartColors, estimateDash } from './utils/chartConfig';
+import { computeDieClassRows, dieClasses, dieUtilizationBases } from './utils/analytics';
+import { describeMultiDie } from './utils/multiDie';
+import { describeEstimates } from './utils/citations';
+// App.css is imported in App.jsx and applies globally
+
+// Tiers drawn until the legend changes them: the classes the shrinkflation debate is about
+const defaultTiers = { "80": true, "70": true, "60": true };
+
+function DieClassPlot({
+    dieClassSvgRef,
+    gpuData,
+    gpuDieData,
+    utilizationBasis, // Die utilization basis selected for the die area chart
+    columnOrder,
+    activeGenerations,
+    hideEstimates // Leave out cards with an estimated die size or utilization field
+}) {
+    // Tiers with a line on the chart
+    const [selectedTiers, setSelectedTiers] = useState(defaultTiers);
+
+    useEffect(() => {
+        if (!gpuData || !gpuDieData || !columnOrder || !dieClassSvgRef.current) {
+            console.warn("DieClassPlot: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const svg = d3.select(dieClassSvgRef.current);
+        svg.selectAll("*").remove(); // Clear previous renders
+
+        // --- Chart Dimensions and Margins ---
+        const margin = { top: 50, right: 200, bottom: 60, left: 110 };
+        const containerWidth = 1100;
+        const containerHeight = 520;
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
+
+        svg.attr('width', containerWidth)
+           .attr('height', containerHeight);
+
+        svg.append("rect")
+            .attr("x", margin.left - 10).attr("y", margin.top - 10)
+            .attr("width", width + 20).attr("height", height + 20)
+            .attr("rx", 15).attr("ry", 15)
+            .attr("fill", "transparent")
+            .attr("class", "chart-background");
+
+        const chartGroup = svg.append("g")
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+
+        // --- Tooltip Setup ---
+        const tooltipContainerClass = 'die-class-tooltip-container';
+        if (!d3.select('body').select(`.${tooltipContainerClass}`).size()) {
+            d3.select('body')
+                .append('div')
+                .attr('class', tooltipContainerClass)
+                .style('position', 'absolute')
+                .style('visibility', 'hidden')
+                .style('background-color', 'rgba(25, 25, 30, 0.92)')
+                .style('color', '#fff')
+                .style('border-radius', '10px')
+                .style('padding', '12px')
+                .style('pointer-events', 'none')
+                .style('box-shadow', '0 4px 15px rgba(0, 0, 0, 0.5)')
+                .style('z-index', '10')
+                .style('max-width', '260px')
+                .style('font-size', '12px');
+        } else {
+            d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden');
+        }
+        const tooltip = d3.select(`.${tooltipContainerClass}`);
+
+        // --- Data Processing ---
+        const rows = computeDieClassRows({ gpuData, gpuDieData }, { tiers: columnOrder, utilizationBasis, hideEstimates });
+        // A combined series stays visible while either of its generations is
+        const isActive = (series) => series.split('/').some(s => activeGenerations?.[s] !== false);
+        const seriesColumns = Array.from(new Set(rows.map(d => d.displaySeries))).filter(isActive);
+        const tiersShown = columnOrder.filter(tier => selectedTiers[tier]);
+        const visibleRows = rows.filter(d => seriesColumns.includes(d.displaySeries) && selectedTiers[d.tier]);
+        const tierColor = d3.scaleOrdinal(d3.schemePaired).domain(columnOrder);
+        const dieLabel = d => (d.dieCount > 1 ? `${d.dieCount}x ${d.dieName}` : d.dieName);
+
+        // --- Scales ---
+        // One column per series; the selected tiers sit side by side inside it so cards on the same die stay apart
+        const xSeries = d3.scaleBand().domain(seriesColumns).range([0, width]).padding(0.1);
+        const xTier = d3.scalePoint().domain(tiersShown).range([0, xSeries.bandwidth()]).padding(0.5);
+        const yTrack = d3.scalePoint().domain(dieClasses.map(c => c.key)).range([0, height]).padding(0.5);
+        // A full die sits on its class's track; the disabled share pulls the point towards the next track
+        const trackDrop = yTrack.step() * 0.8;
+        const x = d => xSeries(d.displaySeries) + xTier(d.tier);
+        const y = d => yTrack(d.dieClass) + (1 - d.dieUtilizationRatio) * trackDrop;
+
+        // --- Axes and Tracks ---
+        chartGroup.append("g").attr("class", "x-axis").attr("transform", `translate(0,${height})`)
+            .call(d3.axisBottom(xSeries));
+        chartGroup.append("g").attr("class", "y-axis")
+            .call(d3.axisLeft(yTrack).tickFormat(key => dieClasses.find(c => c.key === key).label));
+        chartGroup.select(".y-axis .domain").remove();
+        chartGroup.selectAll(".die-class-track")
+            .data(dieClasses)
+            .enter().append("line")
+            .attr("class", "die-class-track")
+            .attr("x1", 0).attr("x2", width)
+            .attr("y1", d => yTrack(d.key)).attr("y2", d => yTrack(d.key))
+            .attr("stroke", "#e0e0e0").attr("stroke-opacity", 0.35).attr("stroke-dasharray", "6,4");
+        chartGroup.append("text").attr("class", "x-axis-label").attr("text-anchor", "middle")
+            .attr("x", width / 2).attr("y", height + 45).attr("fill", chartColors.text).style("font-size", "12px")
+            .text("GPU Series");
+        chartGroup.append("text").attr("class", "y-axis-label").attr("text-anchor", "middle")
+            .attr("transform", "rotate(-90)").attr("x", -height / 2).attr("y", -85)
+            .attr("fill", chartColors.text).style("font-size", "12px")
+            .text("Die Class (largest at the top)");
+
+        if (visibleRows.length === 0) {
+            chartGroup.append("text").attr("x", width / 2).attr("y", height / 2)
+                .attr("text-anchor", "middle").attr("fill", chartColors.text).style("font-size", "14px")
+                .text("No tiers or generations selected.");
+        }
+
+        // --- Tier Lines ---
+        const line = d3.line().x(x).y(y);
+        d3.groups(visibleRows, d => d.tier).forEach(([tier, cards]) => {
+            if (cards.length < 2) return;
+            chartGroup.append("path")
+                .datum(cards)
+                .attr("class", "die-class-line")
+                .attr("fill", "none")
+                .attr("stroke", tierColor(tier))
+                .attr("stroke-width", 2)
+                .attr("stroke-opacity", 0.8)
+                .attr("d", line);
+        });
+
+        // --- Points and Die Labels ---
+        const points = chartGroup.selectAll(".die-class-point-group")
+            .data(visibleRows)
+            .enter().append("g")
+            .attr("class", "die-class-point-group")
+            .attr("transform", d => `translate(${x(d)},${y(d)})`);
+        points.append("circle")
+            .attr("class", "die-class-point")
+            .attr("r", 5)
+            // Estimates are hollow with a dotted outline
+            .attr("fill", d => (d.estimatedValues.length ? "transparent" : tierColor(d.tier)))
+            .attr("stroke", d => (d.estimatedValues.length ? tierColor(d.tier) : (d.imported ? chartColors.imported : "#fff")))
+            .attr("stroke-width", d => (d.estimatedValues.length ? 2 : 1))
+            .attr("stroke-dasharray", d => (d.imported ? "2,1" : (d.estimatedValues.length ? estimateDash : null)))
+            .on("mouseover", function (event, d) {
+                tooltip
+                    .style('visibility', 'visible').style('left', `${event.pageX + 15}px`).style('top', `${event.pageY - 10}px`)
+                    .html(`<div class="tooltip-title" style="color: ${tierColor(d.tier)};">${d.model}</div>
+                           <div class="tooltip-info">
+                               <strong>Series:</strong> ${d.series} (${d.generation})<br>
+                               <strong>Die:</strong> ${dieLabel(d)} <span style="color: #aaa;">(${dieClasses.find(c => c.key === d.dieClass).label} class, ${d.dieSizeMM2} mm²)</span><br>
+                               <strong>Enabled:</strong> ${(d.dieUtilizationRatio * 100).toFixed(1)}% of the die
+                               <span style="color: #aaa;">(by ${dieUtilizationBases[d.utilizationBasis].label.toLowerCase()})</span>
+                               ${describeMultiDie(d) ? `<br><span style="color: #aaa;">${describeMultiDie(d)}</span>` : ''}
+                               ${d.estimatedValues.length ? `<br><span style="color: #aaa;">${describeEstimates(d.estimatedValues)}</span>` : ''}
+                           </div>`);
+                d3.select(this).attr("r", 7);
+            })
+            .on("mouseout", function () {
+                tooltip.style('visibility', 'hidden');
+                d3.select(this).attr("r", 5);
+            });
+        points.append("text")
+            .attr("class", "die-class-label")
+            .attr("x", 0).attr("y", -9)
+            .attr("text-anchor", "middle").attr("fill", "#ddd").style("font-size", "9px").style("pointer-events", "none")
+            .text(dieLabel);
+
+        // --- Legend (tier toggles) ---
+        const legend = chartGroup.append("g").attr("class", "die-class-legend").attr("transform", `translate(${width + 40}, 0)`);
+        legend.append("text").attr("x", 50).attr("y", -20).attr("font-size", "14px").attr("font-weight", "bold").attr("fill", "#ddd").attr("text-anchor", "middle").text("GPU Class");
+        const toggleTier = (event, tier) => setSelectedTiers(prev => ({ ...prev, [tier]: !prev[tier] }));
+        const legendItems = legend.selectAll(".legend-item").data(columnOrder).enter().append("g")
+            .attr("class", "legend-item").attr("transform", (d, i) => `translate(0, ${i * 25})`);
+        legendItems.append("rect").attr("x", 0).attr("y", 0).attr("width", 15).attr("height", 15)
+            .attr("fill", tier => (selectedTiers[tier] ? tierColor(tier) : "#555"))
+            .attr("stroke", "#ddd").attr("stroke-width", 1).attr("rx", 3).attr("ry", 3).attr("cursor", "pointer")
+            .attr("opacity", tier => (selectedTiers[tier] ? 1 : 0.5))
+            .on("click", toggleTier);
+        legendItems.append("text").attr("x", 20).attr("y", 12).text(tier => `xx${tier}`)
+            .style("font-size", "12px").style("font-weight", "bold")
+            .attr("fill", tier => (selectedTiers[tier] ? "#ddd" : "#777"))
+            .attr("cursor", "pointer")
+            .on("click", toggleTier);
+
+        // Legend Notes
+        const notesY = columnOrder.length * 25 + 20;
+        ["* Below a track: share of the die disabled", "* NVIDIA only; die classes follow", "  NVIDIA's die numbering"]
+            .forEach((note, i) => {
+                legend.append("text").attr("x", 0).attr("y", notesY + i * 16).attr("fill", "#aaa").style("font-size", "11px").text(note);
+            });
+
+        return () => {
+            d3.select(`.${tooltipContainerClass}`).remove();
+        };
+    }, [gpuData, gpuDieData, utilizationBasis, columnOrder, activeGenerations, hideEstimates, selectedTiers, dieClassSvgRef]);
+
+    return (
+        <svg ref={dieClassSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+    );
+}
+
+export default DieClassPlot;
@@ -0,0 +1,129 @@
+// EffectiveDieSensitivity.jsx
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { chartColors } from './utils/chartConfig';
+import { formatMoney } from './utils/currency';
+// Small multiples drawn under the die area chart; DieAreaPlot computes the data (see computeEffectiveDieSensitivity)
+
+function EffectiveDieSensitivity({
+    sensitivity, // From computeEffectiveDieSensitivity, one entry per display series
+    fixedShare, // Current fixed share, marked in every cell
+    currency = 'USD'
+}) {
+    const svgRef = useRef();
+
+    useEffect(() => {
+        if (!svgRef.current || !sensitivity) return;
+
+        const svg = d3.select(svgRef.current);
+        svg.selectAll("*").remove(); // Clear previous renders
+
+        const margin = { top: 36, right: 250, bottom: 30, left: 90 };
+        const width = 900 - margin.left - margin.right;
+        const height = 126 - margin.top - margin.bottom;
+        svg.attr('width', width + margin.left + margin.right)
+           .attr('height', height + margin.top + margin.bottom);
+
+        const chartGroup = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+        chartGroup.append("text").attr("class", "sensitivity-title")
+            .attr("x", 0).attr("y", -20).attr("fill", chartColors.text).style("font-size", "12px")
+            .text("Median disabled-die price/mm² as the fixed share goes from 0% to 60%");
+
+        if (sensitivity.length === 0) return;
+
+        // --- Tooltip Setup ---
+        const tooltipContainerClass = 'sensitivity-tooltip-container';
+        if (!d3.select('body').select(`.${tooltipContainerClass}`).size()) {
+            d3.select('body')
+                .append('div')
+                .attr('class', tooltipContainerClass)
+                .style('position', 'absolute')
+                .style('visibility', 'hidden')
+                .style('background-color', 'rgba(25, 25, 30, 0.92)')
+                .style('color', '#fff')
+                .style('border-radius', '10px')
+                .style('padding', '10px')
+                .style('pointer-events', 'none')
+                .style('z-index', '10')
+                .style('font-size', '12px');
+        }
+        const tooltip = d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden');
+
+        // --- Scales (one y scale for every cell, so slopes compare) ---
+        const cellScale = d3.scaleBand().domain(sensitivity.map(d => d.series)).range([0, width]).paddingInner(0.2);
+        const shareScale = d3.scaleLinear()
+            .domain(d3.extent(sensitivity[0].points, p => p.fixedShare))
+            .range([0, cellScale.bandwidth()]);
+        const yScale = d3.scaleLinear()
+            .domain([0, d3.max(sensitivity, d => d3.max(d.points, p => p.medianPricePerMM2))]).nice()
+            .range([height, 0]);
+        const line = d3.line().x(p => shareScale(p.fixedShare)).y(p => yScale(p.medianPricePerMM2));
+
+        // Median at the current share, between the evaluated points
+        const valueAt = (points, share) => {
+            const upper = points.findIndex(p => p.fixedShare >= share);
+            if (upper <= 0) return points[Math.max(upper, 0)].medianPricePerMM2;
+            const [a, b] = [points[upper - 1], points[upper]];
+            return a.medianPricePerMM2 + (b.medianPricePerMM2 - a.medianPricePerMM2) * (share - a.fixedShare) / (b.fixedShare - a.fixedShare);
+        };
+
+        const cells = chartGroup.selectAll(".sensitivity-cell")
+            .data(sensitivity)
+            .enter().append("g")
+            .attr("class", "sensitivity-cell")
+            .attr("transform", d => `translate(${cellScale(d.series)},0)`);
+
+        cells.append("rect")
+            .attr("width", cellScale.bandwidth()).attr("height", height)
+            .attr("fill", "rgba(255, 255, 255, 0.04)").attr("rx", 3)
+            .on("mouseover", (event, d) => {
+                tooltip.style('visibility', 'visible').style('left', `${event.pageX + 15}px`).style('top', `${event.pageY - 10}px`)
+                    .html(`<div class="tooltip-title">${d.series}</div>
+                           <div class="tooltip-info">${d.points.map(p =>
+                               `${(p.fixedShare * 100).toFixed(0)}% fixed: ${formatMoney(p.medianPricePerMM2, currency, 2)}/mm²`).join('<br>')}</div>`);
+            })
+            .on("mouseout", () => tooltip.style('visibility', 'hidden'));
+
+        cells.append("path")
+            .attr("class", "sensitivity-line")
+            .attr("d", d => line(d.points))
+            .attr("fill", "none").attr("stroke", chartColors.accent).attr("stroke-width", 1.5)
+            .style("pointer-events", "none");
+
+        cells.append("circle")
+            .attr("class", "sensitivity-current")
+            .attr("cx", shareScale(fixedShare))
+            .attr("cy", d => yScale(valueAt(d.points, fixedShare)))
+            .attr("r", 3).attr("fill", "#fff")
+            .style("pointer-events", "none");
+
+        // Series label below, change from the lowest to the highest share above
+        cells.append("text")
+            .attr("x", cellScale.bandwidth() / 2).attr("y", height + 14)
+            .attr("text-anchor", "middle").attr("fill", chartColors.text).style("font-size", "10px")
+            .text(d => d.series);
+        cells.append("text")
+            .attr("class", "sensitivity-change")
+            .attr("x", cellScale.bandwidth() / 2).attr("y", -2)
+            .attr("text-anchor", "middle").attr("fill", chartColors.textMuted).style("font-size", "9px")
+            .text(d => {
+                const first = d.points[0].medianPricePerMM2;
+                const last = d.points[d.points.length - 1].medianPricePerMM2;
+                return `${last >= first ? '+' : ''}${((last / first - 1) * 100).toFixed(0)}%`;
+            });
+
+        chartGroup.append("g").attr("class", "y-axis")
+            .call(d3.axisLeft(yScale).ticks(2).tickFormat(v => formatMoney(v, currency, 2)))
+            .selectAll("text").style("font-size", "10px");
+
+        return () => {
+            d3.select(`.${tooltipContainerClass}`).remove();
+        };
+    }, [sensitivity, fixedShare, currency]);
+
+    return (
+        <svg ref={svgRef} className="effective-die-sensitivity" style={{ display: 'block', margin: '0 auto' }}></svg>
+    );
+}
+
+export default EffectiveDieSensitivity;
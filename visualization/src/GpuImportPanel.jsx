@@ -0,0 +1,137 @@
+// GpuImportPanel.jsx
+import React, { useMemo, useState } from 'react';
+import { parseGpuFile, normalizeImportedRow, validateImportedRows, checkImportedSeries, importFields } from './utils/gpuImport';
+import { chartColors } from './utils/chartConfig';
+// App.css is imported in App.jsx and applies globally
+// importedGpus / setImportedGpus are owned by App (which persists them)
+
+function GpuImportPanel({
+    datasets,
+    importedGpus,
+    setImportedGpus
+}) {
+    const [isDragging, setIsDragging] = useState(false);
+    // Result of the last import: { fileName, added, rejected, warnings } or { fileName, error }
+    const [lastImport, setLastImport] = useState(null);
+    // Imported series left without a flagship (e.g. after removing it) stay listed, but the
+    // flagship-relative charts leave them out
+    const seriesWarnings = useMemo(() => checkImportedSeries(importedGpus, datasets).warnings, [importedGpus, datasets]);
+
+    const importFile = async (file) => {
+        if (!file) return;
+        try {
+            const rows = parseGpuFile(await file.text(), file.name).map(normalizeImportedRow);
+            const { accepted, rejected, warnings } = validateImportedRows(rows, {
+                ...datasets,
+                gpuData: [...datasets.gpuData, ...importedGpus]
+            });
+            if (accepted.length > 0) {
+                setImportedGpus(prev => [...prev, ...accepted]);
+            }
+            setLastImport({ fileName: file.name, added: accepted.length, rejected, warnings });
+        } catch (error) {
+            setLastImport({ fileName: file.name, error: error.message });
+        }
+    };
+
+    const handleDrop = (event) => {
+        event.preventDefault();
+        setIsDragging(false);
+        importFile(event.dataTransfer?.files?.[0]);
+    };
+
+    const removeGpu = (model) => {
+        setImportedGpus(prev => prev.filter(gpu => gpu.model !== model));
+    };
+
+    return (
+        <div className="gpu-import-panel">
+            <div
+                className={`gpu-import-dropzone${isDragging ? ' dragging' : ''}`}
+                onDragOver={(event) => { event.preventDefault(); setIsDragging(true); }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+            >
+                <p style={{ margin: '0 0 8px' }}>Drop a CSV or JSON file here, or</p>
+                <label className="gpu-import-browse">
+                    Choose file
+                    <input
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        aria-label="Import GPU data file"
+                        style={{ display: 'none' }}
+                        onChange={(event) => {
+                            importFile(event.target.files?.[0]);
+                            event.target.value = ''; // Allow re-importing the same file
+                        }}
+                    />
+                </label>
+                <p style={{ margin: '8px 0 0', fontSize: '0.8em', color: chartColors.textMuted }}>
+                    Columns: {importFields.join(', ')}
+                </p>
+            </div>
+
+            {lastImport && (
+                <div className="gpu-import-result" role="status">
+                    {lastImport.error ? (
+                        <p className="gpu-import-error">Could not import {lastImport.fileName}: {lastImport.error}</p>
+                    ) : (
+                        <>
+                            <p>Imported {lastImport.added} GPU(s) from {lastImport.fileName}{lastImport.rejected.length > 0 ? `, rejected ${lastImport.rejected.length}` : ''}.</p>
+                            {lastImport.rejected.length > 0 && (
+                                <ul className="gpu-import-error">
+                                    {lastImport.rejected.map(({ row, index, errors }) => (
+                                        <li key={index}>Row {index + 1} ({row.model || 'no model'}): {errors.join('; ')}</li>
+                                    ))}
+                                </ul>
+                            )}
+                            {lastImport.warnings.length > 0 && (
+                                <ul className="gpu-import-warning">
+                                    {lastImport.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                                </ul>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+
+            {importedGpus.length > 0 && (
+                <table className="gpu-import-table">
+                    <thead>
+                        <tr>
+                            <th>Model</th><th>Series</th><th>CUDA</th><th>VRAM</th><th>Year</th><th>MSRP</th><th>Die</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {importedGpus.map(gpu => (
+                            <tr key={gpu.model}>
+                                <td><span className="imported-marker" style={{ borderColor: chartColors.imported }}></span>{gpu.model}</td>
+                                <td>{gpu.series}</td>
+                                <td>{gpu.cudaCores?.toLocaleString()}</td>
+                                <td>{gpu.vram} GB</td>
+                                <td>{gpu.releaseYear}</td>
+                                <td>{gpu.msrp != null ? `$${gpu.msrp}` : 'N/A'}</td>
+                                <td>{gpu.dieName}</td>
+                                <td>
+                                    <button onClick={() => removeGpu(gpu.model)} aria-label={`Remove ${gpu.model}`}>Remove</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {seriesWarnings.length > 0 && (
+                <ul className="gpu-import-warning gpu-import-series-warning">
+                    {seriesWarnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+            )}
+            {importedGpus.length > 0 && (
+                <button onClick={() => setImportedGpus([])} style={{ marginTop: '10px' }}>
+                    Remove all imported GPUs
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default GpuImportPanel;
@@ -0,0 +1,230 @@
+// MarginPlot.jsx
+import React, { useEffect, useState } from 'react';
+import * as d3 from 'd3';
+import { chartColors, vendorLineDash, estimateDash } from './utils/chartConfig';
+import { getVendor, getBaseTier } from './utils/tierUtils';
+import { computeDieAreaRows } from './utils/analytics';
+import { describeMultiDie } from './utils/multiDie';
+import { describeEstimates } from './utils/citations';
+import { yieldModels } from './utils/dieCost';
+// App.css is imported in App.jsx and applies globally
+// Datasets, the die cost model and the BOM assumptions are passed as props (App owns them)
+
+// 1600 and 2000 share a column, as in the other charts
+const getDisplaySeries = (series) => (series === "1600" || series === "2000" ? "1600/2000" : series);
+
+const formatUsd = (value) => `$${Math.round(value).toLocaleString()}`;
+
+function MarginPlot({
+    marginSvgRef,
+    gpuData,
+    gpuDieData,
+    inflationData,
+    medianRealWageData,
+    waferPrices,
+    memoryPrices,
+    columnOrder,
+    getTierFromModel,
+    activeGenerations,
+    yieldModel,
+    defectDensityScale,
+    bomAssumptions,
+    hideEstimates // Leave out cards with an estimated MSRP, die size or utilization field
+}) {
+    // Tiers switched off in the legend
+    const [hiddenTiers, setHiddenTiers] = useState({});
+
+    useEffect(() => {
+        if (!gpuData || !gpuDieData || !waferPrices || !memoryPrices || !columnOrder || !getTierFromModel || !marginSvgRef.current) {
+            console.warn("MarginPlot: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const svg = d3.select(marginSvgRef.current);
+        svg.selectAll("*").remove(); // Clear previous renders
+
+        // --- Chart Dimensions and Margins ---
+        const margin = { top: 40, right: 250, bottom: 60, left: 90 };
+        const width = 900 - margin.left - margin.right;
+        const height = 450 - margin.top - margin.bottom;
+
+        svg.attr('width', width + margin.left + margin.right)
+           .attr('height', height + margin.top + margin.bottom);
+
+        svg.append("rect")
+            .attr("x", margin.left - 10).attr("y", margin.top - 10)
+            .attr("width", width + 20).attr("height", height + 20)
+            .attr("rx", 15).attr("ry", 15)
+            .attr("fill", "transparent")
+            .attr("class", "chart-background");
+
+        const chartGroup = svg.append("g")
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+
+        // --- Tooltip Setup ---
+        const tooltipContainerClass = 'margin-tooltip-container';
+        if (!d3.select('body').select(`.${tooltipContainerClass}`).size()) {
+            d3.select('body')
+                .append('div')
+                .attr('class', tooltipContainerClass)
+                .style('position', 'absolute')
+                .style('visibility', 'hidden')
+                .style('background-color', 'rgba(25, 25, 30, 0.92)')
+                .style('color', '#fff')
+                .style('border-radius', '10px')
+                .style('padding', '12px')
+                .style('pointer-events', 'none')
+                .style('box-shadow', '0 4px 15px rgba(0, 0, 0, 0.5)')
+                .style('z-index', '10')
+                .style('max-width', '260px')
+                .style('font-size', '12px');
+        } else {
+            d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden');
+        }
+
+        // --- Data Processing ---
+        // Margins are in nominal launch-year USD, so no CPI/wage adjustment is needed
+        const visibleGpus = gpuData.filter(gpu => !activeGenerations || activeGenerations[gpu.series] !== false);
+        const rows = computeDieAreaRows(
+            { gpuData: visibleGpus, gpuDieData, inflationData, medianRealWageData, waferPrices, memoryPrices },
+            { yieldModel, defectDensityScale, bomAssumptions, hideEstimates }
+        )
+            .filter(d => d.grossMargin != null && d.tier)
+            .map(d => ({ ...d, baseTier: getBaseTier(d.tier), displaySeries: getDisplaySeries(d.series), vendor: getVendor(d) }));
+
+        const seriesOrder = Array.from(d3.rollup(rows, cards => d3.min(cards, d => d.releaseYear), d => d.displaySeries))
+            .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+            .map(([series]) => series);
+        const tiersPresent = columnOrder.filter(tier => rows.some(d => d.baseTier === tier));
+        const visibleRows = rows.filter(d => !hiddenTiers[d.baseTier]);
+
+        // --- Scales ---
+        const xScale = d3.scalePoint().domain(seriesOrder.length > 0 ? seriesOrder : ["No Data"]).range([0, width]).padding(0.5);
+        const yMin = Math.min(0, Math.floor(((d3.min(visibleRows, d => d.grossMargin) ?? 0) * 100) / 10) * 10);
+        const yScale = d3.scaleLinear().domain([yMin, 100]).range([height, 0]);
+        // Same tier colors as the VRAM chart
+        const tierColorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(columnOrder);
+
+        // --- Axes ---
+        chartGroup.append("g").attr("class", "x-axis").attr("transform", `translate(0,${height})`).call(d3.axisBottom(xScale));
+        chartGroup.append("g").attr("class", "y-axis").call(d3.axisLeft(yScale).tickFormat(d => `${d}%`));
+        chartGroup.append("g").attr("class", "grid").call(d3.axisLeft(yScale).tickSize(-width).tickFormat(""))
+            .selectAll("line").attr("stroke", "#e0e0e0").attr("stroke-opacity", 0.15);
+        chartGroup.select(".grid .domain").remove();
+        if (yMin < 0) {
+            chartGroup.append("line").attr("class", "zero-line")
+                .attr("x1", 0).attr("x2", width).attr("y1", yScale(0)).attr("y2", yScale(0))
+                .attr("stroke", chartColors.text).attr("stroke-dasharray", "4,4");
+        }
+        chartGroup.append("text").attr("class", "x-axis-label").attr("text-anchor", "middle")
+            .attr("x", width / 2).attr("y", height + 45).attr("fill", chartColors.text).style("font-size", "12px")
+            .text("GPU Generation");
+        chartGroup.append("text").attr("class", "y-axis-label").attr("text-anchor", "middle")
+            .attr("transform", "rotate(-90)").attr("x", -height / 2).attr("y", -55)
+            .attr("fill", chartColors.text).style("font-size", "12px")
+            .text("Est. Gross Margin on MSRP (%)");
+
+        if (rows.length === 0) {
+            chartGroup.append("text").attr("x", width / 2).attr("y", height / 2)
+                .attr("text-anchor", "middle").attr("fill", chartColors.text).style("font-size", "14px")
+                .text("No cards with a die cost and memory price to display.");
+            return;
+        }
+
+        // --- Tier Lines (launch SKUs; refreshes are points only) ---
+        const line = d3.line()
+            .x(d => xScale(d.series))
+            .y(d => yScale(d.margin * 100));
+        d3.groups(visibleRows.filter(d => !d.isRefresh), d => d.vendor, d => d.baseTier).forEach(([vendor, tiers]) => {
+            tiers.forEach(([tier, cards]) => {
+                const points = seriesOrder
+                    .map(series => {
+                        const inSeries = cards.filter(d => d.displaySeries === series);
+                        return inSeries.length > 0 ? { series, margin: d3.mean(inSeries, d => d.grossMargin) } : null;
+                    })
+                    .filter(Boolean);
+                if (points.length < 2) return;
+                chartGroup.append("path")
+                    .datum(points)
+                    .attr("class", "margin-line")
+                    .attr("fill", "none")
+                    .attr("stroke", tierColorScale(tier))
+                    .attr("stroke-width", 2)
+                    .attr("stroke-opacity", 0.8)
+                    .attr("stroke-dasharray", vendorLineDash[vendor])
+                    .attr("d", line);
+            });
+        });
+
+        // --- Points ---
+        const tooltip = d3.select(`.${tooltipContainerClass}`);
+        chartGroup.selectAll(".margin-point")
+            .data(visibleRows)
+            .enter().append("circle")
+            .attr("class", "margin-point")
+            .attr("cx", d => xScale(d.displaySeries))
+            .attr("cy", d => yScale(d.grossMargin * 100))
+            .attr("r", 5)
+            // Refresh SKUs and estimates are hollow; estimates get a dotted outline
+            .attr("fill", d => (d.isRefresh || d.estimatedValues.length ? "transparent" : tierColorScale(d.baseTier)))
+            .attr("stroke", d => (d.isRefresh || d.estimatedValues.length ? tierColorScale(d.baseTier) : (d.imported ? chartColors.imported : "#fff")))
+            .attr("stroke-width", d => (d.isRefresh || d.estimatedValues.length ? 2 : 1))
+            .attr("stroke-dasharray", d => (d.imported ? "2,1" : (d.estimatedValues.length ? estimateDash : null)))
+            .on("mouseover", function (event, d) {
+                const { bom, dieCost } = d;
+                const channelNote = bomAssumptions?.channelShare
+                    ? `<br><span style="color: #aaa;">After ${(bomAssumptions.channelShare * 100).toFixed(0)}% partner/retail share</span>`
+                    : '';
+                tooltip
+                    .style('visibility', 'visible').style('left', `${event.pageX + 15}px`).style('top', `${event.pageY - 10}px`)
+                    .html(`<div class="tooltip-title" style="color: ${tierColorScale(d.baseTier)};">${d.model}</div>
+                           <div class="tooltip-info">
+                               <strong>MSRP:</strong> ${formatUsd(d.usdMsrp)}${d.pricedVariant?.vram ? ` <span style="color: #aaa;">(${d.pricedVariant.vram} GB)</span>` : ''}<br>
+                               <strong>${d.dieCount > 1 ? `Dies (${d.dieCount}x ${d.dieName})` : `Die (${d.dieName})`}:</strong> ${formatUsd(bom.dieCost)} <span style="color: #aaa;">(${dieCost.grossDies} gross, ${(dieCost.dieYield * 100).toFixed(0)}% ${yieldModels[dieCost.yieldModel].label} yield)</span><br>
+                               <strong>Memory:</strong> ${formatUsd(bom.memoryCost)} <span style="color: #aaa;">(${bom.vram} GB × $${bom.memoryPricePerGB.toFixed(2)})</span><br>
+                               <strong>Board / cooler / packaging:</strong> ${formatUsd(bom.boardCost)} / ${formatUsd(bom.coolerCost)} / ${formatUsd(bom.packagingCost)}<br>
+                               <strong>Est. BOM:</strong> ${formatUsd(bom.total)}<br>
+                               <strong>Est. Gross Margin:</strong> ${(d.grossMargin * 100).toFixed(1)}%${channelNote}
+                               ${describeMultiDie(d) ? `<br><span style="color: #aaa;">${describeMultiDie(d)}</span>` : ''}
+                               ${d.estimatedValues.length ? `<br><span style="color: #aaa;">${describeEstimates(d.estimatedValues)}</span>` : ''}
+                           </div>`);
+                d3.select(this).attr("r", 7);
+            })
+            .on("mouseout", function () {
+                tooltip.style('visibility', 'hidden');
+                d3.select(this).attr("r", 5);
+            });
+
+        // --- Legend (click a tier to hide it) ---
+        const legend = chartGroup.append("g").attr("class", "margin-legend").attr("transform", `translate(${width + 40}, 0)`);
+        legend.append("text").attr("x", 0).attr("y", -10).attr("font-size", "14px").attr("font-weight", "bold")
+            .attr("fill", chartColors.text).text("GPU Class");
+        const legendItems = legend.selectAll(".legend-item").data(tiersPresent).enter().append("g")
+            .attr("class", "legend-item").attr("transform", (d, i) => `translate(0, ${i * 22 + 5})`)
+            .attr("cursor", "pointer")
+            .on("click", (event, tier) => setHiddenTiers(prev => ({ ...prev, [tier]: !prev[tier] })));
+        legendItems.append("rect").attr("width", 15).attr("height", 15).attr("rx", 3).attr("ry", 3)
+            .attr("fill", tier => (hiddenTiers[tier] ? "#555" : tierColorScale(tier)))
+            .attr("stroke", "#ddd").attr("stroke-width", 0.5);
+        legendItems.append("text").attr("x", 22).attr("y", 12).style("font-size", "12px")
+            .attr("fill", tier => (hiddenTiers[tier] ? "#777" : chartColors.text))
+            .text(tier => `xx${tier}`);
+        legend.append("text").attr("x", 0).attr("y", tiersPresent.length * 22 + 25).attr("fill", chartColors.textMuted)
+            .style("font-size", "11px").text("* Hollow points: refresh SKUs");
+        legend.append("text").attr("x", 0).attr("y", tiersPresent.length * 22 + 40).attr("fill", chartColors.textMuted)
+            .style("font-size", "11px").text("* Dotted outlines: estimates");
+
+        return () => {
+            d3.select(`.${tooltipContainerClass}`).remove();
+        };
+    }, [
+        gpuData, gpuDieData, inflationData, medianRealWageData, waferPrices, memoryPrices, columnOrder, getTierFromModel,
+        activeGenerations, yieldModel, defectDensityScale, bomAssumptions, hideEstimates, hiddenTiers, marginSvgRef
+    ]);
+
+    return (
+        <svg ref={marginSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+    );
+}
+
+export default MarginPlot;
@@ -0,0 +1,83 @@
+// PerfPerDollarPlot.jsx
+import React, { useEffect } from 'react';
+import { currencies } from './utils/chartConfig';
+import { getVendor, getBaseTier } from './utils/tierUtils';
+import { computePerfPerDollarRows } from './utils/analytics';
+import { formatMoney } from './utils/currency';
+import { useAdjustmentToggles, adjustmentToggleButtons, drawTierChart } from './utils/tierChart';
+// App.css is imported in App.jsx and applies globally
+// relativePerformance and the price adjustment datasets are passed as props (loaded at runtime by App)
+
+function PerfPerDollarPlot({
+    perfSvgRef,
+    gpuData,
+    gpuDieData, // Only used for the generation names in the legend
+    relativePerformance,
+    inflationData,
+    medianRealWageData,
+    regionalCpiData,
+    regionalWageData,
+    fxRates,
+    currency = 'USD', // Prices in this currency (App's currency selector)
+    useLaunchFx = false, // Convert USD MSRPs at launch FX instead of using regional MSRPs
+    baseYear, // Year CPI and wage adjustments express prices in; defaults to inflationData.base_year
+    columnOrder,
+    getTierFromModel,
+    activeGenerations,
+    setActiveGenerations,
+    showAllPerfGenerations,
+    setShowAllPerfGenerations,
+    hideEstimates // Leave out cards with an estimated MSRP
+}) {
+    // CPI and wage toggles, as on the die area chart
+    const adjustments = useAdjustmentToggles();
+
+    useEffect(() => {
+        if (!gpuData || !relativePerformance || !inflationData || !medianRealWageData || !columnOrder || !getTierFromModel || !perfSvgRef.current) {
+            console.warn("PerfPerDollarPlot: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const adjustmentBaseYear = baseYear ?? inflationData.base_year;
+        // Scores per 100 units of the currency, or per 10,000 for currencies without minor units (yen)
+        const unitScale = 10 ** (currencies[currency]?.decimalShift || 0);
+        const priceUnit = formatMoney(100 * unitScale, currency);
+        const rows = computePerfPerDollarRows(
+            { gpuData, relativePerformance, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates },
+            { useCpiAdjustment: adjustments.useCpiAdjustment, useRealWageScaling: adjustments.useRealWageScaling, currency, useLaunchFx, baseYear: adjustmentBaseYear, hideEstimates }
+        )
+            .filter(d => d.tier && columnOrder.includes(getBaseTier(d.tier)))
+            .map(d => ({ ...d, baseTier: getBaseTier(d.tier), vendor: getVendor(d), value: d.perfPerDollar * unitScale }));
+
+        return drawTierChart(perfSvgRef.current, {
+            className: 'perf',
+            rows,
+            buttons: adjustmentToggleButtons(adjustments, { baseYear: adjustmentBaseYear, currency, nominalHelp: 'Performance per nominal launch price.' }),
+            columnOrder,
+            gpuDieData,
+            generations: { activeGenerations, setActiveGenerations, showAllGenerations: showAllPerfGenerations, setShowAllGenerations: setShowAllPerfGenerations },
+            yLabel: `Relative Performance per ${priceUnit} (${relativePerformance.reference} = 100)`,
+            emptyMessage: "No cards with a performance score and a launch price to display.",
+            describe: d => {
+                const adjustedLine = d.adjustmentMultiplier !== 1
+                    ? `<strong>Adjusted MSRP:</strong> ${formatMoney(d.adjustedMsrp, currency)} <span style="color: #aaa;">(${d.adjustmentType})</span><br>`
+                    : '';
+                return `<strong>Series:</strong> ${d.series}<br>
+                        <strong>Relative Performance:</strong> ${d.relativePerformance} <span style="color: #aaa;">(${relativePerformance.reference} = 100)</span><br>
+                        <strong>Launch MSRP:</strong> ${formatMoney(d.originalMsrp, currency)}${d.pricedVariant?.vram ? ` <span style="color: #aaa;">(${d.pricedVariant.vram} GB)</span>` : ''}<br>
+                        ${adjustedLine}
+                        <strong>Perf per ${priceUnit}:</strong> ${d.value.toFixed(2)}`;
+            }
+        });
+    }, [
+        gpuData, gpuDieData, relativePerformance, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates,
+        currency, useLaunchFx, baseYear, columnOrder, getTierFromModel, activeGenerations, setActiveGenerations,
+        showAllPerfGenerations, setShowAllPerfGenerations, adjustments, hideEstimates, perfSvgRef
+    ]);
+
+    return (
+        <svg ref={perfSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+    );
+}
+
+export default PerfPerDollarPlot;
@@ -0,0 +1,128 @@
+// PowerPlot.jsx
+import React, { useEffect, useState } from 'react';
+import { getVendor, getBaseTier } from './utils/tierUtils';
+import { computePowerRows } from './utils/analytics';
+import { drawTierChart } from './utils/tierChart';
+// App.css is imported in App.jsx and applies globally
+// relativePerformance is passed as a prop (loaded at runtime by App); perf/W needs it
+
+// Plotted value of a row for the selected metric and mode
+const metricFields = {
+    tdp: { absolute: 'tdpWatts', normalized: 'normalizedTdp' },
+    perfPerWatt: { absolute: 'perfPerWatt', normalized: 'normalizedPerfPerWatt' }
+};
+
+function PowerPlot({
+    powerSvgRef,
+    gpuData,
+    gpuDieData, // Only used for the generation names in the legend
+    relativePerformance,
+    columnOrder,
+    getTierFromModel,
+    specialFlagshipActive, // Flagship choice shared with the CUDA chart
+    activeGenerations,
+    setActiveGenerations,
+    showAllPowerGenerations,
+    setShowAllPowerGenerations,
+    hideEstimates // Leave out cards with an estimated TDP or gaming power
+}) {
+    // Board power or performance per watt
+    const [metric, setMetric] = useState('tdp');
+    // Flagship-normalized mode, as in the CUDA chart: % of the selected flagship, flagship in the first column
+    const [normalizeToFlagship, setNormalizeToFlagship] = useState(false);
+
+    useEffect(() => {
+        if (!gpuData || !columnOrder || !getTierFromModel || !powerSvgRef.current) {
+            console.warn("PowerPlot: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const hasScores = Boolean(relativePerformance?.scores);
+        const activeMetric = hasScores ? metric : 'tdp';
+        const valueField = metricFields[activeMetric][normalizeToFlagship ? 'normalized' : 'absolute'];
+        // Regular cards plus each series' selected flagship, as in the CUDA chart
+        const rows = computePowerRows({ gpuData, relativePerformance }, { specialFlagshipActive, hideEstimates })
+            .filter(d => d.tier && columnOrder.includes(getBaseTier(d.tier)))
+            .filter(d => d.isReferenceFlagship || (!d.flagship && !d.specialFlagship))
+            .map(d => ({ ...d, baseTier: getBaseTier(d.tier), vendor: getVendor(d), value: d[valueField] }));
+
+        const buttons = [
+            {
+                className: 'normalize-toggle-btn',
+                label: normalizeToFlagship ? "Normalized" : "Absolute",
+                active: normalizeToFlagship,
+                activeColor: "#646cff",
+                onClick: () => setNormalizeToFlagship(!normalizeToFlagship),
+                help: `<div style="text-align: center; padding: 5px;"><strong>Align Flagships</strong></div>
+                       <div style="padding: 5px;"><strong>Off:</strong> Absolute values by tier.<br>
+                       <strong>On:</strong> Each card as a % of its series' flagship, with the flagship moved to the first column, as in the CUDA chart.<br>
+                       <span style="font-size: 0.9em; color: #aaa;">Regular or special flagship follows the CUDA chart legend.</span></div>`
+            },
+            {
+                className: 'metric-toggle-btn',
+                label: activeMetric === 'perfPerWatt' ? "Perf/W" : "TDP",
+                active: activeMetric === 'perfPerWatt',
+                activeColor: "#4CAF50",
+                enabled: hasScores,
+                onClick: () => setMetric(activeMetric === 'tdp' ? 'perfPerWatt' : 'tdp'),
+                help: `<div style="text-align: center; padding: 5px;"><strong>Metric</strong></div>
+                       <div style="padding: 5px;"><strong>TDP:</strong> Rated board power.<br>
+                       <strong>Perf/W:</strong> Relative performance per 100 W, using measured gaming power where reviewed and TDP otherwise.<br>
+                       <span style="font-size: 0.9em; color: #aaa;">${hasScores ? 'Cards without a performance score are left out of Perf/W.' : 'Needs relative_performance.json.'}</span></div>`
+            }
+        ];
+        const yLabels = {
+            tdp: normalizeToFlagship ? "Board Power (% of Flagship)" : "Board Power (W)",
+            perfPerWatt: normalizeToFlagship
+                ? "Perf per Watt (% of Flagship)"
+                : `Relative Performance per 100 W (${relativePerformance?.reference} = 100)`
+        };
+
+        return drawTierChart(powerSvgRef.current, {
+            className: 'power',
+            rows,
+            buttons,
+            columnOrder,
+            gpuDieData,
+            generations: { activeGenerations, setActiveGenerations, showAllGenerations: showAllPowerGenerations, setShowAllGenerations: setShowAllPowerGenerations },
+            yLabel: yLabels[activeMetric],
+            xLabel: normalizeToFlagship ? "GPU Class (flagships aligned in the first column)" : "GPU Class",
+            yTickFormat: normalizeToFlagship ? v => `${v}%` : null,
+            referenceValue: normalizeToFlagship ? 100 : null,
+            // Aligned flagships sit in the first column
+            columnOf: d => (normalizeToFlagship && d.isReferenceFlagship ? columnOrder[0] : d.baseTier),
+            // Series normalized against another series' flagship (1600 -> 2000) start from it
+            lineCards: (cards, plottedRows) => {
+                if (!normalizeToFlagship || cards.some(d => d.isReferenceFlagship)) return cards;
+                const reference = plottedRows.find(d => d.model === cards[0].referenceModel && d.isReferenceFlagship);
+                return reference ? [reference, ...cards] : cards;
+            },
+            emptyMessage: "No cards with power data to display.",
+            describe: d => {
+                const measuredLine = d.gamingPowerWatts != null
+                    ? `<strong>Measured Gaming Power:</strong> ${d.gamingPowerWatts} W<br>`
+                    : '';
+                const perfLine = d.perfPerWatt != null
+                    ? `<strong>Perf per 100 W:</strong> ${d.perfPerWatt.toFixed(1)} <span style="color: #aaa;">(${d.powerBasis === 'measured' ? 'measured power' : 'TDP'})</span><br>`
+                    : '';
+                const flagshipLine = d.isReferenceFlagship
+                    ? `<span style="color: #aaa;">Reference flagship of the ${d.series} series</span>`
+                    : `<strong>Vs ${d.referenceModel}:</strong> ${d.normalizedTdp != null ? `${d.normalizedTdp.toFixed(0)}% of TDP` : 'N/A'}${d.normalizedPerfPerWatt != null ? `, ${d.normalizedPerfPerWatt.toFixed(0)}% of perf/W` : ''}`;
+                return `<strong>Series:</strong> ${d.series}<br>
+                        <strong>TDP:</strong> ${d.tdpWatts} W<br>
+                        ${measuredLine}
+                        ${perfLine}
+                        ${flagshipLine}`;
+            }
+        });
+    }, [
+        gpuData, gpuDieData, relativePerformance, columnOrder, getTierFromModel, specialFlagshipActive, activeGenerations,
+        setActiveGenerations, showAllPowerGenerations, setShowAllPowerGenerations, metric, normalizeToFlagship, hideEstimates, powerSvgRef
+    ]);
+
+    return (
+        <svg ref={powerSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+    );
+}
+
+export default PowerPlot;
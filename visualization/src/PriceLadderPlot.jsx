@@ -0,0 +1,186 @@
+// PriceLadderPlot.jsx
+import React, { useEffect, useState } from 'react';
+import * as d3 from 'd3';
+import { chartColors, vendorLineDash } from './utils/chartConfig';
+import { computePriceLadderRows } from './utils/analytics';
+import { describeEstimates } from './utils/citations';
+import { formatMoney } from './utils/currency';
+import {
+    useAdjustmentToggles, createChartFrame, createChartTooltip, drawToggleButtons, adjustmentToggleButtons,
+    drawEmptyMessage, drawCardPoints, drawToggleLegend
+} from './utils/tierChart';
+// App.css is imported in App.jsx and applies globally
+// The price adjustment datasets are passed as props (loaded at runtime by App)
+
+function PriceLadderPlot({
+    priceLadderSvgRef,
+    gpuData,
+    inflationData,
+    medianRealWageData,
+    regionalCpiData,
+    regionalWageData,
+    fxRates,
+    currency = 'USD', // Prices in this currency (App's currency selector)
+    useLaunchFx = false, // Convert USD MSRPs at launch FX instead of using regional MSRPs
+    baseYear, // Year CPI and wage adjustments express prices in; defaults to inflationData.base_year
+    columnOrder,
+    specialFlagshipActive, // Flagship choice shared with the CUDA chart
+    activeGenerations,
+    hideEstimates // Leave out cards with an estimated MSRP
+}) {
+    // CPI and wage toggles, as on the die area chart
+    const adjustments = useAdjustmentToggles();
+    // Tier -> shown; tiers toggled off in the legend are false
+    const [activeTiers, setActiveTiers] = useState({});
+
+    useEffect(() => {
+        if (!gpuData || !inflationData || !medianRealWageData || !columnOrder || !priceLadderSvgRef.current) {
+            console.warn("PriceLadderPlot: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const { useCpiAdjustment, useRealWageScaling } = adjustments;
+        const adjustmentBaseYear = baseYear ?? inflationData.base_year;
+        const frame = createChartFrame(priceLadderSvgRef.current, {
+            margin: { top: 80, right: 250, bottom: 80, left: 90 },
+            containerHeight: 470
+        });
+        const { chartGroup, width, height } = frame;
+        const tooltipContainerClass = 'price-ladder-tooltip-container';
+        const tooltip = createChartTooltip(tooltipContainerClass);
+        drawToggleButtons(chartGroup, tooltip, width,
+            adjustmentToggleButtons(adjustments, { baseYear: adjustmentBaseYear, currency, nominalHelp: 'Nominal launch prices.' }));
+
+        // --- Data Processing ---
+        // One card per series and tier; changes are taken before generations are hidden,
+        // so a hidden generation still counts as the previous one
+        const rows = computePriceLadderRows(
+            { gpuData, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates },
+            { useCpiAdjustment, useRealWageScaling, currency, useLaunchFx, baseYear: adjustmentBaseYear, tiers: columnOrder, specialFlagshipActive, hideEstimates }
+        );
+        // The combined 1600/2000 column is hidden with both generations
+        const isSeriesActive = (d) => d.displaySeries.split('/').some(series => activeGenerations?.[series] !== false);
+        const visibleRows = rows.filter(d => isSeriesActive(d) && activeTiers[d.tier] !== false);
+
+        const seriesOrder = Array.from(new Set(rows.filter(isSeriesActive).map(d => d.displaySeries)));
+        const tierColors = d3.scaleOrdinal(d3.schemeSpectral[11]).domain(columnOrder);
+        const adjustmentLabel = useCpiAdjustment || useRealWageScaling ? rows.find(d => d.adjustmentMultiplier !== 1)?.adjustmentType : null;
+
+        // --- Scales ---
+        const xScale = d3.scalePoint().domain(seriesOrder).range([0, width]).padding(0.5);
+        const yScale = d3.scaleLinear()
+            .domain([0, d3.max(visibleRows, d => d.adjustedMsrp) || 1]).nice()
+            .range([height, 0]);
+
+        // --- Axes ---
+        chartGroup.append("g").attr("class", "x-axis").attr("transform", `translate(0,${height})`)
+            .call(d3.axisBottom(xScale))
+            .selectAll("text")
+            .attr("text-anchor", "end").attr("dx", "-0.6em").attr("dy", "0.4em")
+            .attr("transform", "rotate(-35)");
+        chartGroup.append("g").attr("class", "y-axis").call(d3.axisLeft(yScale).tickFormat(value => formatMoney(value, currency)));
+        chartGroup.append("g").attr("class", "grid").call(d3.axisLeft(yScale).tickSize(-width).tickFormat(""))
+            .selectAll("line").attr("stroke", "#e0e0e0").attr("stroke-opacity", 0.15);
+        chartGroup.select(".grid .domain").remove();
+        chartGroup.append("text").attr("class", "x-axis-label").attr("text-anchor", "middle")
+            .attr("x", width / 2).attr("y", height + 70).attr("fill", chartColors.text).style("font-size", "12px")
+            .text("GPU Series");
+        chartGroup.append("text").attr("class", "y-axis-label").attr("text-anchor", "middle")
+            .attr("transform", "rotate(-90)").attr("x", -height / 2).attr("y", -70)
+            .attr("fill", chartColors.text).style("font-size", "12px")
+            .text(`Launch MSRP${adjustmentLabel ? `, ${adjustmentLabel}` : ''}`);
+
+        if (rows.length === 0) {
+            drawEmptyMessage(chartGroup, width, height, "No cards with a launch price to display.");
+            return;
+        }
+
+        // --- Tier Lines (one per vendor, so each joins its own generations) ---
+        const line = d3.line()
+            .x(d => xScale(d.displaySeries))
+            .y(d => yScale(d.adjustedMsrp));
+        d3.groups(visibleRows, d => d.vendor, d => d.tier).forEach(([vendor, tiers]) => {
+            tiers.forEach(([tier, cards]) => {
+                if (cards.length < 2) return;
+                chartGroup.append("path")
+                    .datum(cards)
+                    .attr("class", "price-ladder-line")
+                    .attr("fill", "none")
+                    .attr("stroke", tierColors(tier))
+                    .attr("stroke-width", 2)
+                    .attr("stroke-opacity", 0.8)
+                    .attr("stroke-dasharray", vendorLineDash[vendor])
+                    .attr("d", line);
+            });
+        });
+
+        // --- Selected Flagship Rings ---
+        chartGroup.selectAll(".price-ladder-flagship")
+            .data(visibleRows.filter(d => d.isReferenceFlagship))
+            .enter().append("circle")
+            .attr("class", "price-ladder-flagship")
+            .attr("cx", d => xScale(d.displaySeries))
+            .attr("cy", d => yScale(d.adjustedMsrp))
+            .attr("r", 9)
+            .attr("fill", "none")
+            .attr("stroke", "#fff")
+            .attr("stroke-width", 1.5)
+            .style("pointer-events", "none");
+
+        // --- Points ---
+        const formatChange = (change) => `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+        drawCardPoints(chartGroup, visibleRows, {
+            className: 'price-ladder-point',
+            cx: d => xScale(d.displaySeries),
+            cy: d => yScale(d.adjustedMsrp),
+            color: d => tierColors(d.tier),
+            tooltip,
+            describe: d => {
+                const adjustedLine = d.adjustmentMultiplier !== 1
+                    ? `<strong>Adjusted MSRP:</strong> ${formatMoney(d.adjustedMsrp, currency)} <span style="color: #aaa;">(${d.adjustmentType})</span><br>`
+                    : '';
+                const changeLine = d.change != null
+                    ? `<strong>vs. ${d.previousModel}:</strong> ${formatChange(d.change)} <span style="color: #aaa;">(${formatMoney(d.previousAdjustedMsrp, currency)})</span>
+                       ${d.skippedGeneration ? `<br><span style="color: #aaa;">The generation before has no priced xx${d.tier} card.</span>` : ''}
+                       ${d.previousEstimatedValues.length ? `<br><span style="color: #aaa;">${d.previousModel}: ${describeEstimates(d.previousEstimatedValues)}</span>` : ''}`
+                    : '<span style="color: #aaa;">First priced card of its vendor on this tier</span>';
+                return `<strong>Series:</strong> ${d.series} <span style="color: #aaa;">(xx${d.tier})</span><br>
+                        <strong>Launch MSRP:</strong> ${formatMoney(d.originalMsrp, currency)}${d.pricedVariant?.vram ? ` <span style="color: #aaa;">(${d.pricedVariant.vram} GB)</span>` : ''}<br>
+                        ${adjustedLine}
+                        ${changeLine}
+                        ${d.isReferenceFlagship ? '<br><span style="color: #aaa;">Selected flagship of its series</span>' : ''}`;
+            }
+        });
+
+        // --- Legend (tier toggles) ---
+        const tierLegendData = columnOrder.filter(tier => rows.some(d => d.tier === tier));
+        const showAllTiers = tierLegendData.every(tier => activeTiers[tier] !== false);
+        drawToggleLegend(frame, {
+            className: 'price-ladder-legend',
+            title: "GPU Class",
+            items: tierLegendData,
+            label: tier => `xx${tier}`,
+            color: tier => tierColors(tier),
+            isActive: tier => activeTiers[tier] !== false,
+            onToggle: (event, tier) => setActiveTiers(prev => ({ ...prev, [tier]: prev[tier] === false })),
+            showAll: showAllTiers,
+            onShowAll: () => setActiveTiers(Object.fromEntries(tierLegendData.map(tier => [tier, !showAllTiers]))),
+            showAllLabel: "Show All Classes",
+            markerNote: "* Ringed: selected flagship of its series",
+            hasOtherVendors: rows.some(d => d.vendor !== "NVIDIA")
+        });
+
+        return () => {
+            d3.select(`.${tooltipContainerClass}`).remove();
+        };
+    }, [
+        gpuData, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates, currency, useLaunchFx, baseYear,
+        columnOrder, specialFlagshipActive, activeGenerations, activeTiers, adjustments, hideEstimates, priceLadderSvgRef
+    ]);
+
+    return (
+        <svg ref={priceLadderSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+    );
+}
+
+export default PriceLadderPlot;
@@ -0,0 +1,152 @@
+// SourcesPanel.jsx
+import React from 'react';
+import { getFieldLabel } from './utils/citations';
+import { chartColors } from './utils/chartConfig';
+import { effectiveDieFixedShare as defaultFixedShare, dieUtilizationBases, defaultDieUtilizationBasis } from './utils/analytics';
+// App.css is imported in App.jsx and applies globally
+// citationIndex is built by App (buildCitationIndex) from the loaded datasets
+
+// "RTX 4090 MSRP, RTX 4080 MSRP" -> grouped as "RTX 4090, RTX 4080 (MSRP)"
+const describeUses = (uses) => {
+    const subjectsByField = new Map();
+    uses.forEach(({ subject, field }) => {
+        if (!subjectsByField.has(field)) subjectsByField.set(field, []);
+        subjectsByField.get(field).push(subject);
+    });
+    return Array.from(subjectsByField, ([field, subjects]) => `${subjects.join(', ')} (${getFieldLabel(field)})`).join('; ');
+};
+
+function SourcesPanel({
+    citationIndex,
+    inflationData,
+    baseYear = inflationData?.base_year, // Year selected for the CPI/wage adjustments
+    effectiveDieFixedShare = defaultFixedShare, // Disabled-die model selected in App
+    utilizationBasis = defaultDieUtilizationBasis
+}) {
+    const citedGroups = citationIndex ? citationIndex.groups.filter(group => group.citations.length > 0) : [];
+
+    return (
+        <div className="sources-panel">
+            <h3>Sources</h3>
+            {citedGroups.length === 0 && (
+                <p style={{ color: chartColors.textMuted }}>No per-field citations are recorded in the loaded datasets.</p>
+            )}
+            {citedGroups.map(group => (
+                <div key={group.key} className="sources-group">
+                    <h4>{group.title} <span style={{ color: chartColors.textMuted, fontWeight: 'normal' }}>({group.file})</span></h4>
+                    <ol className="sources-list">
+                        {group.citations.map(({ number, source, uses }) => (
+                            <li key={number} value={number}>
+                                {source.url
+                                    ? <a href={source.url} target="_blank" rel="noopener noreferrer">{source.publication}</a>
+                                    : source.publication}
+                                {source.accessed && <span style={{ color: chartColors.textMuted }}> (accessed {source.accessed})</span>}
+                                <div className="sources-uses">{describeUses(uses)}</div>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            ))}
+            <p style={{ color: chartColors.textMuted, fontSize: '0.9em' }}>
+                Uncited values come from the <a href="https://www.techpowerup.com/gpu-specs/" target="_blank" rel="noopener noreferrer">TechPowerUp GPU Database</a> and vendor announcements. Footnote markers such as <sup>[1]</sup> in chart tooltips refer to the numbers above.
+            </p>
+
+            <h3>Methodology</h3>
+            <ul className="methodology-list">
+                <li>
+                    <strong>CPI adjustment:</strong> launch MSRPs are converted to {baseYear ?? 'base-year'} dollars with US CPI-U,
+                    as the ratio of the base year's annual CPI to the launch CPI.
+                    Cards with a release date use their launch month's CPI; others use the annual average.
+                </li>
+                <li>
+                    <strong>Wage scaling:</strong> prices are divided by US median usual weekly earnings relative to {baseYear ?? 'the base year'}
+                    (nominal earnings with CPI off, real earnings with CPI on).
+                </li>
+                <li>
+                    <strong>Other currencies:</strong> EUR, GBP and AUD prices use the regional launch MSRP where one is recorded
+                    (these include VAT/GST, unlike US MSRPs); other cards, and every card in "USD MSRP at launch exchange rate" mode,
+                    convert the USD MSRP at the launch-year average rate. Each currency is adjusted with its own region's CPI and,
+                    where available, wages (UK and Japan).
+                </li>
+                <li>
+                    <strong>Disabled die:</strong> a cut-down card is charged for {(effectiveDieFixedShare * 100).toFixed(0)}% of its die outright
+                    plus {((1 - effectiveDieFixedShare) * 100).toFixed(0)}% scaled by its enabled share
+                    of {dieUtilizationBases[utilizationBasis].label.toLowerCase()}. Cards without memory bus or L2 figures fall back
+                    to cores (the core ratio is also the SM ratio). The strip under the chart shows each series' median as the fixed share
+                    goes from 0% to 60%.
+                </li>
+                <li>
+                    <strong>Wafer price per mm²:</strong> an estimated wafer price divided by the area of a 300 mm wafer (70,686 mm²), reduced by a rough per-node yield factor.
+                    Prices are per foundry (each die's recorded foundry: TSMC, or Samsung for Pascal's GP107/GP108 and Ampere) and per year; a
+                    generation pays the latest listed price up to its launch year. The band spans the low and high estimates, the dashed line the central one.
+                </li>
+                <li>
+                    <strong>Die cost:</strong> gross dies per wafer counts whole dies (square unless the die's outline is recorded) inside
+                    a 300 mm wafer with a 3 mm edge exclusion and 0.1 mm scribe lanes. The selected yield model (Poisson, Murphy or Seeds)
+                    turns a rough per-node defect density into the share of working dies, and the wafer price is divided by those good dies.
+                </li>
+                <li>
+                    <strong>Gross margin:</strong> the bill of materials adds graphics memory (VRAM × the launch year's average $/GB) and flat
+                    board, cooler and packaging costs to the die cost. The margin is the USD launch MSRP, less any partner/retail share, minus
+                    that BOM, as a share of the net price. All figures are nominal and every assumption can be edited above the chart.
+                </li>
+                <li>
+                    <strong>Performance per dollar:</strong> each card's relative performance index (reference card = 100) is divided by its
+                    launch MSRP after the selected CPI/wage adjustment. The index averages launch reviews and chains older generations through
+                    cards reviewed side by side, so it is an estimate that grows rougher the further a card is from the reference.
+                </li>
+                <li>
+                    <strong>Cores per dollar:</strong> shader cores (CUDA cores, stream processors or shading units) per unit of adjusted
+                    launch MSRP. FP32 GFLOPS are cores × 2 × reference boost clock (the shader clock on Fermi), counting one FMA per core per
+                    clock, so RDNA 3's dual-issue throughput is not included. Cores are not comparable across architectures.
+                </li>
+                <li>
+                    <strong>Affordability:</strong> the launch MSRP divided by the median wage of the card's release. The US series is median
+                    usual weekly earnings of full-time workers in 1982-84 dollars, converted to nominal dollars with the release-month CPI and
+                    spread over an assumed standard 40-hour week (BLS counts 35 hours or more a week as full time). The UK (ASHE, weekly,
+                    37.5 hours) and Japan (MHLW, monthly, 38 hours a week) series are nominal already and are paired with regional MSRPs or
+                    the USD MSRP at the launch exchange rate. Wages are gross.
+                </li>
+                <li>
+                    <strong>Price ladder:</strong> one card per series and tier, chosen as in the generation-over-generation heatmap, at its
+                    launch MSRP after the selected CPI/wage adjustment. The change on hover is against the same tier in the latest earlier
+                    series of the same vendor with a priced card, in the same terms.
+                </li>
+                <li>
+                    <strong>Board power:</strong> TDP is the reference board power (TGP) from the vendor's specifications. Performance per watt
+                    divides the relative performance index by measured average gaming power where a review figure is recorded, and by TDP otherwise.
+                    The aligned view expresses both as a share of the flagship selected in the CUDA chart.
+                </li>
+                <li>
+                    <strong>Generation-over-generation change:</strong> each tier is compared with the same tier in the latest earlier series
+                    of the same vendor that has one. The 1600 and 2000 series count as one generation; where both have a card on a tier, the
+                    RTX 20 card is used. Adjusted MSRP and price per mm² are in constant {baseYear ?? 'base-year'} prices.
+                </li>
+                <li>
+                    <strong>Die class:</strong> NVIDIA numbers each generation's dies from the largest (GK110, GP102, AD102) down (x04, x06, x07).
+                    The class is read from the last two digits of the die name, with the x1x family (GF114, TU116) counted as x0x. The enabled
+                    share uses the die utilization basis above.
+                </li>
+                <li>
+                    <strong>Dual-GPU boards:</strong> the GTX 590 and GTX 690 carry two copies of one die. As whole boards they count both
+                    dies' area, cores and memory at the board price, and their die cost is for both good dies. Per GPU, board cores, VRAM,
+                    MSRP, power and relative performance are halved, so per-dollar and per-watt figures do not change.
+                </li>
+                <li>
+                    <strong>Estimated values:</strong> some die sizes (measured from die shots), core counts and early consoles' split of
+                    unified memory are estimates, and every wafer price is. Points resting on an estimate are hollow with a dotted outline,
+                    with a bar over the range where one is recorded. Hiding estimated values drops those points and the wafer overlay and
+                    recomputes the flagships, scales and violins from what remains.
+                </li>
+                <li>
+                    <strong>AMD & Intel tiers:</strong> cards are placed on NVIDIA's tier ladder by their position in the vendor's own lineup, not by measured performance.
+                </li>
+                <li>
+                    <strong>Console memory:</strong> unified console memory is scaled by the allocation slider to approximate the share available as video memory.
+                </li>
+            </ul>
+        </div>
+    );
+}
+
+export default SourcesPanel;
@@ -0,0 +1,291 @@
+// UpliftHeatmap.jsx
+import React, { useEffect, useState } from 'react';
+import * as d3 from 'd3';
+import { chartColors, vendorCoreLabels, estimateDash } from './utils/chartConfig';
+import { computeUpliftMatrix, upliftMetrics, dieUtilizationBases } from './utils/analytics';
+import { describeMultiDie } from './utils/multiDie';
+import { describeEstimates } from './utils/citations';
+import { formatMoney } from './utils/currency';
+// App.css is imported in App.jsx and applies globally
+// The price adjustment datasets are passed as props (loaded at runtime by App)
+
+// Changes beyond this many percent get the strongest color
+const colorLimit = 100;
+
+// Metric value as shown in the cells' tooltips
+const formatValue = (metric, value, vendor, currency) => {
+    switch (metric) {
+        case 'cores': return `${value.toLocaleString()} ${vendorCoreLabels[vendor]}`;
+        case 'vram': return `${value} GB`;
+        case 'msrp':
+        case 'adjustedMsrp': return formatMoney(value, currency);
+        case 'pricePerMM2': return `${formatMoney(value, currency, 2)}/mm²`;
+        case 'dieUtilization': return `${(value * 100).toFixed(1)}%`;
+        default: return String(value);
+    }
+};
+
+function UpliftHeatmap({
+    upliftSvgRef,
+    gpuData,
+    gpuDieData,
+    inflationData,
+    medianRealWageData,
+    regionalCpiData,
+    regionalWageData,
+    fxRates,
+    currency = 'USD', // Prices in this currency (App's currency selector)
+    useLaunchFx = false, // Convert USD MSRPs at launch FX instead of using regional MSRPs
+    baseYear, // Year the adjusted MSRP is expressed in; defaults to inflationData.base_year
+    utilizationBasis, // Die utilization basis selected for the die area chart
+    columnOrder,
+    activeGenerations,
+    hideEstimates // Leave out cards whose metric value is estimated
+}) {
+    // Key of upliftMetrics compared across generations
+    const [metric, setMetric] = useState('cores');
+    // Adjusted prices are always CPI-adjusted; this additionally scales them by real wages
+    const [useRealWageScaling, setUseRealWageScaling] = useState(false);
+
+    useEffect(() => {
+        if (!gpuData || !gpuDieData || !inflationData || !medianRealWageData || !columnOrder || !upliftSvgRef.current) {
+            console.warn("UpliftHeatmap: Missing required props, ref, or data files.");
+            return;
+        }
+
+        const svg = d3.select(upliftSvgRef.current);
+        svg.selectAll("*").remove(); // Clear previous renders
+        const adjustmentBaseYear = baseYear ?? inflationData.base_year;
+
+        // --- Data Processing ---
+        const { label, higherIsBetter } = upliftMetrics[metric];
+        const cells = computeUpliftMatrix(
+            { gpuData, gpuDieData, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates },
+            {
+                metric, tiers: columnOrder, utilizationBasis, currency, useLaunchFx, baseYear: adjustmentBaseYear,
+                useCpiAdjustment: true, useRealWageScaling, hideEstimates
+            }
+        );
+        // A combined series stays visible while either of its generations is
+        const isActive = (series) => series.split('/').some(s => activeGenerations?.[s] !== false);
+        const seriesRows = Array.from(new Set(cells.map(cell => cell.series))).filter(isActive);
+        const visibleCells = cells.filter(cell => seriesRows.includes(cell.series));
+
+        // --- Chart Dimensions and Margins ---
+        const rowHeight = 30;
+        const margin = { top: 80, right: 40, bottom: 140, left: 110 };
+        const containerWidth = 1000;
+        const width = containerWidth - margin.left - margin.right;
+        const height = Math.max(seriesRows.length, 1) * rowHeight;
+        const containerHeight = height + margin.top + margin.bottom;
+
+        svg.attr('width', containerWidth)
+           .attr('height', containerHeight);
+
+        svg.append("rect")
+            .attr("x", margin.left - 10).attr("y", margin.top - 10)
+            .attr("width", width + 20).attr("height", height + 20)
+            .attr("rx", 15).attr("ry", 15)
+            .attr("fill", "transparent")
+            .attr("class", "chart-background");
+
+        const chartGroup = svg.append("g")
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+
+        // --- Tooltip Setup ---
+        const tooltipContainerClass = 'uplift-tooltip-container';
+        if (!d3.select('body').select(`.${tooltipContainerClass}`).size()) {
+            d3.select('body')
+                .append('div')
+                .attr('class', tooltipContainerClass)
+                .style('position', 'absolute')
+                .style('visibility', 'hidden')
+                .style('background-color', 'rgba(25, 25, 30, 0.92)')
+                .style('color', '#fff')
+                .style('border-radius', '10px')
+                .style('padding', '12px')
+                .style('pointer-events', 'none')
+                .style('box-shadow', '0 4px 15px rgba(0, 0, 0, 0.5)')
+                .style('z-index', '10')
+                .style('max-width', '280px')
+                .style('font-size', '12px');
+        } else {
+            d3.select(`.${tooltipContainerClass}`).style('visibility', 'hidden');
+        }
+        const tooltip = d3.select(`.${tooltipContainerClass}`);
+
+        // --- Metric Buttons and Wage Toggle ---
+        const buttonWidth = 100;
+        const buttonHeight = 25;
+        const buttonSpacing = 6;
+        const buttonY = -60;
+        const metricButtons = chartGroup.selectAll(".metric-btn")
+            .data(Object.entries(upliftMetrics))
+            .enter().append("g")
+            .attr("transform", (d, i) => `translate(${i * (buttonWidth + buttonSpacing)}, ${buttonY})`);
+        metricButtons.append("rect")
+            .attr("class", "metric-btn")
+            .attr("width", buttonWidth).attr("height", buttonHeight)
+            .attr("rx", 5).attr("ry", 5)
+            .attr("fill", ([key]) => (key === metric ? "#4CAF50" : "#444"))
+            .attr("cursor", "pointer")
+            .on("click", (event, [key]) => setMetric(key));
+        metricButtons.append("text")
+            .attr("x", buttonWidth / 2).attr("y", buttonHeight / 2 + 4)
+            .attr("text-anchor", "middle").attr("fill", "#fff").style("font-size", "11px").style("pointer-events", "none")
+            .text(([, { label: buttonLabel }]) => buttonLabel);
+
+        const wageToggleX = width - buttonWidth;
+        chartGroup.append("rect")
+            .attr("x", wageToggleX).attr("y", buttonY)
+            .attr("width", buttonWidth).attr("height", buttonHeight)
+            .attr("rx", 5).attr("ry", 5)
+            .attr("fill", useRealWageScaling ? "#ff646c" : "#444") // Red for wage
+            .attr("cursor", "pointer").attr("class", "wage-toggle-btn")
+            .on("click", () => setUseRealWageScaling(!useRealWageScaling))
+            .on("mouseover", (event) => {
+                tooltip.style('visibility', 'visible').style('left', `${event.pageX}px`).style('top', `${event.pageY - 40}px`)
+                    .html(`<div style="text-align: center; padding: 5px;"><strong>Wage Scaling</strong></div>
+                           <div style="padding: 5px;">Adjusted MSRP and price per mm² are in constant ${adjustmentBaseYear} prices.<br>
+                           <strong>On:</strong> Also scales them by real wage change.<br>
+                           <span style="font-size: 0.9em; color: #aaa;">Cores, VRAM, MSRP and die utilization are unaffected.</span></div>`);
+            })
+            .on("mouseout", () => tooltip.style('visibility', 'hidden'));
+        chartGroup.append("text")
+            .attr("x", wageToggleX + buttonWidth / 2).attr("y", buttonY + buttonHeight / 2 + 4)
+            .attr("text-anchor", "middle").attr("fill", "#fff").style("font-size", "12px").style("pointer-events", "none")
+            .text(useRealWageScaling ? "Wage On" : "Wage Off");
+
+        // --- Scales ---
+        const xScale = d3.scaleBand().domain(columnOrder).range([0, width]).padding(0.06);
+        const yScale = d3.scaleBand().domain(seriesRows).range([0, height]).padding(0.08);
+        // Green for an improvement, red for a regression; a price rise is a regression
+        const colorScale = d3.scaleDiverging(d3.interpolateRdYlGn)
+            .domain(higherIsBetter ? [-colorLimit, 0, colorLimit] : [colorLimit, 0, -colorLimit])
+            .clamp(true);
+
+        // --- Axes ---
+        chartGroup.append("g").attr("class", "x-axis").attr("transform", `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).tickFormat(tier => `xx${tier}`));
+        chartGroup.append("g").attr("class", "y-axis").call(d3.axisLeft(yScale));
+        chartGroup.selectAll(".x-axis .domain, .y-axis .domain").remove();
+        chartGroup.append("text").attr("class", "x-axis-label").attr("text-anchor", "middle")
+            .attr("x", width / 2).attr("y", height + 40).attr("fill", chartColors.text).style("font-size", "12px")
+            .text("GPU Class");
+
+        if (visibleCells.length === 0) {
+            chartGroup.append("text").attr("x", width / 2).attr("y", rowHeight / 2)
+                .attr("text-anchor", "middle").attr("fill", chartColors.text).style("font-size", "14px")
+                .text("No generations selected.");
+            return;
+        }
+
+        // Line between vendors, whose generations are compared separately
+        seriesRows.forEach((series, i) => {
+            if (i === 0) return;
+            const vendorOf = s => visibleCells.find(cell => cell.series === s).vendor;
+            if (vendorOf(series) === vendorOf(seriesRows[i - 1])) return;
+            chartGroup.append("line").attr("class", "vendor-separator")
+                .attr("x1", -margin.left + 10).attr("x2", width)
+                .attr("y1", yScale(series) - 2).attr("y2", yScale(series) - 2)
+                .attr("stroke", "#888").attr("stroke-dasharray", "4,3");
+        });
+
+        // --- Cells ---
+        // A change is estimated when either card's value is
+        const isEstimated = (cell) => cell.estimatedValues.length > 0 || cell.previousEstimatedValues.length > 0;
+        const cellText = (cell) => {
+            if (!cell.card) return "";
+            if (cell.value == null) return "n/a";
+            if (!cell.previousCard) return "new";
+            if (cell.change == null) return "n/a";
+            return `${isEstimated(cell) ? '~' : ''}${cell.change > 0 ? '+' : ''}${cell.change.toFixed(0)}%${cell.skippedGeneration ? '*' : ''}`;
+        };
+        const cellGroups = chartGroup.selectAll(".uplift-cell-group")
+            .data(visibleCells)
+            .enter().append("g")
+            .attr("class", "uplift-cell-group")
+            .attr("transform", d => `translate(${xScale(d.tier)},${yScale(d.series)})`);
+        cellGroups.append("rect")
+            .attr("class", d => (d.change != null ? "uplift-cell" : "uplift-cell empty"))
+            .attr("width", xScale.bandwidth()).attr("height", yScale.bandwidth())
+            .attr("rx", 3).attr("ry", 3)
+            .attr("fill", d => (d.change != null ? colorScale(d.change) : (d.card ? "#333" : "transparent")))
+            .attr("stroke", d => {
+                if (d.card?.imported) return chartColors.imported;
+                if (d.card && isEstimated(d)) return chartColors.text;
+                return d.card ? "none" : "#444";
+            })
+            .attr("stroke-dasharray", d => {
+                if (d.card && !d.card.imported) return isEstimated(d) ? estimateDash : null;
+                return "3,2";
+            });
+        cellGroups.append("text")
+            .attr("x", xScale.bandwidth() / 2).attr("y", yScale.bandwidth() / 2 + 4)
+            .attr("text-anchor", "middle").style("font-size", "11px").style("pointer-events", "none")
+            .attr("fill", d => (d.change != null && Math.abs(d.change) < colorLimit * 0.6 ? "#222" : "#eee"))
+            .text(cellText);
+        cellGroups
+            .on("mouseover", function (event, d) {
+                const describe = (card, value, series, estimates) => (card
+                    ? `<strong>${card.model}</strong> <span style="color: #aaa;">(${series})</span><br>${value != null ? formatValue(metric, value, d.vendor, currency) : 'No value'}${describeMultiDie(card) ? `<br><span style="color: #aaa;">${describeMultiDie(card)}</span>` : ''}${estimates.length ? `<br><span style="color: #aaa;">${describeEstimates(estimates)}</span>` : ''}`
+                    : '');
+                let body;
+                if (!d.card) {
+                    body = `No xx${d.tier} card in the ${d.series} series.`;
+                } else if (!d.previousCard) {
+                    body = `${describe(d.card, d.value, d.series, d.estimatedValues)}<br><span style="color: #aaa;">First ${d.vendor} xx${d.tier} card in the data.</span>`;
+                } else {
+                    body = `${describe(d.card, d.value, d.series, d.estimatedValues)}<br><br>
+                            vs. ${describe(d.previousCard, d.previousValue, d.previousSeries, d.previousEstimatedValues)}<br><br>
+                            <strong>Change:</strong> ${d.change != null ? `${d.change > 0 ? '+' : ''}${d.change.toFixed(1)}%` : 'n/a'}
+                            ${d.skippedGeneration ? `<br><span style="color: #aaa;">The generation before has no xx${d.tier} card.</span>` : ''}`;
+                }
+                tooltip
+                    .style('visibility', 'visible').style('left', `${event.pageX + 15}px`).style('top', `${event.pageY - 10}px`)
+                    .html(`<div class="tooltip-title">${d.series} · xx${d.tier}</div>
+                           <div class="tooltip-info">${body}</div>`);
+            })
+            .on("mouseout", () => tooltip.style('visibility', 'hidden'));
+
+        // --- Color Legend ---
+        const legendWidth = 240;
+        const legendX = width / 2 - legendWidth / 2;
+        const legendY = height + 60;
+        const gradientId = "uplift-gradient";
+        const gradient = svg.append("defs").append("linearGradient").attr("id", gradientId);
+        d3.range(0, 1.01, 0.1).forEach(t => {
+            gradient.append("stop").attr("offset", `${t * 100}%`).attr("stop-color", d3.interpolateRdYlGn(t));
+        });
+        const colorLegend = chartGroup.append("g").attr("class", "uplift-legend").attr("transform", `translate(${legendX},${legendY})`);
+        colorLegend.append("rect").attr("width", legendWidth).attr("height", 10).attr("rx", 2).attr("fill", `url(#${gradientId})`);
+        colorLegend.append("text").attr("x", 0).attr("y", 24).attr("fill", "#aaa").style("font-size", "11px")
+            .text(higherIsBetter ? `-${colorLimit}%` : `+${colorLimit}%`);
+        colorLegend.append("text").attr("x", legendWidth / 2).attr("y", 24).attr("text-anchor", "middle").attr("fill", "#aaa").style("font-size", "11px")
+            .text(`${label} change vs. previous generation`);
+        colorLegend.append("text").attr("x", legendWidth).attr("y", 24).attr("text-anchor", "end").attr("fill", "#aaa").style("font-size", "11px")
+            .text(higherIsBetter ? `+${colorLimit}%` : `-${colorLimit}%`);
+        const noteLines = [
+            "* Compared with an older generation; the one before has no card on that tier",
+            "~ Dotted outline: one of the two values is an estimate",
+            metric === 'dieUtilization' ? `Enabled share by ${dieUtilizationBases[utilizationBasis]?.label.toLowerCase() || 'cores'}` : null
+        ].filter(Boolean);
+        noteLines.forEach((note, i) => {
+            colorLegend.append("text").attr("x", legendWidth / 2).attr("y", 42 + i * 15).attr("text-anchor", "middle")
+                .attr("fill", "#aaa").style("font-size", "11px").text(note);
+        });
+
+        return () => {
+            d3.select(`.${tooltipContainerClass}`).remove();
+        };
+    }, [
+        gpuData, gpuDieData, inflationData, medianRealWageData, regionalCpiData, regionalWageData, fxRates,
+        currency, useLaunchFx, baseYear, utilizationBasis, columnOrder, activeGenerations, hideEstimates, metric, useRealWageScaling, upliftSvgRef
+    ]);
+
+    return (
+        <svg ref={upliftSvgRef} style={{ display: 'block', margin: '20px auto' }}></svg>
+    );
+}
+
+export default UpliftHeatmap;
@@ -1,6 +1,14 @@
 // VramPlot.jsx
 import React, { useEffect } from 'react';
 import * as d3 from 'd3';
+import { chartColors, vendorLineDash, vendorCoreLabels, refreshColumnOrder, estimateDash } from './utils/chartConfig';
+import { getVendor, getVendorTierFromModel, isRefreshTier, getBaseTier } from './utils/tierUtils';
+import { getVariants, hasVariants, formatVariant } from './utils/gpuVariants';
+import { getReleaseDate, formatReleaseDate, describeFlagshipGap } from './utils/releaseDates';
+import { citationMarker, describeEstimates } from './utils/citations';
+import { parseConsoleMemory, hasDedicatedVram, getScaledConsoleMemory } from './utils/analytics';
+import { describeMultiDie } from './utils/multiDie';
+import { getEstimate, withoutEstimates } from './utils/estimates';
 // App.css is imported in App.jsx
 // gpuData, consoleData, columnOrder, getTierFromModel are passed as props
 // vramSvgRef is passed as a prop
@@ -9,6 +17,7 @@ import * as d3 from 'd3';
 function VramPlot({
     vramSvgRef,
     gpuData,
+    citationIndex,
     consoleData,
     columnOrder,
     getTierFromModel,
@@ -16,12 +25,15 @@ function VramPlot({
     setSelectedClasses,
     showAllClasses,
     setShowAllClasses,
+    showRefreshSkus,
+    setShowRefreshSkus,
     showConsoleData,
     setShowConsoleData,
     visibleConsolePlatforms,
     setVisibleConsolePlatforms,
     memoryAllocationPercentage,
-    setMemoryAllocationPercentage
+    setMemoryAllocationPercentage,
+    hideEstimates // Leave out cards with estimated VRAM and consoles with an estimated memory split
 }) {
 
     useEffect(() => {
@@ -92,13 +104,32 @@ function VramPlot({
         const chartGroup = svg.append("g")
             .attr("transform", `translate(${margin.left},${margin.top})`);
 
+        // Refresh (SUPER) classes are listed directly above the class they refresh
+        const classOrder = showRefreshSkus
+            ? refreshColumnOrder.filter(tier => columnOrder.includes(getBaseTier(tier)))
+            : columnOrder;
+
         // Filter GPUs based on selected classes
-        const filteredData = gpuData.filter(d => {
+        const filteredData = (hideEstimates ? withoutEstimates(gpuData, ['vram']) : gpuData).filter(d => {
             const tier = getTierFromModel(d.model);
             // Include if this class is selected or if we're showing all generations (classes)
-            return tier && (selectedClasses[tier] || showAllClasses);
+            return tier && classOrder.includes(tier) && (selectedClasses[tier] || showAllClasses);
         });
 
+        // Create a color scale for GPU classes instead of generations; refresh classes
+        // use a lighter shade of the class they refresh
+        const classColorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(columnOrder);
+        const classColor = (gpuClass) => isRefreshTier(gpuClass)
+            ? d3.color(classColorScale(getBaseTier(gpuClass))).brighter(0.8).formatHex()
+            : classColorScale(gpuClass);
+
+        // Legend rows below the class list (Show All, refresh, console toggles, platforms)
+        const classRowsHeight = classOrder.length * 25;
+        const legendBottom = margin.top + classRowsHeight + (showConsoleData ? 195 : 145);
+        if (legendBottom > height + margin.top + margin.bottom) {
+            svg.attr('height', legendBottom);
+        }
+
         // Determine if we have GPU data points to display
         const hasData = filteredData.length > 0;
 
@@ -106,48 +137,36 @@ function VramPlot({
         const filteredConsoleData = consoleData.filter(d =>
             d.launchYear >= 2005 // Xbox 360 was released in 2005
             && visibleConsolePlatforms[d.platform] // Filter by visible platforms state
+            && !(hideEstimates && getEstimate(d, 'memory')) // Estimated memory split
         );
 
-        // Get all years from both GPU and console data for proper scaling
-        const gpuYears = hasData
-            ? Array.from(new Set(filteredData.map(d => d.releaseYear))).sort((a, b) => a - b)
-            : Array.from(new Set(gpuData.map(d => d.releaseYear))).sort((a, b) => a - b);
-
-        const consoleYears = filteredConsoleData.map(d => d.launchYear);
-        const allYears = [...new Set([...gpuYears, ...consoleYears])].sort((a, b) => a - b);
-
-        // Use a wider domain for xScale if no years exist, to prevent errors
-        const xScaleDomain = allYears.length > 0 ? allYears : [2000, 2025]; // Default range if no data
-
-        // X scale for years - use all years from both datasets
-        const xScale = d3.scalePoint()
-            .domain(xScaleDomain)
-            .range([0, width])
-            .padding(0.5);
+        // Get all release dates from both GPU and console data for proper scaling;
+        // undated records sit mid-way through their release year
+        const gpuDates = (hasData ? filteredData : gpuData).map(getReleaseDate).filter(Boolean);
+        const consoleDates = filteredConsoleData.map(getReleaseDate).filter(Boolean);
+        const allDates = [...gpuDates, ...consoleDates];
+
+        // Pad the extent by half a year so the first and last points clear the axes
+        const [minDate, maxDate] = allDates.length > 0
+            ? d3.extent(allDates)
+            : [new Date(Date.UTC(2000, 0, 1)), new Date(Date.UTC(2025, 0, 1))]; // Default range if no data
+        const xScale = d3.scaleUtc()
+            .domain([d3.utcMonth.offset(minDate, -6), d3.utcMonth.offset(maxDate, 6)])
+            .range([0, width]);
+        // X position of a GPU or console by its release date
+        const xOf = d => xScale(getReleaseDate(d));
 
         // Process memory values for consoles
         filteredConsoleData.forEach(d => {
-            // Check if memory is a fraction (like "256/1024") or a whole number (like "8")
-            if (d.memory && typeof d.memory === 'string' && d.memory.includes("/")) {
-                const [numerator, denominator] = d.memory.split("/").map(Number);
-                // Convert to GB for the y-axis positioning
-                d.memoryGB = numerator / denominator;
-                // Store the original value as MB for display
-                d.memoryDisplay = `${numerator} MB`;
-            } else if (d.memory != null) {
-                // Already in GB or can be converted to number
-                d.memoryGB = Number(d.memory);
-                d.memoryDisplay = `${d.memory} GB`;
-            } else {
-                d.memoryGB = 0; // Default if memory is null/undefined
-                d.memoryDisplay = "N/A";
-            }
+            // "256/1024" is 256 MB; whole numbers are GB
+            Object.assign(d, parseConsoleMemory(d.memory));
         });
 
 
         // Y scale for VRAM
         // Use a default max value if no data is available
-        const maxGpuVram = hasData ? d3.max(filteredData, d => d.vram) : 0; // Use 0 if no filtered GPU data
+        // Include every memory variant so the largest configuration's dot stays on the chart
+        const maxGpuVram = hasData ? d3.max(filteredData, d => d3.max(getVariants(d), v => v.vram)) : 0; // Use 0 if no filtered GPU data
         const maxConsoleMemory = d3.max(filteredConsoleData, d => d.memoryGB) || 0; // Use 0 if no console data
         const maxVram = Math.max(maxGpuVram, maxConsoleMemory);
 
@@ -162,7 +181,8 @@ function VramPlot({
         // --- Axes ---
         // X-Axis (Years)
         const xAxis = d3.axisBottom(xScale)
-            .tickFormat(d => d); // Display the year as is
+            .ticks(d3.utcYear.every(1)) // One tick per January 1st
+            .tickFormat(d3.utcFormat("%Y"));
 
         chartGroup.append("g")
             .attr("class", "x-axis")
@@ -180,7 +200,7 @@ function VramPlot({
             .attr("y", height + 40)
             .attr("fill", "#ddd")
             .style("font-size", "12px")
-            .text("Release Year");
+            .text("Release Date");
 
         // Y-Axis (VRAM)
         const yAxis = d3.axisLeft(yScale)
@@ -259,22 +279,19 @@ function VramPlot({
 
 
             const allConsoleYears = Object.keys(consolesByYear).map(Number).sort((a, b) => a - b);
+            // Same-year launches share one band, starting at the year's first launch
+            const consoleYearX = {};
+            allConsoleYears.forEach(year => {
+                consoleYearX[year] = xScale(d3.min(consolesByYear[year], getReleaseDate));
+            });
 
             // Add vertical grid lines at each console generation transition year (Only if consoles are shown)
             allConsoleYears.forEach(year => {
-                const x = xScale(year);
+                const x = consoleYearX[year];
                 if (x !== undefined) {
                     // Find the console with the highest *scaled* memory in this year based on current percentage
                     const scaledMemoryValues = consolesByYear[year]
-                        .map(c => {
-                            // Only scale unified memory
-                            const isDedicatedVRAM = (
-                                c.name.includes('PS1') ||
-                                c.name.includes('PS2') ||
-                                c.name.includes('PS3')
-                            );
-                            return isDedicatedVRAM ? c.memoryGB : c.memoryGB * (memoryAllocationPercentage / 100);
-                        });
+                        .map(c => getScaledConsoleMemory(c, memoryAllocationPercentage)); // Only unified memory is scaled
                     const highestScaledMemory = Math.max(...scaledMemoryValues);
                     const y1 = yScale(highestScaledMemory); // Starting y position at the console's scaled memory level
 
@@ -297,8 +314,8 @@ function VramPlot({
                 const consolesThisYear = consolesByYear[year];
                 // Process each console in this year
                 consolesThisYear.forEach((console, consoleIndex) => {
-                    // For x-coordinate, use the console's launch year
-                    const x = xScale(console.launchYear);
+                    // For x-coordinate, use the first launch date of the console's year
+                    const x = consoleYearX[console.launchYear];
                     if (x === undefined) return; // Skip if year is not in the scale
 
                     // Calculate the console's actual y position based on memoryGB
@@ -306,11 +323,7 @@ function VramPlot({
 
                     // --- Unified memory scaling logic ---
                     // Only scale for consoles with unified memory (not PS1, PS2, PS3)
-                    const isDedicatedVRAM = (
-                        console.name.includes('PS1') ||
-                        console.name.includes('PS2') ||
-                        console.name.includes('PS3')
-                    );
+                    const isDedicatedVRAM = hasDedicatedVram(console);
                     let scaledY = actualY; // Default to actual Y
                     if (!isDedicatedVRAM) {
                         // Calculate the distance from the x-axis (yScale(0)) to the console's actual memory position
@@ -329,7 +342,7 @@ function VramPlot({
                     // If there's a next year with consoles, use that as the boundary
                     let rightEdge = width;
                     if (nextConsoleYear) {
-                        const nextX = xScale(nextConsoleYear);
+                        const nextX = consoleYearX[nextConsoleYear];
                         if (nextX !== undefined) {
                             rightEdge = nextX;
                         }
@@ -364,7 +377,9 @@ function VramPlot({
                             .attr("width", rectWidth)
                             .attr("height", scaledY) // Use scaledY for height
                             .attr("fill", fillColor)
-                            .attr("stroke", "none")
+                            // An estimated memory split gets a dotted outline
+                            .attr("stroke", getEstimate(console, 'memory') ? chartColors.textMuted : "none")
+                            .attr("stroke-dasharray", getEstimate(console, 'memory') ? estimateDash : null)
                             .attr("class", "console-rect")
                             .attr("data-year", year)
                             .on("mouseover", function (event) {
@@ -389,10 +404,11 @@ function VramPlot({
                                             ${idx > 0 ? '<hr style="border-top: 1px solid rgba(255,255,255,0.2); margin: 8px 0;">' : ''}
                                             <div class="tooltip-title">${consoleData.name}</div>
                                             <div class="tooltip-info">
-                                                <strong>Year:</strong> ${consoleData.launchYear}<br>
-                                                <strong>Launch Price:</strong> $${consoleData.launchPriceUSD}<br>
-                                                <strong>Memory:</strong> ${consoleData.memoryDisplay}<br>
-                                                <strong>Manufacturing Node:</strong> ${nodeInfo}
+                                                <strong>Released:</strong> ${formatReleaseDate(consoleData)}${citationMarker(citationIndex, 'consoleData', consoleData.name, 'releaseDate')}<br>
+                                                <strong>Launch Price:</strong> $${consoleData.launchPriceUSD}${citationMarker(citationIndex, 'consoleData', consoleData.name, 'launchPriceUSD')}<br>
+                                                <strong>Memory:</strong> ${consoleData.memoryDisplay}${citationMarker(citationIndex, 'consoleData', consoleData.name, 'memory')}<br>
+                                                <strong>Manufacturing Node:</strong> ${nodeInfo}${citationMarker(citationIndex, 'consoleData', consoleData.name, 'nodeNM')}
+                                                ${getEstimate(consoleData, 'memory') ? '<br><span style="color: #aaa;">Estimated: memory split between graphics and the system</span>' : ''}
                                             </div>
                                         `;
                                     });
@@ -515,51 +531,84 @@ function VramPlot({
         if (hasData) {
             // Only draw GPU data points and lines when we have GPU data
 
-            // Create a color scale for GPU classes instead of generations
-            const classColorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(columnOrder);
-
             // Group data by GPU class
             const groupedByClass = {};
-            columnOrder.forEach(gpuClass => {
+            classOrder.forEach(gpuClass => {
                 // Ensure the class is selected or showAll is true AND there are GPUs in this class in the filteredData
                 const gpusInClass = filteredData.filter(d => getTierFromModel(d.model) === gpuClass);
 
                 if ((selectedClasses[gpuClass] || showAllClasses) && gpusInClass.length > 0) {
                     groupedByClass[gpuClass] = gpusInClass
-                        .sort((a, b) => a.releaseYear - b.releaseYear);
+                        .sort((a, b) => getReleaseDate(a) - getReleaseDate(b));
                 }
             });
 
 
             // Draw lines for each GPU class
             Object.entries(groupedByClass).forEach(([gpuClass, gpusInClass]) => {
+                // Refresh SKUs are drawn as hollow dots
+                const isRefresh = isRefreshTier(gpuClass);
                 // Line generator
                 const line = d3.line()
-                    .defined(d => d.vram != null && d.vram > 0 && xScale(d.releaseYear) !== undefined && yScale(d.vram) !== undefined) // Ensure valid data and scale mapping
-                    .x(d => xScale(d.releaseYear))
+                    .defined(d => d.vram != null && d.vram > 0 && getReleaseDate(d) !== null) // Ensure valid data and scale mapping
+                    .x(xOf)
                     .y(d => yScale(d.vram));
 
-                // Draw line with class color instead of gray
-                chartGroup.append('path')
-                    .datum(gpusInClass)
-                    .attr('class', 'series-line')
-                    .attr('fill', 'none')
-                    .attr('stroke', classColorScale(gpuClass)) // Use class color for dashed lines
-                    .attr('stroke-width', 1.5)
-                    .attr('stroke-dasharray', '3,3') // Dashed lines
-                    .attr('d', line);
+                // Draw line with class color instead of gray; one line per vendor so
+                // overlaid AMD/Intel cards follow their own track (longer dashes / dots)
+                d3.group(gpusInClass, getVendor).forEach((vendorGpus, vendor) => {
+                    chartGroup.append('path')
+                        .datum(vendorGpus)
+                        .attr('class', 'series-line')
+                        .attr('fill', 'none')
+                        .attr('stroke', classColor(gpuClass)) // Use class color for dashed lines
+                        .attr('stroke-width', 1.5)
+                        .attr('stroke-dasharray', vendorLineDash[vendor] || '3,3') // Dashed lines
+                        .attr('d', line);
+                });
+
+                // Models sold in several memory configurations get a range bar from the
+                // smallest to the largest variant, with a small dot per extra variant
+                const variantGpus = gpusInClass.filter(d => hasVariants(d) && getReleaseDate(d) !== null);
+                variantGpus.forEach(d => {
+                    const variants = getVariants(d);
+                    const x = xOf(d);
+                    chartGroup.append('line')
+                        .attr('class', 'vram-variant-range')
+                        .attr('x1', x)
+                        .attr('x2', x)
+                        .attr('y1', yScale(variants[0].vram))
+                        .attr('y2', yScale(variants[variants.length - 1].vram))
+                        .attr('stroke', classColor(gpuClass))
+                        .attr('stroke-width', 3)
+                        .attr('stroke-opacity', 0.45)
+                        .attr('stroke-linecap', 'round');
+                    chartGroup.selectAll(null)
+                        .data(variants.filter(v => v.vram !== d.vram))
+                        .enter().append('circle')
+                        .attr('class', 'vram-variant-dot')
+                        .attr('cx', x)
+                        .attr('cy', v => yScale(v.vram))
+                        .attr('r', 2.5)
+                        .attr('fill', classColor(gpuClass))
+                        .attr('stroke', '#fff')
+                        .attr('stroke-width', 0.5)
+                        .style('pointer-events', 'none');
+                });
 
                 // Draw points with enhanced hover functionality
                 chartGroup.selectAll(`.vram-dot-${gpuClass.replace(/\s+/g, '-')}`) // Sanitize class name
                     .data(gpusInClass.filter(d => d.vram != null && d.vram > 0)) // Filter again for points
                     .enter().append('circle')
                     .attr('class', `vram-dot vram-dot-${gpuClass.replace(/\s+/g, '-')}`)
-                    .attr('cx', d => xScale(d.releaseYear))
+                    .attr('cx', xOf)
                     .attr('cy', d => yScale(d.vram))
                     .attr('r', 4)
-                    .attr('fill', classColorScale(gpuClass)) // Use class color for dots
-                    .attr('stroke', '#fff')
-                    .attr('stroke-width', 0.5)
+                    // Refresh SKUs and estimated VRAM are hollow; estimates get a dotted outline
+                    .attr('fill', d => (isRefresh || getEstimate(d, 'vram') ? 'transparent' : classColor(gpuClass))) // Use class color for dots
+                    .attr('stroke', d => d.imported ? chartColors.imported : (isRefresh || getEstimate(d, 'vram') ? classColor(gpuClass) : '#fff')) // Dashed outline marks imported GPUs
+                    .attr('stroke-width', d => d.imported || isRefresh || getEstimate(d, 'vram') ? 1.5 : 0.5)
+                    .attr('stroke-dasharray', d => d.imported ? '2,1' : (getEstimate(d, 'vram') ? estimateDash : null))
                     .on('mouseover', function (event, d) {
                         // Show and position tooltip
                         d3.select('.vram-tooltip-container')
@@ -568,13 +617,28 @@ function VramPlot({
                             .style('top', `${event.pageY - 10}px`);
 
                         // Create tooltip content
+                        const vendor = getVendor(d);
+                        const vendorTierNote = vendor !== 'NVIDIA'
+                            ? `<strong>Class:</strong> xx${gpuClass} (${vendor} ${getVendorTierFromModel(d.model, vendor)})<br>`
+                            : '';
+                        const flagshipGap = describeFlagshipGap(d, gpuData);
+                        const variantList = hasVariants(d)
+                            ? `<strong>Variants:</strong><br>${getVariants(d).map(v => `&nbsp;&nbsp;${formatVariant(v)}`).join('<br>')}<br>`
+                            : '';
                         const tooltipContent = `
-                            <div class="tooltip-title" style="color: ${classColorScale(getTierFromModel(d.model))};">${d.model}</div>
+                            <div class="tooltip-title" style="color: ${classColor(gpuClass)};">${d.model}</div>
                             <div class="tooltip-info">
                                 <strong>Series:</strong> ${d.series} series<br>
-                                <strong>VRAM:</strong> ${d.vram} GB<br>
-                                <strong>Year:</strong> ${d.releaseYear}<br>
-                                <strong>CUDA Cores:</strong> ${d.cudaCores ? d.cudaCores.toLocaleString() : 'N/A'}
+                                ${vendorTierNote}
+                                <strong>VRAM:</strong> ${d.vram} GB${citationMarker(citationIndex, 'gpuData', d.model, 'vram')}<br>
+                                ${variantList}
+                                <strong>Released:</strong> ${formatReleaseDate(d)}${citationMarker(citationIndex, 'gpuData', d.model, 'releaseDate')}<br>
+                                ${flagshipGap ? `<span style="color: #aaa;">(${flagshipGap})</span><br>` : ''}
+                                <strong>${vendorCoreLabels[vendor]}:</strong> ${d.cudaCores ? d.cudaCores.toLocaleString() : 'N/A'}${citationMarker(citationIndex, 'gpuData', d.model, 'cudaCores')}
+                                ${isRefresh ? `<br><em>Mid-cycle refresh of the xx${getBaseTier(gpuClass)}</em>` : ''}
+                                ${describeMultiDie(d) ? `<br><span style="color: #aaa;">${describeMultiDie(d)}</span>` : ''}
+                                ${getEstimate(d, 'vram') ? `<br><span style="color: #aaa;">${describeEstimates([getEstimate(d, 'vram')])}</span>` : ''}
+                                ${d.imported ? `<br><em style="color: ${chartColors.imported};">Imported GPU</em>` : ''}
                             </div>
                         `;
 
@@ -585,7 +649,7 @@ function VramPlot({
                             .attr('r', 6)
                             .attr('stroke-width', 2);
                     })
-                    .on('mouseout', function () {
+                    .on('mouseout', function (event, d) {
                         // Hide tooltip
                         d3.select('.vram-tooltip-container')
                             .style('visibility', 'hidden');
@@ -593,7 +657,7 @@ function VramPlot({
                         // Return point to normal size
                         d3.select(this)
                             .attr('r', 4)
-                            .attr('stroke-width', 0.5);
+                            .attr('stroke-width', d.imported || isRefresh || getEstimate(d, 'vram') ? 1.5 : 0.5);
                     });
             });
         } // Close the hasData block
@@ -614,12 +678,9 @@ function VramPlot({
             .attr("text-anchor", "middle") // Center the text
             .text("GPU Classes");
 
-        // Create a color scale for GPU classes (defined inside effect as it's used here)
-        const classColorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(columnOrder);
-
         // Create legend items with checkboxes for each GPU class (Calls setSelectedClasses)
         const legendItems = vramLegend.selectAll(".legend-item")
-            .data(columnOrder)
+            .data(classOrder)
             .enter().append("g")
             .attr("class", "legend-item")
             .attr("transform", (d, i) => `translate(0, ${i * 25})`);
@@ -631,7 +692,7 @@ function VramPlot({
             .attr("width", 15)
             .attr("height", 15)
             .attr("stroke", "#ddd")
-            .attr("fill", d => selectedClasses[d] ? classColorScale(d) : "#555") // Use class-specific color when active
+            .attr("fill", d => selectedClasses[d] ? classColor(d) : "#555") // Use class-specific color when active
             .attr("rx", 3)
             .attr("ry", 3)
             .attr("cursor", "pointer")
@@ -651,7 +712,7 @@ function VramPlot({
                         }
 
                         // If all classes become selected, check "Show All"
-                        const allSelected = columnOrder.every(cls => newState[cls] === true);
+                        const allSelected = classOrder.every(cls => newState[cls] === true);
                         if (allSelected) {
                             setShowAllClasses(true);
                         }
@@ -684,7 +745,7 @@ function VramPlot({
                         }
 
                         // If all classes become selected, check "Show All"
-                        const allSelected = columnOrder.every(cls => newState[cls] === true);
+                        const allSelected = classOrder.every(cls => newState[cls] === true);
                         if (allSelected) {
                             setShowAllClasses(true);
                         }
@@ -696,7 +757,7 @@ function VramPlot({
         // Add "Show All" checkbox at the bottom (Calls setSelectedClasses, setShowAllClasses)
         const showAllGroup = vramLegend.append("g")
             .attr("class", "legend-item")
-            .attr("transform", `translate(0, ${columnOrder.length * 25 + 10})`);
+            .attr("transform", `translate(0, ${classRowsHeight + 10})`);
 
         showAllGroup.append("rect")
             .attr("x", 0)
@@ -714,7 +775,7 @@ function VramPlot({
                     if (showAllClasses) {
                         // If already showing all, switch to hiding all
                         const allFalse = {};
-                        columnOrder.forEach(cls => {
+                        refreshColumnOrder.forEach(cls => {
                             allFalse[cls] = false;
                         });
                         setSelectedClasses(allFalse);
@@ -722,7 +783,7 @@ function VramPlot({
                     } else {
                         // If not showing all, set all to true
                         const allTrue = {};
-                        columnOrder.forEach(cls => {
+                        refreshColumnOrder.forEach(cls => {
                             allTrue[cls] = true;
                         });
                         setSelectedClasses(allTrue);
@@ -739,10 +800,39 @@ function VramPlot({
             .text("Show All Classes")
             .attr("alignment-baseline", "middle");
 
+        // Add refresh SKU toggle checkbox (Calls setShowRefreshSkus)
+        const refreshToggleGroup = vramLegend.append("g")
+            .attr("class", "legend-item")
+            .attr("transform", `translate(0, ${classRowsHeight + 40})`);
+
+        refreshToggleGroup.append("rect")
+            .attr("x", 0)
+            .attr("y", 0)
+            .attr("width", 15)
+            .attr("height", 15)
+            .attr("stroke", "#ddd")
+            .attr("fill", showRefreshSkus ? "#646cff" : "transparent")
+            .attr("rx", 3)
+            .attr("ry", 3)
+            .attr("cursor", "pointer")
+            .on("click", function () {
+                if (setShowRefreshSkus) {
+                    setShowRefreshSkus(showRefreshSkus => !showRefreshSkus);
+                }
+            });
+
+        refreshToggleGroup.append("text")
+            .attr("x", 25)
+            .attr("y", 12)
+            .attr("fill", "#ddd")
+            .style("font-size", "12px")
+            .text("Show Refresh (SUPER) SKUs")
+            .attr("alignment-baseline", "middle");
+
         // Add console data toggle checkbox (Calls setShowConsoleData)
         const consoleToggleGroup = vramLegend.append("g")
             .attr("class", "legend-item")
-            .attr("transform", `translate(0, ${columnOrder.length * 25 + 40})`);
+            .attr("transform", `translate(0, ${classRowsHeight + 70})`);
 
         consoleToggleGroup.append("rect")
             .attr("x", 0)
@@ -772,7 +862,7 @@ function VramPlot({
         if (showConsoleData) {
             const platformLegendGroup = vramLegend.append("g")
                 .attr("class", "platform-legend")
-                .attr("transform", `translate(25, ${columnOrder.length * 25 + 70})`);
+                .attr("transform", `translate(25, ${classRowsHeight + 100})`);
 
             // PlayStation indicator with toggle functionality
             const psRect = platformLegendGroup.append("rect")
@@ -1066,10 +1156,16 @@ function VramPlot({
         // Add subtitle explaining line colors
         vramLegend.append("text")
             .attr("x", 0) // Position relative to vramLegend group
-            .attr("y", columnOrder.length * 25 + (showConsoleData ? 290 : 240)) // Position depends on console legend
+            .attr("y", classRowsHeight + (showConsoleData ? 160 : 110)) // Position depends on console legend
             .attr("fill", "#aaa")
             .style("font-size", "11px")
             .text("* Colors represent GPU classes");
+        vramLegend.append("text")
+            .attr("x", 0)
+            .attr("y", classRowsHeight + (showConsoleData ? 175 : 125))
+            .attr("fill", "#aaa")
+            .style("font-size", "11px")
+            .text("* Bars span a model's memory variants");
 
 
         // Cleanup function to remove tooltips created by D3
@@ -1082,6 +1178,7 @@ function VramPlot({
     }, [
         vramSvgRef,
         gpuData,
+        citationIndex,
         consoleData,
         columnOrder,
         getTierFromModel,
@@ -1089,12 +1186,15 @@ function VramPlot({
         setSelectedClasses, // Dependency for legend click handlers
         showAllClasses, // Dependency for filtering and legend checkbox state
         setShowAllClasses, // Dependency for legend checkbox clicks
+        showRefreshSkus, // Dependency for the class list and refresh checkbox state
+        setShowRefreshSkus, // Dependency for refresh checkbox clicks
         showConsoleData, // Dependency for drawing console data and positioning elements
         setShowConsoleData, // Dependency for console data toggle button
         visibleConsolePlatforms, // Dependency for filtering console data and platform legend opacity/color
         setVisibleConsolePlatforms, // Dependency for platform legend clicks
         memoryAllocationPercentage, // Dependency for console bar height and slider position/text
-        setMemoryAllocationPercentage // Dependency for slider drag handler
+        setMemoryAllocationPercentage, // Dependency for slider drag handler
+        hideEstimates // Dependency for filtering out estimated values
     ]); // Re-run effect when these props change
 
     return (
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent, screen } from '@testing-library/react'
+import AffordabilityPlot from '../AffordabilityPlot'
+import { renderChart, mockColumnOrder } from './chartTestUtils'
+import { getTierFromModel } from '../utils/tierUtils'
+
+const mockGpuData = [
+    { model: 'RTX 2080 Ti', series: '2000', cudaCores: 4352, releaseYear: 2018, msrp: 999, specialFlagship: true, dieName: 'TU102' },
+    { model: 'RTX 2080', series: '2000', cudaCores: 2944, releaseYear: 2018, msrp: 699, flagship: true, dieName: 'TU104', regionalMsrp: { GBP: 749 } },
+    { model: 'RTX 2070', series: '2000', cudaCores: 2304, releaseYear: 2018, msrp: 499, dieName: 'TU106' },
+    { model: 'GTX 1080', series: '1000', cudaCores: 2560, releaseYear: 2016, msrp: 599, flagship: true, dieName: 'GP104' },
+    { model: 'GTX 1070', series: '1000', cudaCores: 1920, releaseYear: 2016, msrp: 379, dieName: 'GP104' },
+]
+
+const mockGpuDieData = { TU102: { generation: 'Turing' }, TU104: { generation: 'Turing' }, TU106: { generation: 'Turing' }, GP104: { generation: 'Pascal' } }
+const mockInflationData = { base_year: 2025, cpi_data: { '2016': 240, '2018': 251.1, '2025': 320 } }
+const mockMedianRealWageData = { '2016': 350, '2018': 354 }
+const mockRegionalWageData = { GBP: { period: 'week', hoursPerWeek: 37.5, wage_data: { '2016': 538, '2018': 569 } } }
+const mockFxRates = { rates: { GBP: { '2016': 0.74, '2018': 0.75 } } }
+
+const renderPlot = (props = {}) => renderChart(AffordabilityPlot, 'affordabilitySvgRef', {
+    gpuData: mockGpuData,
+    gpuDieData: mockGpuDieData,
+    inflationData: mockInflationData,
+    medianRealWageData: mockMedianRealWageData,
+    regionalWageData: mockRegionalWageData,
+    fxRates: mockFxRates,
+    columnOrder: mockColumnOrder,
+    getTierFromModel,
+    specialFlagshipActive: {},
+    activeGenerations: { '2000': true, '1000': true },
+    showAllAffordabilityGenerations: true,
+    ...props,
+})
+
+const pointYs = (svgRef) => Array.from(svgRef.current.querySelectorAll('.affordability-point')).map(point => Number(point.getAttribute('cy')))
+
+describe('AffordabilityPlot', () => {
+    it('draws the regular cards and the selected flagship in hours of US work', () => {
+        const svgRef = renderPlot()
+        expect(svgRef.current.querySelectorAll('.affordability-point')).toHaveLength(4) // RTX 2080 Ti is not selected
+        expect(svgRef.current.querySelectorAll('.affordability-line')).toHaveLength(2)
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Hours of US Median Work')
+
+        fireEvent.mouseOver(svgRef.current.querySelector('.affordability-point'))
+        expect(document.body.textContent).toMatch(/Cost in Work:\s*\d+\.\d hours/)
+        expect(document.body.textContent).toMatch(/\/hour \(\d{4}, 40-hour week\)/)
+    })
+
+    it('switches to weeks of work', () => {
+        const svgRef = renderPlot()
+        fireEvent.click(svgRef.current.querySelector('.unit-toggle-btn'))
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Weeks of US Median Work')
+        expect(svgRef.current.querySelectorAll('.affordability-point')).toHaveLength(4)
+    })
+
+    it('prices work in another country with its wage series', () => {
+        const svgRef = renderPlot()
+        const usYs = pointYs(svgRef)
+        fireEvent.change(screen.getByRole('combobox', { name: /Country/ }), { target: { value: 'GBP' } })
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Hours of UK Median Work')
+        expect(pointYs(svgRef)).not.toEqual(usYs)
+
+        fireEvent.mouseOver(svgRef.current.querySelector('.unit-toggle-btn'))
+        expect(document.body.textContent).toMatch('spread over a 37.5-hour week')
+    })
+
+    it('hides the country selector without regional wage levels', () => {
+        renderPlot({ regionalWageData: { GBP: { wage_data: { '2018': 569 } } } })
+        expect(screen.queryByRole('combobox', { name: /Country/ })).toBeNull()
+    })
+})
@@ -1,28 +1,108 @@
-import { describe, it, expect } from 'vitest'
-import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
 import App from '../App'
+import { bundledDatasets } from '../utils/dataLoader'
+import { datasetFiles } from '../utils/dataValidation'
+
+// Serve the bundled JSON through fetch so App takes the runtime loading path
+const fileToDataset = Object.fromEntries(Object.entries(datasetFiles).map(([key, file]) => [file, bundledDatasets[key]]))
 
 describe('App', () => {
-    it('renders without crashing', () => {
+    beforeEach(() => {
+        vi.stubGlobal('fetch', vi.fn(async (url) => {
+            const data = fileToDataset[url.split('/').pop()]
+            return data
+                ? { ok: true, status: 200, json: async () => data }
+                : { ok: false, status: 404, statusText: 'Not Found' }
+        }))
+    })
+
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+
+    it('renders without crashing', async () => {
         render(<App />)
+        await screen.findByText('VRAM Evolution Over Time')
     })
 
-    it('renders the main title', () => {
+    it('renders the main title', async () => {
         render(<App />)
         expect(screen.getByText('NVIDIA GPU Analyzer')).toBeInTheDocument()
+        await screen.findByText('VRAM Evolution Over Time')
+    })
+
+    it('shows a loading state until the data arrives', async () => {
+        render(<App />)
+        expect(screen.getByRole('status')).toHaveTextContent('Loading GPU data')
+        await screen.findByText('VRAM Evolution Over Time')
+        expect(screen.queryByRole('status')).not.toBeInTheDocument()
     })
 
-    it('renders all three chart sections', () => {
+    it('renders all three chart sections', async () => {
         render(<App />)
 
         // Check for chart section headings
-        expect(screen.getByText('VRAM Evolution Over Time')).toBeInTheDocument()
+        expect(await screen.findByText('VRAM Evolution Over Time')).toBeInTheDocument()
         expect(screen.getByText('GPU Price per Die Area Over Time')).toBeInTheDocument()
     })
 
-    it('renders the GitHub link', () => {
+    it('falls back to bundled data and reports the failure', async () => {
+        fetch.mockImplementation(async () => { throw new Error('offline') })
+        render(<App />)
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('gpu_data.json: offline')
+        expect(screen.getByText('VRAM Evolution Over Time')).toBeInTheDocument()
+    })
+
+    it('toggles vendors, keeping at least one on', async () => {
+        render(<App />)
+        const nvidia = await screen.findByRole('button', { name: 'NVIDIA' })
+        const amd = screen.getByRole('button', { name: 'AMD' })
+        expect(nvidia).toHaveAttribute('aria-pressed', 'true')
+        expect(amd).toHaveAttribute('aria-pressed', 'false')
+
+        fireEvent.click(amd)
+        expect(amd).toHaveAttribute('aria-pressed', 'true')
+        fireEvent.click(nvidia)
+        fireEvent.click(amd)
+        expect(amd).toHaveAttribute('aria-pressed', 'true') // Last vendor cannot be switched off
+    })
+
+    it('toggles hiding estimated values', async () => {
+        render(<App />)
+        const hideEstimates = await screen.findByRole('button', { name: 'Hide estimated values' })
+        expect(hideEstimates).toHaveAttribute('aria-pressed', 'false')
+        fireEvent.click(hideEstimates)
+        expect(hideEstimates).toHaveAttribute('aria-pressed', 'true')
+    })
+
+    it('rebases adjustments to the selected base year', async () => {
+        render(<App />)
+        const baseYear = await screen.findByRole('combobox', { name: /Base year/ })
+        expect(baseYear).toHaveValue(String(bundledDatasets.inflationData.base_year))
+        expect(screen.getByRole('option', { name: /^2022 \(.*RTX 4090.* launch\)$/ })).toBeInTheDocument()
+
+        fireEvent.change(baseYear, { target: { value: '2015' } })
+        expect(baseYear).toHaveValue('2015')
+        expect(screen.getByText(/converted to 2015 dollars/)).toBeInTheDocument()
+    })
+
+    it('edits the disabled-die model', async () => {
+        render(<App />)
+        const fixedShare = await screen.findByRole('slider', { name: /Fixed die share/ })
+        fireEvent.change(fixedShare, { target: { value: '0.1' } })
+        expect(screen.getByText(/charged for 10% of its die outright/)).toBeInTheDocument()
+
+        const memoryBus = screen.getByRole('button', { name: 'Memory bus' })
+        fireEvent.click(memoryBus)
+        expect(memoryBus).toHaveAttribute('aria-pressed', 'true')
+        expect(screen.getByText(/enabled share\s+of memory bus/)).toBeInTheDocument()
+    })
+
+    it('renders the GitHub link', async () => {
         render(<App />)
-        const githubLink = screen.getByTitle('View on GitHub')
+        const githubLink = await screen.findByTitle('View on GitHub')
         expect(githubLink).toBeInTheDocument()
         expect(githubLink).toHaveAttribute('href', 'https://github.com/mr-september/nvidia-gpu-analyzer')
     })
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent } from '@testing-library/react'
+import CoresPerDollarPlot from '../CoresPerDollarPlot'
+import { renderChart, mockColumnOrder } from './chartTestUtils'
+import { getTierFromModel } from '../utils/tierUtils'
+
+const mockGpuData = [
+    { model: 'RTX 2080 Ti', series: '2000', cudaCores: 4352, boostClockMHz: 1545, releaseYear: 2018, msrp: 999, specialFlagship: true, dieName: 'TU102' },
+    { model: 'RTX 2080', series: '2000', cudaCores: 2944, boostClockMHz: 1710, releaseYear: 2018, msrp: 699, flagship: true, dieName: 'TU104' },
+    { model: 'RTX 2070', series: '2000', cudaCores: 2304, boostClockMHz: 1620, releaseYear: 2018, msrp: 499, dieName: 'TU106' },
+    { model: 'GTX 1080', series: '1000', cudaCores: 2560, releaseYear: 2016, msrp: 599, flagship: true, dieName: 'GP104' },
+    { model: 'GTX 1070', series: '1000', cudaCores: 1920, releaseYear: 2016, msrp: 379, dieName: 'GP104' },
+]
+
+const mockGpuDieData = { TU102: { generation: 'Turing' }, TU104: { generation: 'Turing' }, TU106: { generation: 'Turing' }, GP104: { generation: 'Pascal' } }
+const mockInflationData = { base_year: 2025, cpi_data: { '2016': 240, '2018': 251.1, '2025': 320 } }
+const mockMedianRealWageData = { '2016': 350, '2018': 354 }
+
+const renderPlot = (props = {}) => renderChart(CoresPerDollarPlot, 'coresSvgRef', {
+    gpuData: mockGpuData,
+    gpuDieData: mockGpuDieData,
+    inflationData: mockInflationData,
+    medianRealWageData: mockMedianRealWageData,
+    columnOrder: mockColumnOrder,
+    getTierFromModel,
+    specialFlagshipActive: {},
+    activeGenerations: { '2000': true, '1000': true },
+    showAllCoresGenerations: true,
+    ...props,
+})
+
+describe('CoresPerDollarPlot', () => {
+    it('draws the regular cards and the selected flagship per generation', () => {
+        const svgRef = renderPlot()
+        expect(svgRef.current.querySelectorAll('.cores-point')).toHaveLength(4) // RTX 2080 Ti is not selected
+        expect(svgRef.current.querySelectorAll('.cores-line')).toHaveLength(2)
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Cores per $1')
+        expect(svgRef.current.querySelector('.cores-legend').textContent).toContain('* Dotted outlines: estimates')
+    })
+
+    it('switches to FP32 GFLOPS for cards with a boost clock', () => {
+        const svgRef = renderPlot({ specialFlagshipActive: { 2000: true } })
+        fireEvent.click(svgRef.current.querySelector('.metric-toggle-btn'))
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('FP32 GFLOPS per $1')
+        expect(svgRef.current.querySelectorAll('.cores-point')).toHaveLength(2) // 2080 Ti and 2070
+    })
+
+    it('buys fewer cores per adjusted dollar once CPI is applied', () => {
+        const svgRef = renderPlot()
+        const gtx1080CoresPerDollar = () => {
+            const point = Array.from(svgRef.current.querySelectorAll('.cores-point')).find(p => p.__data__.model === 'GTX 1080')
+            fireEvent.mouseOver(point)
+            return Number(document.querySelector('.cores-tooltip-container').textContent.match(/Cores per \$1:\s*([\d.]+)/)[1])
+        }
+        expect(gtx1080CoresPerDollar()).toBeCloseTo(2560 / 599, 2)
+        fireEvent.click(svgRef.current.querySelector('.cpi-toggle-btn'))
+        // The 2016 price in 2025 dollars is 599 × 320 / 240
+        expect(gtx1080CoresPerDollar()).toBeCloseTo(2560 / (599 * 320 / 240), 2)
+    })
+})
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi } from 'vitest'
 import { render } from '@testing-library/react'
 import CudaPlot from '../CudaPlot'
+import { createSvgRef } from './chartTestUtils'
 
 // Mock data for testing
 const mockGpuData = [
@@ -20,7 +21,7 @@ const mockGetTierFromModel = (modelName) => {
 
 describe('CudaPlot', () => {
     it('renders without crashing', () => {
-        const svgRef = { current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') }
+        const svgRef = createSvgRef()
 
         render(
             <CudaPlot
@@ -41,7 +42,7 @@ describe('CudaPlot', () => {
     })
 
     it('renders with toggle mode enabled', () => {
-        const svgRef = { current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') }
+        const svgRef = createSvgRef()
 
         render(
             <CudaPlot
@@ -62,7 +63,7 @@ describe('CudaPlot', () => {
     })
 
     it('renders with log scale enabled', () => {
-        const svgRef = { current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') }
+        const svgRef = createSvgRef()
 
         render(
             <CudaPlot
@@ -81,4 +82,37 @@ describe('CudaPlot', () => {
             />
         )
     })
+
+    it('draws estimated core counts hollow with their range, or leaves them out', () => {
+        const gpuData = mockGpuData.map(gpu => (gpu.model === 'RTX 4080' ? { ...gpu, estimates: { cudaCores: { min: 9000, max: 10000 } } } : gpu))
+        const renderPlot = (hideEstimates) => {
+            const svgRef = createSvgRef()
+            render(
+                <CudaPlot
+                    svgRef={svgRef}
+                    gpuData={gpuData}
+                    columnOrder={mockColumnOrder}
+                    getTierFromModel={mockGetTierFromModel}
+                    toggleMode={false}
+                    useLogScale={false}
+                    specialFlagshipActive={{}}
+                    setSpecialFlagshipActive={vi.fn()}
+                    activeGenerations={{ '4000': true, '3000': true }}
+                    setActiveGenerations={vi.fn()}
+                    showAllCudaGenerations={true}
+                    setShowAllCudaGenerations={vi.fn()}
+                    hideEstimates={hideEstimates}
+                />
+            )
+            return svgRef
+        }
+
+        const svgRef = renderPlot(false)
+        expect(svgRef.current.querySelectorAll('.cores-estimate-range')).toHaveLength(1)
+        expect(Array.from(svgRef.current.querySelectorAll('.series-dot')).filter(dot => dot.getAttribute('stroke-dasharray') === '2,2')).toHaveLength(1)
+
+        const hidden = renderPlot(true)
+        expect(hidden.current.querySelector('.cores-estimate-range')).toBeNull()
+        expect(hidden.current.querySelectorAll('.series-dot')).toHaveLength(svgRef.current.querySelectorAll('.series-dot').length - 1)
+    })
 })
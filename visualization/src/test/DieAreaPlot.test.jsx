@@ -1,6 +1,7 @@
-import { describe, it, vi } from 'vitest'
-import { render } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import { render, fireEvent } from '@testing-library/react'
 import DieAreaPlot from '../DieAreaPlot'
+import { renderChart, createSvgRef } from './chartTestUtils'
 
 // Mock data for testing
 const mockGpuData = [
@@ -29,6 +30,16 @@ const mockGpuDieData = {
     'AD103': { dieSizeMM2: 379, fullCudaCores: 10240, generation: 'Ada Lovelace' },
 }
 
+const mockInflationData = {
+    base_year: 2025,
+    cpi_data: { '2022': 292.656, '2024': 313.2, '2025': 320 },
+    multipliers: { '2022': 1.093, '2024': 1.022, '2025': 1 },
+}
+
+const mockMedianRealWageData = { '2022': 366.5, '2024': 373 }
+
+const mockWaferPrices = { '5': 17000 }
+
 const mockColumnOrder = ["90 Ti", "90", "80 Ti", "80", "70 Ti", "70", "60 Ti", "60", "50 Ti", "50", "30"]
 
 const mockGetTierFromModel = (modelName) => {
@@ -40,13 +51,16 @@ const mockGetTierFromModel = (modelName) => {
 
 describe('DieAreaPlot', () => {
     it('renders without crashing', () => {
-        const svgRef = { current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') }
+        const svgRef = createSvgRef()
 
         render(
             <DieAreaPlot
                 dieAreaSvgRef={svgRef}
                 gpuData={mockGpuData}
                 gpuDieData={mockGpuDieData}
+                inflationData={mockInflationData}
+                medianRealWageData={mockMedianRealWageData}
+                waferPrices={mockWaferPrices}
                 columnOrder={mockColumnOrder}
                 getTierFromModel={mockGetTierFromModel}
                 activeGenerations={{ '4000': true }}
@@ -58,13 +72,16 @@ describe('DieAreaPlot', () => {
     })
 
     it('renders with some generations hidden', () => {
-        const svgRef = { current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') }
+        const svgRef = createSvgRef()
 
         render(
             <DieAreaPlot
                 dieAreaSvgRef={svgRef}
                 gpuData={mockGpuData}
                 gpuDieData={mockGpuDieData}
+                inflationData={mockInflationData}
+                medianRealWageData={mockMedianRealWageData}
+                waferPrices={mockWaferPrices}
                 columnOrder={mockColumnOrder}
                 getTierFromModel={mockGetTierFromModel}
                 activeGenerations={{ '4000': false }}
@@ -75,3 +92,221 @@ describe('DieAreaPlot', () => {
         )
     })
 })
+
+describe('DieAreaPlot currencies', () => {
+    it('labels the price axis in the selected currency', () => {
+        const svgRef = createSvgRef()
+
+        render(
+            <DieAreaPlot
+                dieAreaSvgRef={svgRef}
+                gpuData={[{ ...mockGpuData[0], regionalMsrp: { EUR: 1949 } }, mockGpuData[1]]}
+                gpuDieData={mockGpuDieData}
+                inflationData={mockInflationData}
+                medianRealWageData={mockMedianRealWageData}
+                waferPrices={mockWaferPrices}
+                fxRates={{ rates: { EUR: { '2022': 0.951 } } }}
+                currency="EUR"
+                columnOrder={mockColumnOrder}
+                getTierFromModel={mockGetTierFromModel}
+                activeGenerations={{ '4000': true }}
+                setActiveGenerations={vi.fn()}
+                showAllDieGenerations={true}
+                setShowAllDieGenerations={vi.fn()}
+            />
+        )
+
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toContain('€/mm²')
+    })
+
+    it('labels wage scaling with the selected base year', () => {
+        const svgRef = createSvgRef()
+
+        render(
+            <DieAreaPlot
+                dieAreaSvgRef={svgRef}
+                gpuData={mockGpuData}
+                gpuDieData={mockGpuDieData}
+                inflationData={mockInflationData}
+                medianRealWageData={mockMedianRealWageData}
+                waferPrices={mockWaferPrices}
+                baseYear={2022}
+                columnOrder={mockColumnOrder}
+                getTierFromModel={mockGetTierFromModel}
+                activeGenerations={{ '4000': true }}
+                setActiveGenerations={vi.fn()}
+                showAllDieGenerations={true}
+                setShowAllDieGenerations={vi.fn()}
+            />
+        )
+
+        fireEvent.click(svgRef.current.querySelector('.wage-toggle-btn'))
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toContain('Nominal Wage vs 2022')
+    })
+})
+
+describe('DieAreaPlot die cost overlay', () => {
+    it('switches the wafer overlay to cost per good die', () => {
+        const svgRef = createSvgRef()
+
+        render(
+            <DieAreaPlot
+                dieAreaSvgRef={svgRef}
+                gpuData={mockGpuData}
+                gpuDieData={mockGpuDieData}
+                inflationData={mockInflationData}
+                medianRealWageData={mockMedianRealWageData}
+                waferPrices={mockWaferPrices}
+                yieldModel="poisson"
+                columnOrder={mockColumnOrder}
+                getTierFromModel={mockGetTierFromModel}
+                activeGenerations={{ '4000': true }}
+                setActiveGenerations={vi.fn()}
+                showAllDieGenerations={true}
+                setShowAllDieGenerations={vi.fn()}
+            />
+        )
+
+        expect(svgRef.current.querySelectorAll('.die-cost-marker')).toHaveLength(0)
+        fireEvent.click(svgRef.current.querySelector('.wafer-toggle-btn'))
+        expect(svgRef.current.querySelector('.y-axis-label-right').textContent).toContain('Cost per Good Die Area')
+        expect(svgRef.current.querySelectorAll('.die-cost-marker')).toHaveLength(2) // AD102 and AD103
+
+        fireEvent.click(svgRef.current.querySelector('.wafer-toggle-btn'))
+        expect(svgRef.current.querySelector('.y-axis-label-right')).toBeNull()
+    })
+})
+
+describe('DieAreaPlot wafer overlay', () => {
+    it('draws the wafer price range as a band and labels the foundry', () => {
+        const svgRef = createSvgRef()
+        const waferPrices = { foundries: { TSMC: { 5: { 2020: { price: 17000, low: 16000, high: 18000 } } } } }
+
+        render(
+            <DieAreaPlot
+                dieAreaSvgRef={svgRef}
+                gpuData={mockGpuData}
+                gpuDieData={mockGpuDieData}
+                inflationData={mockInflationData}
+                medianRealWageData={mockMedianRealWageData}
+                waferPrices={waferPrices}
+                columnOrder={mockColumnOrder}
+                getTierFromModel={mockGetTierFromModel}
+                activeGenerations={{ '4000': true }}
+                setActiveGenerations={vi.fn()}
+                showAllDieGenerations={true}
+                setShowAllDieGenerations={vi.fn()}
+            />
+        )
+
+        expect(svgRef.current.querySelector('.wafer-price-area')).not.toBeNull()
+        expect(svgRef.current.querySelector('.wafer-price-line')).not.toBeNull()
+        expect(svgRef.current.querySelector('.wafer-node-label-top').textContent).toBe('5nm')
+        expect(svgRef.current.querySelector('.wafer-foundry-label-top').textContent).toBe('TSMC')
+    })
+})
+
+describe('DieAreaPlot estimates', () => {
+    const estimatedDieData = { ...mockGpuDieData, AD103: { ...mockGpuDieData.AD103, estimates: { dieSizeMM2: { min: 350, max: 400 } } } }
+    const renderPlot = (props = {}) => renderChart(DieAreaPlot, 'dieAreaSvgRef', {
+        gpuData: mockGpuData,
+        gpuDieData: estimatedDieData,
+        inflationData: mockInflationData,
+        medianRealWageData: mockMedianRealWageData,
+        waferPrices: mockWaferPrices,
+        columnOrder: mockColumnOrder,
+        getTierFromModel: mockGetTierFromModel,
+        activeGenerations: { '4000': true },
+        setActiveGenerations: vi.fn(),
+        showAllDieGenerations: true,
+        setShowAllDieGenerations: vi.fn(),
+        ...props,
+    })
+
+    it('draws estimated die sizes hollow with a price range', () => {
+        const svgRef = renderPlot()
+        expect(svgRef.current.querySelectorAll('.die-area-estimate-range')).toHaveLength(1)
+        const dots = Array.from(svgRef.current.querySelectorAll('.die-area-dot'))
+        expect(dots.map(dot => dot.getAttribute('stroke-dasharray'))).toEqual([null, '2,2'])
+        fireEvent.mouseOver(dots[1])
+        expect(document.body.textContent).toContain('Estimated: die size (350–400)')
+    })
+
+    it('leaves estimated cards and the wafer overlay out when estimates are hidden', () => {
+        const svgRef = renderPlot({ hideEstimates: true })
+        expect(svgRef.current.querySelectorAll('.die-area-dot')).toHaveLength(1)
+        expect(svgRef.current.querySelector('.die-area-estimate-range')).toBeNull()
+        expect(svgRef.current.querySelector('.wafer-price-area')).toBeNull()
+    })
+})
+
+describe('DieAreaPlot disabled-die model', () => {
+    it('describes the model and draws a sensitivity cell per series', () => {
+        const svgRef = createSvgRef()
+
+        const { container } = render(
+            <DieAreaPlot
+                dieAreaSvgRef={svgRef}
+                gpuData={mockGpuData}
+                gpuDieData={mockGpuDieData}
+                inflationData={mockInflationData}
+                medianRealWageData={mockMedianRealWageData}
+                waferPrices={mockWaferPrices}
+                effectiveDieFixedShare={0.1}
+                utilizationBasis="memoryBus"
+                columnOrder={mockColumnOrder}
+                getTierFromModel={mockGetTierFromModel}
+                activeGenerations={{ '4000': true }}
+                setActiveGenerations={vi.fn()}
+                showAllDieGenerations={true}
+                setShowAllDieGenerations={vi.fn()}
+            />
+        )
+
+        fireEvent.mouseOver(svgRef.current.querySelector('.die-toggle-btn'))
+        expect(document.body.textContent).toContain('10% fixed + 90% scaled by enabled memory bus')
+
+        const strip = container.querySelector('.effective-die-sensitivity')
+        expect(strip.querySelectorAll('.sensitivity-cell')).toHaveLength(1)
+        // A larger fixed share charges cut dies for more area, so the median falls
+        expect(strip.querySelector('.sensitivity-change').textContent).toMatch(/^-\d+%$/)
+    })
+    it('redraws the points and tooltips when the fixed share or basis changes', () => {
+        const svgRef = createSvgRef()
+        // Same props objects on every render, so only the disabled-die model changes between them
+        const fixedProps = {
+            dieAreaSvgRef: svgRef,
+            gpuData: mockGpuData,
+            gpuDieData: mockGpuDieData,
+            inflationData: mockInflationData,
+            medianRealWageData: mockMedianRealWageData,
+            waferPrices: mockWaferPrices,
+            columnOrder: mockColumnOrder,
+            getTierFromModel: mockGetTierFromModel,
+            activeGenerations: { '4000': true },
+            setActiveGenerations: vi.fn(),
+            showAllDieGenerations: true,
+            setShowAllDieGenerations: vi.fn(),
+        }
+        const plot = (props) => <DieAreaPlot {...fixedProps} {...props} />
+        const dotYs = () => Array.from(svgRef.current.querySelectorAll('.die-area-dot')).map(dot => Number(dot.getAttribute('cy')))
+        const tooltipOf = (index) => {
+            fireEvent.mouseOver(svgRef.current.querySelectorAll('.die-area-dot')[index])
+            return document.querySelector('.die-area-tooltip-container').textContent
+        }
+
+        const { rerender } = render(plot({ effectiveDieFixedShare: 0.1 }))
+        fireEvent.click(svgRef.current.querySelector('.die-toggle-btn'))
+        const lowShareYs = dotYs()
+        const lowShareTooltip = tooltipOf(1)
+
+        rerender(plot({ effectiveDieFixedShare: 0.6 }))
+        const highShareYs = dotYs()
+        // A larger fixed share charges cut dies for more area, so their price per mm² falls
+        highShareYs.forEach((y, i) => expect(y).toBeGreaterThan(lowShareYs[i]))
+        expect(tooltipOf(1)).not.toBe(lowShareTooltip)
+
+        rerender(plot({ effectiveDieFixedShare: 0.6, utilizationBasis: 'memoryBus' }))
+        expect(tooltipOf(1)).toContain('No memory bus data; disabled die uses cores')
+    })
+})
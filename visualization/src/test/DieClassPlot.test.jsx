@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent } from '@testing-library/react'
+import DieClassPlot from '../DieClassPlot'
+import { renderChart } from './chartTestUtils'
+
+const mockGpuData = [
+    { model: 'GTX 570', series: '500', cudaCores: 480, dieName: 'GF110' },
+    { model: 'GTX 560', series: '500', cudaCores: 336, dieName: 'GF114' },
+    { model: 'RTX 4070', series: '4000', cudaCores: 5888, dieName: 'AD104' },
+    { model: 'RTX 4060', series: '4000', cudaCores: 3072, dieName: 'AD107' },
+    { model: 'RTX 4090', series: '4000', cudaCores: 16384, dieName: 'AD102' },
+    { model: 'RX 7700 XT', series: 'RX 7000', cudaCores: 3456, dieName: 'Navi 32' },
+]
+
+const mockGpuDieData = {
+    GF110: { dieSizeMM2: 520, fullCudaCores: 512, generation: 'Fermi' },
+    GF114: { dieSizeMM2: 332, fullCudaCores: 384, generation: 'Fermi' },
+    AD102: { dieSizeMM2: 609, fullCudaCores: 18432, generation: 'Ada Lovelace' },
+    AD104: { dieSizeMM2: 294, fullCudaCores: 7680, generation: 'Ada Lovelace' },
+    AD107: { dieSizeMM2: 159, fullCudaCores: 3072, generation: 'Ada Lovelace' },
+    'Navi 32': { dieSizeMM2: 200, fullCudaCores: 3840 },
+}
+const mockColumnOrder = ["90", "80", "70", "60"]
+
+const renderPlot = (props = {}) => renderChart(DieClassPlot, 'dieClassSvgRef', {
+    gpuData: mockGpuData,
+    gpuDieData: mockGpuDieData,
+    columnOrder: mockColumnOrder,
+    activeGenerations: {},
+    ...props,
+})
+
+const labels = (svgRef) => Array.from(svgRef.current.querySelectorAll('.die-class-label')).map(label => label.textContent)
+
+describe('DieClassPlot', () => {
+    it('labels each NVIDIA card of the default tiers with its die and draws one track per class', () => {
+        const svgRef = renderPlot()
+        expect(labels(svgRef)).toEqual(['GF110', 'GF114', 'AD104', 'AD107'])
+        expect(svgRef.current.querySelectorAll('.die-class-track')).toHaveLength(6)
+        expect(svgRef.current.querySelectorAll('.die-class-line')).toHaveLength(2) // xx70 and xx60
+    })
+
+    it('places a cut-down die below its track', () => {
+        const svgRef = renderPlot()
+        const trackY = Array.from(svgRef.current.querySelectorAll('.die-class-track')).map(track => Number(track.getAttribute('y1')))
+        const pointY = Array.from(svgRef.current.querySelectorAll('.die-class-point-group'))
+            .map(group => Number(group.getAttribute('transform').match(/,([\d.]+)\)/)[1]))
+        expect(pointY[0]).toBeGreaterThan(trackY[0]) // GTX 570 has 480 of 512 cores
+        expect(pointY[3]).toBeCloseTo(trackY[5], 6) // RTX 4060 is the full AD107
+    })
+
+    it('adds a tier from the legend', () => {
+        const svgRef = renderPlot()
+        const xx90 = Array.from(svgRef.current.querySelectorAll('.legend-item')).find(item => item.textContent === 'xx90')
+        fireEvent.click(xx90.querySelector('rect'))
+        expect(labels(svgRef)).toContain('AD102')
+    })
+})
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import GpuImportPanel from '../GpuImportPanel'
+import { bundledDatasets } from '../utils/dataLoader'
+
+const importedGpu = {
+    series: '4000', model: 'RTX 4070 OEM', cudaCores: 5888, vram: 12, releaseYear: 2023,
+    msrp: 549, dieName: 'AD104', manufacturingNode: 5, imported: true,
+}
+
+describe('GpuImportPanel', () => {
+    it('lists imported GPUs and removes them', () => {
+        const setImportedGpus = vi.fn()
+        render(<GpuImportPanel datasets={bundledDatasets} importedGpus={[importedGpu]} setImportedGpus={setImportedGpus} />)
+
+        expect(screen.getByText('RTX 4070 OEM')).toBeInTheDocument()
+        fireEvent.click(screen.getByLabelText('Remove RTX 4070 OEM'))
+
+        const update = setImportedGpus.mock.calls[0][0]
+        expect(update([importedGpu])).toEqual([])
+    })
+
+    it('warns about an imported series left without a flagship', () => {
+        const orphan = { ...importedGpu, model: 'RTX 6080', series: '6000' }
+        const { container } = render(<GpuImportPanel datasets={bundledDatasets} importedGpus={[orphan]} setImportedGpus={vi.fn()} />)
+
+        expect(container.querySelector('.gpu-import-series-warning').textContent).toBe('Series 6000: expected exactly one flagship, found 0')
+    })
+
+    it('imports a chosen CSV file and reports rejected rows', async () => {
+        const setImportedGpus = vi.fn()
+        render(<GpuImportPanel datasets={bundledDatasets} importedGpus={[]} setImportedGpus={setImportedGpus} />)
+
+        const file = new File([
+            'series,model,cudaCores,vram,releaseYear,msrp,dieName,manufacturingNode\n' +
+            '4000,RTX 4070 OEM,5888,12,2023,549,AD104,5\n' +
+            '4000,RTX 4070 Ghost,5888,12,2023,549,AD999,5\n',
+        ], 'gpus.csv', { type: 'text/csv' })
+        fireEvent.change(screen.getByLabelText('Import GPU data file'), { target: { files: [file] } })
+
+        expect(await screen.findByText(/Imported 1 GPU\(s\) from gpus.csv, rejected 1/)).toBeInTheDocument()
+        expect(screen.getByText(/AD999/)).toBeInTheDocument()
+        expect(setImportedGpus.mock.calls[0][0]([])).toEqual([{ ...importedGpu }])
+    })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent } from '@testing-library/react'
+import MarginPlot from '../MarginPlot'
+import { renderChart, mockColumnOrder } from './chartTestUtils'
+import { getTierFromModel } from '../utils/tierUtils'
+
+const mockGpuData = [
+    { model: 'RTX 4090', series: '4000', vram: 24, releaseYear: 2022, msrp: 1599, dieName: 'AD102', manufacturingNode: 5 },
+    { model: 'RTX 4080', series: '4000', vram: 16, releaseYear: 2022, msrp: 1199, dieName: 'AD103', manufacturingNode: 5 },
+    { model: 'RTX 3090', series: '3000', vram: 24, releaseYear: 2020, msrp: 1499, dieName: 'GA102', manufacturingNode: 8 },
+    { model: 'RTX 3080', series: '3000', vram: 10, releaseYear: 2020, msrp: 699, dieName: 'GA102', manufacturingNode: 8 },
+]
+
+const mockGpuDieData = {
+    AD102: { dieSizeMM2: 608, fullCudaCores: 18432, generation: 'Ada Lovelace' },
+    AD103: { dieSizeMM2: 379, fullCudaCores: 10240, generation: 'Ada Lovelace' },
+    GA102: { dieSizeMM2: 628, fullCudaCores: 10752, generation: 'Ampere' },
+}
+
+const mockInflationData = { base_year: 2025, cpi_data: { '2020': 258.8, '2022': 292.656, '2025': 320 } }
+const mockMedianRealWageData = { '2020': 360, '2022': 366.5 }
+const mockWaferPrices = { '5': 17000, '8': 5000 }
+const mockMemoryPrices = { prices: { '2020': 7, '2022': 6 } }
+
+const renderPlot = (props = {}) => renderChart(MarginPlot, 'marginSvgRef', {
+    gpuData: mockGpuData,
+    gpuDieData: mockGpuDieData,
+    inflationData: mockInflationData,
+    medianRealWageData: mockMedianRealWageData,
+    waferPrices: mockWaferPrices,
+    memoryPrices: mockMemoryPrices,
+    columnOrder: mockColumnOrder,
+    getTierFromModel,
+    activeGenerations: { '4000': true, '3000': true },
+    ...props,
+})
+
+describe('MarginPlot', () => {
+    it('draws a point per card and a line per tier', () => {
+        const svgRef = renderPlot()
+        expect(svgRef.current.querySelectorAll('.margin-point')).toHaveLength(4)
+        expect(svgRef.current.querySelectorAll('.margin-line')).toHaveLength(2) // xx90 and xx80
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toContain('Gross Margin')
+    })
+
+    it('hides a tier from the legend', () => {
+        const svgRef = renderPlot()
+        fireEvent.click(svgRef.current.querySelector('.legend-item'))
+        expect(svgRef.current.querySelectorAll('.margin-point')).toHaveLength(2)
+    })
+
+    it('skips cards without a memory price', () => {
+        const svgRef = renderPlot({ memoryPrices: { prices: { '2022': 6 } } })
+        expect(svgRef.current.querySelectorAll('.margin-point')).toHaveLength(2)
+    })
+})
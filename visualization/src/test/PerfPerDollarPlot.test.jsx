@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent } from '@testing-library/react'
+import PerfPerDollarPlot from '../PerfPerDollarPlot'
+import { renderChart, mockColumnOrder } from './chartTestUtils'
+import { getTierFromModel } from '../utils/tierUtils'
+
+const mockGpuData = [
+    { model: 'RTX 4090', series: '4000', releaseYear: 2022, msrp: 1599, dieName: 'AD102' },
+    { model: 'RTX 4080', series: '4000', releaseYear: 2022, msrp: 1199, dieName: 'AD103' },
+    { model: 'RTX 4080 Super', series: '4000', releaseYear: 2024, msrp: 999, dieName: 'AD103' },
+    { model: 'RTX 3090', series: '3000', releaseYear: 2020, msrp: 1499, dieName: 'GA102' },
+    { model: 'RTX 3080', series: '3000', releaseYear: 2020, msrp: 699, dieName: 'GA102' },
+    { model: 'RTX 3070', series: '3000', releaseYear: 2020, msrp: 499, dieName: 'GA104' },
+]
+
+const mockGpuDieData = {
+    AD102: { generation: 'Ada Lovelace' },
+    AD103: { generation: 'Ada Lovelace' },
+    GA102: { generation: 'Ampere' },
+    GA104: { generation: 'Ampere' },
+}
+
+const mockRelativePerformance = {
+    reference: 'RTX 4090',
+    scores: { 'RTX 4090': 100, 'RTX 4080': 76, 'RTX 4080 Super': 77, 'RTX 3090': 58, 'RTX 3080': 52 },
+}
+
+const mockInflationData = { base_year: 2025, cpi_data: { '2020': 258.8, '2022': 292.656, '2024': 313.7, '2025': 320 } }
+const mockMedianRealWageData = { '2020': 360, '2022': 366.5, '2024': 370 }
+
+const renderPlot = (props = {}) => renderChart(PerfPerDollarPlot, 'perfSvgRef', {
+    gpuData: mockGpuData,
+    gpuDieData: mockGpuDieData,
+    relativePerformance: mockRelativePerformance,
+    inflationData: mockInflationData,
+    medianRealWageData: mockMedianRealWageData,
+    columnOrder: mockColumnOrder,
+    getTierFromModel,
+    activeGenerations: { '4000': true, '3000': true },
+    showAllPerfGenerations: true,
+    ...props,
+})
+
+const pointHeights = (svgRef) => Array.from(svgRef.current.querySelectorAll('.perf-point')).map(point => Number(point.getAttribute('cy')))
+
+describe('PerfPerDollarPlot', () => {
+    it('draws a point per scored card and a line per generation', () => {
+        const svgRef = renderPlot()
+        expect(svgRef.current.querySelectorAll('.perf-point')).toHaveLength(5) // RTX 3070 has no score
+        expect(svgRef.current.querySelectorAll('.perf-line')).toHaveLength(2)
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toContain('per $100 (RTX 4090 = 100)')
+    })
+
+    it('hides generations switched off in the shared legend state', () => {
+        const svgRef = renderPlot({ activeGenerations: { '4000': true, '3000': false } })
+        expect(svgRef.current.querySelectorAll('.perf-point')).toHaveLength(3)
+    })
+
+    it('reprices the cards when CPI adjustment is switched on', () => {
+        const svgRef = renderPlot()
+        const nominal = pointHeights(svgRef)
+        fireEvent.click(svgRef.current.querySelector('.cpi-toggle-btn'))
+        expect(svgRef.current.querySelector('.cpi-toggle-btn').getAttribute('fill')).toBe('#646cff')
+        expect(pointHeights(svgRef)).not.toEqual(nominal)
+    })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent } from '@testing-library/react'
+import PowerPlot from '../PowerPlot'
+import { renderChart, mockColumnOrder } from './chartTestUtils'
+import { getTierFromModel } from '../utils/tierUtils'
+
+const mockGpuData = [
+    { model: 'RTX 2080 Ti', series: '2000', cudaCores: 4352, tdpWatts: 250, releaseYear: 2018, specialFlagship: true, dieName: 'TU102' },
+    { model: 'RTX 2080', series: '2000', cudaCores: 2944, tdpWatts: 215, releaseYear: 2018, flagship: true, dieName: 'TU104' },
+    { model: 'RTX 2070', series: '2000', cudaCores: 2304, tdpWatts: 175, releaseYear: 2018, dieName: 'TU106' },
+    { model: 'GTX 1660 Ti', series: '1600', cudaCores: 1536, tdpWatts: 120, releaseYear: 2019, dieName: 'TU116' },
+    { model: 'GTX 1660', series: '1600', cudaCores: 1408, tdpWatts: 120, releaseYear: 2019, dieName: 'TU116' },
+]
+
+const mockGpuDieData = { TU102: { generation: 'Turing' }, TU104: { generation: 'Turing' }, TU106: { generation: 'Turing' }, TU116: { generation: 'Turing' } }
+const mockRelativePerformance = { reference: 'RTX 2080 Ti', scores: { 'RTX 2080 Ti': 100, 'RTX 2080': 80, 'RTX 2070': 64 } }
+
+const renderPlot = (props = {}) => renderChart(PowerPlot, 'powerSvgRef', {
+    gpuData: mockGpuData,
+    gpuDieData: mockGpuDieData,
+    relativePerformance: mockRelativePerformance,
+    columnOrder: mockColumnOrder,
+    getTierFromModel,
+    specialFlagshipActive: {},
+    activeGenerations: { '2000': true, '1600': true },
+    showAllPowerGenerations: true,
+    ...props,
+})
+
+describe('PowerPlot', () => {
+    it('plots the regular cards and the selected flagship', () => {
+        const svgRef = renderPlot()
+        expect(svgRef.current.querySelectorAll('.power-point')).toHaveLength(4) // RTX 2080 Ti is not selected
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Board Power (W)')
+
+        const special = renderPlot({ specialFlagshipActive: { 2000: true } })
+        expect(special.current.querySelectorAll('.power-point')).toHaveLength(4) // RTX 2080 swapped for the 2080 Ti
+    })
+
+    it('aligns the flagships in the first column when normalized', () => {
+        const svgRef = renderPlot()
+        fireEvent.click(svgRef.current.querySelector('.normalize-toggle-btn'))
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Board Power (% of Flagship)')
+        expect(svgRef.current.querySelector('.flagship-line')).not.toBeNull()
+        const xs = Array.from(svgRef.current.querySelectorAll('.power-point')).map(point => Number(point.getAttribute('cx')))
+        expect(Math.min(...xs)).toBe(xs[0]) // RTX 2080 moved to the xx90 Ti column
+        expect(svgRef.current.querySelectorAll('.power-line')).toHaveLength(2) // 1600 starts from the 2080
+    })
+
+    it('switches to performance per watt for scored cards', () => {
+        const svgRef = renderPlot()
+        fireEvent.click(svgRef.current.querySelector('.metric-toggle-btn'))
+        expect(svgRef.current.querySelectorAll('.power-point')).toHaveLength(2)
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toContain('per 100 W')
+    })
+})
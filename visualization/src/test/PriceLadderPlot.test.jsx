@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent } from '@testing-library/react'
+import PriceLadderPlot from '../PriceLadderPlot'
+import { renderChart, mockColumnOrder } from './chartTestUtils'
+
+const mockGpuData = [
+    { model: 'RTX 2080 Ti', series: '2000', cudaCores: 4352, releaseYear: 2018, msrp: 999, specialFlagship: true },
+    { model: 'RTX 2080', series: '2000', cudaCores: 2944, releaseYear: 2018, msrp: 699, flagship: true },
+    { model: 'RTX 2070', series: '2000', cudaCores: 2304, releaseYear: 2018, msrp: 499 },
+    { model: 'RTX 2070 Super', series: '2000', cudaCores: 2560, releaseYear: 2019, msrp: 499 },
+    { model: 'GTX 1080', series: '1000', cudaCores: 2560, releaseYear: 2016, msrp: 599, flagship: true },
+    { model: 'GTX 1070', series: '1000', cudaCores: 1920, releaseYear: 2016, msrp: 379 },
+]
+
+const mockInflationData = { base_year: 2025, cpi_data: { '2016': 240, '2018': 251.1, '2019': 255.7, '2025': 320 } }
+const mockMedianRealWageData = { '2016': 350, '2018': 354, '2019': 361, '2025': 370 }
+
+const renderPlot = (props = {}) => renderChart(PriceLadderPlot, 'priceLadderSvgRef', {
+    gpuData: mockGpuData,
+    inflationData: mockInflationData,
+    medianRealWageData: mockMedianRealWageData,
+    columnOrder: mockColumnOrder,
+    specialFlagshipActive: {},
+    activeGenerations: { '2000': true, '1000': true },
+    ...props,
+})
+
+const pointYs = (svgRef) => Array.from(svgRef.current.querySelectorAll('.price-ladder-point')).map(point => Number(point.getAttribute('cy')))
+
+describe('PriceLadderPlot', () => {
+    it('draws one line per tier and leaves out refresh SKUs', () => {
+        const svgRef = renderPlot()
+        expect(svgRef.current.querySelectorAll('.price-ladder-point')).toHaveLength(5)
+        expect(svgRef.current.querySelectorAll('.price-ladder-line')).toHaveLength(2) // xx80 and xx70; the 2080 Ti has no predecessor
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Launch MSRP')
+    })
+
+    it('rings the selected flagship of each series', () => {
+        const ringedY = (svgRef) => Array.from(svgRef.current.querySelectorAll('.price-ladder-flagship')).map(ring => Number(ring.getAttribute('cy')))
+        const regular = renderPlot()
+        expect(regular.current.querySelectorAll('.price-ladder-flagship')).toHaveLength(2)
+        const special = renderPlot({ specialFlagshipActive: { '2000': true } })
+        expect(ringedY(special)).not.toEqual(ringedY(regular))
+    })
+
+    it('shows the change from the previous generation on hover', () => {
+        const svgRef = renderPlot()
+        const rtx2080 = Array.from(svgRef.current.querySelectorAll('.price-ladder-point'))
+            .find(point => point.__data__.model === 'RTX 2080')
+        fireEvent.mouseOver(rtx2080)
+        expect(document.body.textContent).toMatch(/vs\. GTX 1080:\s*\+16\.7%/)
+    })
+
+    it('adjusts prices with the CPI toggle', () => {
+        const svgRef = renderPlot()
+        const nominalYs = pointYs(svgRef)
+        fireEvent.click(svgRef.current.querySelector('.cpi-toggle-btn'))
+        expect(svgRef.current.querySelector('.y-axis-label').textContent).toBe('Launch MSRP, CPI Adj. (to 2025)')
+        expect(pointYs(svgRef)).not.toEqual(nominalYs)
+    })
+
+    it('hides a tier from the legend', () => {
+        const svgRef = renderPlot()
+        const xx70 = Array.from(svgRef.current.querySelectorAll('.price-ladder-legend .legend-item text'))
+            .find(text => text.textContent === 'xx70')
+        fireEvent.click(xx70)
+        expect(svgRef.current.querySelectorAll('.price-ladder-point')).toHaveLength(3)
+    })
+})
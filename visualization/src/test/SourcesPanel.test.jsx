@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import SourcesPanel from '../SourcesPanel'
+import { buildCitationIndex } from '../utils/citations'
+import { bundledDatasets } from '../utils/dataLoader'
+
+describe('SourcesPanel', () => {
+    it('lists bundled citations grouped by dataset', () => {
+        render(<SourcesPanel citationIndex={buildCitationIndex(bundledDatasets)} inflationData={bundledDatasets.inflationData} />)
+
+        expect(screen.getByText('wafer_prices.json', { exact: false })).toBeInTheDocument()
+        const link = screen.getAllByRole('link', { name: /AI Chips/ })[0]
+        expect(link).toHaveAttribute('href', expect.stringMatching(/^https:\/\/cset\.georgetown\.edu\//))
+        expect(screen.getByText('TSMC 5nm, TSMC 7nm (wafer price)')).toBeInTheDocument()
+        expect(screen.getByText('Methodology')).toBeInTheDocument()
+    })
+
+    it('says so when nothing is cited', () => {
+        render(<SourcesPanel citationIndex={buildCitationIndex({})} inflationData={bundledDatasets.inflationData} />)
+        expect(screen.getByText(/No per-field citations/)).toBeInTheDocument()
+    })
+})
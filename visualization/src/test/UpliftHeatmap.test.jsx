@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { fireEvent } from '@testing-library/react'
+import UpliftHeatmap from '../UpliftHeatmap'
+import { renderChart } from './chartTestUtils'
+
+const mockGpuData = [
+    { model: 'GTX 1070', series: '1000', cudaCores: 1920, releaseYear: 2016, msrp: 379, vram: 8, dieName: 'GP104' },
+    { model: 'GTX 1060', series: '1000', cudaCores: 1280, releaseYear: 2016, msrp: 249, vram: 6, dieName: 'GP106' },
+    { model: 'GTX 1660', series: '1600', cudaCores: 1408, releaseYear: 2019, msrp: 219, vram: 6, dieName: 'TU116' },
+    { model: 'RTX 2060', series: '2000', cudaCores: 1920, releaseYear: 2019, msrp: 349, vram: 6, dieName: 'TU106' },
+    { model: 'RTX 3060', series: '3000', cudaCores: 3584, releaseYear: 2021, msrp: 329, vram: 12, dieName: 'GA106' },
+]
+
+const mockGpuDieData = { GP104: { dieSizeMM2: 314 }, GP106: { dieSizeMM2: 200 }, TU116: { dieSizeMM2: 284 }, TU106: { dieSizeMM2: 445 }, GA106: { dieSizeMM2: 276 } }
+const mockInflationData = { base_year: 2025, cpi_data: { '2016': 240, '2019': 255.7, '2021': 271, '2025': 320 } }
+const mockMedianRealWageData = { '2016': 350, '2019': 365, '2021': 372 }
+const mockColumnOrder = ["80", "70", "60"]
+
+const renderHeatmap = (props = {}) => renderChart(UpliftHeatmap, 'upliftSvgRef', {
+    gpuData: mockGpuData,
+    gpuDieData: mockGpuDieData,
+    inflationData: mockInflationData,
+    medianRealWageData: mockMedianRealWageData,
+    columnOrder: mockColumnOrder,
+    activeGenerations: {},
+    ...props,
+})
+
+const cellTexts = (svgRef) => Array.from(svgRef.current.querySelectorAll('.uplift-cell-group text')).map(text => text.textContent)
+
+describe('UpliftHeatmap', () => {
+    it('draws one row per display series and one cell per tier', () => {
+        const svgRef = renderHeatmap()
+        expect(svgRef.current.querySelectorAll('.uplift-cell-group')).toHaveLength(9) // 1000, 1600/2000, 3000 × 3 tiers
+        expect(Array.from(svgRef.current.querySelectorAll('.y-axis .tick text')).map(text => text.textContent))
+            .toEqual(['1000', '1600/2000', '3000'])
+        // 1000: no xx80, xx70 and xx60 are the first; 1600/2000: no xx70, RTX 2060 +50%; 3000: xx60 +87%
+        expect(cellTexts(svgRef)).toEqual(['', 'new', 'new', '', '', '+50%', '', '', '+87%'])
+        expect(svgRef.current.querySelectorAll('.uplift-cell.empty')).toHaveLength(7)
+        expect(svgRef.current.querySelector('.uplift-legend').textContent).toContain('Shader Cores change vs. previous generation')
+    })
+
+    it('switches the compared metric', () => {
+        const svgRef = renderHeatmap()
+        const msrpButton = Array.from(svgRef.current.querySelectorAll('.metric-btn'))
+            .find(button => button.parentNode.textContent === 'MSRP')
+        fireEvent.click(msrpButton)
+        expect(cellTexts(svgRef)[5]).toBe('+40%') // $349 vs. $249
+    })
+
+    it('keeps the combined row while one of its series is shown', () => {
+        const svgRef = renderHeatmap({ activeGenerations: { '1600': false, '3000': false } })
+        expect(Array.from(svgRef.current.querySelectorAll('.y-axis .tick text')).map(text => text.textContent))
+            .toEqual(['1000', '1600/2000'])
+    })
+
+    it('marks changes with an estimated side and can leave estimated cards out', () => {
+        const gpuData = mockGpuData.map(gpu => (gpu.model === 'RTX 2060' ? { ...gpu, estimates: { cudaCores: true } } : gpu))
+        const svgRef = renderHeatmap({ gpuData })
+        expect(cellTexts(svgRef)[5]).toBe('~+50%')
+        expect(cellTexts(svgRef)[8]).toBe('~+87%') // RTX 3060 vs. the estimated RTX 2060
+
+        const hidden = renderHeatmap({ gpuData, hideEstimates: true })
+        expect(cellTexts(hidden)[5]).toBe('+10%') // GTX 1660 vs. GTX 1060
+        expect(cellTexts(hidden)[8]).toBe('+155%')
+    })
+})
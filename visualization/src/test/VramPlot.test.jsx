@@ -1,6 +1,7 @@
-import { describe, it, vi } from 'vitest'
-import { render } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
 import VramPlot from '../VramPlot'
+import { renderChart, mockColumnOrder } from './chartTestUtils'
+import { getTierFromModel } from '../utils/tierUtils'
 
 // Mock data for testing
 const mockGpuData = [
@@ -14,8 +15,6 @@ const mockConsoleData = [
     { name: 'Xbox Series X', platform: 'Xbox', launchYear: 2020, memory: '16', launchPriceUSD: 499 },
 ]
 
-const mockColumnOrder = ["90 Ti", "90", "80 Ti", "80", "70 Ti", "70", "60 Ti", "60", "50 Ti", "50", "30"]
-
 const mockGetTierFromModel = (modelName) => {
     const name = modelName.toUpperCase()
     if (name.includes('4090') || name.includes('3090')) return '90'
@@ -23,60 +22,66 @@ const mockGetTierFromModel = (modelName) => {
     return '70'
 }
 
+const renderPlot = (props = {}) => renderChart(VramPlot, 'vramSvgRef', {
+    gpuData: mockGpuData,
+    consoleData: mockConsoleData,
+    columnOrder: mockColumnOrder,
+    getTierFromModel: mockGetTierFromModel,
+    selectedClasses: {
+        "90 Ti": true, "90": true, "80 Ti": true, "80": true,
+        "70 Ti": false, "70": true, "60 Ti": false, "60": true,
+        "50 Ti": false, "50": true, "30": false
+    },
+    setSelectedClasses: vi.fn(),
+    showAllClasses: true,
+    setShowAllClasses: vi.fn(),
+    showConsoleData: true,
+    setShowConsoleData: vi.fn(),
+    visibleConsolePlatforms: { PlayStation: true, Xbox: true },
+    setVisibleConsolePlatforms: vi.fn(),
+    memoryAllocationPercentage: 100,
+    setMemoryAllocationPercentage: vi.fn(),
+    ...props,
+})
+
 describe('VramPlot', () => {
     it('renders without crashing', () => {
-        const svgRef = { current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') }
-
-        render(
-            <VramPlot
-                vramSvgRef={svgRef}
-                gpuData={mockGpuData}
-                consoleData={mockConsoleData}
-                columnOrder={mockColumnOrder}
-                getTierFromModel={mockGetTierFromModel}
-                selectedClasses={{
-                    "90 Ti": true, "90": true, "80 Ti": true, "80": true,
-                    "70 Ti": false, "70": true, "60 Ti": false, "60": true,
-                    "50 Ti": false, "50": true, "30": false
-                }}
-                setSelectedClasses={vi.fn()}
-                showAllClasses={true}
-                setShowAllClasses={vi.fn()}
-                showConsoleData={true}
-                setShowConsoleData={vi.fn()}
-                visibleConsolePlatforms={{ PlayStation: true, Xbox: true }}
-                setVisibleConsolePlatforms={vi.fn()}
-                memoryAllocationPercentage={100}
-                setMemoryAllocationPercentage={vi.fn()}
-            />
-        )
+        renderPlot()
     })
 
     it('renders without console data', () => {
-        const svgRef = { current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') }
+        renderPlot({ showConsoleData: false })
+    })
+
+    it('draws refresh SKUs as their own class only while they are shown', () => {
+        const gpuData = [...mockGpuData, { model: 'RTX 4070 Super', series: '4000', vram: 12, releaseYear: 2024 }]
+        const renderRefreshPlot = (showRefreshSkus) => renderPlot({
+            gpuData,
+            getTierFromModel,
+            selectedClasses: { "70 Super": true },
+            showRefreshSkus,
+            setShowRefreshSkus: vi.fn(),
+            showConsoleData: false,
+        }).current
+
+        const shown = renderRefreshPlot(true)
+        expect(Array.from(shown.querySelectorAll('text')).some(t => t.textContent === 'xx70 Super')).toBe(true)
+        expect(shown.querySelectorAll('.vram-dot-70-Super')).toHaveLength(1)
+
+        const hidden = renderRefreshPlot(false)
+        expect(Array.from(hidden.querySelectorAll('text')).some(t => t.textContent === 'xx70 Super')).toBe(false)
+        expect(hidden.querySelectorAll('.vram-dot-70-Super')).toHaveLength(0)
+    })
+
+    it('draws a range bar and extra dots for memory variants', () => {
+        const gpuData = [...mockGpuData, {
+            model: 'RTX 4060 Ti', series: '4000', vram: 16, releaseYear: 2023, msrp: 499,
+            variants: [{ vram: 8, busWidth: 128, msrp: 399 }, { vram: 16, busWidth: 128, msrp: 499 }],
+        }]
+        const svgRef = renderPlot({ gpuData, getTierFromModel, selectedClasses: {}, showConsoleData: false })
 
-        render(
-            <VramPlot
-                vramSvgRef={svgRef}
-                gpuData={mockGpuData}
-                consoleData={mockConsoleData}
-                columnOrder={mockColumnOrder}
-                getTierFromModel={mockGetTierFromModel}
-                selectedClasses={{
-                    "90 Ti": true, "90": true, "80 Ti": true, "80": true,
-                    "70 Ti": false, "70": true, "60 Ti": false, "60": true,
-                    "50 Ti": false, "50": true, "30": false
-                }}
-                setSelectedClasses={vi.fn()}
-                showAllClasses={true}
-                setShowAllClasses={vi.fn()}
-                showConsoleData={false}
-                setShowConsoleData={vi.fn()}
-                visibleConsolePlatforms={{ PlayStation: true, Xbox: true }}
-                setVisibleConsolePlatforms={vi.fn()}
-                memoryAllocationPercentage={100}
-                setMemoryAllocationPercentage={vi.fn()}
-            />
-        )
+        expect(svgRef.current.querySelectorAll('.vram-variant-range')).toHaveLength(1)
+        // The 16GB headline is the regular dot; only the 8GB variant gets an extra one
+        expect(svgRef.current.querySelectorAll('.vram-variant-dot')).toHaveLength(1)
     })
 })
@@ -0,0 +1,608 @@
+import { describe, it, expect } from 'vitest'
+import {
+    getAdjustmentMultiplier, getBaseYearOptions, normalizeCores, getReferenceFlagship, computeNormalizedCores, computePowerRows,
+    getDieUtilization, resolveUtilizationBasis, getEffectiveDieSize, computeDieAreaRows, computeEffectiveDieSensitivity,
+    computePerfPerDollarRows, getFp32Tflops, computeCoresPerDollarRows, getAffordabilityCurrencies, getWeeklyWage,
+    computeAffordabilityRows, getDisplaySeries, computeUpliftMatrix, computePriceLadderRows,
+    getDieClass, computeDieClassRows,
+    getWaferPricePerMM2, getLocalWaferPricePerMM2, computeWaferRows,
+    parseConsoleMemory, hasDedicatedVram, getScaledConsoleMemory, computeConsoleMemoryRows,
+} from '../utils/analytics'
+import { bundledDatasets } from '../utils/dataLoader'
+
+const gpus = [
+    { series: '2000', model: 'RTX 2080', cudaCores: 2944, flagship: true },
+    { series: '2000', model: 'RTX 2080 Ti', cudaCores: 4352, specialFlagship: true },
+    { series: '2000', model: 'RTX 2070', cudaCores: 2304 },
+    { series: '1600', model: 'GTX 1660 Ti', cudaCores: 1536 },
+    { series: '900', model: 'GTX 980', cudaCores: null, flagship: true },
+    { series: '900', model: 'GTX 970', cudaCores: 1664 },
+]
+
+const inflationData = {
+    base_year: 2024,
+    cpi_data: { 2020: 258.811, 2024: 313.689 },
+    cpi_monthly: { '2020-09': 260.28 },
+    multipliers: { 2020: 1.212, 2024: 1 },
+}
+const medianRealWageData = { 2020: 377, 2024: 365 }
+const wageDatasets = { inflationData, medianRealWageData }
+
+describe('getAdjustmentMultiplier', () => {
+    it('is nominal by default', () => {
+        expect(getAdjustmentMultiplier(2020, wageDatasets)).toEqual({ multiplier: 1, type: 'Nominal', period: '2020' })
+    })
+
+    it('uses the release-month CPI for dated records and the yearly multiplier otherwise', () => {
+        const dated = getAdjustmentMultiplier({ releaseYear: 2020, releaseDate: '2020-09-17' }, wageDatasets, { useCpiAdjustment: true })
+        expect(dated.period).toBe('2020-09')
+        expect(dated.multiplier).toBeCloseTo(313.689 / 260.28, 6)
+        expect(dated.type).toBe('CPI Adj. (to 2024)')
+        expect(getAdjustmentMultiplier('2020', wageDatasets, { useCpiAdjustment: true }).multiplier).toBeCloseTo(313.689 / 258.811, 6)
+    })
+
+    it('scales by real wages with CPI on and nominal wages with CPI off', () => {
+        const real = getAdjustmentMultiplier(2020, wageDatasets, { useCpiAdjustment: true, useRealWageScaling: true })
+        expect(real.multiplier).toBeCloseTo(365 / 377, 6)
+        expect(real.type).toBe('Real Wage (to 2024)')
+
+        const nominal = getAdjustmentMultiplier(2020, wageDatasets, { useRealWageScaling: true })
+        expect(nominal.multiplier).toBeCloseTo((365 * 313.689) / (377 * 258.811), 6)
+        expect(nominal.type).toBe('Nominal Wage (to 2024)')
+    })
+
+    it('rebases CPI and wages to the selected base year', () => {
+        const cpi = getAdjustmentMultiplier(2024, wageDatasets, { useCpiAdjustment: true, baseYear: 2020 })
+        expect(cpi.multiplier).toBeCloseTo(258.811 / 313.689, 6)
+        expect(cpi.type).toBe('CPI Adj. (to 2020)')
+
+        const real = getAdjustmentMultiplier(2024, wageDatasets, { useCpiAdjustment: true, useRealWageScaling: true, baseYear: 2020 })
+        expect(real.multiplier).toBeCloseTo(377 / 365, 6)
+        expect(real.type).toBe('Real Wage (to 2020)')
+
+        const nominal = getAdjustmentMultiplier(2024, wageDatasets, { useRealWageScaling: true, baseYear: '2020' })
+        expect(nominal.multiplier).toBeCloseTo((377 * 258.811) / (365 * 313.689), 6)
+        expect(nominal.type).toBe('Nominal Wage (to 2020)')
+
+        expect(getAdjustmentMultiplier(2020, wageDatasets, { useCpiAdjustment: true, baseYear: 2019 }))
+            .toMatchObject({ multiplier: 1, type: 'Nominal (CPI Data Missing)' })
+    })
+
+    it('stays nominal when the wage is missing', () => {
+        const missing = getAdjustmentMultiplier(2019, wageDatasets, { useRealWageScaling: true })
+        expect(missing).toMatchObject({ multiplier: 1, type: 'Nominal (Wage Data Missing)' })
+    })
+
+    it("uses the region's own CPI and wages for other currencies", () => {
+        const regional = {
+            ...wageDatasets,
+            regionalCpiData: { GBP: { cpi_data: { 2020: 108.7, 2024: 133.9 } } },
+            regionalWageData: { GBP: { wage_data: { 2020: 585, 2024: 728 } } },
+        }
+        const cpi = getAdjustmentMultiplier(2020, regional, { useCpiAdjustment: true, currency: 'GBP' })
+        expect(cpi.multiplier).toBeCloseTo(133.9 / 108.7, 6)
+        expect(cpi.type).toBe('CPI Adj. (to 2024)')
+        expect(getAdjustmentMultiplier(2020, regional, { useRealWageScaling: true, currency: 'GBP' }).multiplier)
+            .toBeCloseTo(728 / 585, 6)
+        expect(getAdjustmentMultiplier(2020, regional, { useRealWageScaling: true, currency: 'EUR' }))
+            .toMatchObject({ multiplier: 1, type: 'Nominal (Wage Data Missing)' })
+    })
+})
+
+describe('getBaseYearOptions', () => {
+    it('lists CPI years with the flagships launched in them', () => {
+        const flagships = [{ model: 'RTX 3090', releaseYear: 2020, flagship: true }, { model: 'RTX 3080', releaseYear: 2020 }]
+        expect(getBaseYearOptions(inflationData, flagships)).toEqual([
+            { year: 2020, flagships: ['RTX 3090'] },
+            { year: 2024, flagships: [] },
+        ])
+        expect(getBaseYearOptions(undefined)).toEqual([])
+    })
+})
+
+describe('normalized cores', () => {
+    it('normalizes against the regular flagship unless the special one is selected', () => {
+        expect(getReferenceFlagship(gpus, '2000').flagship.model).toBe('RTX 2080')
+        const special = getReferenceFlagship(gpus, '2000', { 2000: true })
+        expect(special.flagship.model).toBe('RTX 2080 Ti')
+        expect(special.useSpecial).toBe(true)
+    })
+
+    it("follows the 2000 series' selection for the 1600 series", () => {
+        expect(getReferenceFlagship(gpus, '1600').flagship.model).toBe('RTX 2080')
+        expect(getReferenceFlagship(gpus, '1600', { 2000: true }).flagship.model).toBe('RTX 2080 Ti')
+    })
+
+    it('falls back to the card with the most cores when the flagship has none', () => {
+        expect(getReferenceFlagship(gpus, '900').flagship.model).toBe('GTX 970')
+        expect(getReferenceFlagship([{ series: '100', model: 'X', cudaCores: null }], '100')).toBeNull()
+    })
+
+    it('computes a row per card', () => {
+        const rows = computeNormalizedCores(gpus, { specialFlagshipActive: { 2000: true } })
+        const rtx2070 = rows.find(row => row.model === 'RTX 2070')
+        expect(rtx2070).toMatchObject({ tier: '70', referenceModel: 'RTX 2080 Ti', isReferenceFlagship: false })
+        expect(rtx2070.normalizedCores).toBeCloseTo(2304 / 4352 * 100, 6)
+        expect(rows.find(row => row.model === 'RTX 2080 Ti').normalizedCores).toBe(100)
+        expect(rows.find(row => row.model === 'GTX 980').normalizedCores).toBeNull()
+        expect(normalizeCores(null, 100)).toBeNull()
+    })
+
+    it('flags estimated core counts and can leave them out, renormalizing the rest', () => {
+        const estimated = gpus.map(gpu => (gpu.model === 'RTX 2080' ? { ...gpu, estimates: { cudaCores: true } } : gpu))
+        const rows = computeNormalizedCores(estimated)
+        expect(rows.find(row => row.model === 'RTX 2080').estimatedValues).toEqual([{ field: 'cudaCores', min: 2944, max: 2944 }])
+        expect(rows.find(row => row.model === 'RTX 2070').estimatedValues).toEqual([])
+        const hidden = computeNormalizedCores(estimated, { hideEstimates: true })
+        expect(hidden.map(row => row.model)).not.toContain('RTX 2080')
+        expect(hidden.find(row => row.model === 'RTX 2070').referenceModel).toBe('RTX 2080 Ti')
+    })
+})
+
+describe('computePowerRows', () => {
+    const powered = gpus.map(gpu => ({ ...gpu, tdpWatts: { 'RTX 2080': 215, 'RTX 2080 Ti': 250, 'RTX 2070': 175, 'GTX 1660 Ti': 120 }[gpu.model] }))
+    powered[2] = { ...powered[2], gamingPowerWatts: 190 }
+    const relativePerformance = { reference: 'RTX 2080 Ti', scores: { 'RTX 2080 Ti': 100, 'RTX 2080': 80, 'RTX 2070': 64 } }
+
+    it('normalizes TDP against the selected flagship and skips cards without one', () => {
+        const rows = computePowerRows({ gpuData: powered }, { specialFlagshipActive: { 2000: true } })
+        expect(rows.map(row => row.model)).toEqual(['RTX 2080', 'RTX 2080 Ti', 'RTX 2070', 'GTX 1660 Ti'])
+        expect(rows.find(row => row.model === 'GTX 1660 Ti')).toMatchObject({ referenceModel: 'RTX 2080 Ti', normalizedTdp: 48 })
+        expect(rows.find(row => row.model === 'RTX 2080 Ti')).toMatchObject({ isReferenceFlagship: true, normalizedTdp: 100, perfPerWatt: null })
+    })
+
+    it('divides performance by measured gaming power when recorded', () => {
+        const rows = computePowerRows({ gpuData: powered, relativePerformance })
+        const rtx2070 = rows.find(row => row.model === 'RTX 2070')
+        expect(rtx2070).toMatchObject({ powerBasis: 'measured', relativePerformance: 64 })
+        expect(rtx2070.perfPerWatt).toBeCloseTo(64 / 190 * 100, 6)
+        expect(rtx2070.normalizedPerfPerWatt).toBeCloseTo((64 / 190) / (80 / 215) * 100, 6)
+        expect(rows.find(row => row.model === 'GTX 1660 Ti')).toMatchObject({ powerBasis: 'tdp', perfPerWatt: null })
+    })
+})
+
+describe('effective die size', () => {
+    it('charges 30% of the die outright and scales the rest by enabled cores', () => {
+        expect(getEffectiveDieSize(600, 1)).toBe(600)
+        expect(getEffectiveDieSize(600, 0.5)).toBeCloseTo(390, 6)
+    })
+
+    it('treats dies without a full core count as fully used', () => {
+        expect(getDieUtilization({ cudaCores: 8704 }, { fullCudaCores: 10752 })).toBeCloseTo(8704 / 10752, 6)
+        expect(getDieUtilization({ cudaCores: 8704 }, {})).toBe(1)
+    })
+
+    it('takes a configurable fixed share', () => {
+        expect(getEffectiveDieSize(600, 0.5, 0)).toBe(300)
+        expect(getEffectiveDieSize(600, 0.5, 0.6)).toBeCloseTo(480, 6)
+    })
+
+    it('measures utilization by memory bus or L2, falling back to cores', () => {
+        const gpu = { cudaCores: 8704, busWidth: 320, l2CacheMB: 5 }
+        const die = { fullCudaCores: 10752, fullBusWidth: 384 }
+        expect(getDieUtilization(gpu, die, 'memoryBus')).toBeCloseTo(320 / 384, 6)
+        expect(resolveUtilizationBasis(gpu, die, 'memoryBus')).toBe('memoryBus')
+        expect(getDieUtilization(gpu, die, 'l2')).toBeCloseTo(8704 / 10752, 6)
+        expect(resolveUtilizationBasis(gpu, die, 'l2')).toBe('cores')
+    })
+})
+
+describe('computeDieAreaRows', () => {
+    const datasets = {
+        ...wageDatasets,
+        gpuData: [
+            { series: '3000', model: 'RTX 3080', cudaCores: 8704, msrp: 699, releaseYear: 2020, releaseDate: '2020-09-17', dieName: 'GA102' },
+            { series: '3000', model: 'RTX 3080 Ti', cudaCores: 10240, msrp: null, releaseYear: 2021, dieName: 'GA102' },
+            { series: '3000', model: 'RTX 3070', cudaCores: 5888, msrp: 499, releaseYear: 2020, dieName: 'GA104' },
+        ],
+        gpuDieData: { GA102: { dieSizeMM2: 628, fullCudaCores: 10752, generation: 'Ampere' } },
+    }
+
+    it('skips cards without an MSRP or a known die', () => {
+        expect(computeDieAreaRows(datasets).map(row => row.model)).toEqual(['RTX 3080'])
+    })
+
+    it('prices full and effective die area', () => {
+        const [row] = computeDieAreaRows(datasets, { useCpiAdjustment: true, useEffectiveDieSize: true })
+        expect(row.rawPricePerMM2).toBeCloseTo(699 / 628, 6)
+        expect(row.effectiveDieSize).toBeCloseTo(628 * (0.3 + 0.7 * 8704 / 10752), 6)
+        expect(row.adjustedMsrp).toBeCloseTo(699 * 313.689 / 260.28, 6)
+        expect(row.displayPricePerMM2).toBe(row.effectivePricePerMM2)
+        expect(row).toMatchObject({ tier: '80', isRefresh: false, generation: 'Ampere', adjustmentPeriod: '2020-09' })
+    })
+
+    it('applies the disabled-die model options', () => {
+        const withBus = { ...datasets, gpuDieData: { GA102: { ...datasets.gpuDieData.GA102, fullBusWidth: 384 } } }
+        withBus.gpuData = [{ ...datasets.gpuData[0], busWidth: 320 }]
+        const [row] = computeDieAreaRows(withBus, { effectiveDieFixedShare: 0.1, utilizationBasis: 'memoryBus' })
+        expect(row).toMatchObject({ utilizationBasis: 'memoryBus' })
+        expect(row.effectiveDieSize).toBeCloseTo(628 * (0.1 + 0.9 * 320 / 384), 6)
+        expect(computeDieAreaRows(datasets, { utilizationBasis: 'memoryBus' })[0].utilizationBasis).toBe('cores')
+    })
+
+        it('estimates the cost per good die in the adjusted terms', () => {
+        const withWafers = { ...datasets, waferPrices: { 8: 5000 } }
+        withWafers.gpuData = [{ ...datasets.gpuData[0], manufacturingNode: 8 }]
+        const [row] = computeDieAreaRows(withWafers, { useCpiAdjustment: true, yieldModel: 'seeds', defectDensityScale: 2 })
+        expect(row.dieCost).toMatchObject({ yieldModel: 'seeds', defectDensity: 0.24 })
+        expect(row.adjustedDieCost).toBeCloseTo(row.dieCost.costPerGoodDie * row.adjustmentMultiplier, 6)
+        expect(computeDieAreaRows(datasets)[0]).toMatchObject({ dieCost: null, adjustedDieCost: null })
+    })
+
+    it('estimates the BOM and gross margin on the USD MSRP', () => {
+        const withBom = { ...datasets, waferPrices: { 8: 5000 }, memoryPrices: { prices: { 2020: 8 } } }
+        withBom.gpuData = [{ ...datasets.gpuData[0], manufacturingNode: 8, vram: 10 }]
+        const [row] = computeDieAreaRows(withBom, { useCpiAdjustment: true, bomAssumptions: { boardCost: 50 } })
+        expect(row.bom).toMatchObject({ vram: 10, memoryCost: 80, boardCost: 50, coolerCost: 25 })
+        expect(row.bom.total).toBeCloseTo(row.dieCost.costPerGoodDie + 80 + 50 + 25 + 15, 6)
+        expect(row.grossMargin).toBeCloseTo((699 - row.bom.total) / 699, 6)
+        expect(computeDieAreaRows({ ...withBom, memoryPrices: undefined })[0]).toMatchObject({ bom: null, grossMargin: null })
+    })
+
+        it('prices in the selected currency', () => {
+        const euro = {
+            ...datasets,
+            gpuData: [{ ...datasets.gpuData[0], regionalMsrp: { EUR: 719 } }],
+            fxRates: { rates: { EUR: { 2020: 0.877 } } },
+        }
+        const [regional] = computeDieAreaRows(euro, { currency: 'EUR' })
+        expect(regional).toMatchObject({ currency: 'EUR', originalMsrp: 719, usdMsrp: 699, priceBasis: 'regional' })
+        expect(regional.rawPricePerMM2).toBeCloseTo(719 / 628, 6)
+
+        const [converted] = computeDieAreaRows(euro, { currency: 'EUR', useLaunchFx: true })
+        expect(converted).toMatchObject({ priceBasis: 'converted', fxRate: 0.877 })
+        expect(converted.originalMsrp).toBeCloseTo(699 * 0.877, 6)
+    })
+
+    it('counts every die of a dual-GPU board', () => {
+        const dual = {
+            ...datasets,
+            waferPrices: { 8: 5000 },
+            memoryPrices: { prices: { 2020: 8 } },
+            gpuData: [{ ...datasets.gpuData[0], model: 'Dual 3080', dieCount: 2, cudaCores: 17408, msrp: 1398, manufacturingNode: 8, vram: 20 }],
+        }
+        const [row] = computeDieAreaRows(dual)
+        const [single] = computeDieAreaRows({ ...dual, gpuData: [datasets.gpuData[0]].map(d => ({ ...d, manufacturingNode: 8, vram: 10 })) })
+        expect(row).toMatchObject({ dieName: 'GA102', dieCount: 2, dieSizeMM2: 1256, fullCudaCores: 21504 })
+        expect(row.rawPricePerMM2).toBeCloseTo(single.rawPricePerMM2, 6)
+        expect(row.dieCost.costPerGoodDie).toBeCloseTo(single.dieCost.costPerGoodDie, 6)
+        expect(row.adjustedDieCost).toBeCloseTo(single.adjustedDieCost * 2, 6)
+        expect(row.bom.dieCost).toBeCloseTo(single.bom.dieCost * 2, 6)
+    })
+
+    it('carries a die size range over to price per mm² and can leave estimated dies out', () => {
+        const estimated = { ...datasets, gpuDieData: { GA102: { ...datasets.gpuDieData.GA102, estimates: { dieSizeMM2: { min: 600, max: 650 } } } } }
+        const [row] = computeDieAreaRows(estimated)
+        expect(row.estimatedValues).toEqual([{ field: 'dieSizeMM2', min: 600, max: 650 }])
+        expect(row.displayPricePerMM2Range.min).toBeCloseTo(699 / 650, 6)
+        expect(row.displayPricePerMM2Range.max).toBeCloseTo(699 / 600, 6)
+        expect(computeDieAreaRows(datasets)[0]).toMatchObject({ estimatedValues: [], displayPricePerMM2Range: null })
+        expect(computeDieAreaRows(estimated, { hideEstimates: true })).toEqual([])
+    })
+})
+
+describe('computeEffectiveDieSensitivity', () => {
+    const rows = [
+        { series: '3000', releaseYear: 2020, adjustedMsrp: 700, dieSizeMM2: 600, dieUtilizationRatio: 0.5 },
+        { series: '3000', releaseYear: 2020, adjustedMsrp: 1500, dieSizeMM2: 600, dieUtilizationRatio: 1 },
+        { series: '3000', releaseYear: 2021, adjustedMsrp: 300, dieSizeMM2: 200, dieUtilizationRatio: 1 },
+        { series: '2000', releaseYear: 2018, adjustedMsrp: 500, dieSizeMM2: 500, dieUtilizationRatio: 1 },
+    ]
+
+    it('gives each series its median price/mm² at every fixed share, oldest first', () => {
+        const [turing, ampere] = computeEffectiveDieSensitivity(rows, { shares: [0, 0.5] })
+        expect(turing.series).toBe('2000')
+        expect(turing.points.map(p => p.medianPricePerMM2)).toEqual([1, 1])
+        // The cut card is charged for 300 mm² at 0% fixed and 450 mm² at 50%
+        expect(ampere.points[0].medianPricePerMM2).toBeCloseTo(700 / 300, 6)
+        expect(ampere.points[1]).toEqual({ fixedShare: 0.5, medianPricePerMM2: 700 / 450 })
+    })
+
+    it('groups by a custom key', () => {
+        const groups = computeEffectiveDieSensitivity(rows, { groupBy: () => 'all' })
+        expect(groups).toHaveLength(1)
+        expect(groups[0].points.map(p => p.fixedShare)).toEqual([0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6])
+    })
+})
+
+describe('computePerfPerDollarRows', () => {
+    const datasets = {
+        ...wageDatasets,
+        gpuData: [
+            { series: '3000', model: 'RTX 3080', msrp: 699, releaseYear: 2020, releaseDate: '2020-09-17' },
+            { series: '3000', model: 'RTX 3070', msrp: 499, releaseYear: 2020 },
+            { series: '3000', model: 'RTX 3080 Ti', msrp: null, releaseYear: 2021 },
+        ],
+        relativePerformance: { reference: 'RTX 3080', scores: { 'RTX 3080': 100, 'RTX 3080 Ti': 110 } },
+    }
+
+    it('skips cards without a score or an MSRP', () => {
+        expect(computePerfPerDollarRows(datasets).map(row => row.model)).toEqual(['RTX 3080'])
+        expect(computePerfPerDollarRows({ ...datasets, relativePerformance: undefined })).toEqual([])
+    })
+
+    it('divides the score by the adjusted MSRP', () => {
+        const [nominal] = computePerfPerDollarRows(datasets)
+        expect(nominal).toMatchObject({ tier: '80', relativePerformance: 100, adjustmentType: 'Nominal' })
+        expect(nominal.perfPerDollar).toBeCloseTo(100 / 699 * 100, 6)
+
+        const [adjusted] = computePerfPerDollarRows(datasets, { useCpiAdjustment: true })
+        expect(adjusted.adjustedMsrp).toBeCloseTo(699 * 313.689 / 260.28, 6)
+        expect(adjusted.perfPerDollar).toBeCloseTo(100 / adjusted.adjustedMsrp * 100, 6)
+    })
+})
+
+describe('cores per dollar', () => {
+    it('computes peak FP32 TFLOPS from cores and boost clock', () => {
+        expect(getFp32Tflops({ cudaCores: 16384, boostClockMHz: 2520 })).toBeCloseTo(82.58, 2)
+        expect(getFp32Tflops({ cudaCores: 16384 })).toBeNull()
+    })
+
+    it('divides cores and GFLOPS by the adjusted MSRP and marks the selected flagship', () => {
+        const datasets = {
+            ...wageDatasets,
+            gpuData: [
+                { series: '3000', model: 'RTX 3090', cudaCores: 10496, boostClockMHz: 1695, msrp: 1499, releaseYear: 2020, flagship: true },
+                { series: '3000', model: 'RTX 3080', cudaCores: 8704, msrp: 699, releaseYear: 2020, releaseDate: '2020-09-17' },
+                { series: '3000', model: 'RTX 3080 Ti', cudaCores: 10240, msrp: null, releaseYear: 2021 },
+            ],
+        }
+        const rows = computeCoresPerDollarRows(datasets, { useCpiAdjustment: true })
+        expect(rows.map(row => row.model)).toEqual(['RTX 3090', 'RTX 3080'])
+        const [rtx3090, rtx3080] = rows
+        expect(rtx3090.isReferenceFlagship).toBe(true)
+        expect(rtx3090.gflopsPerDollar).toBeCloseTo(rtx3090.fp32Tflops * 1000 / rtx3090.adjustedMsrp, 6)
+        expect(rtx3080).toMatchObject({ isReferenceFlagship: false, fp32Tflops: null, gflopsPerDollar: null })
+        expect(rtx3080.coresPerDollar).toBeCloseTo(8704 / (699 * 313.689 / 260.28), 6)
+    })
+})
+
+describe('affordability', () => {
+    const regionalWageData = {
+        GBP: { period: 'week', hoursPerWeek: 37.5, wage_data: { 2020: 586 } },
+        JPY: { period: 'month', unit: 1000, hoursPerWeek: 38, wage_data: { 2020: 307.7 } },
+        EUR: { wage_data: { 2020: 700 } },
+    }
+    const datasets = {
+        ...wageDatasets,
+        regionalWageData,
+        fxRates: { rates: { JPY: { 2020: 106.8 } } },
+        gpuData: [
+            { series: '3000', model: 'RTX 3090', cudaCores: 10496, msrp: 1499, releaseYear: 2020, flagship: true },
+            { series: '3000', model: 'RTX 3080', cudaCores: 8704, msrp: 699, releaseYear: 2020, releaseDate: '2020-09-17', regionalMsrp: { GBP: 649 } },
+            { series: '3000', model: 'RTX 3070', cudaCores: 5888, msrp: 499, releaseYear: 2019 },
+        ],
+    }
+
+    it('offers the US and regional wage series that give their hours', () => {
+        expect(getAffordabilityCurrencies(regionalWageData)).toEqual(['USD', 'GBP', 'JPY'])
+        expect(getAffordabilityCurrencies(undefined)).toEqual(['USD'])
+    })
+
+    it('converts real US wages to launch-month dollars and spreads monthly wages over weeks', () => {
+        const rtx3080 = datasets.gpuData[1]
+        expect(getWeeklyWage(rtx3080, datasets)).toEqual({ weeklyWage: 377 * 2.6028, hoursPerWeek: 40, period: '2020-09' })
+        expect(getWeeklyWage(rtx3080, datasets, 'GBP')).toEqual({ weeklyWage: 586, hoursPerWeek: 37.5, period: '2020' })
+        expect(getWeeklyWage(rtx3080, datasets, 'JPY').weeklyWage).toBeCloseTo(307700 * 12 / 52, 6)
+        expect(getWeeklyWage(rtx3080, datasets, 'EUR')).toBeNull()
+        expect(getWeeklyWage(datasets.gpuData[2], datasets)).toBeNull() // No 2019 wage
+    })
+
+    it('divides the launch price by the hourly and weekly wage', () => {
+        const rows = computeAffordabilityRows(datasets, { specialFlagshipActive: {} })
+        expect(rows.map(row => row.model)).toEqual(['RTX 3090', 'RTX 3080'])
+        const rtx3080 = rows[1]
+        expect(rtx3080).toMatchObject({ tier: '80', isReferenceFlagship: false, currency: 'USD', originalMsrp: 699, wagePeriod: '2020-09' })
+        expect(rtx3080.weeksOfWork).toBeCloseTo(699 / (377 * 2.6028), 6)
+        expect(rtx3080.hoursOfWork).toBeCloseTo(rtx3080.weeksOfWork * 40, 6)
+        expect(rows[0].isReferenceFlagship).toBe(true)
+    })
+
+    it('prices work in another country with its regional MSRP or the launch exchange rate', () => {
+        const uk = computeAffordabilityRows(datasets, { currency: 'GBP' }).find(row => row.model === 'RTX 3080')
+        expect(uk).toMatchObject({ priceBasis: 'regional', originalMsrp: 649 })
+        expect(uk.hoursOfWork).toBeCloseTo(649 / (586 / 37.5), 6)
+        const japan = computeAffordabilityRows(datasets, { currency: 'JPY' }).find(row => row.model === 'RTX 3090')
+        expect(japan).toMatchObject({ priceBasis: 'converted' })
+        expect(japan.originalMsrp).toBeCloseTo(1499 * 106.8, 6)
+        expect(computeAffordabilityRows(datasets, { currency: 'EUR' })).toEqual([])
+    })
+})
+
+describe('computeUpliftMatrix', () => {
+    const tiers = ['80', '70', '60']
+    const upliftGpus = [
+        { series: '1000', model: 'GTX 1080', cudaCores: 2560, msrp: 599, releaseYear: 2016, dieName: 'GP104' },
+        { series: '1000', model: 'GTX 1060', cudaCores: 1280, msrp: 249, releaseYear: 2016, dieName: 'GP106' },
+        { series: '1600', model: 'GTX 1660', cudaCores: 1408, msrp: 219, releaseYear: 2019, dieName: 'TU116' },
+        { series: '2000', model: 'RTX 2060', cudaCores: 1920, msrp: 349, releaseYear: 2019, dieName: 'TU106' },
+        { series: '2000', model: 'RTX 2070', cudaCores: 2304, msrp: 499, releaseYear: 2018, dieName: 'TU106' },
+        { series: '3000', model: 'RTX 3080', cudaCores: 8704, msrp: 699, releaseYear: 2020, dieName: 'GA102' },
+    ]
+    const upliftDatasets = {
+        ...wageDatasets,
+        gpuData: upliftGpus,
+        gpuDieData: { GP104: { dieSizeMM2: 314 }, GP106: { dieSizeMM2: 200 }, TU106: { dieSizeMM2: 445, fullCudaCores: 2304 } },
+    }
+    const cellAt = (cells, series, tier) => cells.find(cell => cell.series === series && cell.tier === tier)
+
+    it('combines the 1600 and 2000 series into one display series', () => {
+        expect(getDisplaySeries('1600')).toBe('1600/2000')
+        expect(getDisplaySeries('2000')).toBe('1600/2000')
+        expect(getDisplaySeries('3000')).toBe('3000')
+    })
+
+    it('compares each tier with the previous generation, preferring the RTX 20 card in the combined series', () => {
+        const cells = computeUpliftMatrix(upliftDatasets, { tiers })
+        expect(Array.from(new Set(cells.map(cell => cell.series)))).toEqual(['1000', '1600/2000', '3000'])
+        const xx60 = cellAt(cells, '1600/2000', '60')
+        expect(xx60).toMatchObject({ previousSeries: '1000', value: 1920, previousValue: 1280, skippedGeneration: false })
+        expect(xx60.card.model).toBe('RTX 2060')
+        expect(xx60.change).toBeCloseTo(50, 6)
+        expect(cellAt(cells, '1000', '60')).toMatchObject({ previousCard: null, change: null })
+    })
+
+    it('reaches back past a generation without the tier and leaves missing tiers empty', () => {
+        const cells = computeUpliftMatrix(upliftDatasets, { tiers })
+        const xx80 = cellAt(cells, '3000', '80')
+        expect(xx80).toMatchObject({ previousSeries: '1000', skippedGeneration: true })
+        expect(xx80.change).toBeCloseTo((8704 / 2560 - 1) * 100, 6)
+        expect(cellAt(cells, '3000', '60')).toMatchObject({ card: null, value: null, previousSeries: '1600/2000', change: null })
+    })
+
+    it('reads prices, price per mm² and die utilization', () => {
+        const msrp = computeUpliftMatrix(upliftDatasets, { tiers, metric: 'msrp' })
+        expect(cellAt(msrp, '1600/2000', '60').change).toBeCloseTo((349 / 249 - 1) * 100, 6)
+        const perMM2 = computeUpliftMatrix(upliftDatasets, { tiers, metric: 'pricePerMM2' })
+        expect(cellAt(perMM2, '1600/2000', '60').value).toBeCloseTo(349 / 445, 6)
+        expect(cellAt(perMM2, '3000', '80').value).toBeNull() // GA102 has no die record here
+        const utilization = computeUpliftMatrix(upliftDatasets, { tiers, metric: 'dieUtilization' })
+        expect(cellAt(utilization, '1600/2000', '60').value).toBeCloseTo(1920 / 2304, 6)
+    })
+
+    it('flags estimated values on both sides and compares past hidden ones', () => {
+        const estimated = { ...upliftDatasets, gpuData: upliftGpus.map(gpu => (gpu.model === 'RTX 2060' ? { ...gpu, estimates: { cudaCores: true } } : gpu)) }
+        const cells = computeUpliftMatrix(estimated, { tiers })
+        expect(cellAt(cells, '1600/2000', '60').estimatedValues).toEqual([{ field: 'cudaCores', min: 1920, max: 1920 }])
+        expect(cellAt(cells, '3000', '60').previousEstimatedValues.map(estimate => estimate.field)).toEqual(['cudaCores'])
+        expect(cellAt(cells, '1000', '60').estimatedValues).toEqual([])
+        const hidden = computeUpliftMatrix(estimated, { tiers, hideEstimates: true })
+        expect(cellAt(hidden, '1600/2000', '60').card.model).toBe('GTX 1660')
+    })
+})
+
+describe('computePriceLadderRows', () => {
+    const tiers = ['80 Ti', '80', '60']
+    const ladderDatasets = {
+        ...wageDatasets,
+        gpuData: [
+            { series: '2000', model: 'RTX 2080 Ti', cudaCores: 4352, msrp: 999, releaseYear: 2020, specialFlagship: true },
+            { series: '2000', model: 'RTX 2080', cudaCores: 2944, msrp: 699, releaseYear: 2020, flagship: true },
+            { series: '1600', model: 'GTX 1660', cudaCores: 1408, msrp: 219, releaseYear: 2020 },
+            { series: '2000', model: 'RTX 2060', cudaCores: 1920, msrp: 349, releaseYear: 2020 },
+            { series: '3000', model: 'RTX 3080', cudaCores: 8704, msrp: 699, releaseYear: 2024, flagship: true },
+            { series: '3000', model: 'RTX 3060', cudaCores: 3584, msrp: 329, releaseYear: 2024, estimates: { msrp: { min: 299, max: 329 } } },
+            { series: 'RX 6000', model: 'RX 6800 XT', cudaCores: 4608, msrp: 649, releaseYear: 2020, flagship: true },
+        ],
+    }
+    const rowAt = (rows, series, tier) => rows.find(row => row.displaySeries === series && row.tier === tier)
+
+    it('orders the series by release and compares each tier with the vendor\'s previous generation', () => {
+        const rows = computePriceLadderRows(ladderDatasets, { tiers })
+        expect(Array.from(new Set(rows.map(row => row.displaySeries)))).toEqual(['1600/2000', 'RX 6000', '3000'])
+        expect(rowAt(rows, '1600/2000', '60').model).toBe('RTX 2060')
+        expect(rowAt(rows, '3000', '60')).toMatchObject({ previousSeries: '1600/2000', previousModel: 'RTX 2060', skippedGeneration: false })
+        expect(rowAt(rows, '3000', '60').change).toBeCloseTo((329 / 349 - 1) * 100, 6)
+        expect(rowAt(rows, 'RX 6000', '80')).toMatchObject({ vendor: 'AMD', previousSeries: null, change: null })
+        expect(rowAt(rows, '3000', '80 Ti')).toBeUndefined()
+    })
+
+    it('applies the CPI or wage adjustment to both sides of the change', () => {
+        const rows = computePriceLadderRows(ladderDatasets, { tiers, useCpiAdjustment: true })
+        const rtx3080 = rowAt(rows, '3000', '80')
+        expect(rtx3080).toMatchObject({ originalMsrp: 699, adjustmentType: 'CPI Adj. (to 2024)', adjustedMsrp: 699 })
+        expect(rtx3080.previousAdjustedMsrp).toBeCloseTo(699 * 313.689 / 258.811, 6)
+        expect(rtx3080.change).toBeCloseTo((258.811 / 313.689 - 1) * 100, 6)
+        const wage = computePriceLadderRows(ladderDatasets, { tiers, useCpiAdjustment: true, useRealWageScaling: true })
+        expect(rowAt(wage, '3000', '80').previousAdjustedMsrp).toBeCloseTo(699 * 365 / 377, 6)
+    })
+
+    it('marks the selected flagship of each series', () => {
+        const flagships = (specialFlagshipActive) => computePriceLadderRows(ladderDatasets, { tiers, specialFlagshipActive })
+            .filter(row => row.isReferenceFlagship).map(row => row.model)
+        expect(flagships({})).toEqual(['RTX 2080', 'RX 6800 XT', 'RTX 3080'])
+        expect(flagships({ 2000: true })).toEqual(['RTX 2080 Ti', 'RX 6800 XT', 'RTX 3080'])
+    })
+
+    it('flags estimated prices and leaves them out when hidden', () => {
+        const rows = computePriceLadderRows(ladderDatasets, { tiers })
+        expect(rowAt(rows, '3000', '60').estimatedValues).toEqual([{ field: 'msrp', min: 299, max: 329 }])
+        const hidden = computePriceLadderRows(ladderDatasets, { tiers, hideEstimates: true })
+        expect(rowAt(hidden, '3000', '60')).toBeUndefined()
+    })
+})
+
+describe('die class', () => {
+    it('reads the class from NVIDIA die numbers', () => {
+        expect(['GF110', 'GK110', 'GM200', 'AD102'].map(getDieClass)).toEqual(['x02', 'x02', 'x02', 'x02'])
+        expect(['GF114', 'GK104', 'AD104'].map(getDieClass)).toEqual(['x04', 'x04', 'x04'])
+        expect(['AD103', 'GB205', 'TU116', 'TU117', 'GK208'].map(getDieClass)).toEqual(['x03', 'x05', 'x06', 'x07', 'x07'])
+        expect(getDieClass('Navi 31')).toBeNull()
+        expect(getDieClass('2x GF110')).toBeNull()
+    })
+
+    it('rows one NVIDIA card per series and tier with its die class and enabled share', () => {
+        const rows = computeDieClassRows({
+            gpuData: [
+                { series: '500', model: 'GTX 570', cudaCores: 480, dieName: 'GF110' },
+                { series: '4000', model: 'RTX 4070', cudaCores: 5888, dieName: 'AD104' },
+                { series: 'RX 7000', model: 'RX 7700 XT', cudaCores: 3456, dieName: 'Navi 32' },
+            ],
+            gpuDieData: {
+                GF110: { dieSizeMM2: 520, fullCudaCores: 512, generation: 'Fermi' },
+                AD104: { dieSizeMM2: 294, fullCudaCores: 7680, generation: 'Ada Lovelace' },
+                'Navi 32': { dieSizeMM2: 200, fullCudaCores: 3840 },
+            },
+        }, { tiers: ['70'] })
+        expect(rows.map(row => [row.model, row.dieClass])).toEqual([['GTX 570', 'x02'], ['RTX 4070', 'x04']])
+        expect(rows[0].dieUtilizationRatio).toBeCloseTo(480 / 512, 6)
+        expect(rows[1]).toMatchObject({ displaySeries: '4000', tier: '70', utilizationBasis: 'cores', generation: 'Ada Lovelace' })
+    })
+})
+
+describe('wafer price per mm²', () => {
+    it('divides the wafer price by the usable area of a 300 mm wafer', () => {
+        expect(getWaferPricePerMM2({ 5: 17000 }, 5)).toBeCloseTo(17000 / (70686 * 0.6), 6)
+        expect(getWaferPricePerMM2({ 10: 7000 }, '10')).toBeCloseTo(7000 / (70686 * 0.7), 6)
+        expect(getWaferPricePerMM2({ 5: 17000 }, 7)).toBeNull()
+    })
+
+    it('looks up the foundry and year, with the price range', () => {
+        const waferPrices = { foundries: { TSMC: { 5: { 2020: { price: 17000, low: 16000, high: 18000 }, 2024: 18000 } } } }
+        expect(getWaferPricePerMM2(waferPrices, 5, { year: 2025 })).toBeCloseTo(18000 / (70686 * 0.6), 6)
+        expect(getWaferPricePerMM2(waferPrices, 5, { foundry: 'Samsung' })).toBeNull()
+
+        const local = getLocalWaferPricePerMM2(waferPrices, 5, { rates: { EUR: { 2022: 0.95 } } }, 'EUR', { releaseYear: 2022, foundry: 'TSMC' })
+        expect(local).toMatchObject({ foundry: 'TSMC', year: '2020', price: 17000 })
+        expect(local.pricePerMM2).toBeCloseTo(17000 / (70686 * 0.6) * 0.95, 6)
+        expect(local.pricePerMM2Low).toBeCloseTo(16000 / (70686 * 0.6) * 0.95, 6)
+        expect(local.pricePerMM2High).toBeCloseTo(18000 / (70686 * 0.6) * 0.95, 6)
+
+        const rows = computeWaferRows(waferPrices)
+        expect(rows.map(row => row.year)).toEqual(['2020', '2024'])
+        expect(rows[0]).toMatchObject({ foundry: 'TSMC', node: '5', waferPriceLow: 16000, waferPriceHigh: 18000 })
+        expect(rows[1]).toMatchObject({ waferPriceLow: 18000, waferPriceHigh: 18000 })
+    })
+
+    it('lists priced nodes, ignoring the sources map', () => {
+        const rows = computeWaferRows({ 7: 9346, 5: 17000, sources: { 5: { publication: 'CSET' } } })
+        expect(rows.map(row => row.node)).toEqual(['5', '7'])
+        expect(rows[0]).toMatchObject({ waferPrice: 17000, yieldFactor: 0.6 })
+    })
+})
+
+describe('console memory', () => {
+    it('parses MB fractions and GB values', () => {
+        expect(parseConsoleMemory('256/1024')).toEqual({ memoryGB: 0.25, memoryDisplay: '256 MB' })
+        expect(parseConsoleMemory('16')).toEqual({ memoryGB: 16, memoryDisplay: '16 GB' })
+        expect(parseConsoleMemory(null)).toEqual({ memoryGB: 0, memoryDisplay: 'N/A' })
+    })
+
+    it('scales unified memory only', () => {
+        expect(hasDedicatedVram({ name: 'PS2' })).toBe(true)
+        expect(getScaledConsoleMemory({ name: 'PS2', memory: '32/1024' }, 50)).toBe(1 / 32)
+        expect(getScaledConsoleMemory({ name: 'PlayStation 5', memory: '16' }, 75)).toBe(12)
+    })
+
+    it('computes a row per console from the bundled data', () => {
+        const rows = computeConsoleMemoryRows(bundledDatasets.consoleData, { allocationPercentage: 75 })
+        expect(rows).toHaveLength(bundledDatasets.consoleData.length)
+        expect(rows.find(row => row.name === 'PlayStation 5')).toMatchObject({ launchYear: 2020, memoryGB: 16, scaledMemoryGB: 12 })
+    })
+
+    it('flags estimated memory splits and can leave them out', () => {
+        const consoles = [{ name: 'Xbox', launchYear: 2001, memory: '64/1024', estimates: { memory: true } }, { name: 'PlayStation 5', launchYear: 2020, memory: '16' }]
+        expect(computeConsoleMemoryRows(consoles)[0].estimatedValues).toEqual([{ field: 'memory', min: null, max: null }])
+        expect(computeConsoleMemoryRows(consoles, { hideEstimates: true }).map(row => row.name)).toEqual(['PlayStation 5'])
+    })
+})
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { defaultBomAssumptions, bomAssumptionFields, getMemoryPricePerGB, computeBom, getGrossMargin } from '../utils/bom'
+
+describe('computeBom', () => {
+    it('adds the die, memory and flat costs', () => {
+        const bom = computeBom({ dieCost: 200, vram: 16, memoryPricePerGB: 3 })
+        expect(bom).toMatchObject({ dieCost: 200, memoryCost: 48, boardCost: 40, coolerCost: 25, packagingCost: 15 })
+        expect(bom.total).toBe(200 + 48 + 40 + 25 + 15)
+    })
+
+    it('applies the assumptions and counts packaging per die', () => {
+        const bom = computeBom({ dieCost: 100, dieCount: 2, vram: 3, memoryPricePerGB: 10 }, { memoryPriceScale: 0.5, boardCost: 70 })
+        expect(bom).toMatchObject({ dieCost: 200, memoryPricePerGB: 5, memoryCost: 15, boardCost: 70, packagingCost: 30 })
+        expect(bom.total).toBe(200 + 15 + 70 + 25 + 30)
+    })
+})
+
+describe('getGrossMargin', () => {
+    it('compares the BOM to the price net of the channel share', () => {
+        expect(getGrossMargin(1000, 400)).toBeCloseTo(0.6, 6)
+        expect(getGrossMargin(1000, 400, 0.2)).toBeCloseTo(0.5, 6)
+        expect(getGrossMargin(200, 300)).toBeCloseTo(-0.5, 6)
+        expect(getGrossMargin(null, 300)).toBeNull()
+    })
+})
+
+describe('getMemoryPricePerGB', () => {
+    it('looks up the launch year', () => {
+        const memoryPrices = { prices: { 2020: 7, '2022-10': 5 } }
+        expect(getMemoryPricePerGB(memoryPrices, { releaseYear: 2020 })).toBe(7)
+        expect(getMemoryPricePerGB(memoryPrices, { releaseYear: 2019 })).toBeUndefined()
+        expect(getMemoryPricePerGB(undefined, { releaseYear: 2020 })).toBeUndefined()
+    })
+})
+
+describe('bomAssumptionFields', () => {
+    it('exposes every default assumption', () => {
+        expect(bomAssumptionFields.map(field => field.key).sort()).toEqual(Object.keys(defaultBomAssumptions).sort())
+    })
+})
@@ -0,0 +1,14 @@
+import { render } from '@testing-library/react'
+
+// Full tier ladder, as in utils/chartConfig
+export const mockColumnOrder = ["90 Ti", "90", "80 Ti", "80", "70 Ti", "70", "60 Ti", "60", "50 Ti", "50", "30"]
+
+// Detached <svg> for a chart's svg ref prop
+export const createSvgRef = () => ({ current: document.createElementNS('http://www.w3.org/2000/svg', 'svg') })
+
+// Renders a chart with a fresh svg ref passed as `refProp` and returns the ref
+export const renderChart = (Chart, refProp, props) => {
+    const svgRef = createSvgRef()
+    render(<Chart {...{ [refProp]: svgRef }} {...props} />)
+    return svgRef
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { buildCitationIndex, citationMarker, getFieldLabel, describeEstimates } from '../utils/citations'
+
+const whitepaper = { publication: 'NVIDIA Ada GPU Architecture whitepaper', url: 'https://example.com/ada.pdf' }
+const press = { publication: 'NVIDIA newsroom', url: 'https://example.com/rtx-40', accessed: '2025-01-10' }
+const estimate = { publication: 'CSET (2020)' }
+
+const datasets = {
+    gpuData: [
+        { model: 'RTX 4090', msrp: 1599, sources: { msrp: press, cudaCores: whitepaper } },
+        { model: 'RTX 4080', msrp: 1199, sources: { msrp: press } },
+        { model: 'RTX 4070', msrp: 599 },
+    ],
+    gpuDieData: { AD102: { dieSizeMM2: 609, sources: { dieSizeMM2: whitepaper } } },
+    consoleData: [{ name: 'PlayStation 5' }],
+    waferPrices: { 5: 17000, sources: { 5: estimate } },
+}
+
+describe('buildCitationIndex', () => {
+    it('numbers each distinct source once, in dataset order', () => {
+        const index = buildCitationIndex(datasets)
+        expect(index.sources.map(s => s.source.publication)).toEqual(['NVIDIA newsroom', 'NVIDIA Ada GPU Architecture whitepaper', 'CSET (2020)'])
+        expect(index.getNumber('gpuData', 'RTX 4080', 'msrp')).toBe(1)
+        expect(index.getNumber('gpuDieData', 'AD102', 'dieSizeMM2')).toBe(2)
+        expect(index.getNumber('waferPrices', '5nm', 'price')).toBe(3)
+        expect(index.getNumber('gpuData', 'RTX 4070', 'msrp')).toBeNull()
+    })
+
+    it('groups citations by dataset with the fields that use them', () => {
+        const groups = buildCitationIndex(datasets).groups
+        expect(groups.map(g => g.file)).toEqual(['gpu_data.json', 'gpu_die.json', 'wafer_prices.json', 'console_data.json'])
+        expect(groups[0].citations[0].uses).toEqual([
+            { subject: 'RTX 4090', field: 'msrp' },
+            { subject: 'RTX 4080', field: 'msrp' },
+        ])
+        // The whitepaper keeps its number in both groups
+        expect(groups[1].citations.map(c => c.number)).toEqual([2])
+        expect(groups[3].citations).toEqual([])
+    })
+
+    it('tolerates missing datasets', () => {
+        expect(buildCitationIndex({}).sources).toEqual([])
+    })
+})
+
+describe('citationMarker', () => {
+    it('renders a footnote for cited fields only', () => {
+        const index = buildCitationIndex(datasets)
+        expect(citationMarker(index, 'gpuData', 'RTX 4090', 'cudaCores')).toMatch('>[2]</sup>')
+        expect(citationMarker(index, 'gpuData', 'RTX 4090', 'vram')).toBe('')
+        expect(citationMarker(null, 'gpuData', 'RTX 4090', 'msrp')).toBe('')
+    })
+
+    it('labels fields for the sources list', () => {
+        expect(getFieldLabel('dieSizeMM2')).toBe('die size')
+        expect(getFieldLabel('storage')).toBe('storage')
+    })
+})
+
+describe('describeEstimates', () => {
+    it('lists estimated fields with their ranges', () => {
+        expect(describeEstimates([{ field: 'dieSizeMM2', min: 153, max: 199 }, { field: 'memory', min: null, max: null }]))
+            .toBe('Estimated: die size (153–199), memory')
+        expect(describeEstimates([{ field: 'cudaCores', min: 2048, max: 2048 }])).toBe('Estimated: cores')
+        expect(describeEstimates([])).toBe('')
+    })
+})
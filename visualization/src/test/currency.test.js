@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import { getFxRate, getLaunchPrice, formatMoney, describeLaunchPrice } from '../utils/currency'
+
+const fxRates = {
+    rates: {
+        EUR: { 2020: 0.877, '2020-09': 0.847 },
+        JPY: { 2020: 106.8 },
+    },
+}
+
+const rtx3080 = {
+    model: 'RTX 3080', msrp: 699, vram: 10, releaseYear: 2020, releaseDate: '2020-09-17',
+    regionalMsrp: { EUR: 719 },
+}
+
+describe('getFxRate', () => {
+    it('is 1 for USD', () => {
+        expect(getFxRate(fxRates, 'USD', rtx3080)).toEqual({ rate: 1, period: null })
+    })
+
+    it('prefers the launch month and falls back to the launch year', () => {
+        expect(getFxRate(fxRates, 'EUR', rtx3080)).toEqual({ rate: 0.847, period: '2020-09' })
+        expect(getFxRate(fxRates, 'JPY', rtx3080)).toEqual({ rate: 106.8, period: '2020' })
+        expect(getFxRate(fxRates, 'GBP', rtx3080).rate).toBeUndefined()
+    })
+})
+
+describe('getLaunchPrice', () => {
+    it('uses the regional MSRP when there is one', () => {
+        expect(getLaunchPrice(rtx3080, rtx3080, fxRates, { currency: 'EUR' }))
+            .toEqual({ price: 719, usdPrice: 699, basis: 'regional' })
+    })
+
+    it('converts the USD MSRP otherwise, or when launch FX is forced', () => {
+        const converted = getLaunchPrice(rtx3080, rtx3080, fxRates, { currency: 'EUR', useLaunchFx: true })
+        expect(converted).toMatchObject({ basis: 'converted', fxRate: 0.847, fxPeriod: '2020-09' })
+        expect(converted.price).toBeCloseTo(699 * 0.847, 6)
+        expect(getLaunchPrice(rtx3080, rtx3080, fxRates, { currency: 'JPY' }).price).toBeCloseTo(699 * 106.8, 6)
+        expect(getLaunchPrice(rtx3080, rtx3080, fxRates, { currency: 'GBP' }).price).toBeNull()
+    })
+
+    it("applies the card's regional MSRP to its headline variant only", () => {
+        const variant20GB = { vram: 20, msrp: 899 }
+        expect(getLaunchPrice(rtx3080, variant20GB, fxRates, { currency: 'EUR' }).basis).toBe('converted')
+        expect(getLaunchPrice(rtx3080, { ...variant20GB, regionalMsrp: { EUR: 949 } }, fxRates, { currency: 'EUR' }).price).toBe(949)
+    })
+})
+
+describe('formatting', () => {
+    it('prints currency symbols and drops decimals for yen', () => {
+        expect(formatMoney(1949, 'EUR')).toBe('€1,949')
+        expect(formatMoney(1.234, 'USD', 2)).toBe('$1.23')
+        expect(formatMoney(123.45, 'JPY', 2)).toBe('¥123')
+    })
+
+    it('describes where a launch price came from', () => {
+        const converted = getLaunchPrice(rtx3080, rtx3080, fxRates, { currency: 'EUR', useLaunchFx: true })
+        expect(describeLaunchPrice(converted, 'EUR')).toBe('from $699 at 0.847 EUR/USD (2020-09)')
+        expect(describeLaunchPrice({ basis: 'regional' }, 'EUR')).toMatch(/MSRP$/)
+        expect(describeLaunchPrice({ basis: 'usd' }, 'USD')).toBe('')
+    })
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from 'vitest'
+import { loadDatasets, bundledDatasets, getDataBaseUrl } from '../utils/dataLoader'
+import { datasetFiles } from '../utils/dataValidation'
+
+const fileToDataset = Object.fromEntries(Object.entries(datasetFiles).map(([key, file]) => [file, bundledDatasets[key]]))
+
+// Fake fetch serving `overrides` (file name -> data, or an Error to throw) on top of the bundled JSON
+const makeFetch = (overrides = {}) => vi.fn(async (url) => {
+    const file = url.split('/').pop()
+    const data = file in overrides ? overrides[file] : fileToDataset[file]
+    if (data instanceof Error) throw data
+    if (data === undefined) return { ok: false, status: 404, statusText: 'Not Found' }
+    return { ok: true, status: 200, json: async () => data }
+})
+
+describe('getDataBaseUrl', () => {
+    it('defaults to the data folder under the app base path', () => {
+        expect(getDataBaseUrl()).toBe(`${import.meta.env.BASE_URL}data/`)
+    })
+})
+
+describe('loadDatasets', () => {
+    it('fetches every dataset from the base URL', async () => {
+        const fetchImpl = makeFetch()
+        const result = await loadDatasets({ baseUrl: 'https://example.test/data/', fetchImpl })
+
+        expect(result.source).toBe('remote')
+        expect(result.errors).toEqual([])
+        expect(fetchImpl).toHaveBeenCalledTimes(Object.keys(datasetFiles).length)
+        expect(fetchImpl.mock.calls[0][0]).toMatch(/^https:\/\/example\.test\/data\/.+\.json$/)
+    })
+
+    it('uses remote data when it differs from the bundle', async () => {
+        const patchedGpus = bundledDatasets.gpuData.map(gpu => (gpu.model === 'RTX 4090' ? { ...gpu, msrp: 1699 } : gpu))
+        const result = await loadDatasets({ baseUrl: '/data/', fetchImpl: makeFetch({ 'gpu_data.json': patchedGpus }) })
+
+        expect(result.datasets.gpuData.find(gpu => gpu.model === 'RTX 4090').msrp).toBe(1699)
+    })
+
+    it('falls back per dataset when a file cannot be fetched', async () => {
+        const result = await loadDatasets({ baseUrl: '/data/', fetchImpl: makeFetch({ 'wafer_prices.json': undefined }) })
+
+        expect(result.source).toBe('mixed')
+        expect(result.datasets.waferPrices).toBe(bundledDatasets.waferPrices)
+        expect(result.errors).toEqual(['wafer_prices.json: HTTP 404 Not Found'])
+    })
+
+    it('falls back entirely when every fetch fails', async () => {
+        const offline = vi.fn(async () => { throw new Error('offline') })
+        const result = await loadDatasets({ baseUrl: '/data/', fetchImpl: offline })
+
+        expect(result.source).toBe('bundled')
+        expect(result.datasets).toBe(bundledDatasets)
+        expect(result.errors).toHaveLength(Object.keys(datasetFiles).length)
+    })
+
+    it('rejects remote data that fails validation', async () => {
+        const brokenGpus = [...bundledDatasets.gpuData, { ...bundledDatasets.gpuData[1], model: 'GTX 585', dieName: 'GF999' }]
+        const result = await loadDatasets({ baseUrl: '/data/', fetchImpl: makeFetch({ 'gpu_data.json': brokenGpus }) })
+
+        expect(result.source).toBe('bundled')
+        expect(result.datasets).toBe(bundledDatasets)
+        expect(result.errors[0]).toMatch('failed validation')
+    })
+
+    it('uses bundled data when fetch is unavailable', async () => {
+        const result = await loadDatasets({ fetchImpl: null })
+        expect(result.source).toBe('bundled')
+    })
+})
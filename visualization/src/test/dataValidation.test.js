@@ -0,0 +1,450 @@
+import { describe, it, expect } from 'vitest'
+import { validateDatasets, formatValidationReport, parseDieReference } from '../utils/dataValidation'
+import gpuData from '../assets/gpu_data.json'
+import gpuDieData from '../assets/gpu_die.json'
+import consoleData from '../assets/console_data.json'
+import inflationData from '../assets/inflation_data.json'
+import medianRealWageData from '../assets/median_real_wage_data.json'
+import waferPrices from '../assets/wafer_prices.json'
+import regionalCpiData from '../assets/regional_cpi_data.json'
+import regionalWageData from '../assets/regional_wage_data.json'
+import fxRates from '../assets/fx_rates.json'
+import memoryPrices from '../assets/memory_prices.json'
+import relativePerformance from '../assets/relative_performance.json'
+
+const bundledDatasets = { gpuData, gpuDieData, consoleData, inflationData, medianRealWageData, waferPrices, regionalCpiData, regionalWageData, fxRates, memoryPrices, relativePerformance }
+
+// Minimal, valid datasets that individual tests break on purpose
+const makeDatasets = () => ({
+    gpuData: [
+        { series: '4000', model: 'RTX 4090', cudaCores: 16384, vram: 24, releaseYear: 2022, flagship: true, msrp: 1599, dieName: 'AD102', manufacturingNode: 5 },
+        { series: '4000', model: 'RTX 4080', cudaCores: 9728, vram: 16, releaseYear: 2022, flagship: false, msrp: 1199, dieName: 'AD103', manufacturingNode: 5 },
+    ],
+    gpuDieData: {
+        AD102: { fullCudaCores: 18432, dieSizeMM2: 609, generation: 'Ada Lovelace' },
+        AD103: { fullCudaCores: 10240, dieSizeMM2: 379, generation: 'Ada Lovelace' },
+    },
+    consoleData: [
+        { platform: 'PlayStation', name: 'PlayStation 5', launchYear: 2020, launchPriceUSD: 499, memory: '16', storage: '825GB SSD', nodeNM: 7 },
+    ],
+    inflationData: { base_year: 2025, cpi_data: { 2020: 258.811, 2022: 292.656, 2025: 320 }, multipliers: { 2020: 1.237, 2022: 1.093, 2025: 1 } },
+    medianRealWageData: { 2020: 368.25, 2022: 366.5 },
+    waferPrices: { 5: 17000 },
+})
+
+const messagesFor = (result) => result.errors.map(e => e.message).join('\n')
+
+describe('bundled datasets', () => {
+    it('pass schema and cross-reference validation', () => {
+        const result = validateDatasets(bundledDatasets)
+        // Print the readable report so CI logs show exactly what is wrong
+        console.log(formatValidationReport(result))
+        expect(result.errors).toEqual([])
+    })
+})
+
+describe('validateDatasets', () => {
+    it('accepts a consistent set of datasets', () => {
+        const result = validateDatasets(makeDatasets())
+        expect(result.errors).toEqual([])
+        expect(result.warnings).toEqual([])
+    })
+
+    describe('schema checks', () => {
+        it('reports missing required fields', () => {
+            const datasets = makeDatasets()
+            delete datasets.gpuData[1].cudaCores
+            expect(messagesFor(validateDatasets(datasets))).toMatch('missing required field')
+        })
+
+        it('reports wrongly typed values', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].vram = '24'
+            const [error] = validateDatasets(datasets).errors
+            expect(error.path).toBe('[0].vram')
+            expect(error.message).toMatch('expected number')
+        })
+
+        it('warns about a null msrp instead of failing', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].msrp = null
+            const result = validateDatasets(datasets)
+            expect(result.errors).toEqual([])
+            expect(result.warnings[0].path).toBe('[1].msrp')
+        })
+
+        it('warns about fields not in the schema', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].boostClock = 2520
+            expect(validateDatasets(datasets).warnings[0].message).toMatch('unknown field')
+        })
+
+        it('rejects malformed console memory strings', () => {
+            const datasets = makeDatasets()
+            datasets.consoleData[0].memory = '16GB'
+            expect(messagesFor(validateDatasets(datasets))).toMatch('does not match')
+        })
+
+        it('rejects non-year keys in CPI data', () => {
+            const datasets = makeDatasets()
+            datasets.inflationData.cpi_data['20x5'] = 300
+            expect(messagesFor(validateDatasets(datasets))).toMatch('four-digit year')
+        })
+
+        it('does not need precomputed CPI multipliers', () => {
+            const datasets = makeDatasets()
+            delete datasets.inflationData.multipliers
+            expect(validateDatasets(datasets).errors).toEqual([])
+        })
+    })
+
+    describe('cross-reference checks', () => {
+        it('reports a dieName with no gpu_die.json entry', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].dieName = 'AD104'
+            expect(messagesFor(validateDatasets(datasets))).toMatch('dieName "AD104" has no entry')
+        })
+
+        it('resolves multi-die references against the base die', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].dieName = '2x AD103'
+            const result = validateDatasets(datasets)
+            expect(result.errors).toEqual([])
+            expect(result.warnings).toEqual([])
+        })
+
+        it('checks a dieCount against the die and a legacy "2x" prefix', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].dieCount = 2
+            datasets.gpuData[1].cudaCores = datasets.gpuDieData.AD103.fullCudaCores + 1
+            expect(validateDatasets(datasets).errors).toEqual([])
+            datasets.gpuData[1].dieName = '3x AD103'
+            expect(validateDatasets(datasets).errors.map(e => e.code)).toEqual(['die-count-mismatch'])
+            datasets.gpuData[1].dieCount = 1.5
+            expect(messagesFor(validateDatasets(datasets))).toMatch('expected an integer')
+        })
+
+        it('reports a memory bus or L2 wider than the die', () => {
+            const datasets = makeDatasets()
+            datasets.gpuDieData.AD103.fullBusWidth = 256
+            datasets.gpuData[1].busWidth = 320
+            expect(messagesFor(validateDatasets(datasets))).toMatch('busWidth 320 exceeds AD103 fullBusWidth')
+        })
+
+        it('reports a manufacturingNode with no wafer price', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].manufacturingNode = 4
+            expect(messagesFor(validateDatasets(datasets))).toMatch('manufacturingNode 4 has no price')
+        })
+
+        it('prices a die at its own foundry', () => {
+            const datasets = makeDatasets()
+            datasets.waferPrices = { foundries: { TSMC: { 5: { 2022: 17000 } }, Samsung: { 8: { 2020: 3000 } } } }
+            expect(validateDatasets(datasets).errors).toEqual([])
+            datasets.gpuDieData.AD103.foundry = 'Samsung'
+            expect(messagesFor(validateDatasets(datasets))).toBe('manufacturingNode 5 has no price in wafer_prices.json (Samsung 5nm)')
+        })
+
+        it('checks wafer price ranges', () => {
+            const datasets = makeDatasets()
+            datasets.waferPrices = { foundries: { TSMC: { 5: { 2022: { price: 17000, low: 18000, high: 20000 }, 22: 9000 } } } }
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('expected low <= price <= high, got 18000 / 17000 / 20000')
+            expect(messages).toMatch('key is not a four-digit year')
+        })
+
+        it('reports release years without CPI or wage data', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].releaseYear = 2023
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('releaseYear 2023 has no CPI data')
+            expect(messages).toMatch('releaseYear 2023 has no wage data')
+        })
+
+        it('reports series without exactly one flagship', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].flagship = true
+            expect(messagesFor(validateDatasets(datasets))).toMatch('expected exactly one flagship, found 2')
+            expect(validateDatasets(datasets).errors.map(e => e.code)).toEqual(['flagship-count'])
+
+            datasets.gpuData[0].flagship = false
+            datasets.gpuData[1].flagship = false
+            expect(messagesFor(validateDatasets(datasets))).toMatch('expected exactly one flagship, found 0')
+            expect(validateDatasets(datasets).errors.map(e => e.code)).toEqual(['missing-flagship'])
+        })
+
+        it('allows the 1600 series to borrow the 2000 series flagship', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData.push(
+                { series: '2000', model: 'RTX 2080 Ti', cudaCores: 4352, vram: 11, releaseYear: 2022, flagship: true, msrp: 999, dieName: 'AD102', manufacturingNode: 5 },
+                { series: '1600', model: 'GTX 1660 Ti', cudaCores: 1536, vram: 6, releaseYear: 2022, msrp: 279, dieName: 'AD103', manufacturingNode: 5 },
+            )
+            expect(validateDatasets(datasets).errors).toEqual([])
+        })
+
+        it('reports models that do not map to a chart tier', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].model = 'TITAN X'
+            expect(messagesFor(validateDatasets(datasets))).toMatch('does not map to a tier')
+        })
+
+        it('reports duplicate models', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].model = 'RTX 4090'
+            expect(messagesFor(validateDatasets(datasets))).toMatch('duplicate model')
+        })
+
+        it('reports core counts larger than the full die', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].cudaCores = 20000
+            expect(messagesFor(validateDatasets(datasets))).toMatch('exceeds AD103 full die')
+        })
+
+        it('reports a vendor field that contradicts the model name', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].vendor = 'AMD'
+            const result = validateDatasets(datasets)
+            expect(result.errors.map(e => e.code)).toContain('vendor-mismatch')
+        })
+
+        it('rejects unknown vendors', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].vendor = 'Matrox'
+            expect(messagesFor(validateDatasets(datasets))).toMatch('"Matrox" is not one of NVIDIA, AMD, Intel')
+        })
+    })
+
+    describe('release dates', () => {
+        it('accepts a releaseDate inside releaseYear', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].releaseDate = '2022-10-12'
+            datasets.consoleData[0].releaseDate = '2020-11-12'
+            expect(validateDatasets(datasets).errors).toEqual([])
+        })
+
+        it('flags dates outside the release year and impossible dates', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].releaseDate = '2023-01-05'
+            datasets.consoleData[0].releaseDate = '2020-02-30'
+            const result = validateDatasets(datasets)
+            expect(result.errors.map(e => e.code)).toEqual(['release-date-mismatch', 'release-date-mismatch'])
+            expect(messagesFor(result)).toMatch('releaseDate 2023-01-05 is not in releaseYear 2022')
+            expect(messagesFor(result)).toMatch('releaseDate 2020-02-30 is not a calendar date')
+        })
+
+        it('rejects non-ISO dates and malformed cpi_monthly keys', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].releaseDate = '10/12/2022'
+            datasets.inflationData.cpi_monthly = { '2022-13': 300 }
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('"10/12/2022" does not match')
+            expect(messages).toMatch('key is not a YYYY-MM month')
+        })
+    })
+
+    describe('source citations', () => {
+        const source = { publication: 'NVIDIA newsroom', url: 'https://example.com/rtx-40', accessed: '2025-01-10' }
+
+        it('accepts citations for record fields and wafer nodes', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].sources = { msrp: source }
+            datasets.gpuDieData.AD102.sources = { dieSizeMM2: { publication: 'Whitepaper' } }
+            datasets.consoleData[0].sources = { memory: source }
+            datasets.waferPrices.sources = { 5: source }
+            expect(validateDatasets(datasets).errors).toEqual([])
+        })
+
+        it('keys citations by foundry node in the foundry form', () => {
+            const datasets = makeDatasets()
+            datasets.waferPrices = { foundries: { TSMC: { 5: { 2022: 17000 } } }, sources: { 'TSMC 5nm': source, 'TSMC 3nm': source } }
+            expect(messagesFor(validateDatasets(datasets))).toBe('cites "TSMC 3nm", which is not a field of this record')
+        })
+
+        it('rejects citations for unknown fields or nodes', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].sources = { price: source }
+            datasets.waferPrices.sources = { 3: source }
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('cites "price", which is not a field of this record')
+            expect(messages).toMatch('cites "3", which is not a field of this record')
+        })
+
+        it('checks each source record', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].sources = { msrp: { url: 'nvidia.com', accessed: 'January 2025' } }
+            const result = validateDatasets(datasets)
+            expect(result.errors.map(e => e.path)).toEqual([
+                '[0].sources.msrp.publication',
+                '[0].sources.msrp.url',
+                '[0].sources.msrp.accessed',
+            ])
+        })
+    })
+
+    describe('estimate flags', () => {
+        it('accepts flags and ranges around the value', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].estimates = { cudaCores: { min: 16000, max: 16384 } }
+            datasets.gpuDieData.AD102.estimates = { dieSizeMM2: true }
+            datasets.consoleData[0].estimates = { memory: true }
+            expect(validateDatasets(datasets).errors).toEqual([])
+        })
+
+        it('rejects flags for unknown fields and ranges on non-numeric ones', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].estimates = { price: true, sources: true }
+            datasets.consoleData[0].estimates = { memory: { min: 8, max: 16 } }
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('flags "price", which is not a field of this record')
+            expect(messages).toMatch('flags "sources", which is not a field of this record')
+            expect(messages).toMatch('"memory" is not numeric; flag it with true instead of a range')
+        })
+
+        it('checks each range', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[0].estimates = { msrp: 'maybe', cudaCores: { min: 17000, max: 18000 } }
+            datasets.gpuDieData.AD102.estimates = { dieSizeMM2: { min: 'small', max: 650 } }
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('expected true or { min, max }, got "maybe"')
+            expect(messages).toMatch('expected min <= cudaCores <= max, got 17000 / 16384 / 18000')
+            expect(validateDatasets(datasets).errors.map(e => e.path)).toContain('AD102.estimates.dieSizeMM2.min')
+        })
+    })
+
+    describe('memory variants', () => {
+        it('accepts variants that include the headline configuration', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].variants = [
+                { vram: 16, busWidth: 256, msrp: 1199 },
+                { vram: 20, busWidth: 320, msrp: null, note: 'China only' },
+            ]
+            expect(validateDatasets(datasets).errors).toEqual([])
+        })
+
+        it('checks each variant against the variant schema', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].variants = [{ vram: 16, msrp: 1199 }, { vram: '20GB', msrp: 1299 }]
+            expect(messagesFor(validateDatasets(datasets))).toMatch('expected number, got string ("20GB")')
+            expect(validateDatasets(datasets).errors[0].path).toBe('[1].variants[1].vram')
+        })
+
+        it('flags a headline vram or msrp that no variant matches', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].variants = [{ vram: 12, msrp: 999 }, { vram: 20, msrp: 1299 }]
+            expect(validateDatasets(datasets).errors.map(e => e.code)).toContain('variant-mismatch')
+
+            datasets.gpuData[1].variants = [{ vram: 16, msrp: 1099 }]
+            expect(messagesFor(validateDatasets(datasets))).toMatch("msrp 1199 differs from the 16 GB variant's msrp 1099")
+        })
+
+        it('rejects a non-array variants field', () => {
+            const datasets = makeDatasets()
+            datasets.gpuData[1].variants = { vram: 16, msrp: 1199 }
+            expect(messagesFor(validateDatasets(datasets))).toMatch('expected array, got object')
+        })
+    })
+
+    describe('regional currencies', () => {
+        const withCurrencies = () => ({
+            ...makeDatasets(),
+            regionalCpiData: { EUR: { index: 'HICP', cpi_data: { 2020: 105.1, 2025: 128.9 } } },
+            regionalWageData: {},
+            fxRates: { rates: { EUR: { 2020: 0.877, 2022: 0.951 } } },
+        })
+
+        it('accepts regional MSRPs, CPI and exchange rates', () => {
+            const datasets = withCurrencies()
+            datasets.gpuData[0].regionalMsrp = { EUR: 1949 }
+            const result = validateDatasets(datasets)
+            expect(result.errors).toEqual([])
+            expect(result.warnings).toEqual([])
+        })
+
+        it('rejects unknown currencies and non-numeric prices', () => {
+            const datasets = withCurrencies()
+            datasets.gpuData[0].regionalMsrp = { CHF: 1799, EUR: '1949' }
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('"CHF"')
+            expect(messages).toMatch('expected a positive number')
+        })
+
+        it('needs regional CPI for the base year', () => {
+            const datasets = withCurrencies()
+            delete datasets.regionalCpiData.EUR.cpi_data[2025]
+            expect(messagesFor(validateDatasets(datasets))).toMatch('no CPI value for base_year 2025')
+        })
+
+        it('warns about release years without an exchange rate', () => {
+            const datasets = withCurrencies()
+            delete datasets.fxRates.rates.EUR[2022]
+            expect(validateDatasets(datasets).warnings.map(w => w.code)).toContain('missing-fx')
+        })
+
+        it('checks the wage level fields the affordability chart reads', () => {
+            const datasets = withCurrencies()
+            datasets.regionalWageData = { GBP: { period: 'week', hoursPerWeek: 37.5, wage_data: { 2020: 586 } } }
+            expect(validateDatasets(datasets).errors).toEqual([])
+
+            datasets.regionalWageData = { JPY: { period: 'year', unit: 0, hoursPerWeek: '38', wage_data: { 2020: 307.7 } } }
+            const messages = messagesFor(validateDatasets(datasets))
+            expect(messages).toMatch('expected "week" or "month", got "year"')
+            expect(validateDatasets(datasets).errors.map(e => e.path)).toEqual(['JPY.period', 'JPY.hoursPerWeek', 'JPY.unit'])
+        })
+    })
+
+    describe('memory prices', () => {
+        it('warns about release years without a memory price', () => {
+            const datasets = { ...makeDatasets(), memoryPrices: { prices: { 2020: 7 } } }
+            expect(validateDatasets(datasets).warnings.map(w => w.code)).toContain('missing-memory-price')
+            expect(validateDatasets(makeDatasets()).warnings.map(w => w.code)).not.toContain('missing-memory-price')
+        })
+
+        it('rejects non-numeric prices', () => {
+            const datasets = { ...makeDatasets(), memoryPrices: { prices: { 2022: 'cheap' } } }
+            expect(messagesFor(validateDatasets(datasets))).toMatch('expected a positive number')
+        })
+    })
+
+    describe('relative performance', () => {
+        const withScores = (scores, reference = 'RTX 4090') => ({ ...makeDatasets(), relativePerformance: { reference, scores } })
+
+        it('accepts scores for known models', () => {
+            const result = validateDatasets(withScores({ 'RTX 4090': 100, 'RTX 4080': 76 }))
+            expect(result.errors).toEqual([])
+            expect(result.warnings).toEqual([])
+        })
+
+        it('needs a score for the reference card', () => {
+            expect(messagesFor(validateDatasets(withScores({ 'RTX 4080': 76 })))).toMatch('reference RTX 4090 has no score')
+        })
+
+        it('warns about scores for unknown models', () => {
+            const result = validateDatasets(withScores({ 'RTX 4090': 100, 'RTX 4085': 80 }))
+            expect(result.warnings.map(w => w.code)).toContain('unknown-benchmark-model')
+        })
+    })
+})
+
+describe('parseDieReference', () => {
+    it('parses single and multi-die references', () => {
+        expect(parseDieReference('GF110')).toEqual({ dieKey: 'GF110', dieCount: 1 })
+        expect(parseDieReference('2x GK104')).toEqual({ dieKey: 'GK104', dieCount: 2 })
+    })
+})
+
+describe('formatValidationReport', () => {
+    it('groups issues by dataset with a summary line', () => {
+        const datasets = makeDatasets()
+        datasets.gpuData[1].dieName = 'AD104'
+        datasets.waferPrices[3] = -1
+        const report = formatValidationReport(validateDatasets(datasets))
+        expect(report).toMatch('gpu_data.json')
+        expect(report).toMatch('wafer_prices.json')
+        expect(report).toMatch('ERROR [1] RTX 4080: dieName "AD104" has no entry')
+        expect(report).toMatch('2 error(s), 0 warning(s)')
+    })
+
+    it('reports a clean run', () => {
+        expect(formatValidationReport({ errors: [], warnings: [] })).toMatch('All datasets passed')
+    })
+})
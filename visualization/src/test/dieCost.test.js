@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import {
+    yieldModels, getDefectDensity, getDieDimensions, getGrossDiesPerWafer, getDieYield, computeDieCost,
+} from '../utils/dieCost'
+
+describe('gross dies per wafer', () => {
+    it('treats dies without an outline as square', () => {
+        expect(getDieDimensions({ dieSizeMM2: 400 })).toEqual({ width: 20, height: 20 })
+        expect(getDieDimensions({ dieSizeMM2: 400, dieWidthMM: 25, dieHeightMM: 16 })).toEqual({ width: 25, height: 16 })
+    })
+
+    it('loses proportionally more of the wafer edge to big dies', () => {
+        const small = getGrossDiesPerWafer({ width: 10, height: 10 })
+        const big = getGrossDiesPerWafer({ width: 25, height: 25 })
+        // A 294 mm usable circle holds at most 67,886 mm² of die
+        expect(small).toBeLessThan(67886 / 10.1 ** 2)
+        expect(small).toBeGreaterThan(600)
+        expect(big).toBeLessThan(small / 6.25)
+        expect(big).toBeGreaterThan(80)
+    })
+
+    it('shrinks with a wider edge exclusion', () => {
+        const die = { width: 20, height: 20 }
+        expect(getGrossDiesPerWafer(die, { edgeExclusion: 10 })).toBeLessThan(getGrossDiesPerWafer(die))
+    })
+})
+
+describe('yield models', () => {
+    it('computes each model from defects per die', () => {
+        // 200 mm² at 0.1 defects/cm² is 0.2 defects per die
+        expect(getDieYield(200, 0.1, 'poisson')).toBeCloseTo(Math.exp(-0.2), 6)
+        expect(getDieYield(200, 0.1, 'murphy')).toBeCloseTo(((1 - Math.exp(-0.2)) / 0.2) ** 2, 6)
+        expect(getDieYield(200, 0.1, 'seeds')).toBeCloseTo(1 / 1.2, 6)
+        expect(yieldModels.murphy.yield(0)).toBe(1)
+    })
+
+    it('orders Poisson below Murphy below Seeds', () => {
+        const [poisson, murphy, seeds] = ['poisson', 'murphy', 'seeds'].map(model => getDieYield(600, 0.1, model))
+        expect(poisson).toBeLessThan(murphy)
+        expect(murphy).toBeLessThan(seeds)
+    })
+
+    it('scales the per-node defect density', () => {
+        expect(getDefectDensity(7)).toBe(0.09)
+        expect(getDefectDensity('7', 2)).toBeCloseTo(0.18, 6)
+        expect(getDefectDensity(3)).toBe(0.1)
+    })
+})
+
+describe('computeDieCost', () => {
+    it('spreads the wafer price over good dies', () => {
+        const cost = computeDieCost({ dieSizeMM2: 609 }, 5, { 5: 17000 }, { yieldModel: 'poisson' })
+        expect(cost.goodDies).toBeCloseTo(cost.grossDies * Math.exp(-6.09 * 0.07), 6)
+        expect(cost.costPerGoodDie).toBeCloseTo(17000 / cost.goodDies, 6)
+        expect(cost.costPerGoodMM2).toBeCloseTo(cost.costPerGoodDie / 609, 6)
+        expect(cost).toMatchObject({ yieldModel: 'poisson', defectDensity: 0.07, waferPrice: 17000 })
+    })
+
+    it('makes big dies cost more per mm²', () => {
+        const small = computeDieCost({ dieSizeMM2: 150 }, 5, { 5: 17000 })
+        const big = computeDieCost({ dieSizeMM2: 600 }, 5, { 5: 17000 })
+        expect(big.costPerGoodMM2).toBeGreaterThan(small.costPerGoodMM2)
+    })
+
+    it('needs a wafer price', () => {
+        expect(computeDieCost({ dieSizeMM2: 609 }, 3, { 5: 17000 })).toBeNull()
+    })
+
+    it('prices the wafer for the die\'s foundry and launch year', () => {
+        const waferPrices = {
+            foundries: {
+                TSMC: { 8: { 2018: 4000 } },
+                Samsung: { 8: { 2019: { price: 3000, low: 2500, high: 5000 }, 2022: { price: 3500, low: 3000, high: 5000 } } },
+            },
+        }
+        const cost = computeDieCost({ dieSizeMM2: 628, foundry: 'Samsung' }, 8, waferPrices, { year: 2020 })
+        expect(cost).toMatchObject({ foundry: 'Samsung', waferPriceYear: '2019', waferPrice: 3000, waferPriceLow: 2500, waferPriceHigh: 5000 })
+        expect(computeDieCost({ dieSizeMM2: 628 }, 8, waferPrices, { year: 2020 })).toMatchObject({ foundry: 'TSMC', waferPrice: 4000 })
+    })
+})
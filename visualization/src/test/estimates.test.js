@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { getEstimate, getEstimates, withoutEstimates, getDerivedRange } from '../utils/estimates'
+
+const gpuDieData = {
+    'Navi 44': { dieSizeMM2: 153, fullCudaCores: 2048, estimates: { dieSizeMM2: { min: 140, max: 199 } } },
+    GF110: { dieSizeMM2: 520, fullCudaCores: 512, estimates: { dieSizeMM2: true } },
+    AD102: { dieSizeMM2: 609, fullCudaCores: 18432 },
+}
+
+const rx9060 = { model: 'RX 9060 XT', dieName: 'Navi 44', cudaCores: 2048, msrp: 349 }
+const gtx590 = { model: 'GTX 590', dieName: 'GF110', dieCount: 2, cudaCores: 1024, msrp: 699 }
+const rtx4090 = { model: 'RTX 4090', dieName: 'AD102', cudaCores: 16384, msrp: 1599, estimates: { cudaCores: { min: 16000, max: 16384 } } }
+
+describe('getEstimate', () => {
+    it('reads a range, or the value itself for a bare flag', () => {
+        expect(getEstimate(rtx4090, 'cudaCores')).toEqual({ field: 'cudaCores', min: 16000, max: 16384 })
+        expect(getEstimate(gpuDieData.GF110, 'dieSizeMM2')).toEqual({ field: 'dieSizeMM2', min: 520, max: 520 })
+        expect(getEstimate({ memory: '64 MB', estimates: { memory: true } }, 'memory')).toEqual({ field: 'memory', min: null, max: null })
+    })
+
+    it('returns null for unflagged fields and records', () => {
+        expect(getEstimate(rtx4090, 'msrp')).toBeNull()
+        expect(getEstimate(undefined, 'msrp')).toBeNull()
+    })
+})
+
+describe('getEstimates', () => {
+    it('reads die fields from the die, scaled to the whole board', () => {
+        expect(getEstimates(rx9060, ['msrp', 'dieSizeMM2'], gpuDieData)).toEqual([{ field: 'dieSizeMM2', min: 140, max: 199 }])
+        expect(getEstimates(gtx590, ['dieSizeMM2'], gpuDieData)).toEqual([{ field: 'dieSizeMM2', min: 1040, max: 1040 }])
+        expect(getEstimates(rtx4090, ['cudaCores', 'dieSizeMM2'], gpuDieData)).toEqual([{ field: 'cudaCores', min: 16000, max: 16384 }])
+    })
+
+    it('only looks at the card without die data', () => {
+        expect(getEstimates(rx9060, ['dieSizeMM2'])).toEqual([])
+    })
+})
+
+describe('withoutEstimates', () => {
+    it('leaves out records with any of the fields estimated', () => {
+        const gpus = [rx9060, gtx590, rtx4090]
+        expect(withoutEstimates(gpus, ['dieSizeMM2'], gpuDieData).map(d => d.model)).toEqual(['RTX 4090'])
+        expect(withoutEstimates(gpus, ['msrp'], gpuDieData)).toEqual(gpus)
+    })
+})
+
+describe('getDerivedRange', () => {
+    it('carries ranges of proportional and inverse inputs over to the value', () => {
+        const estimates = getEstimates(rx9060, ['msrp', 'dieSizeMM2'], gpuDieData)
+        const range = getDerivedRange(349 / 153, estimates, { ...rx9060, dieSizeMM2: 153 }, { numerator: ['msrp'], denominator: ['dieSizeMM2'] })
+        expect(range.min).toBeCloseTo(349 / 199)
+        expect(range.max).toBeCloseTo(349 / 140)
+        expect(getDerivedRange(1, [{ field: 'cudaCores', min: 8, max: 12 }], { cudaCores: 10 }, { numerator: ['cudaCores'] })).toEqual({ min: 0.8, max: 1.2 })
+    })
+
+    it('returns null when no input has a range', () => {
+        const estimates = getEstimates(gtx590, ['dieSizeMM2'], gpuDieData)
+        expect(getDerivedRange(0.67, estimates, { dieSizeMM2: 1040 }, { denominator: ['dieSizeMM2'] })).toBeNull()
+        expect(getDerivedRange(1, [{ field: 'msrp', min: 1, max: 2 }], { msrp: 1.5 }, { denominator: ['dieSizeMM2'] })).toBeNull()
+    })
+})
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest'
-import { getTierFromModel } from '../utils/tierUtils'
+import { getTierFromModel, getVendorTierFromModel, getVendorFromModel, getVendor, isRefreshTier, getBaseTier } from '../utils/tierUtils'
+import { refreshColumnOrder } from '../utils/chartConfig'
 
 describe('getTierFromModel', () => {
     describe('flagship tier extraction', () => {
@@ -69,4 +70,85 @@ describe('getTierFromModel', () => {
             expect(getTierFromModel('GTX 780 Ti')).toBe('80 Ti');
         });
     });
+
+    describe('SUPER refresh tiers', () => {
+        it('extracts distinct Super tiers', () => {
+            expect(getTierFromModel('RTX 2060 Super')).toBe('60 Super');
+            expect(getTierFromModel('GTX 1660 SUPER')).toBe('60 Super');
+            expect(getTierFromModel('RTX 4070 Ti Super')).toBe('70 Ti Super');
+        });
+
+        it('keeps Ti without Super as the Ti tier', () => {
+            expect(getTierFromModel('RTX 4070 Ti')).toBe('70 Ti');
+        });
+
+        it('identifies refresh tiers and their base tier', () => {
+            expect(isRefreshTier('70 Ti Super')).toBe(true);
+            expect(isRefreshTier('70 Ti')).toBe(false);
+            expect(isRefreshTier(null)).toBe(false);
+            expect(getBaseTier('70 Ti Super')).toBe('70 Ti');
+            expect(getBaseTier('80')).toBe('80');
+        });
+
+        it('orders each refresh tier directly above its base tier', () => {
+            const index = tier => refreshColumnOrder.indexOf(tier);
+            expect(index('80 Super')).toBe(index('80') - 1);
+            expect(index('70 Ti Super')).toBe(index('70 Ti') - 1);
+            expect(index('80 Ti')).toBeLessThan(index('80 Super'));
+        });
+    });
+
+    describe('AMD and Intel models', () => {
+        it('maps RX 7900 XTX and XT onto the shared ladder', () => {
+            expect(getTierFromModel('RX 7900 XTX')).toBe('90');
+            expect(getTierFromModel('RX 7900 XT')).toBe('80 Ti');
+        });
+
+        it('maps RX 7800 XT and non-XT RDNA 2 cards', () => {
+            expect(getTierFromModel('RX 7800 XT')).toBe('80');
+            expect(getTierFromModel('RX 6800')).toBe('70 Ti');
+            expect(getTierFromModel('RX 6950 XT')).toBe('90 Ti');
+        });
+
+        it('places the RX 6900 XT, the RDNA 2 flagship, on the flagship tier', () => {
+            expect(getVendorTierFromModel('RX 6900 XT')).toBe('900 XT');
+            expect(getTierFromModel('RX 6900 XT')).toBe('90');
+            expect(getTierFromModel('Radeon RX 6900 XT')).toBe('90');
+            expect(getTierFromModel('RX 7900 XT')).toBe('80 Ti');
+        });
+
+        it('reads RDNA 4 model numbers by their last two digits', () => {
+            expect(getVendorTierFromModel('RX 9070 XT')).toBe('70 XT');
+            expect(getTierFromModel('RX 9070 XT')).toBe('70 Ti');
+            expect(getTierFromModel('RX 9070')).toBe('70');
+        });
+
+        it('maps Arc A770 and B580', () => {
+            expect(getVendorTierFromModel('Arc A770')).toBe('770');
+            expect(getTierFromModel('Arc A770')).toBe('70');
+            expect(getTierFromModel('Arc B580')).toBe('60');
+        });
+
+        it('returns null for vendor tiers without a ladder slot', () => {
+            expect(getTierFromModel('RX 7650 GRE')).toBeNull();
+        });
+
+        it('uses an explicit vendor over name detection', () => {
+            expect(getTierFromModel('RX 7970', 'NVIDIA')).toBe('70'); // Read NVIDIA-style (last two digits)
+            expect(getTierFromModel('RX 7900 XT', 'Intel')).toBeNull();
+        });
+    });
+});
+
+describe('vendor detection', () => {
+    it('detects vendors from model names', () => {
+        expect(getVendorFromModel('RTX 4090')).toBe('NVIDIA');
+        expect(getVendorFromModel('Radeon RX 7900 XTX')).toBe('AMD');
+        expect(getVendorFromModel('Intel Arc B580')).toBe('Intel');
+    });
+
+    it('prefers the vendor field of a record', () => {
+        expect(getVendor({ model: 'Custom Card 80', vendor: 'AMD' })).toBe('AMD');
+        expect(getVendor({ model: 'GTX 980' })).toBe('NVIDIA');
+    });
 });
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+    parseCsv,
+    parseGpuFile,
+    normalizeImportedRow,
+    validateImportedRows,
+    loadImportedGpus,
+    saveImportedGpus,
+    IMPORT_STORAGE_KEY,
+} from '../utils/gpuImport'
+import { bundledDatasets } from '../utils/dataLoader'
+
+const csv = [
+    'series,model,cudaCores,vram,releaseYear,msrp,dieName,manufacturingNode,flagship,specialFlagship',
+    '4000,RTX 4060 Ti 16GB (CN),4352,16,2023,"$3,899",AD106,5,false,',
+    '4000,RTX 4080 SUPER OEM,10240,16,2024,999,AD103,5,no,no',
+].join('\n')
+
+describe('parseCsv', () => {
+    it('handles quoted commas, escaped quotes and CRLF line endings', () => {
+        expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"']])
+    })
+
+    it('rejects unterminated quotes', () => {
+        expect(() => parseCsv('a\n"oops')).toThrow('Unterminated')
+    })
+})
+
+describe('parseGpuFile', () => {
+    it('maps CSV columns by header name', () => {
+        const [first] = parseGpuFile(csv, 'gpus.csv')
+        expect(first.model).toBe('RTX 4060 Ti 16GB (CN)')
+        expect(first.msrp).toBe('$3,899')
+    })
+
+    it('parses a JSON array', () => {
+        const rows = parseGpuFile(JSON.stringify([{ model: 'RTX 4070' }]), 'gpus.json')
+        expect(rows).toEqual([{ model: 'RTX 4070' }])
+    })
+
+    it('rejects JSON that is not an array', () => {
+        expect(() => parseGpuFile('{"model": "RTX 4070"}', 'gpus.json')).toThrow('must be an array')
+    })
+
+    it('rejects a CSV without a model column', () => {
+        expect(() => parseGpuFile('series,cudaCores\n4000,1', 'gpus.csv')).toThrow('"model" column')
+    })
+})
+
+describe('normalizeImportedRow', () => {
+    it('coerces numbers and flags and marks the row as imported', () => {
+        const [, second] = parseGpuFile(csv, 'gpus.csv')
+        expect(normalizeImportedRow(second)).toEqual({
+            series: '4000',
+            model: 'RTX 4080 SUPER OEM',
+            cudaCores: 10240,
+            vram: 16,
+            releaseYear: 2024,
+            msrp: 999,
+            dieName: 'AD103',
+            manufacturingNode: 5,
+            flagship: false,
+            specialFlagship: false,
+            imported: true,
+        })
+    })
+
+    it('treats an empty msrp as unknown', () => {
+        expect(normalizeImportedRow({ model: 'X', msrp: '' }).msrp).toBeNull()
+    })
+})
+
+describe('validateImportedRows', () => {
+    const rows = () => parseGpuFile(csv, 'gpus.csv').map(normalizeImportedRow)
+
+    it('accepts rows that fit the loaded datasets', () => {
+        const { accepted, rejected } = validateImportedRows(rows(), bundledDatasets)
+        expect(rejected).toEqual([])
+        expect(accepted.map(gpu => gpu.model)).toEqual(['RTX 4060 Ti 16GB (CN)', 'RTX 4080 SUPER OEM'])
+    })
+
+    it('rejects rows with unknown dies or duplicate models, with a reason per row', () => {
+        const [good, second] = rows()
+        const badDie = { ...second, model: 'RTX 4080 Mystery', dieName: 'AD199' }
+        const duplicate = { ...good }
+        const { accepted, rejected } = validateImportedRows([good, badDie, duplicate], bundledDatasets)
+
+        expect(accepted).toEqual([good])
+        expect(rejected.map(r => r.index)).toEqual([1, 2])
+        expect(rejected[0].errors[0]).toMatch('dieName "AD199" has no entry')
+        expect(rejected[1].errors[0]).toMatch('duplicate model')
+    })
+
+    it('rejects a second flagship in an existing series', () => {
+        const [good] = rows()
+        const { rejected } = validateImportedRows([{ ...good, flagship: true }], bundledDatasets)
+        expect(rejected[0].errors[0]).toMatch('expected exactly one flagship')
+    })
+
+    it('accepts a new series whatever the order of its flagship', () => {
+        const [good] = rows()
+        const flagship = { ...good, model: 'RTX 6090', series: '6000', flagship: true }
+        const other = { ...good, model: 'RTX 6080', series: '6000' }
+
+        for (const batch of [[other, flagship], [flagship, other]]) {
+            const { accepted, rejected, warnings } = validateImportedRows(batch, bundledDatasets)
+            expect(rejected).toEqual([])
+            expect(accepted).toEqual(batch)
+            expect(warnings.some(w => w.includes('flagship'))).toBe(false)
+        }
+    })
+
+    it('keeps a series without a flagship with a warning', () => {
+        const [good] = rows()
+        const { accepted, warnings } = validateImportedRows([{ ...good, model: 'RTX 6080', series: '6000' }], bundledDatasets)
+
+        expect(accepted.map(gpu => gpu.model)).toEqual(['RTX 6080'])
+        expect(warnings).toContain('Series 6000: expected exactly one flagship, found 0')
+    })
+
+    it('rejects every flagship of a series that gets two', () => {
+        const [good] = rows()
+        const batch = [
+            { ...good, model: 'RTX 6090', series: '6000', flagship: true },
+            { ...good, model: 'RTX 6080', series: '6000' },
+            { ...good, model: 'RTX 6090 Ti', series: '6000', flagship: true },
+        ]
+        const { accepted, rejected, warnings } = validateImportedRows(batch, bundledDatasets)
+
+        expect(accepted.map(gpu => gpu.model)).toEqual(['RTX 6080'])
+        expect(rejected.map(r => r.index)).toEqual([0, 2])
+        expect(rejected[0].errors[0]).toMatch('expected exactly one flagship, found 2')
+        expect(warnings).toContain('Series 6000: expected exactly one flagship, found 0')
+    })
+
+    it('accepts rumored cards beyond the CPI/wage data with a warning', () => {
+        const [good] = rows()
+        const rumored = { ...good, model: 'RTX 5060 Ti Rumored', series: '5000', releaseYear: 2031 }
+        const { accepted, warnings } = validateImportedRows([rumored], bundledDatasets)
+
+        expect(accepted).toEqual([rumored])
+        expect(warnings.some(w => w.includes('no CPI data'))).toBe(true)
+    })
+})
+
+describe('imported GPU persistence', () => {
+    beforeEach(() => {
+        localStorage.clear()
+    })
+
+    it('round-trips rows through localStorage', () => {
+        const rows = [normalizeImportedRow({ series: '4000', model: 'RTX 4070 OEM', cudaCores: 5888 })]
+        saveImportedGpus(rows)
+        expect(loadImportedGpus()).toEqual(rows)
+    })
+
+    it('clears the key when nothing is imported', () => {
+        saveImportedGpus([normalizeImportedRow({ model: 'RTX 4070 OEM' })])
+        saveImportedGpus([])
+        expect(localStorage.getItem(IMPORT_STORAGE_KEY)).toBeNull()
+    })
+
+    it('ignores corrupt stored data', () => {
+        localStorage.setItem(IMPORT_STORAGE_KEY, '{not json')
+        expect(loadImportedGpus()).toEqual([])
+    })
+})
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { getVariants, hasVariants, getPriceVariant, formatVariant } from '../utils/gpuVariants'
+
+const rtx4060Ti = {
+    model: 'RTX 4060 Ti', vram: 16, msrp: 499,
+    variants: [
+        { vram: 16, busWidth: 128, msrp: 499 },
+        { vram: 8, busWidth: 128, msrp: 399 },
+    ],
+}
+const rtx3060 = {
+    model: 'RTX 3060', vram: 12, msrp: 329,
+    variants: [
+        { vram: 8, busWidth: 128, msrp: null, note: 'Added in 2022' },
+        { vram: 12, busWidth: 192, msrp: 329 },
+    ],
+}
+const rtx4090 = { model: 'RTX 4090', vram: 24, msrp: 1599 }
+
+describe('getVariants', () => {
+    it('sorts listed variants by VRAM', () => {
+        expect(getVariants(rtx4060Ti).map(v => v.vram)).toEqual([8, 16])
+    })
+
+    it('falls back to the headline configuration', () => {
+        expect(getVariants(rtx4090)).toEqual([{ vram: 24, busWidth: undefined, msrp: 1599 }])
+        expect(hasVariants(rtx4090)).toBe(false)
+        expect(hasVariants(rtx4060Ti)).toBe(true)
+    })
+})
+
+describe('getPriceVariant', () => {
+    it('defaults to the headline configuration', () => {
+        expect(getPriceVariant(rtx4060Ti)).toEqual({ vram: 16, busWidth: 128, msrp: 499 })
+        expect(getPriceVariant(rtx3060, 'headline').vram).toBe(12)
+        expect(getPriceVariant({ ...rtx4060Ti, vram: 8, msrp: 399 }).msrp).toBe(399)
+    })
+
+    it('picks the cheapest or the most expensive variant', () => {
+        expect(getPriceVariant(rtx4060Ti, 'base').vram).toBe(8)
+        expect(getPriceVariant(rtx4060Ti, 'top').vram).toBe(16)
+    })
+
+    it('skips variants without an MSRP', () => {
+        expect(getPriceVariant(rtx3060, 'base').vram).toBe(12)
+        expect(getPriceVariant(rtx3060, 'top').vram).toBe(12)
+    })
+
+    it('uses the headline MSRP for single-configuration models', () => {
+        expect(getPriceVariant(rtx4090, 'top').msrp).toBe(1599)
+    })
+})
+
+describe('formatVariant', () => {
+    it('describes VRAM, bus width, price and note', () => {
+        expect(formatVariant(rtx4060Ti.variants[0])).toBe('16 GB · 128-bit · $499')
+        expect(formatVariant(rtx3060.variants[0])).toBe('8 GB · 128-bit · no MSRP (Added in 2022)')
+        expect(formatVariant({ vram: 24, msrp: 1599 })).toBe('24 GB · $1,599')
+    })
+})
@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest'
+import { exportMetrics, buildMetricRows, toCsv, exportMetricsText } from '../utils/metricsExport'
+import { bundledDatasets } from '../utils/dataLoader'
+
+describe('buildMetricRows', () => {
+    it('keeps only the metric columns, in order', () => {
+        Object.keys(exportMetrics).forEach(metric => {
+            const rows = buildMetricRows(metric, bundledDatasets)
+            expect(rows.length).toBeGreaterThan(0)
+            expect(Object.keys(rows[0])).toEqual(exportMetrics[metric])
+        })
+    })
+
+    it('applies the chart options', () => {
+        const cores = buildMetricRows('cores', bundledDatasets, { specialFlagshipActive: { 2000: true } })
+        expect(cores.find(row => row.model === 'GTX 1660 Ti').referenceModel).toBe('RTX 2080 Ti')
+
+        const nominal = buildMetricRows('die-area', bundledDatasets).find(row => row.model === 'RTX 3080')
+        const adjusted = buildMetricRows('die-area', bundledDatasets, { useCpiAdjustment: true, useEffectiveDieSize: true })
+            .find(row => row.model === 'RTX 3080')
+        expect(nominal.adjustedMsrp).toBe(nominal.msrp)
+        expect(nominal.chartPricePerMM2).toBe(nominal.pricePerMM2)
+        expect(adjusted.adjustedMsrp).toBeGreaterThan(adjusted.msrp)
+        expect(adjusted.chartPricePerMM2).toBe(adjusted.effectivePricePerMM2)
+
+        const power = buildMetricRows('power', bundledDatasets, { specialFlagshipActive: { 2000: true } })
+        expect(power.find(row => row.model === 'RTX 2070')).toMatchObject({ referenceModel: 'RTX 2080 Ti', powerBasis: 'tdp' })
+        expect(power.find(row => row.model === 'RTX 4090').normalizedPerfPerWatt).toBe(100)
+
+        const consoles = buildMetricRows('consoles', bundledDatasets, { allocationPercentage: 75 })
+        expect(consoles.find(row => row.name === 'PlayStation 5').scaledMemoryGB).toBe(12)
+    })
+
+    it('exports die-area prices in the chosen currency', () => {
+        const euro = buildMetricRows('die-area', bundledDatasets, { currency: 'EUR' })
+        expect(euro.every(row => row.currency === 'EUR')).toBe(true)
+        expect(euro.find(row => row.model === 'RTX 4090')).toMatchObject({ priceBasis: 'regional', usdMsrp: 1599 })
+        expect(euro.find(row => row.model === 'GTX 1080').priceBasis).toBe('converted')
+    })
+
+    it('exports the die cost model', () => {
+        const [murphy, seeds] = ['murphy', 'seeds'].map(yieldModel =>
+            buildMetricRows('die-area', bundledDatasets, { yieldModel }).find(row => row.model === 'RTX 4090'))
+        expect(murphy).toMatchObject({ yieldModel: 'murphy', grossDiesPerWafer: seeds.grossDiesPerWafer })
+        expect(seeds.dieYield).toBeGreaterThan(murphy.dieYield)
+        expect(seeds.costPerGoodDieUsd).toBeLessThan(murphy.costPerGoodDieUsd)
+    })
+
+    it('exports the BOM and gross margin in nominal USD', () => {
+        const base = buildMetricRows('margins', bundledDatasets).find(row => row.model === 'RTX 4090')
+        expect(base).toMatchObject({ vram: 24, usdMsrp: 1599, boardCost: 40 })
+        expect(base.bomCost).toBeCloseTo(base.dieCostUsd + base.memoryCost + 40 + 25 + 15, 6)
+        expect(base.grossMargin).toBeCloseTo((1599 - base.bomCost) / 1599, 6)
+
+        const adjusted = buildMetricRows('margins', bundledDatasets, {
+            useCpiAdjustment: true, currency: 'EUR', bomAssumptions: { boardCost: 80, channelShare: 0.3 }
+        }).find(row => row.model === 'RTX 4090')
+        expect(adjusted.bomCost).toBeCloseTo(base.bomCost + 40, 6)
+        expect(adjusted.grossMargin).toBeCloseTo((1599 * 0.7 - adjusted.bomCost) / (1599 * 0.7), 6)
+    })
+
+    it('exports cores and FP32 GFLOPS per adjusted dollar', () => {
+        const rows = buildMetricRows('cores-per-dollar', bundledDatasets, { specialFlagshipActive: { 2000: true } })
+        const rtx4090 = rows.find(row => row.model === 'RTX 4090')
+        expect(rtx4090.coresPerDollar).toBeCloseTo(16384 / 1599, 6)
+        expect(rtx4090.gflopsPerDollar).toBeCloseTo(16384 * 2 * 2520 / 1e3 / 1599, 6)
+        expect(rows.find(row => row.model === 'RTX 2080 Ti').isReferenceFlagship).toBe(true)
+        expect(rows.find(row => row.model === 'RTX 2080').isReferenceFlagship).toBe(false)
+    })
+
+    it('exports the generation-over-generation change of the chosen metric', () => {
+        const rows = buildMetricRows('uplift', bundledDatasets, { upliftMetric: 'msrp' })
+        const rtx4060 = rows.find(row => row.model === 'RTX 4060')
+        expect(rtx4060).toMatchObject({ metric: 'msrp', series: '4000', tier: '60', previousModel: 'RTX 3060', value: 299, previousValue: 329 })
+        expect(rtx4060.change).toBeCloseTo((299 / 329 - 1) * 100, 6)
+        expect(rows.every(row => row.model)).toBe(true)
+    })
+
+    it('exports the die class and enabled share of each tier', () => {
+        const rows = buildMetricRows('die-class', bundledDatasets)
+        expect(rows.find(row => row.model === 'GTX 570')).toMatchObject({ dieName: 'GF110', dieClass: 'x02', tier: '70' })
+        expect(rows.find(row => row.model === 'RTX 4070')).toMatchObject({ dieName: 'AD104', dieClass: 'x04' })
+        expect(rows.some(row => row.model.startsWith('RX '))).toBe(false)
+    })
+
+    it('exports launch prices in hours and weeks of median work', () => {
+        const us = buildMetricRows('affordability', bundledDatasets).find(row => row.model === 'RTX 4090')
+        expect(us).toMatchObject({ currency: 'USD', msrp: 1599, isReferenceFlagship: true })
+        expect(us.hoursOfWork).toBeCloseTo(1599 / us.hourlyWage, 6)
+        expect(buildMetricRows('affordability', bundledDatasets, { currency: 'GBP' })[0].currency).toBe('GBP')
+        expect(buildMetricRows('affordability', bundledDatasets, { currency: 'EUR' })).toEqual([])
+    })
+
+    it('exports the launch price ladder with the change from the previous generation', () => {
+        const rows = buildMetricRows('price-ladder', bundledDatasets, { useCpiAdjustment: true, specialFlagshipActive: { 2000: true } })
+        const rtx2080ti = rows.find(row => row.model === 'RTX 2080 Ti')
+        expect(rtx2080ti).toMatchObject({ displaySeries: '1600/2000', tier: '80 Ti', msrp: 999, isReferenceFlagship: true, previousModel: 'GTX 1080 Ti' })
+        expect(rtx2080ti.change).toBeCloseTo((rtx2080ti.adjustedMsrp / rtx2080ti.previousAdjustedMsrp - 1) * 100, 6)
+        expect(rows.some(row => row.model === 'RTX 4080 Super')).toBe(false)
+    })
+
+    it('exports relative performance per adjusted dollar', () => {
+        const [reference] = buildMetricRows('perf-per-dollar', bundledDatasets).filter(row => row.model === 'RTX 4090')
+        expect(reference).toMatchObject({ relativePerformance: 100, msrp: 1599, currency: 'USD' })
+        expect(reference.perfPerDollar).toBeCloseTo(100 / 1599 * 100, 6)
+
+        const adjusted = buildMetricRows('perf-per-dollar', bundledDatasets, { useCpiAdjustment: true, baseYear: 2022 })
+            .find(row => row.model === 'GTX 1080 Ti')
+        expect(adjusted.perfPerDollar).toBeCloseTo(adjusted.relativePerformance / adjusted.adjustedMsrp * 100, 6)
+        expect(adjusted.adjustedMsrp).toBeGreaterThan(adjusted.msrp)
+    })
+
+    it('exports the wafer price for each die\'s foundry and launch year', () => {
+        const rows = buildMetricRows('die-area', bundledDatasets)
+        expect(rows.find(row => row.model === 'RTX 3080')).toMatchObject({ foundry: 'Samsung', waferPriceYear: '2020', waferPriceUsd: 3000 })
+        expect(rows.find(row => row.model === 'RTX 4090')).toMatchObject({ foundry: 'TSMC', waferPriceYear: '2022', waferPriceUsd: 17000 })
+
+        const wafers = buildMetricRows('wafers', bundledDatasets)
+        expect(wafers.find(row => row.foundry === 'Samsung' && row.node === '8' && row.year === '2020'))
+            .toMatchObject({ waferPrice: 3000, waferPriceLow: 2500, waferPriceHigh: 5000 })
+    })
+
+    it('counts dual-GPU boards whole, leaves them out or splits them per GPU', () => {
+        const gtx590 = (multiDieMode) => buildMetricRows('die-area', bundledDatasets, { multiDieMode }).find(row => row.model === 'GTX 590')
+        expect(gtx590()).toMatchObject({ dieName: 'GF110', dieCount: 2, dieSizeMM2: 1040, msrp: 699 })
+        expect(gtx590('perDie')).toMatchObject({ dieName: 'GF110', dieCount: 1, dieSizeMM2: 520, msrp: 349.5 })
+        expect(gtx590('exclude')).toBeUndefined()
+    })
+
+    it('lists estimated inputs or leaves their rows out', () => {
+        const rx9060 = buildMetricRows('die-area', bundledDatasets).find(row => row.model === 'RX 9060 XT')
+        expect(rx9060).toMatchObject({ dieSizeMM2: 199, estimatedFields: 'dieSizeMM2' })
+        expect(rx9060.chartPricePerMM2Low).toBeCloseTo(rx9060.msrp / 199, 6)
+        expect(rx9060.chartPricePerMM2High).toBeCloseTo(rx9060.msrp / 153, 6)
+        expect(buildMetricRows('die-area', bundledDatasets).find(row => row.model === 'RTX 4090').estimatedFields).toBeNull()
+        expect(buildMetricRows('die-area', bundledDatasets, { hideEstimates: true }).find(row => row.model === 'RX 9060 XT')).toBeUndefined()
+
+        const consoles = buildMetricRows('consoles', bundledDatasets, { hideEstimates: true })
+        expect(consoles.find(row => row.name === 'Xbox')).toBeUndefined()
+        expect(buildMetricRows('consoles', bundledDatasets).find(row => row.name === 'Xbox').estimatedFields).toBe('memory')
+    })
+
+        it('rejects unknown metrics', () => {
+        expect(() => buildMetricRows('fps', bundledDatasets)).toThrow('Unknown metric "fps"')
+    })
+})
+
+describe('toCsv', () => {
+    it('writes a header and quotes cells that need it', () => {
+        const csv = toCsv([{ model: 'A, "B"', cores: 10, note: null }], ['model', 'cores', 'note'])
+        expect(csv).toBe('model,cores,note\n"A, ""B""",10,\n')
+    })
+})
+
+describe('exportMetricsText', () => {
+    it('exports every metric as JSON when none is chosen', () => {
+        const all = JSON.parse(exportMetricsText(bundledDatasets))
+        expect(Object.keys(all)).toEqual(Object.keys(exportMetrics))
+    })
+
+    it('needs a metric for CSV', () => {
+        expect(() => exportMetricsText(bundledDatasets, { format: 'csv' })).toThrow('--metric')
+        const csv = exportMetricsText(bundledDatasets, { metric: 'wafers', format: 'csv' })
+        expect(csv.split('\n')[0]).toBe(exportMetrics.wafers.join(','))
+    })
+})
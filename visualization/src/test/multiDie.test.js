@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { getDieReference, getBoardDie, applyMultiDieMode, describeMultiDie } from '../utils/multiDie'
+
+const gpuDieData = {
+    GF110: { generation: 'Fermi', dieSizeMM2: 520, fullCudaCores: 512, fullBusWidth: 384, manufacturingNode: 40 },
+}
+
+const gtx590 = {
+    series: '500', model: 'GTX 590', dieName: 'GF110', dieCount: 2, cudaCores: 1024, vram: 3, busWidth: 768,
+    msrp: 699, tdpWatts: 365, regionalMsrp: { EUR: 650 },
+}
+const gtx580 = { series: '500', model: 'GTX 580', dieName: 'GF110', cudaCores: 512, vram: 1.5, msrp: 499, tdpWatts: 244 }
+
+describe('getDieReference', () => {
+    it('reads dieCount, the legacy "2x" prefix, or one die', () => {
+        expect(getDieReference(gtx590)).toEqual({ dieKey: 'GF110', dieCount: 2 })
+        expect(getDieReference({ dieName: '2x GK104' })).toEqual({ dieKey: 'GK104', dieCount: 2 })
+        expect(getDieReference(gtx580)).toEqual({ dieKey: 'GF110', dieCount: 1 })
+    })
+})
+
+describe('getBoardDie', () => {
+    it('multiplies area and full-die counts by the number of dies', () => {
+        const board = getBoardDie(gtx590, gpuDieData)
+        expect(board).toMatchObject({ generation: 'Fermi', dieSizeMM2: 1040, fullCudaCores: 1024, fullBusWidth: 768, manufacturingNode: 40 })
+        expect(gpuDieData.GF110.dieSizeMM2).toBe(520)
+    })
+
+    it('returns the die itself for single-die cards and null for unknown dies', () => {
+        expect(getBoardDie(gtx580, gpuDieData)).toBe(gpuDieData.GF110)
+        expect(getBoardDie({ dieName: 'XX999' }, gpuDieData)).toBeNull()
+    })
+})
+
+describe('applyMultiDieMode', () => {
+    it('keeps the data as is for whole boards', () => {
+        const gpuData = [gtx590, gtx580]
+        expect(applyMultiDieMode(gpuData, 'include')).toBe(gpuData)
+    })
+
+    it('leaves dual-GPU boards out', () => {
+        expect(applyMultiDieMode([gtx590, gtx580], 'exclude').map(d => d.model)).toEqual(['GTX 580'])
+    })
+
+    it('scales dual-GPU boards down to one GPU', () => {
+        const [perDie, single] = applyMultiDieMode([gtx590, gtx580], 'perDie')
+        expect(perDie).toMatchObject({
+            model: 'GTX 590', dieName: 'GF110', dieCount: 1, boardDieCount: 2,
+            cudaCores: 512, vram: 1.5, busWidth: 384, msrp: 349.5, tdpWatts: 182.5, regionalMsrp: { EUR: 325 },
+        })
+        expect(single).toBe(gtx580)
+        expect(gtx590.msrp).toBe(699)
+    })
+
+    it('scales estimate ranges of the scaled fields', () => {
+        const estimated = { ...gtx590, estimates: { msrp: { min: 649, max: 749 }, tdpWatts: true, releaseYear: true } }
+        const [perDie] = applyMultiDieMode([estimated], 'perDie')
+        expect(perDie.estimates).toEqual({ msrp: { min: 324.5, max: 374.5 }, tdpWatts: true, releaseYear: true })
+    })
+})
+
+describe('describeMultiDie', () => {
+    it('notes how a board is counted', () => {
+        expect(describeMultiDie(gtx590)).toBe('Dual-GPU board (2x GF110): totals for the whole board')
+        expect(describeMultiDie(applyMultiDieMode([gtx590], 'perDie')[0])).toBe('Dual-GPU board (2x GF110), shown per GPU: board figures ÷ 2')
+        expect(describeMultiDie(gtx580)).toBe('')
+    })
+})
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import {
+    parseIsoDate, getReleaseDate, getReleaseMonthKey, formatReleaseDate, monthsBetween,
+    getMonthsAfterFlagship, describeFlagshipGap, lookupForRelease, getCpiMultiplier,
+} from '../utils/releaseDates'
+
+const gpus = [
+    { series: '700', model: 'GTX 780', releaseYear: 2013, releaseDate: '2013-05-23', flagship: true },
+    { series: '700', model: 'GTX 780 Ti', releaseYear: 2013, releaseDate: '2013-11-07', specialFlagship: true },
+    { series: '700', model: 'GTX 760', releaseYear: 2013 },
+    { series: '2000', model: 'RTX 2080 Ti', releaseYear: 2018, releaseDate: '2018-09-27', flagship: true },
+    { series: '1600', model: 'GTX 1660 Ti', releaseYear: 2019, releaseDate: '2019-02-22' },
+]
+
+const inflationData = {
+    base_year: 2025,
+    cpi_data: { 2020: 258.811, 2025: 320 },
+    cpi_monthly: { '2020-09': 260.28 },
+    multipliers: { 2020: 1.237, 2025: 1 },
+}
+
+describe('parseIsoDate', () => {
+    it('parses calendar dates as UTC', () => {
+        expect(parseIsoDate('2020-09-17').toISOString()).toBe('2020-09-17T00:00:00.000Z')
+    })
+
+    it('rejects malformed and impossible dates', () => {
+        expect(parseIsoDate('2020-9-17')).toBeNull()
+        expect(parseIsoDate('2021-02-29')).toBeNull()
+        expect(parseIsoDate(undefined)).toBeNull()
+    })
+})
+
+describe('getReleaseDate', () => {
+    it('uses releaseDate, or mid-year for undated GPUs and consoles', () => {
+        expect(getReleaseDate(gpus[0]).toISOString().slice(0, 10)).toBe('2013-05-23')
+        expect(getReleaseDate(gpus[2]).toISOString().slice(0, 10)).toBe('2013-07-01')
+        expect(getReleaseDate({ name: 'Xbox 360', launchYear: 2005 }).getUTCFullYear()).toBe(2005)
+        expect(getReleaseDate({})).toBeNull()
+    })
+
+    it('formats month and year, or the year alone', () => {
+        expect(getReleaseMonthKey(gpus[1])).toBe('2013-11')
+        expect(getReleaseMonthKey(gpus[2])).toBeNull()
+        expect(formatReleaseDate(gpus[1])).toBe('Nov 2013')
+        expect(formatReleaseDate(gpus[2])).toBe('2013')
+    })
+})
+
+describe('flagship gaps', () => {
+    it('counts calendar months', () => {
+        expect(monthsBetween(parseIsoDate('2020-09-24'), parseIsoDate('2022-03-29'))).toBe(18)
+        expect(monthsBetween(parseIsoDate('2020-09-24'), parseIsoDate('2020-09-01'))).toBe(0)
+    })
+
+    it('measures a card against its series flagship', () => {
+        const gap = getMonthsAfterFlagship(gpus[1], gpus)
+        expect(gap.flagship.model).toBe('GTX 780')
+        expect(gap.months).toBe(6)
+        expect(describeFlagshipGap(gpus[1], gpus)).toBe('+6 mo after GTX 780')
+    })
+
+    it('borrows the reference flagship for the 1600 series', () => {
+        expect(describeFlagshipGap(gpus[4], gpus)).toBe('+5 mo after RTX 2080 Ti')
+    })
+
+    it('skips the flagship itself and undated cards', () => {
+        expect(getMonthsAfterFlagship(gpus[0], gpus)).toBeNull()
+        expect(describeFlagshipGap(gpus[2], gpus)).toBe('')
+    })
+})
+
+describe('economic lookups', () => {
+    it('prefers the release month and falls back to the year', () => {
+        expect(lookupForRelease({ '2020-09': 1, 2020: 2 }, { releaseYear: 2020, releaseDate: '2020-09-17' })).toEqual({ value: 1, period: '2020-09' })
+        expect(lookupForRelease({ 2020: 2 }, { releaseYear: 2020, releaseDate: '2020-09-17' })).toEqual({ value: 2, period: '2020' })
+    })
+
+    it('derives CPI multipliers from the base-year CPI', () => {
+        const dated = getCpiMultiplier(inflationData, { releaseYear: 2020, releaseDate: '2020-09-17' })
+        expect(dated.period).toBe('2020-09')
+        expect(dated.multiplier).toBeCloseTo(320 / 260.28, 6)
+        const undated = getCpiMultiplier(inflationData, { releaseYear: 2020 })
+        expect(undated.period).toBe('2020')
+        expect(undated.multiplier).toBeCloseTo(320 / 258.811, 6)
+        expect(getCpiMultiplier(inflationData, { releaseYear: 2020, releaseDate: '2020-11-10' }).period).toBe('2020')
+    })
+
+    it('rebases to another year with CPI data', () => {
+        expect(getCpiMultiplier(inflationData, { releaseYear: 2025 }, 2020).multiplier).toBeCloseTo(258.811 / 320, 6)
+        expect(getCpiMultiplier(inflationData, { releaseYear: 2020 }, '2025').multiplier).toBeCloseTo(320 / 258.811, 6)
+        expect(getCpiMultiplier(inflationData, { releaseYear: 2020 }, 2019).multiplier).toBeUndefined()
+    })
+})
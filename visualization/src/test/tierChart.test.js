@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest'
+import { getGenerationLegendData, drawTierChart } from '../utils/tierChart'
+import { createSvgRef, mockColumnOrder } from './chartTestUtils'
+
+const row = (model, series, releaseYear, tier, value, extra = {}) => ({
+    model, series, releaseYear, tier, baseTier: tier, vendor: 'NVIDIA', value, estimatedValues: [], ...extra
+})
+
+const generations = (activeGenerations = {}) => ({
+    activeGenerations, setActiveGenerations: vi.fn(), showAllGenerations: true, setShowAllGenerations: vi.fn()
+})
+
+describe('getGenerationLegendData', () => {
+    it('orders generations by release year with 1600 ahead of 2000', () => {
+        const rows = [row('RTX 2080', '2000', 2018, '80', 1), row('GTX 1660', '1600', 2019, '60', 1), row('GTX 1080', '1000', 2016, '80', 1)]
+        expect(getGenerationLegendData(rows, {}).map(g => g.series)).toEqual(['1000', '1600', '2000'])
+    })
+})
+
+describe('drawTierChart', () => {
+    const draw = (rows, options = {}) => {
+        const svgRef = createSvgRef()
+        drawTierChart(svgRef.current, {
+            className: 'test', rows, columnOrder: mockColumnOrder, generations: generations(),
+            yLabel: 'Value', emptyMessage: 'Nothing to display', describe: d => d.model, ...options
+        })
+        return svgRef
+    }
+
+    it('lists rows without a value in the legend but does not plot them', () => {
+        const svgRef = draw([row('RTX 2080', '2000', 2018, '80', 2), row('RTX 2070', '2000', 2018, '70', null), row('GTX 1080', '1000', 2016, '80', 1)])
+        expect(svgRef.current.querySelectorAll('.test-point')).toHaveLength(2)
+        expect(svgRef.current.querySelectorAll('.test-legend .legend-item:not(.show-all)')).toHaveLength(2)
+        expect(svgRef.current.querySelector('.test-legend').textContent).toContain('* Dotted outlines: estimates')
+    })
+
+    it('draws hollow dotted points for estimates', () => {
+        const svgRef = draw([row('RTX 2080', '2000', 2018, '80', 2, { estimatedValues: [{ field: 'msrp' }] })])
+        const point = svgRef.current.querySelector('.test-point')
+        expect(point.getAttribute('fill')).toBe('transparent')
+        expect(point.getAttribute('stroke-dasharray')).toBe('2,2')
+    })
+
+    it('keeps the reference value in view', () => {
+        const svgRef = draw([row('RTX 2080', '2000', 2018, '80', 40)], { referenceValue: 100 })
+        expect(svgRef.current.querySelector('.flagship-line')).not.toBeNull()
+        const ticks = Array.from(svgRef.current.querySelectorAll('.y-axis .tick text')).map(tick => tick.textContent)
+        expect(ticks.at(-1)).toBe('110')
+    })
+
+    it('shows the empty message when no row has a value', () => {
+        const svgRef = draw([row('RTX 2080', '2000', 2018, '80', null)])
+        expect(svgRef.current.textContent).toContain('Nothing to display')
+    })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { getWaferPrice, listWaferPrices, getWaferPriceLabel, getWaferSourceKeys } from '../utils/waferPrices'
+
+const waferPrices = {
+    foundries: {
+        TSMC: {
+            5: { 2020: { price: 17000, low: 16000, high: 18000 }, 2024: { price: 18000, low: 16000, high: 20000 } },
+            7: { 2018: 10000 },
+        },
+        Samsung: { 8: { 2020: { price: 3000, low: 2500, high: 5000 } } },
+    },
+    sources: { 'TSMC 5nm': { publication: 'CSET' } },
+}
+
+describe('getWaferPrice', () => {
+    it('uses the latest listed year up to the release', () => {
+        expect(getWaferPrice(waferPrices, { node: 5, year: 2022 })).toEqual({ foundry: 'TSMC', node: '5', year: '2020', price: 17000, low: 16000, high: 18000 })
+        expect(getWaferPrice(waferPrices, { node: 5, year: 2025 })).toMatchObject({ year: '2024', price: 18000 })
+    })
+
+    it('uses the first listed year for earlier releases and plain numbers as a price without range', () => {
+        expect(getWaferPrice(waferPrices, { node: '5', year: 2019 })).toMatchObject({ year: '2020', price: 17000 })
+        expect(getWaferPrice(waferPrices, { node: 7, year: 2020 })).toMatchObject({ price: 10000, low: 10000, high: 10000 })
+    })
+
+    it('tells foundries apart', () => {
+        expect(getWaferPrice(waferPrices, { foundry: 'Samsung', node: 8, year: 2021 })).toMatchObject({ foundry: 'Samsung', price: 3000, high: 5000 })
+        expect(getWaferPrice(waferPrices, { node: 8, year: 2021 })).toBeNull()
+        expect(getWaferPrice(waferPrices, { foundry: 'Intel', node: 5 })).toBeNull()
+    })
+
+    it('reads the flat node map as one price for every foundry and year', () => {
+        expect(getWaferPrice({ 5: 17000 }, { foundry: 'Samsung', node: 5, year: 2010 })).toEqual({ foundry: null, node: '5', year: null, price: 17000, low: 17000, high: 17000 })
+        expect(getWaferPrice({ 5: 17000 }, { node: 7 })).toBeNull()
+    })
+})
+
+describe('listWaferPrices', () => {
+    it('lists every price by foundry, node and year', () => {
+        expect(listWaferPrices(waferPrices).map(getWaferPriceLabel)).toEqual(['Samsung 8nm', 'TSMC 5nm', 'TSMC 5nm', 'TSMC 7nm'])
+        expect(listWaferPrices({ 7: 9346, 5: 17000, sources: { 5: {} } }).map(entry => entry.node)).toEqual(['5', '7'])
+    })
+})
+
+describe('getWaferSourceKeys', () => {
+    it('allows one citation per foundry node, or per node in the flat form', () => {
+        expect(getWaferSourceKeys(waferPrices)).toEqual(['Samsung 8nm', 'TSMC 5nm', 'TSMC 7nm'])
+        expect(getWaferSourceKeys({ 5: 17000 })).toEqual(['5'])
+    })
+})
@@ -0,0 +1,1314 @@
+/**
+ * Headless Analytics
+ *
+ * The derived metrics behind the charts as pure functions of the datasets:
+ * flagship-normalized core counts and board power, CPI/wage price adjustment, price per mm² of
+ * full and effective (disabled-die) area, wafer cost per mm², yield-aware cost
+ * per good die (dieCost.js), BOM and gross margin (bom.js), relative
+ * performance, cores and FP32 TFLOPS per adjusted dollar, hours of median work
+ * a launch price costs, generation-over-generation uplift, the launch price
+ * ladder and die class by tier
+ * and scaled console memory. Each GPU row lists
+ * which of its inputs are estimates (see estimates.js), and a `hideEstimates`
+ * option leaves such cards out. The chart components and Node scripts share
+ * them, so an export reports the same numbers the charts draw.
+ *
+ * This module and everything it imports use explicit .js extensions so plain
+ * Node (scripts/export-metrics.js) can load them without Vite's resolver; none
+ * of them may import JSON or browser APIs.
+ */
+import { flagshipReferenceSeries } from './dataValidation.js';
+import { getLaunchPrice, getFxRate } from './currency.js';
+import { computeDieCost } from './dieCost.js';
+import { defaultFoundry, getWaferPrice, listWaferPrices } from './waferPrices.js';
+import { computeBom, getGrossMargin, getMemoryPricePerGB } from './bom.js';
+import { getPriceVariant } from './gpuVariants.js';
+import { getReleaseYear, lookupForRelease, getReleaseCpi, getCpiMultiplier } from './releaseDates.js';
+import { getTierFromModel, getVendor, isRefreshTier, vendors } from './tierUtils.js';
+import { getBoardDie, getDieReference } from './multiDie.js';
+import { getEstimates, withoutEstimates, getDerivedRange } from './estimates.js';
+import { columnOrder, regionalCurrencies } from './chartConfig.js';
+
+/**
+ * @typedef {Object} AdjustmentOptions
+ * @property {boolean} [useCpiAdjustment=false] - Convert to base-year dollars with CPI
+ * @property {number|string} [baseYear] - Year prices are expressed in, for CPI and wages alike
+ *   (default: inflationData.base_year)
+ * @property {boolean} [useRealWageScaling=false] - Scale by median weekly earnings
+ *   (real earnings with CPI on, nominal earnings with CPI off)
+ * @property {string} [currency='USD'] - Prices in this currency, adjusted with its region's CPI and wages
+ * @property {boolean} [useLaunchFx=false] - Convert USD MSRPs at the launch exchange rate
+ *   instead of using regional MSRPs
+ */
+
+/**
+ * @typedef {Object} Adjustment
+ * @property {number} multiplier - Factor applied to a launch price (1 when nominal)
+ * @property {string} type - Label such as "CPI Adj. (to 2025)" or "Nominal"
+ * @property {string} period - CPI/wage key used: "2020-09" or "2020"
+ */
+
+/**
+ * @typedef {Object} NormalizedCoresRow
+ * @property {string} model
+ * @property {string} series
+ * @property {string|null} tier - Shared-ladder tier ("80 Ti")
+ * @property {number|null} cudaCores
+ * @property {string} referenceModel - Flagship the series is normalized against
+ * @property {boolean} isReferenceFlagship - This card is that flagship
+ * @property {number|null} normalizedCores - Cores as % of the reference flagship
+ * @property {Estimate[]} estimatedValues - Estimated inputs (cudaCores)
+ */
+
+/**
+ * @typedef {Object} PowerRow
+ * @property {string} model
+ * @property {string} series
+ * @property {string|null} tier
+ * @property {number} tdpWatts - Rated board power
+ * @property {number|null} gamingPowerWatts - Measured average gaming power, when reviewed
+ * @property {string} referenceModel - Flagship the series is normalized against (see getReferenceFlagship)
+ * @property {boolean} isReferenceFlagship
+ * @property {number|null} normalizedTdp - TDP as % of the reference flagship's
+ * @property {number|null} relativePerformance - Index from relative_performance.json
+ * @property {'measured'|'tdp'} powerBasis - Which power figure perfPerWatt divides by
+ * @property {number|null} perfPerWatt - Index points per 100 W (null without a score)
+ * @property {number|null} normalizedPerfPerWatt - perfPerWatt as % of the reference flagship's
+ * @property {Estimate[]} estimatedValues - Estimated inputs (tdpWatts, gamingPowerWatts)
+ */
+
+/**
+ * @typedef {Object} DieAreaRow
+ * @property {string} model
+ * @property {string} series
+ * @property {string|null} tier
+ * @property {boolean} isRefresh - Mid-cycle refresh (SUPER) SKU
+ * @property {string} dieName
+ * @property {number} dieSizeMM2 - Area of every die on the board
+ * @property {number} dieCount - Dies on the board (2 on a GTX 590; see multiDie.js)
+ * @property {string} foundry - Foundry of the die (gpu_die.json, TSMC when not recorded)
+ * @property {number} fullCudaCores - Cores of the full dies (0 if unknown)
+ * @property {number} dieUtilizationRatio - Enabled share of the die, by utilizationBasis
+ * @property {string} utilizationBasis - Key of dieUtilizationBases the ratio was measured by
+ * @property {number} effectiveDieSize - Area charged to the card in mm²
+ * @property {Object} pricedVariant - Variant whose MSRP is used
+ * @property {string} currency - Currency of every price below
+ * @property {number} originalMsrp - Launch price in `currency`
+ * @property {number} usdMsrp - Launch MSRP in USD
+ * @property {'usd'|'regional'|'converted'} priceBasis - Where originalMsrp came from (see getLaunchPrice)
+ * @property {number} [fxRate] - USD -> currency rate, for converted prices
+ * @property {string} [fxPeriod] - FX table key used ("2020")
+ * @property {number} adjustmentMultiplier
+ * @property {string} adjustmentType
+ * @property {string} adjustmentPeriod
+ * @property {number} adjustedMsrp
+ * @property {number} pricePerMM2 - Adjusted MSRP per mm² of full die
+ * @property {number} effectivePricePerMM2 - Adjusted MSRP per mm² of effective die
+ * @property {number} rawPricePerMM2 - Nominal MSRP per mm² of full die
+ * @property {number} rawEffectivePricePerMM2 - Nominal MSRP per mm² of effective die
+ * @property {number} displayPricePerMM2 - pricePerMM2 or effectivePricePerMM2 per `useEffectiveDieSize`
+ * @property {Estimate[]} estimatedValues - Estimated inputs (msrp, die size, utilization fields)
+ * @property {{min: number, max: number}|null} displayPricePerMM2Range - Range of displayPricePerMM2 over
+ *   the estimated MSRP and die size ranges (null when neither has one)
+ * @property {import('./dieCost.js').DieCost|null} dieCost - Yield-aware cost of one die in nominal USD
+ *   (null without a wafer price for the card's node)
+ * @property {number|null} adjustedDieCost - Cost of the board's good dies in `currency`, converted at
+ *   the launch rate and adjusted like the MSRP
+ * @property {import('./bom.js').Bom|null} bom - Nominal USD bill of materials (null without a die
+ *   cost or a memory price)
+ * @property {number|null} grossMargin - Margin on the USD MSRP of the priced variant (see getGrossMargin)
+ */
+
+/**
+ * @typedef {Object} PerfPerDollarRow
+ * @property {string} model
+ * @property {string} series
+ * @property {string|null} tier
+ * @property {boolean} isRefresh
+ * @property {number} relativePerformance - Index from relative_performance.json (reference card = 100)
+ * @property {Object} pricedVariant - Variant whose MSRP is used
+ * @property {string} currency
+ * @property {number} originalMsrp - Launch price in `currency`
+ * @property {number} adjustmentMultiplier
+ * @property {string} adjustmentType
+ * @property {string} adjustmentPeriod
+ * @property {number} adjustedMsrp
+ * @property {number} perfPerDollar - Index points per 100 units of adjusted `currency`
+ * @property {Estimate[]} estimatedValues - Estimated inputs (msrp)
+ */
+
+/**
+ * @typedef {Object} CoresPerDollarRow
+ * @property {string} model
+ * @property {string} series
+ * @property {string|null} tier
+ * @property {boolean} isRefresh
+ * @property {boolean} isReferenceFlagship - Selected flagship of its series (see getReferenceFlagship)
+ * @property {number|null} fp32Tflops - Null without a boost clock
+ * @property {Object} pricedVariant - Variant whose MSRP is used
+ * @property {string} currency
+ * @property {number} originalMsrp - Launch price in `currency`
+ * @property {number} adjustmentMultiplier
+ * @property {string} adjustmentType
+ * @property {string} adjustmentPeriod
+ * @property {number} adjustedMsrp
+ * @property {number} coresPerDollar - Shader cores per 1 unit of adjusted `currency`
+ * @property {number|null} gflopsPerDollar - FP32 GFLOPS per 1 unit of adjusted `currency`
+ * @property {Estimate[]} estimatedValues - Estimated inputs (cudaCores, boostClockMHz, msrp)
+ */
+
+/**
+ * @typedef {Object} AffordabilityRow
+ * @property {string} model
+ * @property {string} series
+ * @property {string|null} tier
+ * @property {boolean} isRefresh
+ * @property {boolean} isReferenceFlagship - Selected flagship of its series (see getReferenceFlagship)
+ * @property {Object} pricedVariant - Variant whose MSRP is used
+ * @property {string} currency - Currency of the price and the wage
+ * @property {number} originalMsrp - Launch price in `currency`
+ * @property {number} usdMsrp - Launch MSRP in USD
+ * @property {'usd'|'regional'|'converted'} priceBasis - Where originalMsrp came from (see getLaunchPrice)
+ * @property {number} [fxRate] - USD -> currency rate, for converted prices
+ * @property {string} [fxPeriod] - FX table key used ("2020")
+ * @property {number} weeklyWage - Median nominal weekly wage at release, in `currency`
+ * @property {number} hoursPerWeek - Work week the wage is spread over (usWorkWeekHours in the US)
+ * @property {number} hourlyWage - weeklyWage over hoursPerWeek
+ * @property {string} wagePeriod - Wage (and CPI) key used: "2020-09" or "2020"
+ * @property {number} hoursOfWork - Launch price in hours of median work
+ * @property {number} weeksOfWork - Launch price in weeks of median work
+ * @property {Estimate[]} estimatedValues - Estimated inputs (msrp)
+ */
+
+/**
+ * @typedef {Object} UpliftCell
+ * @property {string} vendor
+ * @property {string} series - Display series ("1600/2000" for the combined Turing column)
+ * @property {number} releaseYear - Earliest release year in the series
+ * @property {string} tier - Shared-ladder tier
+ * @property {Object|null} card - GPU record on this tier, null when the series has none
+ * @property {number|null} value - Metric value of `card`
+ * @property {string|null} previousSeries - Latest earlier series of the vendor with this tier
+ * @property {Object|null} previousCard
+ * @property {number|null} previousValue
+ * @property {boolean} skippedGeneration - previousSeries is not the series right before this one
+ * @property {number|null} change - % change from previousValue (null without both values)
+ * @property {Estimate[]} estimatedValues - Estimated inputs of `value`
+ * @property {Estimate[]} previousEstimatedValues - Estimated inputs of `previousValue`
+ */
+
+/**
+ * @typedef {Object} PriceLadderRow
+ * @property {string} model
+ * @property {string} series
+ * @property {string} displaySeries - Column the card is shown in ("1600/2000" for the combined Turing column)
+ * @property {number} seriesReleaseYear - Earliest release year in the display series
+ * @property {string} vendor
+ * @property {string} tier - Shared-ladder tier
+ * @property {boolean} isReferenceFlagship - Selected flagship of its series (see getReferenceFlagship)
+ * @property {Object} pricedVariant - Variant whose MSRP is used
+ * @property {string} currency
+ * @property {number} originalMsrp - Launch price in `currency`
+ * @property {'usd'|'regional'|'converted'} priceBasis - Where originalMsrp came from (see getLaunchPrice)
+ * @property {number} adjustmentMultiplier
+ * @property {string} adjustmentType
+ * @property {string} adjustmentPeriod
+ * @property {number} adjustedMsrp
+ * @property {string|null} previousSeries - Latest earlier display series of the vendor with a price on this tier
+ * @property {string|null} previousModel
+ * @property {number|null} previousAdjustedMsrp
+ * @property {boolean} skippedGeneration - previousSeries is not the vendor's series right before this one
+ * @property {number|null} change - % change from previousAdjustedMsrp
+ * @property {Estimate[]} estimatedValues - Estimated inputs (msrp)
+ * @property {Estimate[]} previousEstimatedValues - Estimated inputs of previousAdjustedMsrp
+ */
+
+/**
+ * @typedef {Object} WaferRow
+ * @property {string|null} foundry - Null for a flat wafer_prices.json
+ * @property {string} node - Process node in nm ("5")
+ * @property {string|null} year - First year the price applies to
+ * @property {number} waferPrice - Estimated 300 mm wafer price in USD
+ * @property {number} waferPriceLow
+ * @property {number} waferPriceHigh
+ * @property {number} yieldFactor - Share of the wafer area assumed usable
+ * @property {number} pricePerMM2 - Nominal USD per usable mm²
+ * @property {number} pricePerMM2Low
+ * @property {number} pricePerMM2High
+ */
+
+/**
+ * @typedef {Object} ConsoleMemoryRow
+ * @property {string} name
+ * @property {number} launchYear
+ * @property {number} memoryGB - Total memory in GB
+ * @property {string} memoryDisplay - "256 MB" or "16 GB"
+ * @property {boolean} dedicatedVram - Memory is split, so it is not scaled
+ * @property {number} scaledMemoryGB - Memory counted as video memory
+ * @property {Estimate[]} estimatedValues - Estimated inputs (memory)
+ */
+
+/**
+ * @typedef {import('./estimates.js').Estimate} Estimate
+ */
+
+// --- Price adjustment ---
+
+// Same adjustments for a non-USD currency, from its region's CPI and nominal
+// wage series; real wages are nominal wages deflated by that CPI
+const getRegionalAdjustment = (record, { regionalCpiData, regionalWageData }, { useCpiAdjustment, useRealWageScaling, currency, baseYear }) => {
+    const cpiTable = regionalCpiData?.[currency]?.cpi_data || {};
+    const wageTable = regionalWageData?.[currency]?.wage_data || {};
+    const { value: yearCPI, period } = lookupForRelease(cpiTable, record);
+    const baseCPI = cpiTable[baseYear];
+    const yearWage = lookupForRelease(wageTable, record).value;
+    const baseWage = wageTable[baseYear];
+    let multiplier = 1;
+    let type = 'Nominal';
+
+    if (useCpiAdjustment && useRealWageScaling) {
+        if (yearWage && baseWage && yearCPI && baseCPI) {
+            multiplier = (baseWage / baseCPI) / (yearWage / yearCPI);
+            type = `Real Wage (to ${baseYear})`;
+        } else { type = 'Nominal (Wage Data Missing)'; }
+    } else if (useCpiAdjustment && !useRealWageScaling) {
+        if (yearCPI && baseCPI) {
+            multiplier = baseCPI / yearCPI;
+            type = `CPI Adj. (to ${baseYear})`;
+        } else { type = 'Nominal (CPI Data Missing)'; }
+    } else if (!useCpiAdjustment && useRealWageScaling) {
+        if (yearWage && baseWage) {
+            multiplier = baseWage / yearWage;
+            type = `Nominal Wage (to ${baseYear})`;
+        } else { type = 'Nominal (Wage Data Missing)'; }
+    }
+    return { multiplier, type, period };
+};
+
+/**
+ * Multiplier converting a launch price to the selected terms
+ * @param {Object|number|string} release - GPU/console record (release-month
+ *   CPI/wage when dated) or a bare year
+ * @param {Object} datasets - { inflationData, medianRealWageData }, plus
+ *   { regionalCpiData, regionalWageData } for other currencies
+ * @param {AdjustmentOptions} [options]
+ * @returns {Adjustment}
+ */
+export const getAdjustmentMultiplier = (release, datasets, { useCpiAdjustment = false, useRealWageScaling = false, currency = 'USD', baseYear } = {}) => {
+    const record = typeof release === 'object' ? release : { releaseYear: Number(release) };
+    const { inflationData, medianRealWageData } = datasets;
+    const base = String(baseYear ?? inflationData.base_year);
+    if (currency !== 'USD') {
+        return getRegionalAdjustment(record, datasets, { useCpiAdjustment, useRealWageScaling, currency, baseYear: base });
+    }
+    let multiplier = 1;
+    let type = 'Nominal';
+
+    const baseRealWage = medianRealWageData[base];
+    const baseCPI = inflationData.cpi_data[base];
+    const yearRealWage = lookupForRelease(medianRealWageData, record).value;
+    const { value: yearCPI, period } = getReleaseCpi(inflationData, record);
+    const cpiMultiplier = getCpiMultiplier(inflationData, record, base).multiplier;
+    // Real wages are in 1982-84 dollars (CPI = 100), so CPI / 100 converts them to nominal dollars
+    const baseNominalWage = baseRealWage && baseCPI ? baseRealWage * (baseCPI / 100) : null;
+    const yearNominalWage = yearRealWage && yearCPI ? yearRealWage * (yearCPI / 100) : null;
+
+    if (useCpiAdjustment && useRealWageScaling) {
+        if (yearRealWage && baseRealWage && yearRealWage > 0) {
+            multiplier = baseRealWage / yearRealWage;
+            type = `Real Wage (to ${base})`;
+        } else { type = 'Nominal (Wage Data Missing)'; }
+    } else if (useCpiAdjustment && !useRealWageScaling) {
+        if (cpiMultiplier) {
+            multiplier = cpiMultiplier;
+            type = `CPI Adj. (to ${base})`;
+        } else { type = 'Nominal (CPI Data Missing)'; }
+    } else if (!useCpiAdjustment && useRealWageScaling) {
+        if (yearNominalWage && baseNominalWage && yearNominalWage > 0) {
+            multiplier = baseNominalWage / yearNominalWage;
+            type = `Nominal Wage (to ${base})`;
+        } else { type = 'Nominal (Wage Data Missing)'; }
+    }
+    return { multiplier, type, period };
+};
+
+/**
+ * Years prices can be expressed in: every year with an annual US CPI value,
+ * each listed with the flagships launched that year ("2022" -> ["RTX 4090"])
+ * @param {Object} inflationData - inflation_data.json
+ * @param {Object[]} [gpuData=[]] - GPU records, for the flagship labels
+ * @returns {Array<{year: number, flagships: string[]}>} Ascending by year
+ */
+export const getBaseYearOptions = (inflationData, gpuData = []) => Object.keys(inflationData?.cpi_data || {})
+    .filter(key => /^\d{4}$/.test(key))
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(year => ({
+        year,
+        flagships: gpuData.filter(gpu => gpu.flagship && getReleaseYear(gpu) === year).map(gpu => gpu.model)
+    }));
+
+// --- Normalized cores ---
+
+/**
+ * Normalizes a core count to a percentage of a flagship's
+ * @param {number|null} cores
+ * @param {number} flagshipCores
+ * @returns {number|null} Null if either count is missing
+ */
+export const normalizeCores = (cores, flagshipCores) =>
+    cores != null && flagshipCores > 0 ? (cores / flagshipCores) * 100 : null;
+
+const hasCores = (gpu) => gpu != null && gpu.cudaCores != null && gpu.cudaCores > 0;
+
+// GPU fields each metric reads, for its estimate flags (see estimates.js)
+const coreEstimateFields = ['cudaCores'];
+const powerEstimateFields = ['tdpWatts', 'gamingPowerWatts'];
+const priceEstimateFields = ['msrp'];
+const coresPerDollarEstimateFields = ['cudaCores', 'boostClockMHz', 'msrp'];
+
+// Card and full-die fields a utilization basis reads
+const getUtilizationFields = (basis) => {
+    const { gpuField, dieField } = dieUtilizationBases[basis] || dieUtilizationBases[defaultDieUtilizationBasis];
+    return [gpuField, dieField];
+};
+
+/**
+ * Flagship a series' cores are normalized against. Uses the series' special
+ * flagship (RTX 2080 Ti over 2080) when toggled on; series that borrow another
+ * series' flagship (1600 -> 2000) follow that series' toggle. Falls back to the
+ * card with the most cores when no marked flagship has a core count.
+ * @param {Object[]} gpuData - GPU records
+ * @param {string} series - Series name
+ * @param {Object<string, boolean>} [specialFlagshipActive={}] - Series -> special flagship selected
+ * @returns {{flagship: Object, useSpecial: boolean}|null} `useSpecial` is whether the
+ *   series' own special flagship is selected; null if no card has cores
+ */
+export const getReferenceFlagship = (gpuData, series, specialFlagshipActive = {}) => {
+    const seriesData = gpuData.filter(d => d.series === series);
+    const useSpecial = Boolean(specialFlagshipActive[series] && seriesData.some(d => d.specialFlagship));
+
+    let flagship;
+    const referenceSeries = flagshipReferenceSeries[series];
+    if (referenceSeries) {
+        const referenceData = gpuData.filter(d => d.series === referenceSeries);
+        const referenceSpecial = specialFlagshipActive[referenceSeries] && referenceData.find(d => d.specialFlagship);
+        flagship = referenceSpecial || referenceData.find(d => d.flagship);
+        // A reference flagship without cores cannot normalize; use the series' own as a last resort
+        if (!hasCores(flagship)) flagship = seriesData.find(d => d.flagship);
+    } else {
+        flagship = useSpecial ? seriesData.find(d => d.specialFlagship) : seriesData.find(d => d.flagship);
+    }
+
+    if (!hasCores(flagship)) {
+        flagship = [...seriesData].sort((a, b) => (b.cudaCores || 0) - (a.cudaCores || 0))[0];
+        if (!hasCores(flagship)) return null;
+    }
+    return { flagship, useSpecial };
+};
+
+/**
+ * Every card's cores as a percentage of its series' reference flagship
+ * @param {Object[]} gpuData - GPU records
+ * @param {Object} [options]
+ * @param {Object<string, boolean>} [options.specialFlagshipActive={}] - See getReferenceFlagship
+ * @param {boolean} [options.hideEstimates=false] - Leave out cards with estimated core counts,
+ *   before flagships are picked
+ * @returns {NormalizedCoresRow[]} Cards of series without any core counts are left out
+ */
+export const computeNormalizedCores = (allGpuData, { specialFlagshipActive = {}, hideEstimates = false } = {}) => {
+    const gpuData = hideEstimates ? withoutEstimates(allGpuData, coreEstimateFields) : allGpuData;
+    const seriesList = Array.from(new Set(gpuData.map(d => d.series)));
+    return seriesList.flatMap(series => {
+        const reference = getReferenceFlagship(gpuData, series, specialFlagshipActive);
+        if (!reference) return [];
+        const { flagship } = reference;
+        return gpuData
+            .filter(d => d.series === series)
+            .map(d => ({
+                model: d.model,
+                series: d.series,
+                tier: getTierFromModel(d.model),
+                cudaCores: d.cudaCores ?? null,
+                referenceModel: flagship.model,
+                isReferenceFlagship: d === flagship,
+                normalizedCores: normalizeCores(d.cudaCores, flagship.cudaCores),
+                estimatedValues: getEstimates(d, coreEstimateFields)
+            }));
+    });
+};
+
+// Benchmark score of a card; a multi-GPU board shown per GPU (see applyMultiDieMode) gets its share
+const getScore = (scores, gpu) => (scores[gpu.model] != null ? scores[gpu.model] / (gpu.boardDieCount || 1) : null);
+
+// --- Power ---
+
+// Share of a flagship's value in percent, null when either is missing
+const percentOfFlagship = (value, flagshipValue) =>
+    value != null && flagshipValue > 0 ? (value / flagshipValue) * 100 : null;
+
+/**
+ * Board power and, with performance scores, performance per watt of every card
+ * with a TDP, each also as a percentage of its series' reference flagship
+ * @param {Object} datasets - { gpuData, relativePerformance }
+ * @param {Object} [options]
+ * @param {Object<string, boolean>} [options.specialFlagshipActive={}] - See getReferenceFlagship
+ * @param {boolean} [options.hideEstimates=false] - Leave out cards with estimated power figures
+ * @returns {Array<Object & PowerRow>} GPU records extended with the power fields; measured gaming
+ *   power is preferred over TDP for perf/W
+ */
+export const computePowerRows = ({ gpuData: allGpuData, relativePerformance }, { specialFlagshipActive = {}, hideEstimates = false } = {}) => {
+    const gpuData = hideEstimates ? withoutEstimates(allGpuData, powerEstimateFields) : allGpuData;
+    const scores = relativePerformance?.scores || {};
+    const withPower = (gpu) => {
+        const powerWatts = gpu.gamingPowerWatts ?? gpu.tdpWatts;
+        const score = getScore(scores, gpu);
+        return {
+            powerBasis: gpu.gamingPowerWatts != null ? 'measured' : 'tdp',
+            perfPerWatt: score && powerWatts ? (score / powerWatts) * 100 : null
+        };
+    };
+    const seriesList = Array.from(new Set(gpuData.map(d => d.series)));
+    return seriesList.flatMap(series => {
+        const reference = getReferenceFlagship(gpuData, series, specialFlagshipActive);
+        if (!reference) return [];
+        const { flagship } = reference;
+        const flagshipPower = withPower(flagship);
+        return gpuData
+            .filter(d => d.series === series && d.tdpWatts > 0)
+            .map(d => {
+                const { powerBasis, perfPerWatt } = withPower(d);
+                return {
+                    ...d,
+                    tier: getTierFromModel(d.model),
+                    gamingPowerWatts: d.gamingPowerWatts ?? null,
+                    referenceModel: flagship.model,
+                    isReferenceFlagship: d === flagship,
+                    normalizedTdp: percentOfFlagship(d.tdpWatts, flagship.tdpWatts),
+                    relativePerformance: getScore(scores, d),
+                    powerBasis,
+                    perfPerWatt,
+                    normalizedPerfPerWatt: percentOfFlagship(perfPerWatt, flagshipPower.perfPerWatt),
+                    estimatedValues: getEstimates(d, powerEstimateFields)
+                };
+            });
+    });
+};
+
+// --- Die area ---
+
+/**
+ * Default share of a cut-down die charged regardless of how much of it is
+ * enabled; the rest scales with the enabled share
+ */
+export const effectiveDieFixedShare = 0.3;
+
+/**
+ * What "enabled share" of a die is measured by: a card field over the full
+ * die's field. SMs and CUs hold a fixed number of cores, so the core ratio is
+ * also the SM ratio.
+ */
+export const dieUtilizationBases = {
+    cores: { label: 'Cores / SMs', gpuField: 'cudaCores', dieField: 'fullCudaCores' },
+    memoryBus: { label: 'Memory bus', gpuField: 'busWidth', dieField: 'fullBusWidth' },
+    l2: { label: 'L2 cache', gpuField: 'l2CacheMB', dieField: 'fullL2CacheMB' }
+};
+
+export const defaultDieUtilizationBasis = 'cores';
+
+// Enabled share by one basis, or null when the card or die does not record it
+const readUtilization = (gpu, die, { gpuField, dieField }) =>
+    (die[dieField] > 0 && gpu[gpuField] > 0 ? gpu[gpuField] / die[dieField] : null);
+
+/**
+ * Basis a card's utilization is measured by: the requested one when the card
+ * and die record it, otherwise cores
+ * @param {Object} gpu - GPU record (merged with the priced variant, whose busWidth wins)
+ * @param {Object} die - gpu_die.json entry
+ * @param {string} [basis='cores'] - Key of dieUtilizationBases
+ * @returns {string} Key of dieUtilizationBases
+ */
+export const resolveUtilizationBasis = (gpu, die, basis = defaultDieUtilizationBasis) =>
+    (dieUtilizationBases[basis] && readUtilization(gpu, die, dieUtilizationBases[basis]) != null ? basis : defaultDieUtilizationBasis);
+
+/**
+ * Enabled share of a die
+ * @param {Object} gpu - GPU record
+ * @param {Object} die - gpu_die.json entry
+ * @param {string} [basis='cores'] - Key of dieUtilizationBases; falls back to cores (see resolveUtilizationBasis)
+ * @returns {number} 1 when the die's full core count is unknown
+ */
+export const getDieUtilization = (gpu, die, basis = defaultDieUtilizationBasis) => {
+    const resolved = resolveUtilizationBasis(gpu, die, basis);
+    if (resolved !== defaultDieUtilizationBasis) return readUtilization(gpu, die, dieUtilizationBases[resolved]);
+    const fullCudaCores = die.fullCudaCores || 0;
+    return fullCudaCores > 0 ? (gpu.cudaCores || 0) / fullCudaCores : 1;
+};
+
+/**
+ * Die area charged to a cut-down card: a fixed share outright plus the rest
+ * scaled by the enabled share
+ * @param {number} dieSizeMM2 - Full die area
+ * @param {number} utilizationRatio - From getDieUtilization
+ * @param {number} [fixedShare=0.3] - Share charged outright (0-1)
+ * @returns {number} Effective area in mm²
+ */
+export const getEffectiveDieSize = (dieSizeMM2, utilizationRatio, fixedShare = effectiveDieFixedShare) =>
+    dieSizeMM2 * (fixedShare + (1 - fixedShare) * utilizationRatio);
+
+/**
+ * Launch price per mm² of die for every card with a launch price in the selected
+ * currency, a known die and a release year
+ * @param {Object} datasets - { gpuData, gpuDieData, inflationData, medianRealWageData },
+ *   plus { regionalCpiData, regionalWageData, fxRates } for other currencies
+ * @param {AdjustmentOptions & {useEffectiveDieSize?: boolean, effectiveDieFixedShare?: number,
+ *   utilizationBasis?: string, variantPrice?: 'headline'|'base'|'top', yieldModel?: string, defectDensityScale?: number,
+ *   bomAssumptions?: Object, hideEstimates?: boolean}} [options] - effectiveDieFixedShare and utilizationBasis
+ *   configure the effective die (see getEffectiveDieSize), yieldModel and defectDensityScale go to computeDieCost,
+ *   bomAssumptions to computeBom; hideEstimates leaves out cards with an estimated MSRP, die size or
+ *   utilization field
+ * @returns {Array<Object & DieAreaRow>} GPU records extended with the die-area fields
+ */
+export const computeDieAreaRows = (datasets, options = {}) => {
+    const { gpuDieData, fxRates, waferPrices, memoryPrices } = datasets;
+    const {
+        useEffectiveDieSize = false, effectiveDieFixedShare: fixedShare = effectiveDieFixedShare,
+        utilizationBasis = defaultDieUtilizationBasis, variantPrice = 'headline', currency = 'USD', useLaunchFx = false,
+        bomAssumptions = {}, hideEstimates = false
+    } = options;
+    const estimateFields = ['msrp', 'dieSizeMM2', ...getUtilizationFields(utilizationBasis)];
+    const gpuData = hideEstimates ? withoutEstimates(datasets.gpuData, estimateFields, gpuDieData) : datasets.gpuData;
+    return gpuData
+        .map(gpu => {
+            const pricedVariant = getPriceVariant(gpu, variantPrice);
+            return { gpu, pricedVariant, launchPrice: getLaunchPrice(gpu, pricedVariant, fxRates, { currency, useLaunchFx }) };
+        })
+        .filter(({ gpu, launchPrice }) => {
+            const dieInfo = getBoardDie(gpu, gpuDieData);
+            return launchPrice.price && dieInfo && dieInfo.dieSizeMM2 && gpu.releaseYear;
+        })
+        .map(({ gpu, pricedVariant, launchPrice }) => {
+            // Area and full-die counts of every die on the board; the die cost is per die
+            const dieInfo = getBoardDie(gpu, gpuDieData);
+            const { dieKey, dieCount } = getDieReference(gpu);
+            const msrp = launchPrice.price;
+            const pricedGpu = { ...gpu, busWidth: pricedVariant.busWidth ?? gpu.busWidth };
+            const dieUtilizationRatio = getDieUtilization(pricedGpu, dieInfo, utilizationBasis);
+            const effectiveDieSize = getEffectiveDieSize(dieInfo.dieSizeMM2, dieUtilizationRatio, fixedShare);
+
+            const { multiplier: adjustmentMultiplier, type: adjustmentType, period: adjustmentPeriod } = getAdjustmentMultiplier(gpu, datasets, options);
+            const adjustedMsrp = msrp * adjustmentMultiplier;
+            const tier = getTierFromModel(gpu.model);
+            const dieCost = computeDieCost(gpuDieData[dieKey], gpu.manufacturingNode, waferPrices, { ...options, year: gpu.releaseYear });
+            const { rate: dieCostFxRate } = getFxRate(fxRates, currency, gpu);
+            const memoryPricePerGB = getMemoryPricePerGB(memoryPrices, gpu);
+            const vram = pricedVariant.vram ?? gpu.vram;
+            const bom = dieCost && memoryPricePerGB && vram
+                ? computeBom({ dieCost: dieCost.costPerGoodDie, dieCount, vram, memoryPricePerGB }, bomAssumptions)
+                : null;
+            const displayPricePerMM2 = useEffectiveDieSize ? (adjustedMsrp / effectiveDieSize) : (adjustedMsrp / dieInfo.dieSizeMM2);
+            const estimatedValues = getEstimates(gpu, estimateFields, gpuDieData);
+
+            return {
+                ...gpu,
+                tier,
+                isRefresh: isRefreshTier(tier),
+                dieSizeMM2: dieInfo.dieSizeMM2,
+                dieCount,
+                foundry: dieInfo.foundry || defaultFoundry,
+                fullCudaCores: dieInfo.fullCudaCores || 0,
+                dieUtilizationRatio,
+                utilizationBasis: resolveUtilizationBasis(pricedGpu, dieInfo, utilizationBasis),
+                effectiveDieSize,
+                generation: dieInfo.generation || "Unknown",
+                adjustmentMultiplier,
+                adjustmentType,
+                adjustmentPeriod,
+                pricedVariant,
+                currency,
+                originalMsrp: msrp,
+                usdMsrp: launchPrice.usdPrice,
+                priceBasis: launchPrice.basis,
+                fxRate: launchPrice.fxRate,
+                fxPeriod: launchPrice.fxPeriod,
+                adjustedMsrp,
+                pricePerMM2: adjustedMsrp / dieInfo.dieSizeMM2,
+                effectivePricePerMM2: adjustedMsrp / effectiveDieSize,
+                rawPricePerMM2: msrp / dieInfo.dieSizeMM2,
+                rawEffectivePricePerMM2: msrp / effectiveDieSize,
+                displayPricePerMM2,
+                estimatedValues,
+                // Both die sizes scale with the full die's area, so the range follows it
+                displayPricePerMM2Range: getDerivedRange(displayPricePerMM2, estimatedValues, { ...gpu, dieSizeMM2: dieInfo.dieSizeMM2 }, {
+                    numerator: ['msrp'], denominator: ['dieSizeMM2']
+                }),
+                dieCost,
+                adjustedDieCost: dieCost && dieCostFxRate ? dieCost.costPerGoodDie * dieCount * dieCostFxRate * adjustmentMultiplier : null,
+                bom,
+                grossMargin: bom && launchPrice.usdPrice
+                    ? getGrossMargin(launchPrice.usdPrice, bom.total, bomAssumptions.channelShare)
+                    : null
+            };
+        });
+};
+
+/**
+ * Fixed shares the effective-die sensitivity is evaluated at (0% to 60%)
+ */
+export const effectiveDieSensitivityShares = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6];
+
+// Middle value of a non-empty list (mean of the middle two for even lengths)
+const medianOf = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * How each series' median effective price per mm² moves with the fixed share
+ * @param {Array<DieAreaRow>} rows - From computeDieAreaRows (their adjustedMsrp and utilization are reused)
+ * @param {Object} [options]
+ * @param {number[]} [options.shares] - Fixed shares to evaluate (default: effectiveDieSensitivityShares)
+ * @param {function(Object): string} [options.groupBy] - Group key of a row (default: its series)
+ * @returns {Array<{series: string, releaseYear: number, points: Array<{fixedShare: number, medianPricePerMM2: number}>}>}
+ *   One entry per group, oldest first
+ */
+export const computeEffectiveDieSensitivity = (rows, { shares = effectiveDieSensitivityShares, groupBy = row => row.series } = {}) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = groupBy(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return Array.from(groups, ([series, groupRows]) => ({
+        series,
+        releaseYear: Math.min(...groupRows.map(row => row.releaseYear)),
+        points: shares.map(fixedShare => ({
+            fixedShare,
+            medianPricePerMM2: medianOf(groupRows.map(row =>
+                row.adjustedMsrp / getEffectiveDieSize(row.dieSizeMM2, row.dieUtilizationRatio, fixedShare)))
+        }))
+    })).sort((a, b) => a.releaseYear - b.releaseYear || a.series.localeCompare(b.series));
+};
+
+// --- Performance per dollar ---
+
+/**
+ * Relative performance per 100 adjusted dollars (or units of the selected currency)
+ * for every card with a score, a launch price and a release year
+ * @param {Object} datasets - { gpuData, relativePerformance, inflationData, medianRealWageData },
+ *   plus { regionalCpiData, regionalWageData, fxRates } for other currencies
+ * @param {AdjustmentOptions & {variantPrice?: 'headline'|'base'|'top', hideEstimates?: boolean}} [options] - hideEstimates
+ *   leaves out cards with an estimated MSRP
+ * @returns {Array<Object & PerfPerDollarRow>} GPU records extended with the perf-per-dollar fields
+ */
+export const computePerfPerDollarRows = (datasets, options = {}) => {
+    const { relativePerformance, fxRates } = datasets;
+    const { variantPrice = 'headline', currency = 'USD', useLaunchFx = false, hideEstimates = false } = options;
+    const scores = relativePerformance?.scores || {};
+    const gpuData = hideEstimates ? withoutEstimates(datasets.gpuData, priceEstimateFields) : datasets.gpuData;
+    return gpuData
+        .filter(gpu => getScore(scores, gpu) && gpu.releaseYear)
+        .map(gpu => {
+            const pricedVariant = getPriceVariant(gpu, variantPrice);
+            return { gpu, pricedVariant, launchPrice: getLaunchPrice(gpu, pricedVariant, fxRates, { currency, useLaunchFx }) };
+        })
+        .filter(({ launchPrice }) => launchPrice.price)
+        .map(({ gpu, pricedVariant, launchPrice }) => {
+            const { multiplier: adjustmentMultiplier, type: adjustmentType, period: adjustmentPeriod } = getAdjustmentMultiplier(gpu, datasets, options);
+            const adjustedMsrp = launchPrice.price * adjustmentMultiplier;
+            const tier = getTierFromModel(gpu.model);
+            return {
+                ...gpu,
+                tier,
+                isRefresh: isRefreshTier(tier),
+                relativePerformance: getScore(scores, gpu),
+                pricedVariant,
+                currency,
+                originalMsrp: launchPrice.price,
+                adjustmentMultiplier,
+                adjustmentType,
+                adjustmentPeriod,
+                adjustedMsrp,
+                perfPerDollar: getScore(scores, gpu) / adjustedMsrp * 100,
+                estimatedValues: getEstimates(gpu, priceEstimateFields)
+            };
+        });
+};
+
+// --- Cores per dollar ---
+
+/**
+ * Peak FP32 throughput: two operations (one FMA) per shader core per clock.
+ * Counts single issue only, so RDNA 3's dual-issue figures are not reached.
+ * @param {Object} gpu - GPU record with cudaCores and boostClockMHz
+ * @returns {number|null} TFLOPS, null without both fields
+ */
+export const getFp32Tflops = (gpu) =>
+    gpu.cudaCores > 0 && gpu.boostClockMHz > 0 ? (gpu.cudaCores * 2 * gpu.boostClockMHz) / 1e6 : null;
+
+/**
+ * Shader cores and FP32 GFLOPS per adjusted dollar (or unit of the selected
+ * currency) for every card with cores, a launch price and a release year
+ * @param {Object} datasets - { gpuData, inflationData, medianRealWageData },
+ *   plus { regionalCpiData, regionalWageData, fxRates } for other currencies
+ * @param {AdjustmentOptions & {variantPrice?: 'headline'|'base'|'top', specialFlagshipActive?: Object<string, boolean>,
+ *   hideEstimates?: boolean}} [options] - specialFlagshipActive picks which flagship isReferenceFlagship marks
+ *   (see getReferenceFlagship); hideEstimates leaves out cards with estimated cores, clocks or MSRP
+ * @returns {Array<Object & CoresPerDollarRow>} GPU records extended with the per-dollar fields
+ */
+export const computeCoresPerDollarRows = (datasets, options = {}) => {
+    const { fxRates } = datasets;
+    const { variantPrice = 'headline', currency = 'USD', useLaunchFx = false, specialFlagshipActive = {}, hideEstimates = false } = options;
+    const gpuData = hideEstimates ? withoutEstimates(datasets.gpuData, coresPerDollarEstimateFields) : datasets.gpuData;
+    const referenceFlagships = new Set(Array.from(new Set(gpuData.map(d => d.series)))
+        .map(series => getReferenceFlagship(gpuData, series, specialFlagshipActive)?.flagship));
+    return gpuData
+        .filter(gpu => hasCores(gpu) && gpu.releaseYear)
+        .map(gpu => {
+            const pricedVariant = getPriceVariant(gpu, variantPrice);
+            return { gpu, pricedVariant, launchPrice: getLaunchPrice(gpu, pricedVariant, fxRates, { currency, useLaunchFx }) };
+        })
+        .filter(({ launchPrice }) => launchPrice.price)
+        .map(({ gpu, pricedVariant, launchPrice }) => {
+            const { multiplier: adjustmentMultiplier, type: adjustmentType, period: adjustmentPeriod } = getAdjustmentMultiplier(gpu, datasets, options);
+            const adjustedMsrp = launchPrice.price * adjustmentMultiplier;
+            const tier = getTierFromModel(gpu.model);
+            const fp32Tflops = getFp32Tflops(gpu);
+            return {
+                ...gpu,
+                tier,
+                isRefresh: isRefreshTier(tier),
+                isReferenceFlagship: referenceFlagships.has(gpu),
+                fp32Tflops,
+                pricedVariant,
+                currency,
+                originalMsrp: launchPrice.price,
+                adjustmentMultiplier,
+                adjustmentType,
+                adjustmentPeriod,
+                adjustedMsrp,
+                coresPerDollar: gpu.cudaCores / adjustedMsrp,
+                gflopsPerDollar: fp32Tflops != null ? (fp32Tflops * 1000) / adjustedMsrp : null,
+                estimatedValues: getEstimates(gpu, coresPerDollarEstimateFields)
+            };
+        });
+};
+
+// --- Affordability ---
+
+/**
+ * Work week the US median weekly wage is spread over. The series is median usual
+ * weekly earnings of full-time workers, and BLS counts 35 hours or more a week as
+ * full time, so it has no single week length; 40 hours is an assumed standard week.
+ */
+export const usWorkWeekHours = 40;
+
+/**
+ * Currencies whose wages the affordability chart can price work in: USD, from the
+ * real wage series and US CPI, and each regional wage series that gives the hours
+ * it pays for (`hoursPerWeek` in regional_wage_data.json)
+ * @param {Object} [regionalWageData] - regional_wage_data.json
+ * @returns {string[]} Currency codes, USD first
+ */
+export const getAffordabilityCurrencies = (regionalWageData) =>
+    ['USD', ...regionalCurrencies.filter(code => regionalWageData?.[code]?.hoursPerWeek > 0)];
+
+/**
+ * Median nominal weekly wage when a card launched. The US series is in 1982-84
+ * dollars, so release CPI / 100 converts it; regional series are nominal already,
+ * monthly ones are spread over 52/12 weeks and `unit` scales figures kept in
+ * thousands.
+ * @param {Object} record - GPU record (release-month CPI when dated) or { releaseYear }
+ * @param {Object} datasets - { inflationData, medianRealWageData, regionalWageData }
+ * @param {string} [currency='USD'] - One of getAffordabilityCurrencies
+ * @returns {{weeklyWage: number, hoursPerWeek: number, period: string}|null} Null without wage (or CPI) data
+ */
+export const getWeeklyWage = (record, { inflationData, medianRealWageData, regionalWageData }, currency = 'USD') => {
+    if (currency === 'USD') {
+        const realWage = lookupForRelease(medianRealWageData, record).value;
+        const { value: cpi, period } = getReleaseCpi(inflationData, record);
+        return realWage && cpi ? { weeklyWage: realWage * (cpi / 100), hoursPerWeek: usWorkWeekHours, period } : null;
+    }
+    const series = regionalWageData?.[currency];
+    if (!(series?.hoursPerWeek > 0)) return null;
+    const { value, period } = lookupForRelease(series.wage_data, record);
+    if (!value) return null;
+    const wage = value * (series.unit ?? 1);
+    return { weeklyWage: series.period === 'month' ? wage * 12 / 52 : wage, hoursPerWeek: series.hoursPerWeek, period };
+};
+
+/**
+ * Launch price of every card in hours and weeks of median work in the currency's
+ * country, at the nominal wage of its release
+ * @param {Object} datasets - { gpuData, inflationData, medianRealWageData },
+ *   plus { regionalWageData, fxRates } for other countries
+ * @param {{currency?: string, useLaunchFx?: boolean, variantPrice?: 'headline'|'base'|'top',
+ *   specialFlagshipActive?: Object<string, boolean>, hideEstimates?: boolean}} [options] - currency picks the
+ *   country (see getAffordabilityCurrencies); specialFlagshipActive picks which flagship isReferenceFlagship
+ *   marks; hideEstimates leaves out cards with an estimated MSRP
+ * @returns {Array<Object & AffordabilityRow>} GPU records extended with the affordability fields
+ */
+export const computeAffordabilityRows = (datasets, options = {}) => {
+    const { fxRates } = datasets;
+    const { variantPrice = 'headline', currency = 'USD', useLaunchFx = false, specialFlagshipActive = {}, hideEstimates = false } = options;
+    const gpuData = hideEstimates ? withoutEstimates(datasets.gpuData, priceEstimateFields) : datasets.gpuData;
+    const referenceFlagships = new Set(Array.from(new Set(gpuData.map(d => d.series)))
+        .map(series => getReferenceFlagship(gpuData, series, specialFlagshipActive)?.flagship));
+    return gpuData
+        .filter(gpu => gpu.releaseYear)
+        .map(gpu => {
+            const pricedVariant = getPriceVariant(gpu, variantPrice);
+            return {
+                gpu,
+                pricedVariant,
+                launchPrice: getLaunchPrice(gpu, pricedVariant, fxRates, { currency, useLaunchFx }),
+                wage: getWeeklyWage(gpu, datasets, currency)
+            };
+        })
+        .filter(({ launchPrice, wage }) => launchPrice.price && wage)
+        .map(({ gpu, pricedVariant, launchPrice, wage }) => {
+            const tier = getTierFromModel(gpu.model);
+            const hourlyWage = wage.weeklyWage / wage.hoursPerWeek;
+            return {
+                ...gpu,
+                tier,
+                isRefresh: isRefreshTier(tier),
+                isReferenceFlagship: referenceFlagships.has(gpu),
+                pricedVariant,
+                currency,
+                originalMsrp: launchPrice.price,
+                usdMsrp: launchPrice.usdPrice,
+                priceBasis: launchPrice.basis,
+                fxRate: launchPrice.fxRate,
+                fxPeriod: launchPrice.fxPeriod,
+                weeklyWage: wage.weeklyWage,
+                hoursPerWeek: wage.hoursPerWeek,
+                hourlyWage,
+                wagePeriod: wage.period,
+                hoursOfWork: launchPrice.price / hourlyWage,
+                weeksOfWork: launchPrice.price / wage.weeklyWage,
+                estimatedValues: getEstimates(gpu, priceEstimateFields)
+            };
+        });
+};
+
+// --- Generation-over-generation uplift ---
+
+/**
+ * Metrics the uplift matrix can compare. `value` reads one card (null when it
+ * cannot be computed); `higherIsBetter` tells the chart which way to color a rise;
+ * `estimateFields` lists the fields whose estimates the value inherits.
+ */
+export const upliftMetrics = {
+    cores: {
+        // Vendor-neutral: the matrix mixes CUDA cores, stream processors and shading units
+        label: 'Shader Cores',
+        higherIsBetter: true,
+        estimateFields: () => ['cudaCores'],
+        value: ({ gpu }) => (hasCores(gpu) ? gpu.cudaCores : null)
+    },
+    vram: {
+        label: 'VRAM',
+        higherIsBetter: true,
+        estimateFields: () => ['vram'],
+        value: ({ gpu, pricedVariant }) => pricedVariant.vram ?? gpu.vram ?? null
+    },
+    msrp: { label: 'MSRP', higherIsBetter: false, estimateFields: () => ['msrp'], value: ({ price }) => price },
+    adjustedMsrp: { label: 'Adjusted MSRP', higherIsBetter: false, estimateFields: () => ['msrp'], value: ({ adjustedPrice }) => adjustedPrice },
+    pricePerMM2: {
+        label: 'Price per mm²',
+        higherIsBetter: false,
+        estimateFields: () => ['msrp', 'dieSizeMM2'],
+        value: ({ adjustedPrice, die }) => (adjustedPrice && die?.dieSizeMM2 ? adjustedPrice / die.dieSizeMM2 : null)
+    },
+    dieUtilization: {
+        label: 'Die Utilization',
+        higherIsBetter: true,
+        estimateFields: getUtilizationFields,
+        value: ({ gpu, die, utilizationBasis }) => (die ? getDieUtilization(gpu, die, utilizationBasis) : null)
+    }
+};
+
+/**
+ * Series a card is shown under: the 1600 and 2000 series share one (Turing)
+ * column, as in the die area chart
+ * @param {string} series
+ * @returns {string}
+ */
+export const getDisplaySeries = (series) => (series === '1600' || series === '2000' ? '1600/2000' : series);
+
+// One card per display series and tier, with the series ordered by vendor and
+// earliest release year. A combined series with two cards on a tier (GTX 1660
+// and RTX 2060) keeps the card of the series that lends its flagship (2000).
+const getTierCards = (gpuData, tiers) => {
+    const lendingSeries = new Set(Object.values(flagshipReferenceSeries));
+    const seriesList = [];
+    const cardsBySeries = new Map();
+    gpuData.forEach(gpu => {
+        const series = getDisplaySeries(gpu.series);
+        if (!cardsBySeries.has(series)) {
+            cardsBySeries.set(series, new Map());
+            seriesList.push({ series, vendor: getVendor(gpu), releaseYear: gpu.releaseYear });
+        }
+        const info = seriesList.find(s => s.series === series);
+        if (gpu.releaseYear && !(info.releaseYear <= gpu.releaseYear)) info.releaseYear = gpu.releaseYear;
+        const tier = getTierFromModel(gpu.model);
+        if (!tiers.includes(tier)) return;
+        const current = cardsBySeries.get(series).get(tier);
+        if (!current || (!lendingSeries.has(current.series) && lendingSeries.has(gpu.series))) {
+            cardsBySeries.get(series).set(tier, gpu);
+        }
+    });
+    seriesList.sort((a, b) => vendors.indexOf(a.vendor) - vendors.indexOf(b.vendor) || a.releaseYear - b.releaseYear);
+    return { seriesList, cardsBySeries };
+};
+
+/**
+ * Percentage change of a metric against the same tier in the vendor's previous
+ * generation, for every display series and tier. When the previous generation
+ * has no card on a tier, the latest earlier one that does is compared. A
+ * combined series with two cards on a tier uses the RTX 20 card.
+ * @param {Object} datasets - { gpuData, gpuDieData, inflationData, medianRealWageData },
+ *   plus { regionalCpiData, regionalWageData, fxRates } for other currencies
+ * @param {AdjustmentOptions & {metric?: string, tiers?: string[], utilizationBasis?: string,
+ *   variantPrice?: 'headline'|'base'|'top', hideEstimates?: boolean}} [options] - metric is a key of upliftMetrics
+ *   (default 'cores'); tiers defaults to columnOrder; the adjustment options apply to the adjusted MSRP
+ *   and price per mm²; hideEstimates leaves out cards whose metric value is estimated, so the
+ *   comparison falls back to the latest earlier card that is not
+ * @returns {Array<UpliftCell>} Ordered by vendor, release year, then tier
+ */
+export const computeUpliftMatrix = (datasets, options = {}) => {
+    const { gpuDieData = {}, fxRates } = datasets;
+    const {
+        metric = 'cores', tiers = columnOrder, utilizationBasis = defaultDieUtilizationBasis,
+        variantPrice = 'headline', currency = 'USD', useLaunchFx = false, hideEstimates = false
+    } = options;
+    const { value: readMetric, estimateFields: getMetricEstimateFields } = upliftMetrics[metric];
+    const estimateFields = getMetricEstimateFields(utilizationBasis);
+    const gpuData = hideEstimates ? withoutEstimates(datasets.gpuData, estimateFields, gpuDieData) : datasets.gpuData;
+    const { seriesList, cardsBySeries } = getTierCards(gpuData, tiers);
+
+    const valueOf = (gpu) => {
+        if (!gpu) return null;
+        const pricedVariant = getPriceVariant(gpu, variantPrice);
+        const { price } = getLaunchPrice(gpu, pricedVariant, fxRates, { currency, useLaunchFx });
+        const adjustedPrice = price && gpu.releaseYear ? price * getAdjustmentMultiplier(gpu, datasets, options).multiplier : null;
+        return readMetric({ gpu, pricedVariant, price: price || null, adjustedPrice, die: getBoardDie(gpu, gpuDieData), utilizationBasis }) ?? null;
+    };
+
+    return seriesList.flatMap(({ series, vendor, releaseYear }, index) => {
+        const earlier = seriesList.slice(0, index).filter(s => s.vendor === vendor).reverse();
+        return tiers.map(tier => {
+            const card = cardsBySeries.get(series).get(tier) || null;
+            const previous = earlier.find(s => cardsBySeries.get(s.series).has(tier));
+            const previousCard = previous ? cardsBySeries.get(previous.series).get(tier) : null;
+            const value = valueOf(card);
+            const previousValue = valueOf(previousCard);
+            return {
+                vendor,
+                series,
+                releaseYear,
+                tier,
+                card,
+                value,
+                previousSeries: previous ? previous.series : null,
+                previousCard,
+                previousValue,
+                skippedGeneration: Boolean(previous) && previous !== earlier[0],
+                change: value != null && previousValue ? (value / previousValue - 1) * 100 : null,
+                estimatedValues: card ? getEstimates(card, estimateFields, gpuDieData) : [],
+                previousEstimatedValues: previousCard ? getEstimates(previousCard, estimateFields, gpuDieData) : []
+            };
+        });
+    });
+};
+
+// --- Price ladder ---
+
+/**
+ * Launch MSRP of every shared-ladder tier across display series, with the change
+ * from the same tier in the vendor's previous generation. Takes the same card per
+ * series and tier as the uplift matrix; when the previous generation has no priced
+ * card on a tier, the latest earlier one that does is compared.
+ * @param {Object} datasets - { gpuData, inflationData, medianRealWageData },
+ *   plus { regionalCpiData, regionalWageData, fxRates } for other currencies
+ * @param {AdjustmentOptions & {tiers?: string[], variantPrice?: 'headline'|'base'|'top',
+ *   specialFlagshipActive?: Object<string, boolean>, hideEstimates?: boolean}} [options] - tiers defaults
+ *   to columnOrder; specialFlagshipActive picks which flagship isReferenceFlagship marks;
+ *   hideEstimates leaves out cards with an estimated MSRP
+ * @returns {Array<Object & PriceLadderRow>} GPU records extended with the ladder fields, ordered
+ *   by series release year, vendor, then tier
+ */
+export const computePriceLadderRows = (datasets, options = {}) => {
+    const { fxRates } = datasets;
+    const {
+        tiers = columnOrder, variantPrice = 'headline', currency = 'USD', useLaunchFx = false, specialFlagshipActive = {}, hideEstimates = false
+    } = options;
+    const gpuData = hideEstimates ? withoutEstimates(datasets.gpuData, priceEstimateFields) : datasets.gpuData;
+    const referenceFlagships = new Set(Array.from(new Set(gpuData.map(d => d.series)))
+        .map(series => getReferenceFlagship(gpuData, series, specialFlagshipActive)?.flagship));
+    const { seriesList, cardsBySeries } = getTierCards(gpuData, tiers);
+
+    // Priced rows per display series, keyed by tier
+    const rowsBySeries = new Map(seriesList.map(({ series: displaySeries, vendor, releaseYear }) => {
+        const rows = new Map();
+        cardsBySeries.get(displaySeries).forEach((gpu, tier) => {
+            if (!gpu.releaseYear) return;
+            const pricedVariant = getPriceVariant(gpu, variantPrice);
+            const launchPrice = getLaunchPrice(gpu, pricedVariant, fxRates, { currency, useLaunchFx });
+            if (!launchPrice.price) return;
+            const { multiplier: adjustmentMultiplier, type: adjustmentType, period: adjustmentPeriod } = getAdjustmentMultiplier(gpu, datasets, options);
+            rows.set(tier, {
+                ...gpu,
+                displaySeries,
+                seriesReleaseYear: releaseYear,
+                vendor,
+                tier,
+                isReferenceFlagship: referenceFlagships.has(gpu),
+                pricedVariant,
+                currency,
+                originalMsrp: launchPrice.price,
+                priceBasis: launchPrice.basis,
+                adjustmentMultiplier,
+                adjustmentType,
+                adjustmentPeriod,
+                adjustedMsrp: launchPrice.price * adjustmentMultiplier,
+                estimatedValues: getEstimates(gpu, priceEstimateFields)
+            });
+        });
+        return [displaySeries, rows];
+    }));
+
+    return seriesList
+        .flatMap(({ series, vendor }, index) => {
+            const earlier = seriesList.slice(0, index).filter(s => s.vendor === vendor).reverse();
+            return tiers.filter(tier => rowsBySeries.get(series).has(tier)).map(tier => {
+                const row = rowsBySeries.get(series).get(tier);
+                const previous = earlier.find(s => rowsBySeries.get(s.series).has(tier));
+                const previousRow = previous ? rowsBySeries.get(previous.series).get(tier) : null;
+                return {
+                    ...row,
+                    previousSeries: previous ? previous.series : null,
+                    previousModel: previousRow?.model ?? null,
+                    previousAdjustedMsrp: previousRow?.adjustedMsrp ?? null,
+                    skippedGeneration: Boolean(previous) && previous !== earlier[0],
+                    change: previousRow ? (row.adjustedMsrp / previousRow.adjustedMsrp - 1) * 100 : null,
+                    previousEstimatedValues: previousRow?.estimatedValues ?? []
+                };
+            });
+        })
+        .sort((a, b) => a.seriesReleaseYear - b.seriesReleaseYear || vendors.indexOf(a.vendor) - vendors.indexOf(b.vendor));
+};
+
+// --- Die class ---
+
+/**
+ * NVIDIA die classes from the largest die of a generation to the smallest.
+ * Each generation numbers its dies the same way (GK110, GP102, AD102 are the
+ * top die; GK104, GP104, AD104 the next full tier down).
+ */
+export const dieClasses = [
+    { key: 'x02', label: 'x00/x02/x10' },
+    { key: 'x03', label: 'x03' },
+    { key: 'x04', label: 'x04/x14' },
+    { key: 'x05', label: 'x05' },
+    { key: 'x06', label: 'x06/x16' },
+    { key: 'x07', label: 'x07/x08' }
+];
+
+/**
+ * Class of an NVIDIA die from its name: the last two digits, with the second
+ * digit family (GF114, TU116) folded onto the first (104, 106)
+ * @param {string} dieName - "GK110", "AD104"
+ * @returns {string|null} Key of dieClasses, null for other vendors' dies
+ */
+export const getDieClass = (dieName) => {
+    const match = /^[A-Z]{2}(\d{3})$/.exec(dieName || '');
+    if (!match) return null;
+    const number = Number(match[1]) % 100;
+    const position = number >= 10 ? number - 10 : number;
+    if (position <= 2) return 'x02';
+    if (position >= 7) return 'x07';
+    return `x0${position}`;
+};
+
+/**
+ * @typedef {Object} DieClassRow
+ * @property {string} displaySeries - Series column ("1600/2000" for Turing)
+ * @property {string} tier
+ * @property {string} dieName - Die key, without a "2x" prefix
+ * @property {number} dieCount - Dies on the board
+ * @property {string} dieClass - Key of dieClasses
+ * @property {number} dieSizeMM2 - Area of every die on the board
+ * @property {number} dieUtilizationRatio - Enabled share of the die (see getDieUtilization)
+ * @property {string} utilizationBasis - Key of dieUtilizationBases the ratio was measured by
+ * @property {string} generation - Architecture from gpu_die.json
+ * @property {Estimate[]} estimatedValues - Estimated inputs (die size, utilization fields)
+ */
+
+/**
+ * Which class of die each tier gets, and how much of it, per NVIDIA generation:
+ * one card per display series and tier, picked as in computeUpliftMatrix
+ * @param {Object} datasets - { gpuData, gpuDieData }
+ * @param {{tiers?: string[], utilizationBasis?: string, hideEstimates?: boolean}} [options] - tiers defaults
+ *   to columnOrder; hideEstimates leaves out cards with an estimated die size or utilization field
+ * @returns {Array<Object & DieClassRow>} GPU records extended with the die class fields, by series then tier
+ */
+export const computeDieClassRows = ({ gpuData: allGpuData, gpuDieData }, { tiers = columnOrder, utilizationBasis = defaultDieUtilizationBasis, hideEstimates = false } = {}) => {
+    const estimateFields = ['dieSizeMM2', ...getUtilizationFields(utilizationBasis)];
+    const gpuData = hideEstimates ? withoutEstimates(allGpuData, estimateFields, gpuDieData) : allGpuData;
+    const { seriesList, cardsBySeries } = getTierCards(gpuData.filter(gpu => getVendor(gpu) === 'NVIDIA'), tiers);
+    return seriesList.flatMap(({ series }) => tiers
+        .map(tier => cardsBySeries.get(series).get(tier))
+        .filter(gpu => gpu && getBoardDie(gpu, gpuDieData) && getDieClass(getDieReference(gpu).dieKey))
+        .map(gpu => {
+            const die = getBoardDie(gpu, gpuDieData);
+            const { dieKey, dieCount } = getDieReference(gpu);
+            return {
+                ...gpu,
+                displaySeries: series,
+                tier: getTierFromModel(gpu.model),
+                dieName: dieKey,
+                dieCount,
+                dieClass: getDieClass(dieKey),
+                dieSizeMM2: die.dieSizeMM2,
+                dieUtilizationRatio: getDieUtilization(gpu, die, utilizationBasis),
+                utilizationBasis: resolveUtilizationBasis(gpu, die, utilizationBasis),
+                generation: die.generation || "Unknown",
+                estimatedValues: getEstimates(gpu, estimateFields, gpuDieData)
+            };
+        }));
+};
+
+// --- Wafer cost ---
+
+/**
+ * Area of a 300 mm wafer in mm²
+ */
+export const waferAreaMM2 = 70686;
+
+/**
+ * Rough share of wafer area that ends up in sellable dies, by node (nm)
+ */
+export const waferYieldFactors = { 40: 0.85, 28: 0.80, 16: 0.75, 12: 0.70, 8: 0.65, 5: 0.60 };
+
+const defaultYieldFactor = 0.7;
+
+// Wafer price spread over the usable area of a 300 mm wafer on a node
+const perUsableMM2 = (waferPrice, node) => waferPrice / (waferAreaMM2 * (waferYieldFactors[node] || defaultYieldFactor));
+
+/**
+ * Nominal wafer cost per usable mm² on a node
+ * @param {Object} waferPrices - wafer_prices.json
+ * @param {string|number} node - Process node in nm
+ * @param {Object} [options]
+ * @param {string} [options.foundry='TSMC']
+ * @param {number} [options.year] - Year the price is looked up for (see waferPrices.js)
+ * @returns {number|null} Null if the node has no wafer price
+ */
+export const getWaferPricePerMM2 = (waferPrices, node, { foundry, year } = {}) => {
+    const wafer = getWaferPrice(waferPrices, { foundry, node, year });
+    return wafer ? perUsableMM2(wafer.price, node) : null;
+};
+
+/**
+ * Wafer cost per usable mm² on a node in a currency, with its low/high range,
+ * converted at the given release's exchange rate (wafer prices are quoted in USD)
+ * @param {Object} waferPrices - wafer_prices.json
+ * @param {string|number} node - Process node in nm
+ * @param {Object} fxRates - fx_rates.json
+ * @param {string} currency - Currency code
+ * @param {Object} record - Record (or { releaseYear, foundry }) whose year, foundry and FX rate apply
+ * @returns {(import('./waferPrices.js').WaferPrice & {pricePerMM2: number, pricePerMM2Low: number, pricePerMM2High: number})|null}
+ *   Null if the node has no wafer price or the year no rate
+ */
+export const getLocalWaferPricePerMM2 = (waferPrices, node, fxRates, currency, record) => {
+    const wafer = getWaferPrice(waferPrices, { foundry: record.foundry, node, year: getReleaseYear(record) });
+    const { rate } = getFxRate(fxRates, currency, record);
+    if (!wafer || !rate) return null;
+    return {
+        ...wafer,
+        pricePerMM2: perUsableMM2(wafer.price, node) * rate,
+        pricePerMM2Low: perUsableMM2(wafer.low, node) * rate,
+        pricePerMM2High: perUsableMM2(wafer.high, node) * rate
+    };
+};
+
+/**
+ * Wafer cost per usable mm² for every priced foundry node and year
+ * @param {Object} waferPrices - wafer_prices.json
+ * @returns {WaferRow[]} By foundry, then smallest node, then year
+ */
+export const computeWaferRows = (waferPrices) => listWaferPrices(waferPrices).map(wafer => ({
+    foundry: wafer.foundry,
+    node: wafer.node,
+    year: wafer.year,
+    waferPrice: wafer.price,
+    waferPriceLow: wafer.low,
+    waferPriceHigh: wafer.high,
+    yieldFactor: waferYieldFactors[wafer.node] || defaultYieldFactor,
+    pricePerMM2: perUsableMM2(wafer.price, wafer.node),
+    pricePerMM2Low: perUsableMM2(wafer.low, wafer.node),
+    pricePerMM2High: perUsableMM2(wafer.high, wafer.node)
+}));
+
+// --- Console memory ---
+
+/**
+ * Parses a console memory value: "256/1024" is 256 MB, "8" or 8 is 8 GB
+ * @param {string|number|null} memory - console_data.json `memory`
+ * @returns {{memoryGB: number, memoryDisplay: string}}
+ */
+export const parseConsoleMemory = (memory) => {
+    if (memory && typeof memory === 'string' && memory.includes("/")) {
+        const [numerator, denominator] = memory.split("/").map(Number);
+        return { memoryGB: numerator / denominator, memoryDisplay: `${numerator} MB` };
+    }
+    if (memory != null) return { memoryGB: Number(memory), memoryDisplay: `${memory} GB` };
+    return { memoryGB: 0, memoryDisplay: "N/A" };
+};
+
+/**
+ * Whether a console has separate video memory, so its memory is not scaled
+ * by the unified-memory allocation (PS1, PS2, PS3)
+ * @param {Object} entry - console_data.json entry
+ * @returns {boolean}
+ */
+export const hasDedicatedVram = (entry) => (
+    entry.name.includes('PS1') ||
+    entry.name.includes('PS2') ||
+    entry.name.includes('PS3')
+);
+
+/**
+ * Console memory counted as video memory at an allocation percentage
+ * @param {Object} entry - console_data.json entry
+ * @param {number} [allocationPercentage=100] - Share of unified memory used for graphics
+ * @returns {number} GB
+ */
+export const getScaledConsoleMemory = (entry, allocationPercentage = 100) => {
+    const { memoryGB } = parseConsoleMemory(entry.memory);
+    return hasDedicatedVram(entry) ? memoryGB : memoryGB * (allocationPercentage / 100);
+};
+
+// Console fields the memory rows read
+const consoleEstimateFields = ['memory'];
+
+/**
+ * Memory of every console, scaled by the unified-memory allocation
+ * @param {Object[]} consoleData - console_data.json
+ * @param {Object} [options]
+ * @param {number} [options.allocationPercentage=100]
+ * @param {boolean} [options.hideEstimates=false] - Leave out consoles with an estimated memory figure
+ * @returns {ConsoleMemoryRow[]}
+ */
+export const computeConsoleMemoryRows = (consoleData, { allocationPercentage = 100, hideEstimates = false } = {}) =>
+    (hideEstimates ? withoutEstimates(consoleData, consoleEstimateFields) : consoleData).map(entry => ({
+        name: entry.name,
+        launchYear: getReleaseYear(entry),
+        ...parseConsoleMemory(entry.memory),
+        dedicatedVram: hasDedicatedVram(entry),
+        scaledMemoryGB: getScaledConsoleMemory(entry, allocationPercentage),
+        estimatedValues: getEstimates(entry, consoleEstimateFields)
+    }));
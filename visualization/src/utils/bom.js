@@ -0,0 +1,93 @@
+/**
+ * Bill of Materials and Gross Margin
+ *
+ * A rough BOM per card: the yield-aware die cost (dieCost.js), graphics memory
+ * at the launch year's $/GB (memory_prices.json) and flat board, cooler and
+ * packaging costs. Gross margin compares it to the USD MSRP, less any share of
+ * the price kept by board partners and retailers. Every figure is nominal USD
+ * of the launch year, so CPI/wage adjustments do not change the margin.
+ */
+import { lookupForRelease } from './releaseDates.js';
+
+/**
+ * Default BOM assumptions, in nominal USD per card unless noted
+ */
+export const defaultBomAssumptions = {
+    boardCost: 40, // PCB, power delivery, passives and assembly
+    coolerCost: 25, // Heatsink, fans and shroud
+    packagingCost: 15, // Die packaging and test, per die
+    memoryPriceScale: 1, // Multiplier on memory_prices.json
+    channelShare: 0 // Share of the MSRP kept by board partners and retailers (0-1)
+};
+
+/**
+ * Editable BOM assumptions, in display order, for the chart controls;
+ * percent fields are entered as 0-100 and stored as a fraction
+ */
+export const bomAssumptionFields = [
+    { key: 'boardCost', label: 'Board', unit: '$', min: 0, step: 5 },
+    { key: 'coolerCost', label: 'Cooler', unit: '$', min: 0, step: 5 },
+    { key: 'packagingCost', label: 'Packaging', unit: '$ per die', min: 0, step: 1 },
+    { key: 'memoryPriceScale', label: 'Memory price', unit: '× dataset', min: 0, step: 0.25 },
+    { key: 'channelShare', label: 'Partner/retail share', unit: '% of MSRP', min: 0, max: 90, step: 5, percent: true }
+];
+
+/**
+ * Graphics memory price for a record's launch (month when dated, otherwise year)
+ * @param {Object} memoryPrices - memory_prices.json
+ * @param {Object} record - GPU record
+ * @returns {number|undefined} USD per GB
+ */
+export const getMemoryPricePerGB = (memoryPrices, record) => lookupForRelease(memoryPrices?.prices, record).value;
+
+/**
+ * @typedef {Object} Bom
+ * @property {number} dieCost - Cost of the good die(s)
+ * @property {number} vram - GB of memory priced
+ * @property {number} memoryPricePerGB - After memoryPriceScale
+ * @property {number} memoryCost
+ * @property {number} boardCost
+ * @property {number} coolerCost
+ * @property {number} packagingCost
+ * @property {number} total
+ */
+
+/**
+ * Bill of materials for one card
+ * @param {Object} parts
+ * @param {number} parts.dieCost - Cost per good die (dieCost.js costPerGoodDie), USD
+ * @param {number} [parts.dieCount=1] - Dies on the card
+ * @param {number} parts.vram - Memory in GB
+ * @param {number} parts.memoryPricePerGB - USD per GB from memory_prices.json
+ * @param {Partial<typeof defaultBomAssumptions>} [assumptions]
+ * @returns {Bom}
+ */
+export const computeBom = ({ dieCost, dieCount = 1, vram, memoryPricePerGB }, assumptions = {}) => {
+    const { boardCost, coolerCost, packagingCost, memoryPriceScale } = { ...defaultBomAssumptions, ...assumptions };
+    const scaledMemoryPrice = memoryPricePerGB * memoryPriceScale;
+    const memoryCost = vram * scaledMemoryPrice;
+    const totalPackaging = packagingCost * dieCount;
+    return {
+        dieCost: dieCost * dieCount,
+        vram,
+        memoryPricePerGB: scaledMemoryPrice,
+        memoryCost,
+        boardCost,
+        coolerCost,
+        packagingCost: totalPackaging,
+        total: dieCost * dieCount + memoryCost + boardCost + coolerCost + totalPackaging
+    };
+};
+
+/**
+ * Gross margin on a card's MSRP after the partner/retail share
+ * @param {number} msrp - USD MSRP
+ * @param {number} bomTotal - Bom.total
+ * @param {number} [channelShare=0] - Share of the MSRP not received by the chip vendor
+ * @returns {number|null} Fraction of net revenue (negative when the BOM exceeds it), null without a price
+ */
+export const getGrossMargin = (msrp, bomTotal, channelShare = defaultBomAssumptions.channelShare) => {
+    const netRevenue = msrp * (1 - channelShare);
+    if (!(netRevenue > 0)) return null;
+    return (netRevenue - bomTotal) / netRevenue;
+};
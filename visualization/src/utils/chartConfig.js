@@ -11,6 +11,25 @@ export const columnOrder = [
     "90 Ti", "90", "80 Ti", "80", "70 Ti", "70", "60 Ti", "60", "50 Ti", "50", "30"
 ];
 
+/**
+ * Mid-cycle refresh (SUPER) tiers, each mapped to the base tier it sits above
+ */
+export const refreshTiers = {
+    "80 Super": "80",
+    "70 Ti Super": "70 Ti",
+    "70 Super": "70",
+    "60 Super": "60",
+    "50 Super": "50"
+};
+
+/**
+ * GPU tier ordering including refresh tiers, each directly above its base tier
+ */
+export const refreshColumnOrder = columnOrder.flatMap(tier => [
+    ...Object.keys(refreshTiers).filter(refreshTier => refreshTiers[refreshTier] === tier),
+    tier
+]);
+
 /**
  * Default chart margins
  */
@@ -37,5 +56,57 @@ export const chartColors = {
     textMuted: '#aaa',
     grid: '#555',
     background: 'transparent',
-    accent: '#646cff'
+    accent: '#646cff',
+    imported: '#ffd54f' // Outline for user-imported GPUs
 };
+
+/**
+ * Outline dash of estimated values: hollow markers with a dotted outline in the
+ * series color (refresh SKUs are hollow with a solid one), and dotted cell borders
+ */
+export const estimateDash = '2,2';
+
+/**
+ * Vendor colors for the vendor toggle buttons
+ */
+export const vendorColors = {
+    NVIDIA: '#76b900',
+    AMD: '#ed1c24',
+    Intel: '#0071c5'
+};
+
+/**
+ * Line dash per vendor, so overlaid series/classes stay distinguishable
+ * (null draws a solid line)
+ */
+export const vendorLineDash = {
+    NVIDIA: null,
+    AMD: '8,4',
+    Intel: '1,4'
+};
+
+/**
+ * What each vendor calls the shader units stored in `cudaCores`
+ */
+export const vendorCoreLabels = {
+    NVIDIA: 'CUDA Cores',
+    AMD: 'Stream Processors',
+    Intel: 'Shading Units'
+};
+
+/**
+ * Currencies prices can be shown in. `decimalShift` is how many fewer decimal
+ * places than a USD figure to print (one yen is about a US cent).
+ */
+export const currencies = {
+    USD: { symbol: '$', name: 'US dollar', region: 'US' },
+    EUR: { symbol: '€', name: 'Euro', region: 'Euro area' },
+    GBP: { symbol: '£', name: 'Pound sterling', region: 'UK' },
+    JPY: { symbol: '¥', name: 'Japanese yen', region: 'Japan', decimalShift: 2 },
+    AUD: { symbol: 'A$', name: 'Australian dollar', region: 'Australia' }
+};
+
+/**
+ * Currencies with regional MSRPs, CPI, wage and FX data (everything except USD)
+ */
+export const regionalCurrencies = Object.keys(currencies).filter(code => code !== 'USD');
@@ -0,0 +1,147 @@
+/**
+ * Source Citations
+ *
+ * Records in gpu_data.json, gpu_die.json and console_data.json may carry a
+ * `sources` map ({ msrp: { publication, url, accessed } }); wafer_prices.json
+ * keeps one keyed by foundry node ("TSMC 7nm"). This module numbers every distinct source once, so
+ * tooltips can show a footnote marker and the Sources & Methodology section can
+ * list the same numbers grouped by dataset.
+ */
+import { datasetFiles } from './dataValidation';
+import { getWaferPriceLabel } from './waferPrices';
+
+/**
+ * Datasets that can carry citations, in the order the sources section lists them
+ */
+export const citedDatasets = [
+    { key: 'gpuData', title: 'GPU specifications & launch prices' },
+    { key: 'gpuDieData', title: 'GPU dies' },
+    { key: 'waferPrices', title: 'Wafer prices' },
+    { key: 'consoleData', title: 'Consoles' }
+];
+
+// Display labels for cited and estimated fields
+const fieldLabels = {
+    cudaCores: 'cores',
+    vram: 'VRAM',
+    msrp: 'MSRP',
+    releaseYear: 'release year',
+    releaseDate: 'release date',
+    fullCudaCores: 'full-die cores',
+    dieSizeMM2: 'die size',
+    busWidth: 'memory bus',
+    fullBusWidth: 'full-die memory bus',
+    l2CacheMB: 'L2 cache',
+    fullL2CacheMB: 'full-die L2 cache',
+    boostClockMHz: 'boost clock',
+    tdpWatts: 'TDP',
+    gamingPowerWatts: 'gaming power',
+    launchPriceUSD: 'launch price',
+    memory: 'memory',
+    nodeNM: 'process node',
+    price: 'wafer price'
+};
+
+/**
+ * Label for a cited field ("dieSizeMM2" -> "die size")
+ * @param {string} field - Field name
+ * @returns {string}
+ */
+export const getFieldLabel = (field) => fieldLabels[field] || field;
+
+// [{ subject, sources }] for one dataset; subject is the model / die / console / node
+const getCitedRecords = (key, data) => {
+    if (!data || typeof data !== 'object') return [];
+    switch (key) {
+        case 'gpuData':
+            return Array.isArray(data) ? data.map(gpu => ({ subject: gpu.model, sources: gpu.sources })) : [];
+        case 'consoleData':
+            return Array.isArray(data) ? data.map(entry => ({ subject: entry.name, sources: entry.sources })) : [];
+        case 'gpuDieData':
+            return Object.entries(data).map(([dieName, die]) => ({ subject: dieName, sources: die?.sources }));
+        case 'waferPrices':
+            // Keyed by foundry node ("TSMC 7nm"), or by node in the flat form; every citation is for the price
+            return Object.entries(data.sources || {}).map(([key, source]) => ({
+                subject: data.foundries ? key : getWaferPriceLabel({ node: key }),
+                sources: { price: source }
+            }));
+        default:
+            return [];
+    }
+};
+
+// Identical sources share a number, whichever record or dataset cites them
+const getSourceKey = (source) => source.url || source.publication;
+
+/**
+ * Numbers every source cited in the datasets
+ * @param {Object} datasets - { gpuData, gpuDieData, consoleData, waferPrices }
+ * @returns {{
+ *   sources: Array<{number: number, source: Object}>,
+ *   groups: Array<{key: string, file: string, title: string, citations: Array<{number: number, source: Object, uses: Array<{subject: string, field: string}>}>}>,
+ *   getNumber: (datasetKey: string, subject: string, field: string) => number|null
+ * }}
+ */
+export const buildCitationIndex = (datasets = {}) => {
+    const numbers = new Map(); // source key -> footnote number
+    const sources = [];
+    const fieldNumbers = new Map(); // "gpuData|RTX 4090|msrp" -> footnote number
+
+    const groups = citedDatasets.map(({ key, title }) => {
+        const citations = new Map(); // footnote number -> { number, source, uses }
+        getCitedRecords(key, datasets[key]).forEach(({ subject, sources: recordSources }) => {
+            if (!recordSources || typeof recordSources !== 'object') return;
+            Object.entries(recordSources).forEach(([field, source]) => {
+                if (!source || typeof source.publication !== 'string') return;
+                const sourceKey = getSourceKey(source);
+                if (!numbers.has(sourceKey)) {
+                    numbers.set(sourceKey, sources.length + 1);
+                    sources.push({ number: sources.length + 1, source });
+                }
+                const number = numbers.get(sourceKey);
+                fieldNumbers.set(`${key}|${subject}|${field}`, number);
+                if (!citations.has(number)) citations.set(number, { number, source, uses: [] });
+                citations.get(number).uses.push({ subject, field });
+            });
+        });
+        return {
+            key,
+            file: datasetFiles[key],
+            title,
+            citations: Array.from(citations.values()).sort((a, b) => a.number - b.number)
+        };
+    });
+
+    return {
+        sources,
+        groups,
+        getNumber: (datasetKey, subject, field) => fieldNumbers.get(`${datasetKey}|${subject}|${field}`) ?? null
+    };
+};
+
+/**
+ * Footnote marker HTML for a tooltip, e.g. <sup>[3]</sup>
+ * @param {Object|null} citationIndex - Result of buildCitationIndex (charts may be rendered without one)
+ * @param {string} datasetKey - 'gpuData', 'gpuDieData', 'consoleData' or 'waferPrices'
+ * @param {string} subject - Model, die name, console name or "<node>nm"
+ * @param {string} field - Cited field ('price' for wafer prices)
+ * @returns {string} Empty string if the field is not cited
+ */
+export const citationMarker = (citationIndex, datasetKey, subject, field) => {
+    const number = citationIndex?.getNumber(datasetKey, subject, field);
+    return number ? `<sup class="citation-marker" title="See Sources & Methodology">[${number}]</sup>` : '';
+};
+
+/**
+ * Tooltip note listing a row's estimated inputs, e.g. "Estimated: die size (153–199)"
+ * @param {Array<{field: string, min: number|null, max: number|null}>} [estimates] - Row estimatedValues
+ *   (see estimates.js)
+ * @returns {string} Empty when nothing is estimated
+ */
+export const describeEstimates = (estimates = []) => {
+    if (estimates.length === 0) return '';
+    const formatValue = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+    return `Estimated: ${estimates.map(({ field, min, max }) => (min != null && max != null && min !== max
+        ? `${getFieldLabel(field)} (${formatValue(min)}–${formatValue(max)})`
+        : getFieldLabel(field))).join(', ')}`;
+};
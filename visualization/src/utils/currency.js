@@ -0,0 +1,77 @@
+/**
+ * Currency Utilities
+ *
+ * Launch prices in a reader's currency. A card's `regionalMsrp` ({ EUR: 1949 })
+ * is used when it has one; otherwise, or in "USD at launch FX" mode, the USD
+ * MSRP is converted at the launch-month rate from fx_rates.json, falling back
+ * to the launch-year average.
+ */
+import { currencies } from './chartConfig.js';
+import { lookupForRelease } from './releaseDates.js';
+
+/**
+ * USD -> currency rate for a record's release
+ * @param {Object} fxRates - fx_rates.json
+ * @param {string} currency - Currency code
+ * @param {Object} record - GPU or console record
+ * @returns {{rate: number|undefined, period: string|null}} Rate 1 (period null) for USD
+ */
+export const getFxRate = (fxRates, currency, record) => {
+    if (currency === 'USD') return { rate: 1, period: null };
+    const { value, period } = lookupForRelease(fxRates?.rates?.[currency], record);
+    return { rate: value, period };
+};
+
+/**
+ * Launch price of a card's priced variant in a currency
+ * @param {Object} gpu - GPU record
+ * @param {Object} variant - Variant from getPriceVariant
+ * @param {Object} fxRates - fx_rates.json
+ * @param {Object} [options]
+ * @param {string} [options.currency='USD']
+ * @param {boolean} [options.useLaunchFx=false] - Ignore regional MSRPs and always convert the USD MSRP
+ * @returns {{price: number|null, usdPrice: number|null, basis: 'usd'|'regional'|'converted', fxRate?: number, fxPeriod?: string}}
+ *   `price` is null when the USD MSRP needs converting but there is no rate
+ */
+export const getLaunchPrice = (gpu, variant, fxRates, { currency = 'USD', useLaunchFx = false } = {}) => {
+    const usdPrice = variant.msrp ?? null;
+    if (currency === 'USD') return { price: usdPrice, usdPrice, basis: 'usd' };
+
+    // Regional MSRPs are for the headline configuration unless a variant lists its own
+    const regionalMsrp = variant.regionalMsrp ?? (variant.vram === gpu.vram ? gpu.regionalMsrp : undefined);
+    if (!useLaunchFx && regionalMsrp?.[currency] != null) {
+        return { price: regionalMsrp[currency], usdPrice, basis: 'regional' };
+    }
+
+    const { rate, period } = getFxRate(fxRates, currency, gpu);
+    const price = usdPrice != null && rate ? usdPrice * rate : null;
+    return { price, usdPrice, basis: 'converted', fxRate: rate, fxPeriod: period };
+};
+
+/**
+ * Formats an amount with its currency symbol, e.g. "€1,949" or "¥27.4"
+ * @param {number} value - Amount in `currency`
+ * @param {string} currency - Currency code
+ * @param {number} [usdDecimals=0] - Decimal places for the same figure in USD; currencies
+ *   with a small unit (JPY) print fewer
+ * @returns {string}
+ */
+export const formatMoney = (value, currency, usdDecimals = 0) => {
+    const { symbol = '', decimalShift = 0 } = currencies[currency] || {};
+    const decimals = Math.max(0, usdDecimals - decimalShift);
+    return `${symbol}${value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+};
+
+/**
+ * Tooltip note on where a launch price came from
+ * @param {ReturnType<typeof getLaunchPrice>} launchPrice
+ * @param {string} currency - Currency code
+ * @returns {string} Empty for USD prices
+ */
+export const describeLaunchPrice = (launchPrice, currency) => {
+    if (launchPrice.basis === 'regional') return `${currencies[currency].region} MSRP`;
+    if (launchPrice.basis === 'converted' && launchPrice.price != null) {
+        return `from $${launchPrice.usdPrice.toLocaleString()} at ${launchPrice.fxRate} ${currency}/USD (${launchPrice.fxPeriod})`;
+    }
+    return '';
+};
@@ -0,0 +1,100 @@
+/**
+ * Runtime Data Loader
+ *
+ * Fetches the chart datasets at runtime so a data fix only means replacing the
+ * JSON files under `<base>/data/` instead of rebuilding the app. The JSON bundled
+ * from src/assets is kept as a per-dataset fallback.
+ */
+
+import gpuData from '../assets/gpu_data.json';
+import gpuDieData from '../assets/gpu_die.json';
+import consoleData from '../assets/console_data.json';
+import inflationData from '../assets/inflation_data.json';
+import medianRealWageData from '../assets/median_real_wage_data.json';
+import waferPrices from '../assets/wafer_prices.json';
+import regionalCpiData from '../assets/regional_cpi_data.json';
+import regionalWageData from '../assets/regional_wage_data.json';
+import fxRates from '../assets/fx_rates.json';
+import memoryPrices from '../assets/memory_prices.json';
+import relativePerformance from '../assets/relative_performance.json';
+import { datasetFiles, validateDatasets } from './dataValidation';
+
+/**
+ * Datasets compiled into the bundle, used when a runtime fetch fails
+ */
+export const bundledDatasets = {
+    gpuData,
+    gpuDieData,
+    consoleData,
+    inflationData,
+    medianRealWageData,
+    waferPrices,
+    regionalCpiData,
+    regionalWageData,
+    fxRates,
+    memoryPrices,
+    relativePerformance
+};
+
+/**
+ * Base URL the datasets are fetched from.
+ * Set VITE_DATA_BASE_URL to point at another host; defaults to `<app base>/data/`.
+ * @returns {string} Base URL ending in a slash
+ */
+export const getDataBaseUrl = () => {
+    const configured = import.meta.env.VITE_DATA_BASE_URL || `${import.meta.env.BASE_URL}data/`;
+    return configured.endsWith('/') ? configured : `${configured}/`;
+};
+
+const fetchJson = async (url, fetchImpl) => {
+    const response = await fetchImpl(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+    }
+    return response.json();
+};
+
+/**
+ * Loads every dataset from the runtime base URL, falling back to the bundled copy
+ * for any file that cannot be fetched. If the combined result fails validation the
+ * bundled datasets are used as a whole so the charts never mix inconsistent files.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Override for getDataBaseUrl()
+ * @param {Function} [options.fetchImpl] - fetch implementation (defaults to global fetch)
+ * @returns {Promise<{datasets: Object, source: string, errors: string[]}>}
+ *   source is 'remote', 'mixed' or 'bundled'; errors lists human-readable problems
+ */
+export const loadDatasets = async ({ baseUrl = getDataBaseUrl(), fetchImpl = globalThis.fetch } = {}) => {
+    if (typeof fetchImpl !== 'function') {
+        return { datasets: bundledDatasets, source: 'bundled', errors: ['fetch is not available; using bundled data.'] };
+    }
+
+    const results = await Promise.all(Object.entries(datasetFiles).map(async ([key, file]) => {
+        try {
+            return { key, data: await fetchJson(`${baseUrl}${file}`, fetchImpl), error: null };
+        } catch (error) {
+            return { key, data: bundledDatasets[key], error: `${file}: ${error.message}` };
+        }
+    }));
+
+    const datasets = {};
+    const errors = [];
+    results.forEach(({ key, data, error }) => {
+        datasets[key] = data;
+        if (error) errors.push(error);
+    });
+
+    const fetchedCount = results.length - errors.length;
+    if (fetchedCount === 0) {
+        return { datasets: bundledDatasets, source: 'bundled', errors };
+    }
+
+    const validation = validateDatasets(datasets);
+    if (validation.errors.length > 0) {
+        const first = validation.errors[0];
+        errors.push(`Runtime data failed validation with ${validation.errors.length} error(s), e.g. ${first.dataset} ${first.path}: ${first.message}. Using bundled data.`);
+        return { datasets: bundledDatasets, source: 'bundled', errors };
+    }
+
+    return { datasets, source: errors.length === 0 ? 'remote' : 'mixed', errors };
+};
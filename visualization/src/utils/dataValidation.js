@@ -0,0 +1,655 @@
+/**
+ * Dataset Validation
+ *
+ * Schemas for every bundled JSON dataset plus the cross-reference checks the
+ * charts silently rely on (die lookups, wafer prices, CPI/wage years, flagships).
+ * Used by the data test suite so a bad data change fails loudly instead of
+ * quietly dropping points from a chart.
+ */
+
+import { refreshColumnOrder, regionalCurrencies } from './chartConfig.js';
+import { getTierFromModel, getVendor, getVendorFromModel, vendors } from './tierUtils.js';
+import { defaultFoundry, getWaferPrice, getWaferPriceLabel, getWaferSourceKeys } from './waferPrices.js';
+
+/**
+ * Series that have no flagship of their own and are normalized against
+ * another series' flagship instead (mirrors the 1600 -> 2000 handling in CudaPlot)
+ */
+export const flagshipReferenceSeries = {
+    "1600": "2000"
+};
+
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// A releaseDate must be a real calendar day inside the record's year field
+const checkReleaseDate = (record, yearField, dataset, path, issues) => {
+    if (typeof record.releaseDate !== 'string' || !isoDatePattern.test(record.releaseDate)) return;
+    const [year, month, day] = record.releaseDate.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        issues.push({ level: 'error', dataset, path, code: 'release-date-mismatch', message: `releaseDate ${record.releaseDate} is not a calendar date` });
+    } else if (Number.isInteger(record[yearField]) && year !== record[yearField]) {
+        issues.push({ level: 'error', dataset, path, code: 'release-date-mismatch', message: `releaseDate ${record.releaseDate} is not in ${yearField} ${record[yearField]}` });
+    }
+};
+
+/**
+ * Citation for a single field (see the `sources` field in each schema below)
+ */
+export const sourceSchema = {
+    publication: { type: 'string', required: true },
+    url: { type: 'string', pattern: /^https?:\/\/\S+$/ },
+    accessed: { type: 'string', pattern: isoDatePattern }
+};
+
+// `sources: { msrp: { publication, url, accessed } }`; keys must name fields of the same record
+const sourcesRule = { type: 'object', sources: true };
+
+// `estimates: { dieSizeMM2: { min: 153, max: 199 }, memory: true }`; flags estimated fields of the
+// same record, with an optional range for numeric ones (see estimates.js)
+const estimatesRule = { type: 'object', estimates: true };
+
+/**
+ * Field schemas for record-style datasets.
+ * Each field: { type, required?, nullable?, integer?, positive?, pattern?, oneOf?, items?, numberMap?, sources?, estimates? }
+ * (`items` is the record schema every element of an 'array' field is checked against;
+ * `numberMap` lists the allowed keys of a { key: positive number } object;
+ * `sources` marks a citation map whose keys are the record's other fields;
+ * `estimates` marks a map of estimate flags keyed the same way)
+ */
+export const schemas = {
+    gpuData: {
+        vendor: { type: 'string', oneOf: vendors }, // Detected from the model name when omitted
+        series: { type: 'string', required: true },
+        model: { type: 'string', required: true },
+        cudaCores: { type: 'number', required: true, integer: true, positive: true },
+        vram: { type: 'number', required: true, positive: true },
+        releaseYear: { type: 'number', required: true, integer: true },
+        releaseDate: { type: 'string', pattern: isoDatePattern }, // Launch day; must fall in releaseYear
+        msrp: { type: 'number', required: true, nullable: true, positive: true },
+        regionalMsrp: { type: 'object', numberMap: regionalCurrencies }, // { EUR: 1949, GBP: 1679 }
+        dieName: { type: 'string', required: true },
+        dieCount: { type: 'number', integer: true, positive: true }, // Dies on a multi-GPU board (GTX 590: 2)
+        // Enabled memory bus and L2, for the effective die's alternative utilization bases
+        busWidth: { type: 'number', integer: true, positive: true },
+        l2CacheMB: { type: 'number', positive: true },
+        // Reference boost clock (shader clock on Fermi), for FP32 TFLOPS
+        boostClockMHz: { type: 'number', positive: true },
+        // Rated board power (TDP/TGP) and, where reviewed, average measured gaming power
+        tdpWatts: { type: 'number', positive: true },
+        gamingPowerWatts: { type: 'number', positive: true },
+        manufacturingNode: { type: 'number', required: true, positive: true },
+        flagship: { type: 'boolean' },
+        specialFlagship: { type: 'boolean' },
+        imported: { type: 'boolean' }, // Set on rows added through the import panel
+        // Memory configurations the model shipped in, headline vram/msrp included
+        variants: {
+            type: 'array',
+            items: {
+                vram: { type: 'number', required: true, positive: true },
+                busWidth: { type: 'number', integer: true, positive: true },
+                msrp: { type: 'number', required: true, nullable: true, positive: true },
+                regionalMsrp: { type: 'object', numberMap: regionalCurrencies },
+                note: { type: 'string' }
+            }
+        },
+        sources: sourcesRule,
+        estimates: estimatesRule
+    },
+    gpuDieData: {
+        fullCudaCores: { type: 'number', required: true, integer: true, positive: true },
+        dieSizeMM2: { type: 'number', required: true, positive: true },
+        // Optional die outline for dies-per-wafer; dies without it are treated as square
+        dieWidthMM: { type: 'number', positive: true },
+        dieHeightMM: { type: 'number', positive: true },
+        // Full-die memory bus and L2; cards compare their own busWidth/l2CacheMB against them
+        fullBusWidth: { type: 'number', integer: true, positive: true },
+        fullL2CacheMB: { type: 'number', positive: true },
+        generation: { type: 'string', required: true },
+        foundry: { type: 'string' }, // Prices the die's wafer in wafer_prices.json; TSMC when absent
+        sources: sourcesRule,
+        estimates: estimatesRule
+    },
+    consoleData: {
+        platform: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        launchYear: { type: 'number', required: true, integer: true },
+        releaseDate: { type: 'string', pattern: isoDatePattern }, // Launch day; must fall in launchYear
+        launchPriceUSD: { type: 'number', required: true, positive: true },
+        memory: { type: 'string', required: true, pattern: /^\d+(\.\d+)?(\/\d+)?$/ },
+        storage: { type: 'string' },
+        nodeNM: { type: 'number', nullable: true, positive: true },
+        sources: sourcesRule,
+        estimates: estimatesRule
+    }
+};
+
+/**
+ * Source file names, used to label issues in the report
+ */
+export const datasetFiles = {
+    gpuData: 'gpu_data.json',
+    gpuDieData: 'gpu_die.json',
+    consoleData: 'console_data.json',
+    inflationData: 'inflation_data.json',
+    medianRealWageData: 'median_real_wage_data.json',
+    waferPrices: 'wafer_prices.json',
+    regionalCpiData: 'regional_cpi_data.json',
+    regionalWageData: 'regional_wage_data.json',
+    fxRates: 'fx_rates.json',
+    memoryPrices: 'memory_prices.json',
+    relativePerformance: 'relative_performance.json'
+};
+
+/**
+ * Splits a die reference such as "2x GF110" into its die key and count. Records
+ * now give the count in `dieCount`; the prefix form is still read (see multiDie.js).
+ * @param {string} dieName - dieName field from gpu_data.json
+ * @returns {{dieKey: string, dieCount: number}}
+ */
+export const parseDieReference = (dieName) => {
+    const match = /^(\d+)x\s+(.+)$/i.exec(dieName.trim());
+    if (match) {
+        return { dieKey: match[2], dieCount: parseInt(match[1], 10) };
+    }
+    return { dieKey: dieName.trim(), dieCount: 1 };
+};
+
+const describeValue = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+// Checks a single record against a field schema, pushing issues onto `issues`
+const validateRecord = (record, schema, dataset, path, issues) => {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        issues.push({ level: 'error', dataset, path, message: `expected an object, got ${describeValue(record)}` });
+        return;
+    }
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = record[field];
+        const fieldPath = `${path}.${field}`;
+
+        if (value === undefined) {
+            if (rule.required) {
+                issues.push({ level: 'error', dataset, path: fieldPath, message: 'missing required field' });
+            }
+            return;
+        }
+        if (value === null) {
+            if (!rule.nullable) {
+                issues.push({ level: 'error', dataset, path: fieldPath, message: 'must not be null' });
+            } else if (rule.required) {
+                issues.push({ level: 'warning', dataset, path: fieldPath, message: 'is null; record is skipped by charts that need it' });
+            }
+            return;
+        }
+        if (describeValue(value) !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+            issues.push({ level: 'error', dataset, path: fieldPath, message: `expected ${rule.type}, got ${describeValue(value)} (${JSON.stringify(value)})` });
+            return;
+        }
+        if (rule.integer && !Number.isInteger(value)) {
+            issues.push({ level: 'error', dataset, path: fieldPath, message: `expected an integer, got ${value}` });
+        }
+        if (rule.positive && value <= 0) {
+            issues.push({ level: 'error', dataset, path: fieldPath, message: `expected a positive number, got ${value}` });
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            issues.push({ level: 'error', dataset, path: fieldPath, message: `"${value}" does not match ${rule.pattern}` });
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            issues.push({ level: 'error', dataset, path: fieldPath, message: `"${value}" is not one of ${rule.oneOf.join(', ')}` });
+        }
+        if (rule.items) {
+            value.forEach((item, j) => validateRecord(item, rule.items, dataset, `${fieldPath}[${j}]`, issues));
+        }
+        if (rule.numberMap) {
+            validateNumberMap(value, dataset, fieldPath, issues, { keys: rule.numberMap });
+        }
+        if (rule.sources) {
+            validateSources(value, Object.keys(schema).filter(key => key !== field), dataset, fieldPath, issues);
+        }
+        if (rule.estimates) {
+            validateEstimates(value, record, schema, dataset, fieldPath, issues);
+        }
+    });
+
+    Object.keys(record).forEach(field => {
+        if (!schema[field]) {
+            issues.push({ level: 'warning', dataset, path: `${path}.${field}`, message: 'unknown field (not in schema)' });
+        }
+    });
+};
+
+// Checks a citation map: every key must be one of `fields`, every value a sourceSchema record
+const validateSources = (sources, fields, dataset, path, issues) => {
+    Object.entries(sources).forEach(([key, source]) => {
+        if (!fields.includes(key)) {
+            issues.push({ level: 'error', dataset, path: `${path}.${key}`, message: `cites "${key}", which is not a field of this record` });
+        }
+        validateRecord(source, sourceSchema, dataset, `${path}.${key}`, issues);
+    });
+};
+
+// Checks an estimate map: every key must be a plain field of the record, every value `true` or,
+// for numeric fields, a { min, max } range around the record's value
+const validateEstimates = (estimates, record, schema, dataset, path, issues) => {
+    Object.entries(estimates).forEach(([key, estimate]) => {
+        const keyPath = `${path}.${key}`;
+        const rule = schema[key];
+        if (!rule || rule.sources || rule.estimates) {
+            issues.push({ level: 'error', dataset, path: keyPath, message: `flags "${key}", which is not a field of this record` });
+            return;
+        }
+        if (estimate === true) return;
+        if (describeValue(estimate) !== 'object') {
+            issues.push({ level: 'error', dataset, path: keyPath, message: `expected true or { min, max }, got ${JSON.stringify(estimate)}` });
+            return;
+        }
+        if (rule.type !== 'number') {
+            issues.push({ level: 'error', dataset, path: keyPath, message: `"${key}" is not numeric; flag it with true instead of a range` });
+            return;
+        }
+        validateNumberMap(estimate, dataset, keyPath, issues, { keys: ['min', 'max'] });
+        const value = record[key];
+        if (typeof value === 'number' && !(estimate.min <= value && value <= estimate.max)) {
+            issues.push({ level: 'error', dataset, path: keyPath, message: `expected min <= ${key} <= max, got ${estimate.min} / ${value} / ${estimate.max}` });
+        }
+    });
+};
+
+// Checks a { key: number } map such as wafer_prices.json or a CPI table
+const validateNumberMap = (map, dataset, path, issues, { yearKeys = false, monthKeys = false, periodKeys = false, keys = null } = {}) => {
+    if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+        issues.push({ level: 'error', dataset, path, message: `expected an object, got ${describeValue(map)}` });
+        return;
+    }
+    Object.entries(map).forEach(([key, value]) => {
+        const keyPath = path ? `${path}.${key}` : key;
+        if (yearKeys && !/^\d{4}$/.test(key)) {
+            issues.push({ level: 'error', dataset, path: keyPath, message: 'key is not a four-digit year' });
+        }
+        if (monthKeys && !/^\d{4}-(0[1-9]|1[0-2])$/.test(key)) {
+            issues.push({ level: 'error', dataset, path: keyPath, message: 'key is not a YYYY-MM month' });
+        }
+        if (periodKeys && !/^\d{4}(-(0[1-9]|1[0-2]))?$/.test(key)) {
+            issues.push({ level: 'error', dataset, path: keyPath, message: 'key is not a YYYY year or YYYY-MM month' });
+        }
+        if (keys && !keys.includes(key)) {
+            issues.push({ level: 'error', dataset, path: keyPath, message: `"${key}" is not one of ${keys.join(', ')}` });
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            issues.push({ level: 'error', dataset, path: keyPath, message: `expected a positive number, got ${JSON.stringify(value)}` });
+        }
+    });
+};
+
+// Checks wafer_prices.json: { foundries: { TSMC: { node: { year: price or { price, low, high } } } } }
+const validateWaferFoundries = (foundries, dataset, issues) => {
+    if (describeValue(foundries) !== 'object') {
+        issues.push({ level: 'error', dataset, path: 'foundries', message: `expected an object keyed by foundry, got ${describeValue(foundries)}` });
+        return;
+    }
+    Object.entries(foundries).forEach(([foundry, nodes]) => {
+        if (describeValue(nodes) !== 'object') {
+            issues.push({ level: 'error', dataset, path: `foundries.${foundry}`, message: `expected an object keyed by node, got ${describeValue(nodes)}` });
+            return;
+        }
+        Object.entries(nodes).forEach(([node, years]) => {
+            const nodePath = `foundries.${foundry}.${node}`;
+            if (describeValue(years) !== 'object') {
+                issues.push({ level: 'error', dataset, path: nodePath, message: `expected an object keyed by year, got ${describeValue(years)}` });
+                return;
+            }
+            // Ranges are checked as their three numbers, then for order
+            const prices = Object.fromEntries(Object.entries(years).map(([year, value]) => [year, describeValue(value) === 'object' ? value.price : value]));
+            validateNumberMap(prices, dataset, nodePath, issues, { yearKeys: true });
+            Object.entries(years).forEach(([year, value]) => {
+                if (describeValue(value) !== 'object') return;
+                const { price, ...range } = value;
+                validateNumberMap(range, dataset, `${nodePath}.${year}`, issues, { keys: ['low', 'high'] });
+                if (!((value.low ?? price) <= price && price <= (value.high ?? price))) {
+                    issues.push({ level: 'error', dataset, path: `${nodePath}.${year}`, message: `expected low <= price <= high, got ${value.low} / ${price} / ${value.high}` });
+                }
+            });
+        });
+    });
+};
+
+// Checks a { EUR: { [tableKey]: { period: number }, ...labels } } dataset such as regional_cpi_data.json
+const validateCurrencyTables = (data, dataset, tableKey, issues) => {
+    if (describeValue(data) !== 'object') {
+        issues.push({ level: 'error', dataset, path: '', message: `expected an object keyed by currency, got ${describeValue(data)}` });
+        return;
+    }
+    Object.entries(data).forEach(([currency, entry]) => {
+        if (!regionalCurrencies.includes(currency)) {
+            issues.push({ level: 'error', dataset, path: currency, message: `"${currency}" is not one of ${regionalCurrencies.join(', ')}` });
+        }
+        if (describeValue(entry) !== 'object') {
+            issues.push({ level: 'error', dataset, path: currency, message: `expected an object, got ${describeValue(entry)}` });
+            return;
+        }
+        validateNumberMap(entry[tableKey], dataset, `${currency}.${tableKey}`, issues, { periodKeys: true });
+    });
+};
+
+/**
+ * Validates every dataset against its schema and runs the cross-reference checks
+ * @param {Object} datasets - { gpuData, gpuDieData, consoleData, inflationData, medianRealWageData, waferPrices },
+ *   optionally with { regionalCpiData, regionalWageData, fxRates } for non-USD currencies and
+ *   { memoryPrices } for the BOM/margin estimate and { relativePerformance } for perf per dollar
+ * @returns {{errors: Array, warnings: Array}} Issues shaped { level, dataset, path, message },
+ *   cross-reference issues also carry a `code` (e.g. 'unknown-die', 'missing-cpi')
+ */
+export const validateDatasets = ({
+    gpuData,
+    gpuDieData,
+    consoleData,
+    inflationData,
+    medianRealWageData,
+    waferPrices,
+    regionalCpiData,
+    regionalWageData,
+    fxRates,
+    memoryPrices,
+    relativePerformance
+}) => {
+    const issues = [];
+
+    // --- Schema checks ---
+    if (!Array.isArray(gpuData)) {
+        issues.push({ level: 'error', dataset: datasetFiles.gpuData, path: '', message: 'expected an array of GPUs' });
+    } else {
+        gpuData.forEach((gpu, i) => validateRecord(gpu, schemas.gpuData, datasetFiles.gpuData, `[${i}]`, issues));
+    }
+
+    if (gpuDieData === null || typeof gpuDieData !== 'object' || Array.isArray(gpuDieData)) {
+        issues.push({ level: 'error', dataset: datasetFiles.gpuDieData, path: '', message: 'expected an object keyed by die name' });
+    } else {
+        Object.entries(gpuDieData).forEach(([dieKey, die]) => validateRecord(die, schemas.gpuDieData, datasetFiles.gpuDieData, dieKey, issues));
+    }
+
+    if (!Array.isArray(consoleData)) {
+        issues.push({ level: 'error', dataset: datasetFiles.consoleData, path: '', message: 'expected an array of consoles' });
+    } else {
+        consoleData.forEach((entry, i) => validateRecord(entry, schemas.consoleData, datasetFiles.consoleData, `[${i}]`, issues));
+    }
+
+    if (!inflationData || typeof inflationData !== 'object') {
+        issues.push({ level: 'error', dataset: datasetFiles.inflationData, path: '', message: 'expected an object' });
+    } else {
+        if (!Number.isInteger(inflationData.base_year)) {
+            issues.push({ level: 'error', dataset: datasetFiles.inflationData, path: 'base_year', message: 'expected an integer year' });
+        } else if (inflationData.cpi_data && !inflationData.cpi_data[inflationData.base_year]) {
+            issues.push({ level: 'error', dataset: datasetFiles.inflationData, path: 'cpi_data', message: `no CPI value for base_year ${inflationData.base_year}` });
+        }
+        validateNumberMap(inflationData.cpi_data, datasetFiles.inflationData, 'cpi_data', issues, { yearKeys: true });
+        // Precomputed base_year multipliers are optional: adjustments derive them from cpi_data for any base year
+        if (inflationData.multipliers !== undefined) {
+            validateNumberMap(inflationData.multipliers, datasetFiles.inflationData, 'multipliers', issues, { yearKeys: true });
+        }
+        // Optional monthly CPI, used for GPUs and consoles with a releaseDate
+        if (inflationData.cpi_monthly !== undefined) {
+            validateNumberMap(inflationData.cpi_monthly, datasetFiles.inflationData, 'cpi_monthly', issues, { monthKeys: true });
+        }
+    }
+
+    validateNumberMap(medianRealWageData, datasetFiles.medianRealWageData, '', issues, { yearKeys: true });
+    // wafer_prices.json prices wafers by foundry, node and year, with `sources` keyed by "TSMC 7nm";
+    // the older { node: price } map, with `sources` keyed by node, is still accepted
+    if (waferPrices && typeof waferPrices === 'object' && !Array.isArray(waferPrices)) {
+        const { sources: waferSources, foundries, ...prices } = waferPrices;
+        if (foundries !== undefined) {
+            validateWaferFoundries(foundries, datasetFiles.waferPrices, issues);
+        } else {
+            validateNumberMap(prices, datasetFiles.waferPrices, '', issues);
+        }
+        if (waferSources !== undefined && describeValue(waferSources) !== 'object') {
+            issues.push({ level: 'error', dataset: datasetFiles.waferPrices, path: 'sources', message: `expected an object, got ${describeValue(waferSources)}` });
+        } else if (waferSources !== undefined) {
+            const sourceKeys = foundries !== undefined ? getWaferSourceKeys(waferPrices) : Object.keys(prices);
+            validateSources(waferSources, sourceKeys, datasetFiles.waferPrices, 'sources', issues);
+        }
+    } else {
+        validateNumberMap(waferPrices, datasetFiles.waferPrices, '', issues);
+    }
+
+    // Regional currency data is optional; without it only USD prices are available
+    if (regionalCpiData !== undefined) {
+        validateCurrencyTables(regionalCpiData, datasetFiles.regionalCpiData, 'cpi_data', issues);
+        Object.entries(describeValue(regionalCpiData) === 'object' ? regionalCpiData : {}).forEach(([currency, entry]) => {
+            if (Number.isInteger(inflationData?.base_year) && entry?.cpi_data && entry.cpi_data[inflationData.base_year] === undefined) {
+                issues.push({ level: 'error', dataset: datasetFiles.regionalCpiData, path: `${currency}.cpi_data`, message: `no CPI value for base_year ${inflationData.base_year}` });
+            }
+        });
+    }
+    if (regionalWageData !== undefined) {
+        validateCurrencyTables(regionalWageData, datasetFiles.regionalWageData, 'wage_data', issues);
+        // Optional wage level fields, read by the affordability chart (see analytics getWeeklyWage)
+        Object.entries(describeValue(regionalWageData) === 'object' ? regionalWageData : {}).forEach(([currency, entry]) => {
+            if (describeValue(entry) !== 'object') return;
+            if (entry.period !== undefined && entry.period !== 'week' && entry.period !== 'month') {
+                issues.push({ level: 'error', dataset: datasetFiles.regionalWageData, path: `${currency}.period`, message: `expected "week" or "month", got ${JSON.stringify(entry.period)}` });
+            }
+            ['hoursPerWeek', 'unit'].forEach(field => {
+                if (entry[field] !== undefined && !(typeof entry[field] === 'number' && entry[field] > 0)) {
+                    issues.push({ level: 'error', dataset: datasetFiles.regionalWageData, path: `${currency}.${field}`, message: `expected a positive number, got ${JSON.stringify(entry[field])}` });
+                }
+            });
+        });
+    }
+    if (fxRates !== undefined) {
+        if (describeValue(fxRates) !== 'object') {
+            issues.push({ level: 'error', dataset: datasetFiles.fxRates, path: '', message: `expected an object, got ${describeValue(fxRates)}` });
+        } else {
+            validateCurrencyTables(
+                Object.fromEntries(Object.entries(fxRates.rates || {}).map(([currency, rates]) => [currency, { rates }])),
+                datasetFiles.fxRates, 'rates', issues
+            );
+        }
+    }
+
+    // Memory prices are optional; without them no BOM or margin is estimated
+    if (memoryPrices !== undefined) {
+        if (describeValue(memoryPrices) !== 'object') {
+            issues.push({ level: 'error', dataset: datasetFiles.memoryPrices, path: '', message: `expected an object, got ${describeValue(memoryPrices)}` });
+        } else {
+            validateNumberMap(memoryPrices.prices, datasetFiles.memoryPrices, 'prices', issues, { periodKeys: true });
+        }
+    }
+
+    // Relative performance is optional too; the reference card must score itself
+    if (relativePerformance !== undefined) {
+        const dataset = datasetFiles.relativePerformance;
+        if (describeValue(relativePerformance) !== 'object') {
+            issues.push({ level: 'error', dataset, path: '', message: `expected an object, got ${describeValue(relativePerformance)}` });
+        } else {
+            validateNumberMap(relativePerformance.scores, dataset, 'scores', issues);
+            const { reference, scores } = relativePerformance;
+            if (typeof reference !== 'string') {
+                issues.push({ level: 'error', dataset, path: 'reference', message: `expected a model name, got ${describeValue(reference)}` });
+            } else if (describeValue(scores) === 'object' && scores[reference] === undefined) {
+                issues.push({ level: 'error', dataset, path: 'reference', message: `reference ${reference} has no score` });
+            }
+            if (describeValue(scores) === 'object' && Array.isArray(gpuData)) {
+                const models = new Set(gpuData.map(gpu => gpu?.model));
+                Object.keys(scores).filter(model => !models.has(model)).forEach(model => {
+                    issues.push({ level: 'warning', dataset, path: `scores.${model}`, code: 'unknown-benchmark-model', message: `"${model}" is not a model in ${datasetFiles.gpuData}; its score is unused` });
+                });
+            }
+        }
+    }
+
+    // --- Cross-reference checks (only for well-formed GPU rows) ---
+    if (Array.isArray(gpuData)) {
+        const cpiData = inflationData?.cpi_data || {};
+        const wages = medianRealWageData || {};
+        const dies = gpuDieData || {};
+        const wafers = waferPrices || {};
+        const seenModels = new Map();
+
+        gpuData.forEach((gpu, i) => {
+            if (!gpu || typeof gpu !== 'object') return;
+            const label = `[${i}] ${gpu.model ?? '(no model)'}`;
+            const dataset = datasetFiles.gpuData;
+
+            if (typeof gpu.model === 'string') {
+                if (seenModels.has(gpu.model)) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'duplicate-model', message: `duplicate model (also at [${seenModels.get(gpu.model)}])` });
+                } else {
+                    seenModels.set(gpu.model, i);
+                }
+
+                const vendor = getVendor(gpu);
+                if (vendors.includes(vendor) && getVendorFromModel(gpu.model) !== vendor) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'vendor-mismatch', message: `model name reads as ${getVendorFromModel(gpu.model)}, but vendor is ${vendor}` });
+                }
+
+                const tier = getTierFromModel(gpu.model, vendor);
+                if (!tier || !refreshColumnOrder.includes(tier)) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'unknown-tier', message: `model name does not map to a tier in columnOrder (got ${JSON.stringify(tier)})` });
+                }
+            }
+
+            // The headline vram/msrp must be one of the listed variants
+            if (Array.isArray(gpu.variants) && gpu.variants.length > 0) {
+                const headline = gpu.variants.find(v => v && v.vram === gpu.vram);
+                if (!headline) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'variant-mismatch', message: `vram ${gpu.vram} is not one of the listed variants (${gpu.variants.map(v => v?.vram).join(', ')})` });
+                } else if (headline.msrp !== gpu.msrp) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'variant-mismatch', message: `msrp ${gpu.msrp} differs from the ${gpu.vram} GB variant's msrp ${headline.msrp}` });
+                }
+            }
+
+            if (typeof gpu.dieName === 'string') {
+                const { dieKey, dieCount: prefixCount } = parseDieReference(gpu.dieName);
+                const dieCount = Number.isInteger(gpu.dieCount) ? gpu.dieCount : prefixCount;
+                const die = dies[dieKey];
+                if (prefixCount > 1 && gpu.dieCount !== undefined && gpu.dieCount !== prefixCount) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'die-count-mismatch', message: `dieName "${gpu.dieName}" disagrees with dieCount ${gpu.dieCount}` });
+                }
+                if (!die) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'unknown-die', message: `dieName "${gpu.dieName}" has no entry in ${datasetFiles.gpuDieData}` });
+                } else {
+                    if (typeof gpu.cudaCores === 'number' && typeof die.fullCudaCores === 'number' && gpu.cudaCores > die.fullCudaCores * dieCount) {
+                        issues.push({ level: 'error', dataset, path: label, code: 'core-count', message: `cudaCores ${gpu.cudaCores} exceeds ${dieKey} full die (${die.fullCudaCores} x ${dieCount})` });
+                    }
+                    [['busWidth', 'fullBusWidth'], ['l2CacheMB', 'fullL2CacheMB']].forEach(([field, dieField]) => {
+                        const variants = Array.isArray(gpu.variants) ? gpu.variants : [];
+                        const value = Math.max(gpu[field] || 0, ...variants.map(variant => variant?.[field] || 0));
+                        if (typeof die[dieField] === 'number' && value > die[dieField] * dieCount) {
+                            issues.push({ level: 'error', dataset, path: label, code: 'exceeds-die', message: `${field} ${value} exceeds ${dieKey} ${dieField} (${die[dieField]} x ${dieCount})` });
+                        }
+                    });
+                }
+            }
+
+            checkReleaseDate(gpu, 'releaseYear', dataset, label, issues);
+
+            if (typeof gpu.manufacturingNode === 'number') {
+                const foundry = typeof gpu.dieName === 'string' ? dies[parseDieReference(gpu.dieName).dieKey]?.foundry : undefined;
+                if (!getWaferPrice(wafers, { foundry, node: gpu.manufacturingNode })) {
+                    const wafer = wafers.foundries ? ` (${getWaferPriceLabel({ foundry: foundry || defaultFoundry, node: gpu.manufacturingNode })})` : '';
+                    issues.push({ level: 'error', dataset, path: label, code: 'missing-wafer-price', message: `manufacturingNode ${gpu.manufacturingNode} has no price in ${datasetFiles.waferPrices}${wafer}` });
+                }
+            }
+
+            if (Number.isInteger(gpu.releaseYear)) {
+                const year = String(gpu.releaseYear);
+                if (cpiData[year] === undefined) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'missing-cpi', message: `releaseYear ${year} has no CPI data in ${datasetFiles.inflationData}` });
+                }
+                if (wages[year] === undefined) {
+                    issues.push({ level: 'error', dataset, path: label, code: 'missing-wage', message: `releaseYear ${year} has no wage data in ${datasetFiles.medianRealWageData}` });
+                }
+                const missingFx = Object.keys(fxRates?.rates || {}).filter(currency => fxRates.rates[currency]?.[year] === undefined);
+                if (missingFx.length > 0) {
+                    issues.push({ level: 'warning', dataset, path: label, code: 'missing-fx', message: `releaseYear ${year} has no ${missingFx.join('/')} exchange rate in ${datasetFiles.fxRates}; its USD price cannot be converted` });
+                }
+                if (describeValue(memoryPrices?.prices) === 'object' && memoryPrices.prices[year] === undefined) {
+                    issues.push({ level: 'warning', dataset, path: label, code: 'missing-memory-price', message: `releaseYear ${year} has no memory price in ${datasetFiles.memoryPrices}; no margin is estimated` });
+                }
+            }
+        });
+
+        // Exactly one flagship per series (unless it borrows another series' flagship)
+        const seriesList = Array.from(new Set(gpuData.filter(d => d && typeof d.series === 'string').map(d => d.series)));
+        seriesList.forEach(series => {
+            const seriesData = gpuData.filter(d => d && d.series === series);
+            const flagships = seriesData.filter(d => d.flagship === true);
+            const specialFlagships = seriesData.filter(d => d.specialFlagship === true);
+            const referenceSeries = flagshipReferenceSeries[series];
+            const path = `series ${series}`;
+
+            if (referenceSeries) {
+                if (flagships.length > 0) {
+                    issues.push({ level: 'error', dataset: datasetFiles.gpuData, path, code: 'flagship-count', message: `normalized against series ${referenceSeries} but also marks its own flagship (${flagships.map(d => d.model).join(', ')})` });
+                }
+                if (!seriesList.includes(referenceSeries)) {
+                    issues.push({ level: 'error', dataset: datasetFiles.gpuData, path, code: 'missing-flagship', message: `reference series ${referenceSeries} is missing` });
+                }
+            } else if (flagships.length === 0) {
+                issues.push({ level: 'error', dataset: datasetFiles.gpuData, path, code: 'missing-flagship', message: 'expected exactly one flagship, found 0' });
+            } else if (flagships.length > 1) {
+                issues.push({ level: 'error', dataset: datasetFiles.gpuData, path, code: 'flagship-count', message: `expected exactly one flagship, found ${flagships.length} (${flagships.map(d => d.model).join(', ')})` });
+            }
+            if (specialFlagships.length > 1) {
+                issues.push({ level: 'error', dataset: datasetFiles.gpuData, path, code: 'flagship-count', message: `expected at most one specialFlagship, found ${specialFlagships.length} (${specialFlagships.map(d => d.model).join(', ')})` });
+            }
+        });
+    }
+
+    if (Array.isArray(consoleData)) {
+        consoleData.forEach((entry, i) => {
+            if (entry && typeof entry === 'object') checkReleaseDate(entry, 'launchYear', datasetFiles.consoleData, `[${i}] ${entry.name}`, issues);
+        });
+    }
+
+    // Console launch years only need CPI coverage from the first GPU year onward
+    if (Array.isArray(consoleData) && inflationData?.cpi_data) {
+        const firstCpiYear = Math.min(...Object.keys(inflationData.cpi_data).map(Number));
+        consoleData.forEach((entry, i) => {
+            if (!entry || !Number.isInteger(entry.launchYear) || entry.launchYear < firstCpiYear) return;
+            if (inflationData.cpi_data[entry.launchYear] === undefined) {
+                issues.push({ level: 'warning', dataset: datasetFiles.consoleData, path: `[${i}] ${entry.name}`, message: `launchYear ${entry.launchYear} has no CPI data` });
+            }
+        });
+    }
+
+    return {
+        errors: issues.filter(issue => issue.level === 'error'),
+        warnings: issues.filter(issue => issue.level === 'warning')
+    };
+};
+
+/**
+ * Formats a validation result as a plain-text report grouped by dataset
+ * @param {{errors: Array, warnings: Array}} result - Output of validateDatasets
+ * @returns {string} Multi-line report
+ */
+export const formatValidationReport = ({ errors, warnings }) => {
+    const lines = ['Dataset validation report', '========================='];
+    const all = [...errors, ...warnings];
+
+    if (all.length === 0) {
+        lines.push('All datasets passed schema and cross-reference checks.');
+        return lines.join('\n');
+    }
+
+    const byDataset = {};
+    all.forEach(issue => {
+        (byDataset[issue.dataset] = byDataset[issue.dataset] || []).push(issue);
+    });
+
+    Object.keys(byDataset).sort().forEach(dataset => {
+        lines.push('', dataset);
+        byDataset[dataset]
+            .sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1))
+            .forEach(issue => {
+                const marker = issue.level === 'error' ? 'ERROR' : 'WARN ';
+                lines.push(`  ${marker} ${issue.path ? `${issue.path}: ` : ''}${issue.message}`);
+            });
+    });
+
+    lines.push('', `${errors.length} error(s), ${warnings.length} warning(s)`);
+    return lines.join('\n');
+};
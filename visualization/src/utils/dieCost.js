@@ -0,0 +1,152 @@
+/**
+ * Die Cost Model
+ *
+ * Estimated silicon cost of one working die: how many whole dies fit on a
+ * 300 mm wafer (edge loss), what share of them a defect-density yield model
+ * expects to work, and the wafer price spread over those good dies.
+ */
+import { getWaferPrice } from './waferPrices.js';
+
+/**
+ * Wafer geometry used for gross dies per wafer, in mm
+ */
+export const waferGeometry = {
+    diameter: 300,
+    edgeExclusion: 3, // Unusable ring at the wafer edge
+    scribeLane: 0.1 // Saw street between neighbouring dies
+};
+
+/**
+ * Yield models: share of dies without a killer defect, given the average
+ * number of defects per die (die area in cm² × defect density)
+ */
+export const yieldModels = {
+    poisson: { label: 'Poisson', yield: (defectsPerDie) => Math.exp(-defectsPerDie) },
+    murphy: {
+        label: 'Murphy',
+        yield: (defectsPerDie) => defectsPerDie === 0 ? 1 : ((1 - Math.exp(-defectsPerDie)) / defectsPerDie) ** 2
+    },
+    seeds: { label: 'Seeds', yield: (defectsPerDie) => 1 / (1 + defectsPerDie) }
+};
+
+export const defaultYieldModel = 'murphy';
+
+/**
+ * Rough mature-production defect density by node (nm), in defects per cm²
+ */
+export const defectDensityByNode = { 40: 0.05, 28: 0.05, 16: 0.07, 14: 0.08, 12: 0.07, 8: 0.12, 7: 0.09, 6: 0.08, 5: 0.07, 4: 0.07 };
+
+const defaultDefectDensity = 0.1;
+
+/**
+ * Defect density for a node
+ * @param {string|number} node - Process node in nm
+ * @param {number} [scale=1] - Multiplier on the node default (the chart's defect density control)
+ * @returns {number} Defects per cm²
+ */
+export const getDefectDensity = (node, scale = 1) => (defectDensityByNode[node] ?? defaultDefectDensity) * scale;
+
+/**
+ * Die width and height in mm; square when gpu_die.json gives only the area
+ * @param {Object} die - gpu_die.json entry
+ * @returns {{width: number, height: number}}
+ */
+export const getDieDimensions = (die) => {
+    if (die.dieWidthMM && die.dieHeightMM) return { width: die.dieWidthMM, height: die.dieHeightMM };
+    const side = Math.sqrt(die.dieSizeMM2);
+    return { width: side, height: side };
+};
+
+// Whole dies in rows of a grid whose first row starts `offset` mm from the wafer centre line
+const countGridDies = ({ width, height }, radius, scribeLane, offset) => {
+    const pitchY = height + scribeLane;
+    const pitchX = width + scribeLane;
+    let dies = 0;
+    for (let y = offset - Math.ceil(radius / pitchY) * pitchY; y < radius; y += pitchY) {
+        const farthest = Math.max(Math.abs(y), Math.abs(y + height));
+        if (farthest >= radius) continue;
+        const chord = 2 * Math.sqrt(radius ** 2 - farthest ** 2);
+        dies += Math.floor((chord + scribeLane) / pitchX);
+    }
+    return dies;
+};
+
+/**
+ * Whole dies that fit inside the usable area of a wafer
+ * @param {{width: number, height: number}} dimensions - Die size in mm
+ * @param {Partial<typeof waferGeometry>} [geometry]
+ * @returns {number} Best of a grid centred on a row and one centred between rows
+ */
+export const getGrossDiesPerWafer = (dimensions, geometry = {}) => {
+    const { diameter, edgeExclusion, scribeLane } = { ...waferGeometry, ...geometry };
+    const radius = diameter / 2 - edgeExclusion;
+    return Math.max(
+        countGridDies(dimensions, radius, scribeLane, 0),
+        countGridDies(dimensions, radius, scribeLane, -dimensions.height / 2)
+    );
+};
+
+/**
+ * Expected share of working dies
+ * @param {number} dieSizeMM2 - Die area in mm²
+ * @param {number} defectDensity - Defects per cm²
+ * @param {string} [model='murphy'] - Key of yieldModels
+ * @returns {number} 0-1
+ */
+export const getDieYield = (dieSizeMM2, defectDensity, model = defaultYieldModel) => {
+    const { yield: yieldOf } = yieldModels[model] || yieldModels[defaultYieldModel];
+    return yieldOf((dieSizeMM2 / 100) * defectDensity);
+};
+
+/**
+ * @typedef {Object} DieCost
+ * @property {number} waferPrice - Wafer price in USD
+ * @property {number} waferPriceLow - Low end of the wafer price range
+ * @property {number} waferPriceHigh - High end of the wafer price range
+ * @property {string|null} foundry - Foundry priced (null for a flat wafer_prices.json)
+ * @property {string|null} waferPriceYear - Year the wafer price was read from
+ * @property {number} grossDies - Whole dies per wafer
+ * @property {string} yieldModel - Key of yieldModels
+ * @property {number} defectDensity - Defects per cm²
+ * @property {number} dieYield - Expected share of working dies
+ * @property {number} goodDies - grossDies × dieYield
+ * @property {number} costPerGoodDie - Nominal USD
+ * @property {number} costPerGoodMM2 - costPerGoodDie / die area, comparable to price per mm²
+ */
+
+/**
+ * Estimated cost of one working die
+ * @param {Object} die - gpu_die.json entry; its `foundry` picks the wafer price
+ * @param {string|number} node - Process node in nm
+ * @param {Object} waferPrices - wafer_prices.json
+ * @param {Object} [options]
+ * @param {string} [options.yieldModel='murphy'] - Key of yieldModels
+ * @param {number} [options.defectDensityScale=1] - Multiplier on the per-node defect density
+ * @param {number} [options.year] - Launch year the wafer price is looked up for
+ * @returns {DieCost|null} Null without a wafer price for the die's foundry and node, or a die area
+ */
+export const computeDieCost = (die, node, waferPrices, { yieldModel = defaultYieldModel, defectDensityScale = 1, year } = {}) => {
+    const wafer = getWaferPrice(waferPrices, { foundry: die?.foundry, node, year });
+    if (!wafer || !die?.dieSizeMM2) return null;
+    const waferPrice = wafer.price;
+    const grossDies = getGrossDiesPerWafer(getDieDimensions(die));
+    const defectDensity = getDefectDensity(node, defectDensityScale);
+    const dieYield = getDieYield(die.dieSizeMM2, defectDensity, yieldModel);
+    const goodDies = grossDies * dieYield;
+    if (goodDies <= 0) return null;
+    const costPerGoodDie = waferPrice / goodDies;
+    return {
+        waferPrice,
+        waferPriceLow: wafer.low,
+        waferPriceHigh: wafer.high,
+        foundry: wafer.foundry,
+        waferPriceYear: wafer.year,
+        grossDies,
+        yieldModel,
+        defectDensity,
+        dieYield,
+        goodDies,
+        costPerGoodDie,
+        costPerGoodMM2: costPerGoodDie / die.dieSizeMM2
+    };
+};
@@ -0,0 +1,99 @@
+/**
+ * Estimated Values
+ *
+ * Not every figure is a published spec: some die sizes come from die shots,
+ * some core counts from leaks, and early consoles' split of unified memory is
+ * a guess. A record flags such fields in an `estimates` map next to its
+ * `sources`: `true` marks an estimate, `{ min, max }` an estimate with the
+ * range it could fall in (`estimates: { dieSizeMM2: { min: 153, max: 199 } }`).
+ * Wafer prices are always estimates and carry their ranges in
+ * wafer_prices.json (see waferPrices.js).
+ */
+import { getDieReference } from './multiDie.js';
+
+/**
+ * Card fields read from the card's die in gpu_die.json rather than the card itself
+ */
+export const dieEstimateFields = ['dieSizeMM2', 'fullCudaCores', 'fullBusWidth', 'fullL2CacheMB'];
+
+/**
+ * @typedef {Object} Estimate
+ * @property {string} field - Estimated field
+ * @property {number|null} min - Low end of the range; the value itself when no range is given,
+ *   null for non-numeric fields
+ * @property {number|null} max - High end of the range, as min
+ */
+
+/**
+ * Estimate flag of one field of a record
+ * @param {Object} record - GPU, die or console record
+ * @param {string} field
+ * @returns {Estimate|null} Null if the field is not flagged
+ */
+export const getEstimate = (record, field) => {
+    const estimate = record?.estimates?.[field];
+    if (!estimate) return null;
+    const value = typeof record[field] === 'number' ? record[field] : null;
+    return { field, min: estimate.min ?? value, max: estimate.max ?? value };
+};
+
+/**
+ * Estimated fields among `fields` of a record. Die fields of a GPU record
+ * (dieEstimateFields) are read from its die, with ranges multiplied by the
+ * dies on the board.
+ * @param {Object} record - GPU or console record
+ * @param {string[]} fields - Fields a chart reads
+ * @param {Object} [gpuDieData] - gpu_die.json, for die fields
+ * @returns {Estimate[]}
+ */
+export const getEstimates = (record, fields, gpuDieData) => fields
+    .map(field => {
+        if (!dieEstimateFields.includes(field) || !gpuDieData) return getEstimate(record, field);
+        const { dieKey, dieCount } = getDieReference(record);
+        const estimate = getEstimate(gpuDieData[dieKey], field);
+        return estimate && dieCount > 1
+            ? { field, min: estimate.min != null ? estimate.min * dieCount : null, max: estimate.max != null ? estimate.max * dieCount : null }
+            : estimate;
+    })
+    .filter(Boolean);
+
+/**
+ * Records with none of `fields` estimated, for the "hide estimated values" switch
+ * @param {Object[]} records - GPU or console records
+ * @param {string[]} fields
+ * @param {Object} [gpuDieData] - gpu_die.json, for die fields
+ * @returns {Object[]}
+ */
+export const withoutEstimates = (records, fields, gpuDieData) =>
+    records.filter(record => getEstimates(record, fields, gpuDieData).length === 0);
+
+/**
+ * Range a value derived from estimated inputs could fall in, when it is
+ * proportional to some of them and inversely proportional to others
+ * (price per mm² = price / die size)
+ * @param {number} value - Value at the central estimates
+ * @param {Estimate[]} estimates - Estimates of the inputs
+ * @param {Object} record - Record with the inputs' central values (board values for die fields)
+ * @param {{numerator?: string[], denominator?: string[]}} inputs - Fields the value rises and falls with
+ * @returns {{min: number, max: number}|null} Null when no input has a range
+ */
+export const getDerivedRange = (value, estimates, record, { numerator = [], denominator = [] }) => {
+    let min = value;
+    let max = value;
+    let ranged = false;
+    estimates.forEach(({ field, min: low, max: high }) => {
+        const central = record[field];
+        if (!(central > 0) || low == null || high == null || (low === central && high === central)) return;
+        if (numerator.includes(field)) {
+            min *= low / central;
+            max *= high / central;
+        } else if (denominator.includes(field)) {
+            min *= central / high;
+            max *= central / low;
+        } else {
+            return;
+        }
+        ranged = true;
+    });
+    return ranged ? { min, max } : null;
+};
@@ -0,0 +1,252 @@
+/**
+ * User GPU Import
+ *
+ * Parses a user's own CSV or JSON list of GPUs (same fields as gpu_data.json),
+ * validates each row against the loaded datasets and persists accepted rows
+ * in localStorage so they survive a reload.
+ */
+
+import { validateDatasets } from './dataValidation';
+
+/**
+ * localStorage key holding the imported rows
+ */
+export const IMPORT_STORAGE_KEY = 'nvidia-gpu-analyzer:imported-gpus';
+
+const numericFields = ['cudaCores', 'vram', 'boostClockMHz', 'tdpWatts', 'gamingPowerWatts', 'releaseYear', 'releaseDate', 'msrp', 'dieCount', 'manufacturingNode'];
+const booleanFields = ['flagship', 'specialFlagship'];
+
+/**
+ * Columns an import file may contain, in gpu_data.json order
+ */
+export const importFields = ['vendor', 'series', 'model', 'cudaCores', 'vram', 'boostClockMHz', 'tdpWatts', 'gamingPowerWatts', 'releaseYear', 'releaseDate', 'msrp', 'dieName', 'dieCount', 'manufacturingNode', 'flagship', 'specialFlagship'];
+
+// Cross-reference problems the charts tolerate (they fall back to nominal prices /
+// skip the wafer overlay), so rumored or future cards can still be imported
+const importWarningCodes = ['missing-cpi', 'missing-wage', 'missing-wafer-price'];
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting, comma separated)
+ * @param {string} text - Raw CSV
+ * @returns {string[][]} Rows of cell strings, blank lines dropped
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (inQuotes) throw new Error('Unterminated quoted value in CSV');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(c => c.trim() !== ''));
+};
+
+/**
+ * Parses an import file into raw row objects
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to pick the CSV or JSON parser
+ * @returns {Object[]} Raw rows (not yet normalized)
+ * @throws {Error} If the file is not a CSV with a header row or a JSON array
+ */
+export const parseGpuFile = (text, fileName = '') => {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+    if (isJson) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(parsed)) throw new Error('JSON import must be an array of GPU objects');
+        return parsed;
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('CSV file is empty');
+    const columns = header.map(c => c.trim());
+    if (!columns.includes('model')) throw new Error('CSV header must include a "model" column');
+
+    return rows.map(cells => {
+        const raw = {};
+        columns.forEach((column, i) => {
+            if (column) raw[column] = cells[i] !== undefined ? cells[i].trim() : '';
+        });
+        return raw;
+    });
+};
+
+const toNumber = (value) => {
+    if (value === '' || value === undefined || value === null) return undefined;
+    if (typeof value === 'number') return value;
+    const number = Number(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(number) ? number : value; // Leave bad values for the validator to report
+};
+
+const toBoolean = (value) => {
+    if (value === '' || value === undefined || value === null) return undefined;
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    return value;
+};
+
+/**
+ * Coerces a raw CSV/JSON row to gpu_data.json types and marks it as imported
+ * @param {Object} raw - Row from parseGpuFile
+ * @returns {Object} GPU record with `imported: true`
+ */
+export const normalizeImportedRow = (raw) => {
+    const gpu = {};
+    Object.entries(raw || {}).forEach(([field, value]) => {
+        if (numericFields.includes(field)) {
+            const number = toNumber(value);
+            if (number !== undefined) gpu[field] = number;
+            else if (field === 'msrp') gpu.msrp = null;
+        } else if (booleanFields.includes(field)) {
+            const flag = toBoolean(value);
+            if (flag !== undefined) gpu[field] = flag;
+        } else if (field !== 'imported') {
+            const text = typeof value === 'string' ? value.trim() : value;
+            if (text !== '') gpu[field] = text; // Blank CSV cells leave optional fields (vendor, releaseDate) unset
+        }
+    });
+    if (typeof gpu.series === 'number') gpu.series = String(gpu.series);
+    gpu.imported = true;
+    return gpu;
+};
+
+/**
+ * Checks the series rules (one flagship per series) once over the loaded GPUs plus
+ * the given imported rows, for the series those rows belong to
+ * @param {Object[]} rows - Normalized imported rows
+ * @param {Object} datasets - Loaded datasets (see dataLoader); gpuData must not contain rows
+ * @returns {{conflicts: Object<string, string[]>, warnings: string[]}} conflicts maps a series with
+ *   an extra flagship to its errors; warnings name series left without a flagship, which the
+ *   flagship-relative charts leave out until one is imported
+ */
+export const checkImportedSeries = (rows, datasets) => {
+    const importedSeries = new Set(rows.map(row => row.series));
+    const { errors } = validateDatasets({ ...datasets, gpuData: [...(datasets.gpuData || []), ...rows] });
+    const conflicts = {};
+    const warnings = [];
+
+    errors.forEach(issue => {
+        const series = issue.path.replace(/^series /, '');
+        if (issue.dataset !== 'gpu_data.json' || !issue.path.startsWith('series ') || !importedSeries.has(series)) return;
+        if (issue.code === 'missing-flagship') warnings.push(`Series ${series}: ${issue.message}`);
+        else conflicts[series] = [...(conflicts[series] || []), issue.message];
+    });
+
+    return { conflicts, warnings };
+};
+
+/**
+ * Validates imported rows one at a time against the loaded datasets (and the
+ * rows accepted before them), so each rejection points at its own row. The
+ * series rules are checked once afterwards over the whole batch, so the result
+ * does not depend on row order: rows marking an extra flagship are rejected,
+ * a series without a flagship only warns.
+ * @param {Object[]} rows - Normalized rows
+ * @param {Object} datasets - Loaded datasets (see dataLoader)
+ * @returns {{accepted: Object[], rejected: Array<{row: Object, index: number, errors: string[]}>, warnings: string[]}}
+ */
+export const validateImportedRows = (rows, datasets) => {
+    const checked = [];
+    const rejected = [];
+    const baseGpus = datasets.gpuData || [];
+
+    rows.forEach((row, index) => {
+        const rowIndex = baseGpus.length + checked.length;
+        const { errors, warnings: rowWarnings } = validateDatasets({
+            ...datasets,
+            gpuData: [...baseGpus, ...checked.map(entry => entry.row), row]
+        });
+
+        // Only keep issues about this row; series rules wait for the whole batch
+        const concernsRow = issue => issue.dataset === 'gpu_data.json' && issue.path.startsWith(`[${rowIndex}]`);
+        const label = row.model || `row ${index + 1}`;
+
+        const rowErrors = errors.filter(concernsRow);
+        const blocking = rowErrors.filter(issue => !importWarningCodes.includes(issue.code));
+        const tolerated = [...rowErrors.filter(issue => importWarningCodes.includes(issue.code)), ...rowWarnings.filter(concernsRow)];
+
+        if (blocking.length > 0) {
+            rejected.push({ row, index, errors: blocking.map(issue => issue.message) });
+        } else {
+            checked.push({ row, index, warnings: tolerated.map(issue => `${label}: ${issue.message}`) });
+        }
+    });
+
+    const { conflicts } = checkImportedSeries(checked.map(entry => entry.row), datasets);
+    const marksFlagship = ({ row }) => conflicts[row.series] && (row.flagship === true || row.specialFlagship === true);
+    checked.filter(marksFlagship).forEach(({ row, index }) => rejected.push({ row, index, errors: conflicts[row.series] }));
+    rejected.sort((a, b) => a.index - b.index);
+
+    const kept = checked.filter(entry => !marksFlagship(entry));
+    const accepted = kept.map(entry => entry.row);
+    const warnings = [...kept.flatMap(entry => entry.warnings), ...checkImportedSeries(accepted, datasets).warnings];
+
+    return { accepted, rejected, warnings };
+};
+
+/**
+ * Reads persisted imported rows
+ * @param {Storage} [storage] - Defaults to window.localStorage
+ * @returns {Object[]} Stored rows, or [] if none/unreadable
+ */
+export const loadImportedGpus = (storage = globalThis.localStorage) => {
+    try {
+        const stored = storage?.getItem(IMPORT_STORAGE_KEY);
+        const rows = stored ? JSON.parse(stored) : [];
+        return Array.isArray(rows) ? rows.map(normalizeImportedRow) : [];
+    } catch (error) {
+        console.warn('Could not read imported GPUs from localStorage:', error);
+        return [];
+    }
+};
+
+/**
+ * Persists imported rows (removes the key when there are none)
+ * @param {Object[]} rows - Imported rows
+ * @param {Storage} [storage] - Defaults to window.localStorage
+ */
+export const saveImportedGpus = (rows, storage = globalThis.localStorage) => {
+    try {
+        if (!storage) return;
+        if (rows.length === 0) storage.removeItem(IMPORT_STORAGE_KEY);
+        else storage.setItem(IMPORT_STORAGE_KEY, JSON.stringify(rows));
+    } catch (error) {
+        console.warn('Could not save imported GPUs to localStorage:', error);
+    }
+};
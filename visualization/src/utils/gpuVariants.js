@@ -0,0 +1,58 @@
+/**
+ * GPU Memory Variants
+ *
+ * Some models shipped in several memory configurations (RTX 4060 Ti 8GB/16GB).
+ * A record's top-level vram/msrp stay its headline configuration; the optional
+ * `variants` array lists every configuration, headline included.
+ */
+
+/**
+ * Memory configurations of a model, smallest VRAM first
+ * @param {Object} gpu - GPU record from gpu_data.json
+ * @returns {Array<{vram: number, busWidth?: number, msrp: number|null, note?: string}>}
+ *   The record's variants, or its headline configuration as the only variant
+ */
+export const getVariants = (gpu) => {
+    if (Array.isArray(gpu.variants) && gpu.variants.length > 0) {
+        return [...gpu.variants].sort((a, b) => a.vram - b.vram);
+    }
+    return [{ vram: gpu.vram, busWidth: gpu.busWidth, msrp: gpu.msrp }];
+};
+
+/**
+ * Whether a model shipped in more than one memory configuration
+ * @param {Object} gpu - GPU record
+ * @returns {boolean}
+ */
+export const hasVariants = (gpu) => getVariants(gpu).length > 1;
+
+/**
+ * Variant whose launch MSRP a price-based chart should use
+ * @param {Object} gpu - GPU record
+ * @param {'headline'|'base'|'top'} [choice='headline'] - The record's headline configuration (its
+ *   top-level vram/msrp), or the cheapest or most expensive priced variant
+ * @returns {Object} The chosen variant; the headline configuration if no variant has an MSRP
+ */
+export const getPriceVariant = (gpu, choice = 'headline') => {
+    const headline = { vram: gpu.vram, busWidth: gpu.busWidth, msrp: gpu.msrp };
+    const priced = getVariants(gpu).filter(variant => variant.msrp != null);
+    if (priced.length === 0) return headline;
+    if (choice === 'headline') {
+        return priced.find(variant => variant.vram === gpu.vram && variant.msrp === gpu.msrp) || headline;
+    }
+    // Cheapest first; equal prices fall back to the smaller VRAM
+    priced.sort((a, b) => a.msrp - b.msrp || a.vram - b.vram);
+    return choice === 'top' ? priced[priced.length - 1] : priced[0];
+};
+
+/**
+ * One-line description of a variant, e.g. "16 GB · 128-bit · $499"
+ * @param {Object} variant - Entry from getVariants
+ * @returns {string}
+ */
+export const formatVariant = (variant) => {
+    const parts = [`${variant.vram} GB`];
+    if (variant.busWidth) parts.push(`${variant.busWidth}-bit`);
+    parts.push(variant.msrp != null ? `$${variant.msrp.toLocaleString()}` : 'no MSRP');
+    return parts.join(' · ') + (variant.note ? ` (${variant.note})` : '');
+};
@@ -0,0 +1,217 @@
+/**
+ * Metrics Export
+ *
+ * Turns the analytics rows into flat tables for spreadsheets: one table per
+ * metric, with a fixed column list, as CSV or JSON. Used by
+ * scripts/export-metrics.js.
+ */
+import {
+    computeNormalizedCores, computePowerRows, computeDieAreaRows, computePerfPerDollarRows, computeCoresPerDollarRows, computeAffordabilityRows, computePriceLadderRows, computeUpliftMatrix, computeDieClassRows, computeWaferRows, computeConsoleMemoryRows
+} from './analytics.js';
+import { applyMultiDieMode, defaultMultiDieMode } from './multiDie.js';
+
+/**
+ * Exportable metrics and the columns each one writes, in order
+ */
+export const exportMetrics = {
+    cores: ['model', 'series', 'tier', 'cudaCores', 'referenceModel', 'normalizedCores', 'estimatedFields'],
+    power: [
+        'model', 'series', 'tier', 'tdpWatts', 'gamingPowerWatts', 'referenceModel', 'normalizedTdp', 'relativePerformance',
+        'powerBasis', 'perfPerWatt', 'normalizedPerfPerWatt', 'estimatedFields'
+    ],
+    'die-area': [
+        'model', 'series', 'tier', 'releaseYear', 'releaseDate', 'dieName', 'dieCount', 'foundry', 'dieSizeMM2', 'utilizationBasis',
+        'dieUtilizationRatio', 'effectiveDieSize', 'currency', 'msrp', 'priceBasis', 'usdMsrp', 'adjustmentType', 'adjustmentPeriod',
+        'adjustmentMultiplier', 'adjustedMsrp', 'pricePerMM2', 'effectivePricePerMM2', 'chartPricePerMM2', 'chartPricePerMM2Low',
+        'chartPricePerMM2High', 'estimatedFields', 'waferPriceYear', 'waferPriceUsd', 'grossDiesPerWafer', 'yieldModel', 'defectDensity', 'dieYield', 'costPerGoodDieUsd', 'adjustedDieCost'
+    ],
+    margins: [
+        'model', 'series', 'tier', 'releaseYear', 'dieName', 'vram', 'memoryPricePerGB', 'dieCostUsd', 'memoryCost',
+        'boardCost', 'coolerCost', 'packagingCost', 'bomCost', 'usdMsrp', 'grossMargin', 'estimatedFields'
+    ],
+    'cores-per-dollar': [
+        'model', 'series', 'tier', 'releaseYear', 'isReferenceFlagship', 'cudaCores', 'boostClockMHz', 'fp32Tflops', 'currency',
+        'msrp', 'adjustmentType', 'adjustmentPeriod', 'adjustmentMultiplier', 'adjustedMsrp', 'coresPerDollar', 'gflopsPerDollar',
+        'estimatedFields'
+    ],
+    affordability: [
+        'model', 'series', 'tier', 'releaseYear', 'releaseDate', 'isReferenceFlagship', 'currency', 'msrp', 'priceBasis', 'weeklyWage',
+        'hoursPerWeek', 'hourlyWage', 'wagePeriod', 'hoursOfWork', 'weeksOfWork', 'estimatedFields'
+    ],
+    'price-ladder': [
+        'vendor', 'displaySeries', 'tier', 'model', 'series', 'releaseYear', 'isReferenceFlagship', 'currency', 'msrp', 'priceBasis',
+        'adjustmentType', 'adjustmentPeriod', 'adjustmentMultiplier', 'adjustedMsrp', 'previousSeries', 'previousModel',
+        'previousAdjustedMsrp', 'skippedGeneration', 'change', 'estimatedFields', 'previousEstimatedFields'
+    ],
+    'perf-per-dollar': [
+        'model', 'series', 'tier', 'releaseYear', 'relativePerformance', 'currency', 'msrp', 'adjustmentType',
+        'adjustmentPeriod', 'adjustmentMultiplier', 'adjustedMsrp', 'perfPerDollar', 'estimatedFields'
+    ],
+    uplift: [
+        'vendor', 'series', 'tier', 'metric', 'model', 'value', 'previousSeries', 'previousModel', 'previousValue',
+        'skippedGeneration', 'change', 'estimatedFields', 'previousEstimatedFields'
+    ],
+    'die-class': [
+        'model', 'series', 'displaySeries', 'tier', 'dieName', 'dieCount', 'dieClass', 'dieSizeMM2', 'utilizationBasis', 'dieUtilizationRatio',
+        'estimatedFields'
+    ],
+    consoles: ['name', 'launchYear', 'memoryGB', 'dedicatedVram', 'allocationPercentage', 'scaledMemoryGB', 'estimatedFields'],
+    wafers: [
+        'foundry', 'node', 'year', 'waferPrice', 'waferPriceLow', 'waferPriceHigh', 'yieldFactor', 'pricePerMM2', 'pricePerMM2Low',
+        'pricePerMM2High'
+    ]
+};
+
+// "dieSizeMM2;msrp" from a row's estimate list (see estimates.js); null when nothing is estimated
+const joinEstimatedFields = (estimates) => (estimates?.length ? estimates.map(estimate => estimate.field).join(';') : null);
+
+/**
+ * Rows of one metric, reduced to its export columns
+ * @param {string} metric - Key of exportMetrics
+ * @param {Object} loadedDatasets - Loaded datasets (see dataValidation datasetFiles)
+ * @param {Object} [options]
+ * @param {boolean} [options.useCpiAdjustment=false]
+ * @param {boolean} [options.useRealWageScaling=false]
+ * @param {number} [options.baseYear] - Year CPI/wage adjustments express prices in (default: inflationData.base_year)
+ * @param {boolean} [options.useEffectiveDieSize=false] - chartPricePerMM2 uses the disabled-die area
+ * @param {number} [options.effectiveDieFixedShare=0.3] - Share of a cut-down die charged outright
+ * @param {string} [options.utilizationBasis='cores'] - Enabled share by cores, memoryBus or l2 (see dieUtilizationBases)
+ * @param {string} [options.currency='USD'] - Die-area and per-dollar prices in this currency; affordability in
+ *   hours of its country's median work (see analytics getAffordabilityCurrencies)
+ * @param {boolean} [options.useLaunchFx=false] - Convert USD MSRPs at launch FX instead of regional MSRPs
+ * @param {string} [options.yieldModel='murphy'] - Die cost yield model (see dieCost.js yieldModels)
+ * @param {number} [options.defectDensityScale=1] - Multiplier on the per-node defect densities
+ * @param {Object} [options.bomAssumptions] - BOM overrides for the margins (see bom.js defaultBomAssumptions)
+ * @param {Object<string, boolean>} [options.specialFlagshipActive={}] - Series -> special flagship selected
+ * @param {number} [options.allocationPercentage=100] - Console unified memory counted as VRAM
+ * @param {string} [options.upliftMetric='cores'] - Metric the uplift table compares (see analytics upliftMetrics)
+ * @param {string} [options.multiDieMode='include'] - Dual-GPU boards counted whole, left out or per GPU (see multiDie.js)
+ * @param {boolean} [options.hideEstimates=false] - Leave out rows with estimated inputs; otherwise
+ *   estimatedFields lists them
+ * @returns {Object[]}
+ */
+export const buildMetricRows = (metric, loadedDatasets, options = {}) => {
+    const {
+        specialFlagshipActive = {}, allocationPercentage = 100, upliftMetric = 'cores', multiDieMode = defaultMultiDieMode, hideEstimates = false
+    } = options;
+    const datasets = { ...loadedDatasets, gpuData: applyMultiDieMode(loadedDatasets.gpuData, multiDieMode) };
+    let rows;
+    switch (metric) {
+        case 'cores':
+            rows = computeNormalizedCores(datasets.gpuData, { specialFlagshipActive, hideEstimates });
+            break;
+        case 'power':
+            rows = computePowerRows(datasets, { specialFlagshipActive, hideEstimates });
+            break;
+        case 'die-area':
+            rows = computeDieAreaRows(datasets, options).map(row => ({
+                ...row,
+                msrp: row.originalMsrp,
+                chartPricePerMM2: row.displayPricePerMM2,
+                chartPricePerMM2Low: row.displayPricePerMM2Range?.min,
+                chartPricePerMM2High: row.displayPricePerMM2Range?.max,
+                waferPriceYear: row.dieCost?.waferPriceYear,
+                waferPriceUsd: row.dieCost?.waferPrice,
+                grossDiesPerWafer: row.dieCost?.grossDies,
+                yieldModel: row.dieCost?.yieldModel,
+                defectDensity: row.dieCost?.defectDensity,
+                dieYield: row.dieCost?.dieYield,
+                costPerGoodDieUsd: row.dieCost?.costPerGoodDie
+            }));
+            break;
+        case 'margins':
+            // Nominal USD throughout, so the CPI/wage/currency options do not apply
+            rows = computeDieAreaRows(datasets, { ...options, currency: 'USD', useLaunchFx: false })
+                .filter(row => row.bom)
+                .map(row => ({
+                    ...row,
+                    ...row.bom,
+                    dieCostUsd: row.bom.dieCost,
+                    bomCost: row.bom.total
+                }));
+            break;
+        case 'cores-per-dollar':
+            rows = computeCoresPerDollarRows(datasets, options).map(row => ({ ...row, msrp: row.originalMsrp }));
+            break;
+        case 'affordability':
+            rows = computeAffordabilityRows(datasets, options).map(row => ({ ...row, msrp: row.originalMsrp }));
+            break;
+        case 'price-ladder':
+            rows = computePriceLadderRows(datasets, options).map(row => ({
+                ...row,
+                msrp: row.originalMsrp,
+                previousEstimatedFields: joinEstimatedFields(row.previousEstimatedValues)
+            }));
+            break;
+        case 'perf-per-dollar':
+            rows = computePerfPerDollarRows(datasets, options).map(row => ({ ...row, msrp: row.originalMsrp }));
+            break;
+        case 'uplift':
+            // One row per card; tiers a series has no card on are left out
+            rows = computeUpliftMatrix(datasets, { ...options, metric: upliftMetric })
+                .filter(cell => cell.card)
+                .map(cell => ({
+                    ...cell,
+                    metric: upliftMetric,
+                    model: cell.card.model,
+                    previousModel: cell.previousCard?.model,
+                    previousEstimatedFields: joinEstimatedFields(cell.previousEstimatedValues)
+                }));
+            break;
+        case 'die-class':
+            rows = computeDieClassRows(datasets, options);
+            break;
+        case 'consoles':
+            rows = computeConsoleMemoryRows(datasets.consoleData, { allocationPercentage, hideEstimates })
+                .map(row => ({ ...row, allocationPercentage: row.dedicatedVram ? 100 : allocationPercentage }));
+            break;
+        case 'wafers':
+            rows = computeWaferRows(datasets.waferPrices);
+            break;
+        default:
+            throw new Error(`Unknown metric "${metric}" (expected one of: ${Object.keys(exportMetrics).join(', ')})`);
+    }
+    const columns = exportMetrics[metric];
+    return rows
+        .map(row => ({ ...row, estimatedFields: joinEstimatedFields(row.estimatedValues) }))
+        .map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+};
+
+// Quotes a cell when it holds a delimiter, quote or line break
+const formatCsvCell = (value) => {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats rows as CSV with a header line
+ * @param {Object[]} rows - Rows from buildMetricRows
+ * @param {string[]} columns - Column order
+ * @returns {string} Ends with a newline
+ */
+export const toCsv = (rows, columns) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => formatCsvCell(row[column])).join(','))
+].join('\n') + '\n';
+
+/**
+ * Exports one metric, or every metric as a JSON object keyed by metric
+ * @param {Object} datasets - Loaded datasets
+ * @param {Object} options - buildMetricRows options plus:
+ * @param {string} [options.metric] - Key of exportMetrics; all metrics when omitted (JSON only)
+ * @param {'csv'|'json'} [options.format='json']
+ * @returns {string}
+ */
+export const exportMetricsText = (datasets, { metric, format = 'json', ...options } = {}) => {
+    if (format !== 'csv' && format !== 'json') {
+        throw new Error(`Unknown format "${format}" (expected csv or json)`);
+    }
+    if (!metric) {
+        if (format === 'csv') throw new Error('CSV output holds one table; choose it with --metric');
+        const all = Object.fromEntries(Object.keys(exportMetrics).map(key => [key, buildMetricRows(key, datasets, options)]));
+        return JSON.stringify(all, null, 2) + '\n';
+    }
+    const rows = buildMetricRows(metric, datasets, options);
+    return format === 'csv' ? toCsv(rows, exportMetrics[metric]) : JSON.stringify(rows, null, 2) + '\n';
+};
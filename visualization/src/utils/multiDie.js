@@ -0,0 +1,113 @@
+/**
+ * Multi-Die Boards
+ *
+ * Dual-GPU cards (GTX 590, GTX 690) carry several copies of one die: `dieName`
+ * names the die and `dieCount` how many the board has. A legacy "2x GF110"
+ * dieName is read the same way. The charts count such a board as a whole
+ * (summed cores, VRAM, power and die area at the board price), leave it out,
+ * or scale it down to one of its GPUs.
+ */
+import { parseDieReference } from './dataValidation.js';
+
+/**
+ * Treatments for multi-die boards, selectable in App and the export CLI
+ */
+export const multiDieModes = {
+    include: { label: 'Whole board', description: 'Totals for the whole board: summed cores, VRAM, power and die area at the board price' },
+    exclude: { label: 'Exclude', description: 'Dual-GPU boards are left out' },
+    perDie: { label: 'Per GPU', description: 'Board cores, VRAM, price and power divided by the number of GPUs' }
+};
+
+export const defaultMultiDieMode = 'include';
+
+// Count fields of a board, and of each of its memory variants, that belong to the GPUs
+const perDieFields = ['cudaCores', 'vram', 'busWidth', 'l2CacheMB', 'msrp', 'tdpWatts', 'gamingPowerWatts'];
+const perDieDieFields = ['dieSizeMM2', 'fullCudaCores', 'fullBusWidth', 'fullL2CacheMB'];
+
+/**
+ * Die key and count of a card: `dieCount` wins over a "2x" prefix on dieName
+ * @param {Object} gpu - GPU record
+ * @returns {{dieKey: string, dieCount: number}}
+ */
+export const getDieReference = (gpu) => {
+    const { dieKey, dieCount } = parseDieReference(gpu.dieName || '');
+    return { dieKey, dieCount: gpu.dieCount ?? dieCount };
+};
+
+/**
+ * Die record for a whole board: area and full-die counts multiplied by the
+ * number of dies. Generation, node and other descriptive fields are the die's.
+ * @param {Object} gpu - GPU record
+ * @param {Object} gpuDieData - gpu_die.json
+ * @returns {Object|null} null when the die is unknown
+ */
+export const getBoardDie = (gpu, gpuDieData) => {
+    const { dieKey, dieCount } = getDieReference(gpu);
+    const die = gpuDieData?.[dieKey];
+    if (!die || dieCount === 1) return die || null;
+    const board = { ...die };
+    perDieDieFields.forEach(field => {
+        if (typeof die[field] === 'number') board[field] = die[field] * dieCount;
+    });
+    return board;
+};
+
+// One GPU's share of a multi-die board
+const toPerDie = (gpu, dieKey, dieCount) => {
+    const scale = (record) => {
+        const scaled = { ...record };
+        perDieFields.forEach(field => {
+            if (typeof record[field] === 'number') scaled[field] = record[field] / dieCount;
+        });
+        if (record.regionalMsrp) {
+            scaled.regionalMsrp = Object.fromEntries(Object.entries(record.regionalMsrp).map(([code, price]) => [code, price / dieCount]));
+        }
+        // Estimate ranges of the scaled fields (see estimates.js) scale with them
+        if (record.estimates) {
+            scaled.estimates = Object.fromEntries(Object.entries(record.estimates).map(([field, estimate]) => [
+                field,
+                perDieFields.includes(field) && typeof estimate === 'object'
+                    ? { min: estimate.min / dieCount, max: estimate.max / dieCount }
+                    : estimate
+            ]));
+        }
+        return scaled;
+    };
+    return {
+        ...scale(gpu),
+        ...(Array.isArray(gpu.variants) ? { variants: gpu.variants.map(scale) } : {}),
+        dieName: dieKey,
+        dieCount: 1,
+        boardDieCount: dieCount
+    };
+};
+
+/**
+ * Applies a multi-die treatment to the GPU records every chart reads
+ * @param {Object[]} gpuData - gpu_data.json records
+ * @param {string} [mode='include'] - Key of multiDieModes
+ * @returns {Object[]} Records in perDie mode carry `boardDieCount`, the dies on the
+ *   board they were scaled from; benchmark scores divide by it too
+ */
+export const applyMultiDieMode = (gpuData, mode = defaultMultiDieMode) => {
+    if (!gpuData || mode === 'include') return gpuData;
+    return gpuData.flatMap(gpu => {
+        const { dieKey, dieCount } = getDieReference(gpu);
+        if (dieCount === 1) return [gpu];
+        return mode === 'exclude' ? [] : [toPerDie(gpu, dieKey, dieCount)];
+    });
+};
+
+/**
+ * Tooltip note on how a multi-die board is counted
+ * @param {Object} gpu - GPU record, after applyMultiDieMode
+ * @returns {string} Empty for single-die cards
+ */
+export const describeMultiDie = (gpu) => {
+    const boardName = (count, dieKey) => `${count === 2 ? 'Dual' : 'Multi'}-GPU board (${count}x ${dieKey})`;
+    if (gpu.boardDieCount > 1) {
+        return `${boardName(gpu.boardDieCount, gpu.dieName)}, shown per GPU: board figures ÷ ${gpu.boardDieCount}`;
+    }
+    const { dieKey, dieCount } = getDieReference(gpu);
+    return dieCount > 1 ? `${boardName(dieCount, dieKey)}: totals for the whole board` : '';
+};
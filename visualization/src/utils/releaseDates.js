@@ -0,0 +1,157 @@
+/**
+ * Release Date Utilities
+ *
+ * GPUs and consoles carry an integer releaseYear/launchYear and, optionally, an
+ * ISO `releaseDate` ("2020-09-17"). These helpers place records on a time axis,
+ * measure launch gaps in months, and pick the CPI/wage value for the release
+ * month when a table has one, falling back to the release year.
+ */
+import { flagshipReferenceSeries } from './dataValidation.js';
+
+const isoDatePattern = /^(\d{4})-(\d{2})-(\d{2})$/;
+const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Parses an ISO calendar date as a UTC Date
+ * @param {string} value - Date string such as "2020-09-17"
+ * @returns {Date|null} Null if the string is missing, malformed or not a real day
+ */
+export const parseIsoDate = (value) => {
+    const match = typeof value === 'string' ? isoDatePattern.exec(value) : null;
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Date.UTC rolls "2020-02-31" over into March; reject it instead
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Release year of a GPU (releaseYear) or console (launchYear)
+ * @param {Object} record - GPU or console record
+ * @returns {number|undefined}
+ */
+export const getReleaseYear = (record) => record.releaseYear ?? record.launchYear;
+
+/**
+ * Release date of a record; undated records sit mid-way through their release year
+ * @param {Object} record - GPU or console record
+ * @returns {Date|null} Null if the record has neither a date nor a year
+ */
+export const getReleaseDate = (record) => {
+    const date = parseIsoDate(record.releaseDate);
+    if (date) return date;
+    const year = getReleaseYear(record);
+    return Number.isInteger(year) ? new Date(Date.UTC(year, 6, 1)) : null;
+};
+
+/**
+ * Release month key ("2020-09") of a dated record
+ * @param {Object} record - GPU or console record
+ * @returns {string|null} Null if the record has no valid releaseDate
+ */
+export const getReleaseMonthKey = (record) => (parseIsoDate(record.releaseDate) ? record.releaseDate.slice(0, 7) : null);
+
+/**
+ * Human-readable release date: "Sep 2020" when dated, otherwise the year
+ * @param {Object} record - GPU or console record
+ * @returns {string}
+ */
+export const formatReleaseDate = (record) => {
+    const date = parseIsoDate(record.releaseDate);
+    if (date) return `${monthNames[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+    const year = getReleaseYear(record);
+    return year != null ? String(year) : 'N/A';
+};
+
+/**
+ * Whole calendar months from one date to another (negative if `to` is earlier)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+export const monthsBetween = (from, to) =>
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+
+/**
+ * Flagship a series is measured against: its own, or the reference series'
+ * flagship for series that borrow one (1600 -> 2000)
+ * @param {Object[]} gpuData - GPU records
+ * @param {string} series - Series name
+ * @returns {Object|null}
+ */
+export const getSeriesFlagship = (gpuData, series) => {
+    const flagshipSeries = flagshipReferenceSeries[series] || series;
+    return gpuData.find(gpu => gpu.series === flagshipSeries && gpu.flagship) || null;
+};
+
+/**
+ * How many months a card launched after its series flagship
+ * @param {Object} gpu - GPU record
+ * @param {Object[]} gpuData - All GPU records (to find the flagship)
+ * @returns {{flagship: Object, months: number}|null} Null for the flagship itself,
+ *   or when either card lacks a releaseDate
+ */
+export const getMonthsAfterFlagship = (gpu, gpuData) => {
+    const flagship = getSeriesFlagship(gpuData, gpu.series);
+    if (!flagship || flagship.model === gpu.model) return null;
+    const flagshipDate = parseIsoDate(flagship.releaseDate);
+    const gpuDate = parseIsoDate(gpu.releaseDate);
+    if (!flagshipDate || !gpuDate) return null;
+    return { flagship, months: monthsBetween(flagshipDate, gpuDate) };
+};
+
+/**
+ * Tooltip line for getMonthsAfterFlagship, e.g. "+6 mo after GTX 780"
+ * @param {Object} gpu - GPU record
+ * @param {Object[]} gpuData - All GPU records
+ * @returns {string} Empty string when there is nothing to report
+ */
+export const describeFlagshipGap = (gpu, gpuData) => {
+    const gap = getMonthsAfterFlagship(gpu, gpuData);
+    if (!gap) return '';
+    if (gap.months === 0) return `same month as ${gap.flagship.model}`;
+    const sign = gap.months > 0 ? '+' : '−';
+    return `${sign}${Math.abs(gap.months)} mo ${gap.months > 0 ? 'after' : 'before'} ${gap.flagship.model}`;
+};
+
+/**
+ * Looks up a value for a record's release: the release month ("2020-09") if the
+ * table has it, otherwise the release year
+ * @param {Object} table - Map keyed by "YYYY-MM" and/or "YYYY"
+ * @param {Object} record - GPU or console record
+ * @returns {{value: number|undefined, period: string}} `period` is the key used
+ */
+export const lookupForRelease = (table, record) => {
+    const month = getReleaseMonthKey(record);
+    if (month && table?.[month] !== undefined) return { value: table[month], period: month };
+    const year = String(getReleaseYear(record));
+    return { value: table?.[year], period: year };
+};
+
+/**
+ * CPI for a record's release month (cpi_monthly), or its year (cpi_data)
+ * @param {Object} inflationData - inflation_data.json
+ * @param {Object} record - GPU or console record
+ * @returns {{value: number|undefined, period: string}}
+ */
+export const getReleaseCpi = (inflationData, record) => {
+    const month = getReleaseMonthKey(record);
+    if (month && inflationData.cpi_monthly?.[month] !== undefined) {
+        return { value: inflationData.cpi_monthly[month], period: month };
+    }
+    return lookupForRelease(inflationData.cpi_data, record);
+};
+
+/**
+ * Multiplier converting a record's launch dollars to base-year dollars, as the
+ * ratio of the base year's annual CPI to the release-month (or release-year) CPI
+ * @param {Object} inflationData - inflation_data.json
+ * @param {Object} record - GPU or console record
+ * @param {number|string} [baseYear=inflationData.base_year] - Year whose dollars to express prices in
+ * @returns {{multiplier: number|undefined, period: string}} multiplier is undefined without both CPI values
+ */
+export const getCpiMultiplier = (inflationData, record, baseYear = inflationData.base_year) => {
+    const cpi = getReleaseCpi(inflationData, record);
+    const baseCpi = inflationData.cpi_data?.[baseYear];
+    return { multiplier: cpi.value && baseCpi ? baseCpi / cpi.value : undefined, period: cpi.period };
+};
@@ -0,0 +1,445 @@
+/**
+ * Per-Tier Chart Scaffolding
+ *
+ * The per-dollar, power, affordability and price ladder charts share one
+ * layout: toggle buttons above the plot, a tier x axis, hollow or dotted
+ * points for refreshes and estimates, a toggle legend on the right with its
+ * notes, and a tooltip that follows the pointer. The helpers here draw those
+ * parts; drawTierChart puts them together for the charts whose legend lists
+ * GPU generations, so each of those only supplies its rows, labels and
+ * tooltip lines.
+ */
+import { useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { chartColors, vendorLineDash, currencies, estimateDash } from './chartConfig';
+import { describeMultiDie } from './multiDie';
+import { describeEstimates } from './citations';
+
+/**
+ * CPI and wage toggle state of a chart that adjusts launch prices
+ * @returns {{useCpiAdjustment: boolean, setUseCpiAdjustment: Function, useRealWageScaling: boolean, setUseRealWageScaling: Function}}
+ *   Stable between renders until a toggle changes, so it can be an effect dependency
+ */
+export const useAdjustmentToggles = () => {
+    // State for toggling CPI inflation adjustment
+    const [useCpiAdjustment, setUseCpiAdjustment] = useState(false);
+    // State for toggling scaling based on real wage changes
+    const [useRealWageScaling, setUseRealWageScaling] = useState(false);
+    return useMemo(
+        () => ({ useCpiAdjustment, setUseCpiAdjustment, useRealWageScaling, setUseRealWageScaling }),
+        [useCpiAdjustment, useRealWageScaling]
+    );
+};
+
+/**
+ * Clears an svg and draws the rounded chart background
+ * @param {SVGSVGElement} svgElement - Chart svg
+ * @param {Object} [layout]
+ * @param {Object} [layout.margin] - Space around the plot for the buttons, axes and legend
+ * @param {number} [layout.containerWidth=1000]
+ * @param {number} [layout.containerHeight=450]
+ * @returns {{svg: Object, chartGroup: Object, margin: Object, width: number, height: number, containerHeight: number}}
+ */
+export const createChartFrame = (svgElement, {
+    margin = { top: 80, right: 250, bottom: 60, left: 90 },
+    containerWidth = 1000,
+    containerHeight = 450
+} = {}) => {
+    const svg = d3.select(svgElement);
+    svg.selectAll("*").remove(); // Clear previous renders
+
+    const width = containerWidth - margin.left - margin.right;
+    const height = containerHeight - margin.top - margin.bottom;
+
+    svg.attr('width', containerWidth)
+       .attr('height', containerHeight);
+
+    svg.append("rect")
+        .attr("x", margin.left - 10).attr("y", margin.top - 10)
+        .attr("width", width + 20).attr("height", height + 20)
+        .attr("rx", 15).attr("ry", 15)
+        .attr("fill", "transparent")
+        .attr("class", "chart-background");
+
+    const chartGroup = svg.append("g")
+        .attr("transform", `translate(${margin.left},${margin.top})`);
+
+    return { svg, chartGroup, margin, width, height, containerHeight };
+};
+
+/**
+ * Tooltip div of a chart, created on first use and hidden on redraws
+ * @param {string} className - Class of the tooltip container
+ * @returns {Object} d3 selection of the tooltip
+ */
+export const createChartTooltip = (className) => {
+    if (!d3.select('body').select(`.${className}`).size()) {
+        d3.select('body')
+            .append('div')
+            .attr('class', className)
+            .style('position', 'absolute')
+            .style('visibility', 'hidden')
+            .style('background-color', 'rgba(25, 25, 30, 0.92)')
+            .style('color', '#fff')
+            .style('border-radius', '10px')
+            .style('padding', '12px')
+            .style('pointer-events', 'none')
+            .style('box-shadow', '0 4px 15px rgba(0, 0, 0, 0.5)')
+            .style('z-index', '10')
+            .style('max-width', '260px')
+            .style('font-size', '12px');
+    } else {
+        d3.select(`.${className}`).style('visibility', 'hidden');
+    }
+    return d3.select(`.${className}`);
+};
+
+/**
+ * Draws toggle buttons right to left from the top right corner of the plot
+ * @param {Object} chartGroup - Plot group from createChartFrame
+ * @param {Object} tooltip - Chart tooltip, which shows each button's help
+ * @param {number} width - Plot width
+ * @param {Array<Object>} buttons - Rightmost first: {className, label, active,
+ *   activeColor, onClick, help} and optionally enabled (default true)
+ */
+export const drawToggleButtons = (chartGroup, tooltip, width, buttons) => {
+    const toggleButtonWidth = 108;
+    const toggleButtonHeight = 25;
+    const toggleButtonSpacing = 8;
+    const toggleButtonY = -60;
+
+    buttons.forEach(({ className, label, active, activeColor, onClick, help, enabled = true }, i) => {
+        const x = width - toggleButtonWidth - 10 - i * (toggleButtonWidth + toggleButtonSpacing);
+        chartGroup.append("rect")
+            .attr("x", x).attr("y", toggleButtonY)
+            .attr("width", toggleButtonWidth).attr("height", toggleButtonHeight)
+            .attr("rx", 5).attr("ry", 5)
+            .attr("fill", active ? activeColor : "#444")
+            .attr("cursor", enabled ? "pointer" : "not-allowed")
+            .attr("opacity", enabled ? 1 : 0.5)
+            .attr("class", className)
+            .on("click", () => { if (enabled) onClick(); })
+            .on("mouseover", (event) => {
+                tooltip.style('visibility', 'visible').style('left', `${event.pageX}px`).style('top', `${event.pageY - 40}px`)
+                    .html(help);
+            })
+            .on("mouseout", () => tooltip.style('visibility', 'hidden'));
+        chartGroup.append("text")
+            .attr("x", x + toggleButtonWidth / 2).attr("y", toggleButtonY + toggleButtonHeight / 2 + 4)
+            .attr("text-anchor", "middle").attr("fill", "#fff").style("font-size", "12px").style("pointer-events", "none")
+            .text(label);
+    });
+};
+
+/**
+ * Wage and CPI buttons (as on the die area chart), in drawToggleButtons order
+ * @param {Object} adjustments - From useAdjustmentToggles
+ * @param {Object} options
+ * @param {number} options.baseYear - Year adjusted prices are expressed in
+ * @param {string} options.currency - Currency of the prices
+ * @param {string} options.nominalHelp - What the chart shows with CPI off
+ * @returns {Array<Object>}
+ */
+export const adjustmentToggleButtons = (adjustments, { baseYear, currency, nominalHelp }) => {
+    const { useCpiAdjustment, setUseCpiAdjustment, useRealWageScaling, setUseRealWageScaling } = adjustments;
+    return [
+        {
+            className: 'wage-toggle-btn',
+            label: useRealWageScaling ? "Wage On" : "Wage Off",
+            active: useRealWageScaling,
+            activeColor: "#ff646c", // Red for wage
+            onClick: () => setUseRealWageScaling(!useRealWageScaling),
+            help: `<div style="text-align: center; padding: 5px;"><strong>Wage Scaling</strong></div>
+                   <div style="padding: 5px;"><strong>Off:</strong> No wage scaling.<br>
+                   <strong>On, CPI Off:</strong> Scales MSRP by nominal wage change.<br>
+                   <strong>On, CPI On:</strong> Scales MSRP by real wage change.<br>
+                   <span style="font-size: 0.9em; color: #aaa;">Base year: ${baseYear}</span></div>`
+        },
+        {
+            className: 'cpi-toggle-btn',
+            label: useCpiAdjustment ? "CPI On" : "CPI Off",
+            active: useCpiAdjustment,
+            activeColor: "#646cff",
+            onClick: () => setUseCpiAdjustment(!useCpiAdjustment),
+            help: `<div style="text-align: center; padding: 5px;"><strong>CPI Adjustment</strong></div>
+                   <div style="padding: 5px;"><strong>Off:</strong> ${nominalHelp}<br>
+                   <strong>On:</strong> Prices in constant ${baseYear} ${currency === 'USD' ? 'dollars' : currency} using ${currency === 'USD' ? 'US' : currencies[currency].region} CPI data.<br>
+                   <span style="font-size: 0.9em; color: #aaa;">Can be combined with Wage toggle.</span></div>`
+        }
+    ];
+};
+
+/**
+ * Draws the centered message of a chart with nothing to plot
+ */
+export const drawEmptyMessage = (chartGroup, width, height, message) => {
+    chartGroup.append("text").attr("x", width / 2).attr("y", height / 2)
+        .attr("text-anchor", "middle").attr("fill", chartColors.text).style("font-size", "14px")
+        .text(message);
+};
+
+/**
+ * Draws card points: refresh SKUs and estimates are hollow, estimates get a
+ * dotted outline and imported cards a dashed one. Hovering shows the tooltip
+ * with the card's model, the chart's lines and the multi-die and estimate notes.
+ * @param {Object} chartGroup - Plot group
+ * @param {Array<Object>} rows - Cards to draw
+ * @param {Object} options
+ * @param {string} options.className - Class of each circle
+ * @param {Function} options.cx - Row -> x position
+ * @param {Function} options.cy - Row -> y position
+ * @param {Function} options.color - Row -> color
+ * @param {Object} options.tooltip - Chart tooltip
+ * @param {Function} options.describe - Row -> tooltip lines (HTML)
+ */
+export const drawCardPoints = (chartGroup, rows, { className, cx, cy, color, tooltip, describe }) => {
+    const isHollow = (d) => d.isRefresh || d.estimatedValues.length;
+    chartGroup.selectAll(`.${className}`)
+        .data(rows)
+        .enter().append("circle")
+        .attr("class", className)
+        .attr("cx", cx)
+        .attr("cy", cy)
+        .attr("r", 5)
+        .attr("fill", d => (isHollow(d) ? "transparent" : color(d)))
+        .attr("stroke", d => (isHollow(d) ? color(d) : (d.imported ? chartColors.imported : "#fff")))
+        .attr("stroke-width", d => (isHollow(d) ? 2 : 1))
+        .attr("stroke-dasharray", d => (d.imported ? "2,1" : (d.estimatedValues.length ? estimateDash : null)))
+        .on("mouseover", function (event, d) {
+            tooltip
+                .style('visibility', 'visible').style('left', `${event.pageX + 15}px`).style('top', `${event.pageY - 10}px`)
+                .html(`<div class="tooltip-title" style="color: ${color(d)};">${d.model}</div>
+                       <div class="tooltip-info">
+                           ${describe(d)}
+                           ${describeMultiDie(d) ? `<br><span style="color: #aaa;">${describeMultiDie(d)}</span>` : ''}
+                           ${d.estimatedValues.length ? `<br><span style="color: #aaa;">${describeEstimates(d.estimatedValues)}</span>` : ''}
+                       </div>`);
+            d3.select(this).attr("r", 7);
+        })
+        .on("mouseout", function () {
+            tooltip.style('visibility', 'hidden');
+            d3.select(this).attr("r", 5);
+        });
+};
+
+/**
+ * Draws a toggle legend right of the plot with a Show All checkbox and notes,
+ * and grows the svg when it runs past the chart
+ * @param {Object} frame - From createChartFrame
+ * @param {Object} options
+ * @param {string} options.className - Class of the legend group
+ * @param {string} options.title
+ * @param {Array} options.items - Legend entries
+ * @param {Function} options.label - Entry -> text
+ * @param {Function} options.color - Entry -> swatch color
+ * @param {Function} options.isActive - Entry -> shown
+ * @param {Function} options.onToggle - (event, entry) handler
+ * @param {boolean} options.showAll - Show All checked
+ * @param {Function} options.onShowAll
+ * @param {string} options.showAllLabel
+ * @param {string} options.markerNote - Note on the chart's own point marker
+ * @param {boolean} options.hasOtherVendors - Adds the AMD/Intel line style note
+ */
+export const drawToggleLegend = ({ svg, chartGroup, margin, width, containerHeight }, {
+    className, title, items, label, color, isActive, onToggle, showAll, onShowAll, showAllLabel, markerNote, hasOtherVendors
+}) => {
+    const legend = chartGroup.append("g").attr("class", className).attr("transform", `translate(${width + 40}, 0)`);
+    legend.append("text").attr("x", 60).attr("y", -20).attr("font-size", "14px").attr("font-weight", "bold").attr("fill", "#ddd").attr("text-anchor", "middle").text(title);
+
+    // Grow the SVG when the legend and its notes run past the chart
+    const legendBottom = margin.top + items.length * 25 + margin.bottom + 50;
+    if (legendBottom > containerHeight) svg.attr('height', legendBottom);
+
+    const legendItems = legend.selectAll(".legend-item").data(items).enter().append("g")
+        .attr("class", "legend-item").attr("transform", (d, i) => `translate(0, ${i * 25})`);
+
+    legendItems.append("rect").attr("x", 0).attr("y", 0).attr("width", 15).attr("height", 15)
+        .attr("fill", d => isActive(d) ? color(d) : "#555")
+        .attr("stroke", "#ddd").attr("stroke-width", 1).attr("rx", 3).attr("ry", 3).attr("cursor", "pointer")
+        .attr("opacity", d => isActive(d) ? 1 : 0.5)
+        .on("click", onToggle);
+
+    legendItems.append("text").attr("x", 20).attr("y", 12).text(label)
+        .style("font-size", "12px").style("font-weight", "bold")
+        .attr("fill", d => isActive(d) ? "#ddd" : "#777")
+        .attr("cursor", "pointer")
+        .on("click", onToggle);
+
+    // Show All Checkbox
+    const showAllGroup = legend.append("g").attr("class", "legend-item show-all")
+        .attr("transform", `translate(0, ${items.length * 25 + 10})`);
+    showAllGroup.append("rect").attr("x", 0).attr("y", 0).attr("width", 15).attr("height", 15)
+        .attr("stroke", "#ddd").attr("fill", showAll ? "#646cff" : "transparent")
+        .attr("rx", 3).attr("ry", 3).attr("cursor", "pointer")
+        .on("click", onShowAll);
+    showAllGroup.append("text").attr("x", 25).attr("y", 12).attr("fill", "#ddd").style("font-size", "12px")
+        .text(showAllLabel).attr("alignment-baseline", "middle").attr("cursor", "pointer")
+        .on("click", onShowAll);
+
+    // Legend Notes
+    const notes = [markerNote, "* Dotted outlines: estimates", hasOtherVendors ? "* Dashed lines: AMD, dotted: Intel" : null];
+    notes.forEach((note, i) => {
+        if (note) legend.append("text").attr("x", 0).attr("y", items.length * 25 + 50 + i * 20).attr("fill", "#aaa").style("font-size", "11px").text(note);
+    });
+};
+
+/**
+ * Generations in the rows, oldest first, with 1600 ahead of 2000 as in the die area legend
+ * @param {Array<Object>} rows - Chart rows with series, releaseYear and dieName
+ * @param {Object} [gpuDieData] - gpu_die.json, for the generation names
+ * @returns {Array<{series: string, releaseYear: number, generation: string}>}
+ */
+export const getGenerationLegendData = (rows, gpuDieData) =>
+    Array.from(d3.rollup(rows, cards => d3.min(cards, d => d.releaseYear), d => d.series))
+        .map(([series, releaseYear]) => {
+            const firstCard = rows.find(d => d.series === series);
+            return { series, releaseYear, generation: gpuDieData?.[firstCard.dieName]?.generation || "Unknown" };
+        })
+        .sort((a, b) => {
+            if (a.series === "1600" && b.series === "2000") return -1;
+            if (a.series === "2000" && b.series === "1600") return 1;
+            return a.releaseYear - b.releaseYear || a.series.localeCompare(b.series);
+        });
+
+/**
+ * Draws a per-tier chart with one line and color per GPU generation and the
+ * generation toggle legend (same as the die area chart)
+ * @param {SVGSVGElement} svgElement - Chart svg
+ * @param {Object} options
+ * @param {string} options.className - Prefix of the tooltip, line, point and legend classes
+ * @param {Array<Object>} options.rows - Cards on the chart's tiers with baseTier, vendor and
+ *   value; those without a value are in the legend but not plotted
+ * @param {Array<Object>} [options.buttons] - Toggle buttons, see drawToggleButtons
+ * @param {Array<string>} options.columnOrder - Tiers of the x axis
+ * @param {Object} [options.gpuDieData] - For the generation names in the legend
+ * @param {Object} options.generations - activeGenerations, setActiveGenerations,
+ *   showAllGenerations and setShowAllGenerations of the chart
+ * @param {string} options.yLabel
+ * @param {string} [options.xLabel="GPU Class"]
+ * @param {Function} [options.yTickFormat]
+ * @param {number} [options.referenceValue] - Value marked with a dashed line and kept in view
+ * @param {Function} [options.columnOf] - Row -> x column, baseTier by default
+ * @param {Function} [options.lineCards] - (series cards, plotted rows) -> cards its line joins
+ * @param {string} options.emptyMessage - Shown when no card has a value
+ * @param {Function} options.describe - Row -> tooltip lines (HTML)
+ * @returns {Function} Cleanup removing the tooltip
+ */
+export const drawTierChart = (svgElement, {
+    className, rows, buttons = [], columnOrder, gpuDieData, generations, yLabel, xLabel = "GPU Class", yTickFormat,
+    referenceValue, columnOf = d => d.baseTier, lineCards = cards => cards, emptyMessage, describe
+}) => {
+    const frame = createChartFrame(svgElement);
+    const { chartGroup, width, height } = frame;
+    const tooltipContainerClass = `${className}-tooltip-container`;
+    const tooltip = createChartTooltip(tooltipContainerClass);
+    const cleanup = () => d3.select(`.${tooltipContainerClass}`).remove();
+
+    drawToggleButtons(chartGroup, tooltip, width, buttons);
+
+    const { activeGenerations, setActiveGenerations, showAllGenerations, setShowAllGenerations } = generations;
+    const plottedRows = rows.filter(d => d.value != null);
+    const visibleRows = plottedRows.filter(d => activeGenerations[d.series] !== false);
+    const legendData = getGenerationLegendData(rows, gpuDieData);
+    const allGenerations = legendData.map(g => g.series);
+    const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(allGenerations);
+
+    // --- Scales ---
+    const xScale = d3.scalePoint().domain(columnOrder).range([0, width]).padding(0.5);
+    const yMax = d3.max(visibleRows, d => d.value) || 1;
+    const yScale = d3.scaleLinear()
+        .domain([0, referenceValue != null ? Math.max(referenceValue * 11 / 10, yMax) : yMax]).nice()
+        .range([height, 0]);
+
+    // --- Axes ---
+    chartGroup.append("g").attr("class", "x-axis").attr("transform", `translate(0,${height})`)
+        .call(d3.axisBottom(xScale).tickFormat(tier => `xx${tier}`));
+    chartGroup.append("g").attr("class", "y-axis").call(d3.axisLeft(yScale).tickFormat(yTickFormat || null));
+    chartGroup.append("g").attr("class", "grid").call(d3.axisLeft(yScale).tickSize(-width).tickFormat(""))
+        .selectAll("line").attr("stroke", "#e0e0e0").attr("stroke-opacity", 0.15);
+    chartGroup.select(".grid .domain").remove();
+    if (referenceValue != null) {
+        chartGroup.append("line").attr("class", "flagship-line")
+            .attr("x1", 0).attr("x2", width).attr("y1", yScale(referenceValue)).attr("y2", yScale(referenceValue))
+            .attr("stroke", chartColors.text).attr("stroke-dasharray", "4,4").attr("stroke-opacity", 0.5);
+    }
+    chartGroup.append("text").attr("class", "x-axis-label").attr("text-anchor", "middle")
+        .attr("x", width / 2).attr("y", height + 45).attr("fill", chartColors.text).style("font-size", "12px")
+        .text(xLabel);
+    chartGroup.append("text").attr("class", "y-axis-label").attr("text-anchor", "middle")
+        .attr("transform", "rotate(-90)").attr("x", -height / 2).attr("y", -55)
+        .attr("fill", chartColors.text).style("font-size", "12px")
+        .text(yLabel);
+
+    if (plottedRows.length === 0) {
+        drawEmptyMessage(chartGroup, width, height, emptyMessage);
+        return cleanup;
+    }
+
+    // --- Series Lines (launch SKUs; refreshes are points only) ---
+    const line = d3.line()
+        .x(d => xScale(d.column))
+        .y(d => yScale(d.value));
+    d3.groups(visibleRows.filter(d => !d.isRefresh), d => d.series).forEach(([series, cards]) => {
+        const joined = lineCards(cards, plottedRows);
+        const points = columnOrder
+            .map(column => {
+                const inColumn = joined.filter(d => columnOf(d) === column);
+                return inColumn.length > 0 ? { column, value: d3.mean(inColumn, d => d.value) } : null;
+            })
+            .filter(Boolean);
+        if (points.length < 2) return;
+        chartGroup.append("path")
+            .datum(points)
+            .attr("class", `${className}-line`)
+            .attr("fill", "none")
+            .attr("stroke", colorScale(series))
+            .attr("stroke-width", 2)
+            .attr("stroke-opacity", 0.8)
+            .attr("stroke-dasharray", vendorLineDash[cards[0].vendor])
+            .attr("d", line);
+    });
+
+    // --- Points ---
+    drawCardPoints(chartGroup, visibleRows, {
+        className: `${className}-point`,
+        cx: d => xScale(columnOf(d)),
+        cy: d => yScale(d.value),
+        color: d => colorScale(d.series),
+        tooltip,
+        describe
+    });
+
+    // --- Legend (generation toggles) ---
+    drawToggleLegend(frame, {
+        className: `${className}-legend`,
+        title: "GPU Generation",
+        items: legendData,
+        label: d => `${d.series} (${d.generation})`,
+        color: d => colorScale(d.series),
+        isActive: d => activeGenerations[d.series] !== false,
+        onToggle: (event, d) => {
+            if (setActiveGenerations && setShowAllGenerations) {
+                setActiveGenerations(prev => {
+                    const newState = { ...prev, [d.series]: prev[d.series] === false ? true : false };
+                    setShowAllGenerations(allGenerations.every(gen => newState[gen] !== false));
+                    return newState;
+                });
+            }
+        },
+        showAll: showAllGenerations,
+        onShowAll: () => {
+            if (setActiveGenerations && setShowAllGenerations) {
+                const targetState = !showAllGenerations;
+                const newState = {};
+                allGenerations.forEach(gen => { newState[gen] = targetState; });
+                setActiveGenerations(newState);
+                setShowAllGenerations(targetState);
+            }
+        },
+        showAllLabel: "Show All Generations",
+        markerNote: "* Hollow points: refresh SKUs",
+        hasOtherVendors: rows.some(d => d.vendor !== "NVIDIA")
+    });
+
+    return cleanup;
+};
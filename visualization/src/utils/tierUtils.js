@@ -1,16 +1,81 @@
 /**
  * GPU Tier Utility Functions
- * 
+ *
  * Extracts and identifies GPU tier information from model names.
+ * NVIDIA tiers are the shared ladder (columnOrder); AMD and Intel model
+ * numbers are parsed into their own tier names, then mapped onto that ladder
+ * by position in the vendor's product stack.
  */
 
 /**
- * Extracts GPU tier from model name (e.g., "RTX 4090" -> "90")
+ * Supported GPU vendors
+ */
+export const vendors = ["NVIDIA", "AMD", "Intel"];
+
+/**
+ * Vendor tier -> shared ladder tier. The mapping is by position in each
+ * vendor's stack, not by measured performance.
+ */
+export const vendorTierLadders = {
+    AMD: {
+        "950 XT": "90 Ti",  // RX 6950 XT
+        "900 XTX": "90",    // RX 7900 XTX
+        "900 XT": "80 Ti",  // RX 7900 XT; the RX 6900 XT is placed by vendorModelTiers
+        "800 XT": "80",
+        "800": "70 Ti",
+        "700 XT": "70",
+        "600 XT": "60 Ti",
+        "600": "60",
+        "500 XT": "50",
+        "400": "30",
+        // RDNA 4 (RX 9070 XT, 9060 XT) numbers its tiers after NVIDIA's
+        "70 XT": "70 Ti",
+        "70": "70",
+        "60 XT": "60 Ti",
+        "60": "60"
+    },
+    Intel: {
+        "770": "70",        // Arc A770
+        "750": "60 Ti",
+        "580": "60",        // Arc A580 / B580
+        "570": "50 Ti",
+        "380": "50",
+        "310": "30"
+    }
+};
+
+/**
+ * Full model numbers -> shared ladder tier, for cards whose vendor tier a later
+ * generation reuses lower in its stack. The RX 6900 XT led RDNA 2 (the 6950 XT
+ * refreshed it), while from RDNA 3 on "900 XT" sits below the XTX.
+ */
+export const vendorModelTiers = {
+    AMD: {
+        "6900 XT": "90"
+    }
+};
+
+/**
+ * Detects the vendor from a model name ("RX ..." is AMD, "Arc ..." is Intel)
  * @param {string} modelName - Full GPU model name
- * @returns {string|null} Tier string like "90 Ti" or "80", or null if unrecognized
+ * @returns {string} One of `vendors`, defaulting to "NVIDIA"
+ */
+export const getVendorFromModel = (modelName) => {
+    const name = modelName.toUpperCase().trim();
+    if (/^(RADEON\s+)?RX\s*\d/.test(name)) return "AMD";
+    if (/^(INTEL\s+)?ARC\s+[A-Z]\d/.test(name)) return "Intel";
+    return "NVIDIA";
+};
+
+/**
+ * Vendor of a GPU record: its `vendor` field, or detected from the model name
+ * @param {Object} gpu - GPU record from gpu_data.json
+ * @returns {string} One of `vendors`
  */
-export const getTierFromModel = (modelName) => {
-    const name = modelName.toUpperCase();
+export const getVendor = (gpu) => gpu.vendor || getVendorFromModel(gpu.model || "");
+
+// NVIDIA: the last two digits of the model number, plus "Ti" and/or "Super"
+const getNvidiaTier = (name) => {
     const numMatch = name.match(/(\d{2,4})/); // Match 2 to 4 digits often representing the tier part
     if (!numMatch) return null; // Cannot determine tier
 
@@ -29,12 +94,88 @@ export const getTierFromModel = (modelName) => {
     if (!baseTier) return null; // Unknown tier number
 
     // Check for modifiers like "Ti" (case-insensitive, space required)
-    if (name.includes(" TI")) {
+    const isTi = /\sTI\b/.test(name);
+    // SUPER refreshes are their own tier, above the card they refresh ("70 Ti Super")
+    if (/\sSUPER\b/.test(name)) {
+        return isTi ? `${baseTier} Ti Super` : `${baseTier} Super`;
+    }
+    if (isTi) {
         return `${baseTier} Ti`;
     }
-    // Add checks for "SUPER" if needed
-    // else if (name.includes(" SUPER")) {
-    //     return `${baseTier} Super`;
-    // }
     return baseTier; // Non-Ti version
 };
+
+const amdModelPattern = /RX\s*(\d{4})\s*(XTX|XT)?\b/;
+
+// AMD: "RX 7900 XTX" -> "900 XTX"; RDNA 4's "RX 9070 XT" -> "70 XT"
+const getAmdTier = (name) => {
+    const match = name.match(amdModelPattern);
+    if (!match) return null;
+    const [, number, suffix] = match;
+    const tier = number[1] === "0" ? number.slice(2) : number.slice(1);
+    return suffix ? `${tier} ${suffix}` : tier;
+};
+
+// AMD: "RX 6900 XT" -> "6900 XT", the key of vendorModelTiers
+const getAmdModelNumber = (name) => {
+    const match = name.match(amdModelPattern);
+    if (!match) return null;
+    const [, number, suffix] = match;
+    return suffix ? `${number} ${suffix}` : number;
+};
+
+// Intel: "Arc A770" / "Arc B580" -> "770" / "580"
+const getIntelTier = (name) => {
+    const match = name.match(/ARC\s+[A-Z](\d{3})\b/);
+    return match ? match[1] : null;
+};
+
+const vendorTierParsers = {
+    NVIDIA: getNvidiaTier,
+    AMD: getAmdTier,
+    Intel: getIntelTier
+};
+
+const vendorModelNumberParsers = {
+    AMD: getAmdModelNumber
+};
+
+/**
+ * Extracts the vendor's own tier name from a model name
+ * (e.g., "RX 7900 XTX" -> "900 XTX", "Arc B580" -> "580", "RTX 4090" -> "90")
+ * @param {string} modelName - Full GPU model name
+ * @param {string} [vendor] - Vendor; detected from the name when omitted
+ * @returns {string|null} Vendor tier string, or null if unrecognized
+ */
+export const getVendorTierFromModel = (modelName, vendor = getVendorFromModel(modelName)) => {
+    const parser = vendorTierParsers[vendor];
+    return parser ? parser(modelName.toUpperCase()) : null;
+};
+
+/**
+ * Extracts GPU tier on the shared ladder from model name
+ * (e.g., "RTX 4090" -> "90", "RX 7900 XTX" -> "90", "Arc A770" -> "70")
+ * @param {string} modelName - Full GPU model name
+ * @param {string} [vendor] - Vendor; detected from the name when omitted
+ * @returns {string|null} Tier string like "90 Ti", "80" or "70 Ti Super", or null if unrecognized
+ */
+export const getTierFromModel = (modelName, vendor = getVendorFromModel(modelName)) => {
+    const vendorTier = getVendorTierFromModel(modelName, vendor);
+    if (!vendorTier || vendor === "NVIDIA") return vendorTier;
+    const modelNumber = vendorModelNumberParsers[vendor]?.(modelName.toUpperCase());
+    return vendorModelTiers[vendor]?.[modelNumber] || vendorTierLadders[vendor]?.[vendorTier] || null;
+};
+
+/**
+ * Whether a tier is a mid-cycle refresh (SUPER) tier
+ * @param {string|null} tier - Tier string from getTierFromModel
+ * @returns {boolean}
+ */
+export const isRefreshTier = (tier) => /\sSuper$/.test(tier || "");
+
+/**
+ * Tier a refresh tier sits above ("70 Ti Super" -> "70 Ti"); other tiers are returned unchanged
+ * @param {string} tier - Tier string from getTierFromModel
+ * @returns {string}
+ */
+export const getBaseTier = (tier) => tier.replace(/\sSuper$/, "");
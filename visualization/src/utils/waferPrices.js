@@ -0,0 +1,94 @@
+/**
+ * Wafer Prices
+ *
+ * wafer_prices.json prices a 300 mm wafer by foundry, node and year:
+ * `foundries.TSMC["7"]["2020"] = { price, low, high }` (a plain number is a
+ * price without a range). A year's price holds until the next listed year, so
+ * a card launched in 2021 on a node priced for 2020 and 2022 pays the 2020
+ * price. The older flat form, `{ "7": 9350 }`, still reads as one price for
+ * every foundry and year.
+ */
+
+/**
+ * Foundry assumed for dies whose gpu_die.json entry names none
+ */
+export const defaultFoundry = 'TSMC';
+
+/**
+ * @typedef {Object} WaferPrice
+ * @property {string|null} foundry - Null for the flat, foundry-less form
+ * @property {string} node - Process node in nm ("7")
+ * @property {string|null} year - Year key the price was read from
+ * @property {number} price - Central estimate, USD per wafer
+ * @property {number} low
+ * @property {number} high
+ */
+
+const isFlat = (waferPrices) => !waferPrices?.foundries;
+
+// { price, low, high } from a number or a range record
+const toRange = (value) => {
+    if (typeof value === 'number') return { price: value, low: value, high: value };
+    if (typeof value?.price !== 'number') return null;
+    return { price: value.price, low: value.low ?? value.price, high: value.high ?? value.price };
+};
+
+/**
+ * Wafer price of a foundry's node in a year
+ * @param {Object} waferPrices - wafer_prices.json
+ * @param {Object} query
+ * @param {string} [query.foundry='TSMC']
+ * @param {string|number} query.node - Process node in nm
+ * @param {number} [query.year] - Release year; the latest listed year up to it is used,
+ *   or the first listed year for earlier releases
+ * @returns {WaferPrice|null} Null if the foundry has no price for the node
+ */
+export const getWaferPrice = (waferPrices, { foundry = defaultFoundry, node, year } = {}) => {
+    const nodeKey = String(node);
+    if (isFlat(waferPrices)) {
+        const range = toRange(waferPrices?.[nodeKey]);
+        return range ? { foundry: null, node: nodeKey, year: null, ...range } : null;
+    }
+    const byYear = waferPrices.foundries[foundry]?.[nodeKey];
+    const years = Object.keys(byYear || {}).sort();
+    if (years.length === 0) return null;
+    const yearKey = years.filter(key => year == null || Number(key) <= year).pop() ?? years[0];
+    const range = toRange(byYear[yearKey]);
+    return range ? { foundry, node: nodeKey, year: yearKey, ...range } : null;
+};
+
+/**
+ * Every price in the dataset
+ * @param {Object} waferPrices - wafer_prices.json
+ * @returns {WaferPrice[]} By foundry, then smallest node, then year
+ */
+export const listWaferPrices = (waferPrices) => {
+    if (isFlat(waferPrices)) {
+        return Object.keys(waferPrices || {})
+            .filter(node => typeof waferPrices[node] === 'number') // skips the `sources` map
+            .sort((a, b) => Number(a) - Number(b))
+            .map(node => getWaferPrice(waferPrices, { node }));
+    }
+    return Object.keys(waferPrices.foundries).sort().flatMap(foundry =>
+        Object.keys(waferPrices.foundries[foundry] || {})
+            .sort((a, b) => Number(a) - Number(b))
+            .flatMap(node => Object.keys(waferPrices.foundries[foundry][node] || {}).sort()
+                .map(year => ({ foundry, node, year, ...toRange(waferPrices.foundries[foundry][node][year]) }))
+                .filter(entry => typeof entry.price === 'number')));
+};
+
+/**
+ * Label of a foundry's node, also the key of its citation in `sources`
+ * @param {{foundry: string|null, node: string|number}} waferPrice
+ * @returns {string} "TSMC 7nm", or "7nm" for the flat form
+ */
+export const getWaferPriceLabel = ({ foundry, node }) => (foundry ? `${foundry} ${node}nm` : `${node}nm`);
+
+/**
+ * Keys `sources` may cite: one label per foundry node (node keys for the flat form)
+ * @param {Object} waferPrices - wafer_prices.json
+ * @returns {string[]}
+ */
+export const getWaferSourceKeys = (waferPrices) => (isFlat(waferPrices)
+    ? listWaferPrices(waferPrices).map(entry => entry.node)
+    : Array.from(new Set(listWaferPrices(waferPrices).map(getWaferPriceLabel))));
@@ -1,9 +1,36 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync, existsSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+// JSON datasets published to <base>data/ for the runtime data loader
+const datasetDir = fileURLToPath(new URL('./src/assets/', import.meta.url))
+const datasetFileNames = () => readdirSync(datasetDir).filter(file => file.endsWith('.json'))
+
+// Serves the datasets in dev and copies them into the build, so a data fix
+// only needs the files in docs/data/ replaced, not a rebuild
+function publishDatasets() {
+  return {
+    name: 'publish-datasets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const match = req.url && req.url.split('?')[0].match(/\/data\/([\w-]+\.json)$/)
+        if (!match || !existsSync(datasetDir + match[1])) return next()
+        res.setHeader('Content-Type', 'application/json')
+        res.end(readFileSync(datasetDir + match[1]))
+      })
+    },
+    generateBundle() {
+      datasetFileNames().forEach(file => {
+        this.emitFile({ type: 'asset', fileName: `data/${file}`, source: readFileSync(datasetDir + file) })
+      })
+    }
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), publishDatasets()],
   base: '/nvidia-gpu-analyzer/', // Base path for GitHub Pages
   build: {
     outDir: '../docs',